@@ -5,6 +5,7 @@
 
 import { loadElasticityParams, loadDailyAggregated } from './data-loader.js';
 import { getAcquisitionCohorts } from './cohort-aggregator.js';
+import { readDataJson } from './data-source.js';
 
 // Chart instance
 let acquisitionChartSimple = null;
@@ -26,8 +27,7 @@ let showConfidenceIntervals = true;
  */
 async function loadCohortData() {
   try {
-    const response = await fetch('data/cohort_coefficients.json');
-    cohortData = await response.json();
+    cohortData = await readDataJson('cohort_coefficients.json');
     console.log('✓ Loaded cohort profiles for acquisition');
     return cohortData;
   } catch (error) {
@@ -0,0 +1,126 @@
+/**
+ * Ancillary Revenue Module
+ * Revenue per visit beyond the ticket: Fast Pass add-ons plus food, merch and other in-park spend
+ *
+ *   ARPV(P) = P + attach(P) × fast_pass_price + spend(P)
+ *   attach(P) = attach0 × (P / P0)^ε_attach     (capped at 100%)
+ *   spend(P)  = spend0 × (P / P0)^ε_spend
+ *
+ * attach0 and spend0 are visitor-weighted means of the latest WINDOW_DAYS of daily_aggregated.csv,
+ * observed at today's ticket price P0. ε_attach and ε_spend come from ancillary_elasticity in
+ * elasticity-params.json - negative values mean a dearer ticket leaves less budget for extras.
+ * The values shipped in elasticity-params.json are planning assumptions, not fits: regressing
+ * ln(fast_pass_attachment_rate) and ln(avg_ancillary_spend) on ln(avg_ticket_price) over the clean
+ * periods (elasticity-estimator.js) gives no significant coefficient for any tier. An applied estimate
+ * replaces them where the data does identify one; profile.elasticity_source says which is in use
+ * ('estimated' | 'assumed') so the results can label the assumed ones.
+ * fast_pass_price is the add-on price from membership_tiers.csv; tiers with Fast Pass included
+ * (price 0) earn nothing from it on top of the ticket.
+ *
+ * Dependencies: data-loader.js
+ */
+
+import { loadDailyAggregated, loadElasticityParams, getCurrentPrices, dataCache } from './data-loader.js';
+
+const WINDOW_DAYS = 91;
+
+// Profiles per tier (rebuilt when the daily data is reloaded or estimated params are applied)
+const profileCache = new Map();
+let profileSource = null;
+let profileParams = null;
+
+/**
+ * Build (or reuse) the ancillary profile of a tier
+ * @param {string} tier - Tier name (standard_pass, premium_pass, vip_pass)
+ * @returns {Promise<Object>} { tier, fast_pass_price, fast_pass_included, attach_rate, ancillary_spend,
+ *   observed_arpv, elasticity: { fast_pass_attachment, ancillary_spend }, elasticity_source, window_start, window_end }
+ */
+export async function buildAncillaryProfile(tier) {
+  const [dailyData, params, currentPrices] = await Promise.all([
+    loadDailyAggregated(),
+    loadElasticityParams(),
+    getCurrentPrices()
+  ]);
+
+  if (profileSource !== dataCache.dailyAggregated || profileParams !== params) {
+    profileCache.clear();
+    profileSource = dataCache.dailyAggregated;
+    profileParams = params;
+  }
+  if (profileCache.has(tier)) return profileCache.get(tier);
+
+  const rows = dailyData
+    .filter(d => d.membership_tier === tier && d.daily_visitors > 0)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-WINDOW_DAYS);
+  if (rows.length === 0) {
+    throw new Error(`No daily data available for tier: ${tier}`);
+  }
+
+  const visitors = rows.reduce((sum, r) => sum + r.daily_visitors, 0);
+  const weighted = (key) => rows.reduce((sum, r) => sum + (r[key] || 0) * r.daily_visitors, 0) / visitors;
+  const fastPassPrice = currentPrices[tier]?.fast_pass_price || 0;
+  const elasticity = params[tier]?.ancillary_elasticity || {};
+  const checks = params[tier]?.estimation?.checks || {};
+  const source = key => (checks[key]?.accepted ? 'estimated' : 'assumed');
+
+  const profile = {
+    tier,
+    fast_pass_price: fastPassPrice,
+    fast_pass_included: fastPassPrice === 0,
+    attach_rate: weighted('fast_pass_attachment_rate'),
+    ancillary_spend: weighted('avg_ancillary_spend'),
+    observed_arpv: rows.reduce((sum, r) => sum + r.daily_revenue, 0) / visitors,
+    elasticity: {
+      fast_pass_attachment: elasticity.fast_pass_attachment ?? 0,
+      ancillary_spend: elasticity.ancillary_spend ?? 0
+    },
+    elasticity_source: {
+      fast_pass_attachment: source('fast_pass_attachment'),
+      ancillary_spend: source('ancillary_spend')
+    },
+    window_start: rows[0].date,
+    window_end: rows[rows.length - 1].date
+  };
+
+  profileCache.set(tier, profile);
+  return profile;
+}
+
+/**
+ * Revenue per visit at a ticket price
+ * @param {Object} profile - Output of buildAncillaryProfile()
+ * @param {number} ticketPrice - Ticket price to evaluate
+ * @param {number} referencePrice - Ticket price the profile's attach rate and spend were observed at
+ * @returns {Object} { ticket, fast_pass_attach_rate, fast_pass_revenue, ancillary_spend, arpv }
+ */
+export function forecastAncillary(profile, ticketPrice, referencePrice) {
+  const ratio = referencePrice > 0 && ticketPrice > 0 ? ticketPrice / referencePrice : 1;
+  const attachRate = Math.min(1, profile.attach_rate * Math.pow(ratio, profile.elasticity.fast_pass_attachment));
+  const spend = profile.ancillary_spend * Math.pow(ratio, profile.elasticity.ancillary_spend);
+  const fastPassRevenue = attachRate * profile.fast_pass_price;
+
+  return {
+    ticket: ticketPrice,
+    fast_pass_attach_rate: attachRate,
+    fast_pass_revenue: fastPassRevenue,
+    ancillary_spend: spend,
+    arpv: ticketPrice + fastPassRevenue + spend
+  };
+}
+
+/**
+ * Split a revenue change into ticket, Fast Pass and in-park spend parts
+ * @param {Object} baseline - { visitors, arpv: forecastAncillary() output }
+ * @param {Object} forecasted - { visitors, arpv: forecastAncillary() output }
+ * @returns {Object} { ticket, fast_pass, ancillary_spend, total }
+ */
+export function decomposeAncillaryRevenue(baseline, forecasted) {
+  const change = (key) => forecasted.visitors * forecasted.arpv[key] - baseline.visitors * baseline.arpv[key];
+  const parts = {
+    ticket: change('ticket'),
+    fast_pass: change('fast_pass_revenue'),
+    ancillary_spend: change('ancillary_spend')
+  };
+  return { ...parts, total: parts.ticket + parts.fast_pass + parts.ancillary_spend };
+}
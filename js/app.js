@@ -2,30 +2,78 @@
  * Main Application Module
  * Orchestrates the Legoland Pricing & Revenue Optimization Studio
  *
- * Dependencies: data-loader.js, scenario-engine.js, charts.js
+ * Dependencies: data-loader.js, scenario-engine.js, simulation-service.js, charts.js
  */
 
-import { loadAllData, loadScenarios, getDailyData, getWeeklyData, loadElasticityParams } from './data-loader.js';
+import { loadAllData, loadScenarios, getDailyData, getWeeklyData, loadElasticityParams, loadMetadata, clearCache } from './data-loader.js';
 import {
-  simulateScenario,
-  simulateScenarioWithPyodide,
-  initializePyodideModels,
-  isPyodideAvailable,
+  isMultiTierScenario,
+  isPricingCalendarScenario,
   compareScenarios as compareScenariosEngine
 } from './scenario-engine.js';
 import { renderDemandCurve, renderElasticityHeatmap, renderTierMixShift, renderTradeoffsScatter, renderComparisonBarChart, renderRadarChart } from './charts.js';
+import { simulationService } from './simulation-service.js';
 import { initializeChat, configureLLM, sendMessage, clearHistory } from './chat.js';
 import { initializeDataViewer } from './data-viewer.js';
+import { initializeElasticityEstimator } from './elasticity-estimator.js';
+import {
+  initializeExternalConditionsPanel,
+  renderExternalAdjustments,
+  getActiveExternalConditions,
+  setActiveExternalConditions
+} from './external-conditions.js';
+import { initializeCompetitivePositioning } from './competitive-positioning.js';
+import { initializePromotionDesigner } from './promotion-designer.js';
+import { initializeParkCapacityPanel, getActiveParkCapacity, setActiveParkCapacity } from './park-capacity.js';
+import { initializeCostModelPanel, getActiveCostModel, setActiveCostModel } from './cost-model.js';
+import { initializeEventPlannerPanel, getPlannedEvents, setPlannedEvents } from './event-planner.js';
+import { initializeWeatherPanel, getActiveWeatherSettings, setActiveWeatherSettings } from './weather-model.js';
+import { fitMarketingResponse, getBlendedCAC, renderMarketingTradeoff } from './marketing-response.js';
+import { initializePriceOptimizer } from './price-optimizer.js';
+import { initializeSweepRunner } from './sweep-runner.js';
+import { initializeScenarioImport } from './scenario-import.js';
+import { setActiveDataSource, initializeDataSourcePanel } from './data-source.js';
+import {
+  loadRevisionHistory,
+  recordScenarioRevision,
+  diffScenarioConfigs,
+  revisionStamp,
+  openRevisionHistory,
+  getRevisionAuthor,
+  setRevisionAuthor
+} from './scenario-revisions.js';
+import {
+  isStorageAvailable,
+  listWorkspaces,
+  createWorkspace,
+  deleteWorkspace,
+  getActiveWorkspaceId,
+  setActiveWorkspaceId,
+  saveScenarioConfig,
+  loadScenarioConfigs,
+  saveComparisonSet,
+  loadComparisonSets
+} from './scenario-store.js';
+import {
+  TIME_HORIZONS,
+  DEFAULT_TIME_HORIZON,
+  buildShareUrl,
+  parseShareUrl,
+  stripShareParams,
+  replaceUrl,
+  copyShareUrl
+} from './share-link.js';
 import { renderSegmentKPICards, renderSegmentElasticityHeatmap, render3AxisRadialChart, renderSegmentScatterPlot, exportSVG } from './segment-charts.js';
 import { getAcquisitionCohorts, getChurnCohorts } from './cohort-aggregator.js';
-import { pyodideBridge } from './pyodide-bridge.js';
 import { initializeEventCalendar } from './event-calendar.js';
 import { rankScenarios, getObjectiveDescription } from './decision-engine.js';
 import { exportToPDF, exportToXLSX } from './decision-pack.js';
-import { showAlert } from './utils.js';
+import { showAlert, escapeHtml } from './utils.js';
 
 // Global state
 let allScenarios = [];
+// scenarios.json as shipped (share links embed configs that differ from it)
+let baseScenarios = [];
 let dataLoaded = false;
 
 const modelTypes = ['acquisition', 'churn', 'migration']; // Internal IDs maintained for compatibility
@@ -55,6 +103,19 @@ let allSimulationResultsByModel = {
   migration: []
 };
 
+// Scenario configs stored in the active workspace (edited built-ins + custom scenarios)
+let workspaceScenarioRecords = [];
+
+// Share link state, read before step navigation rewrites the URL (restored after data loads)
+const pendingShareLink = parseShareUrl();
+
+// Engine of the last simulation (carried in share links) and a one-run override set by a share link
+let lastSimulationEngine = null;
+let engineOverride = null;
+
+// Steps hosting each model's scenario engine (see step-navigation.js)
+const modelSteps = { acquisition: 6, churn: 7, migration: 8 };
+
 let selectedScenario = selectedScenarioByModel[activeModelType];
 let savedScenarios = savedScenariosByModel[activeModelType];
 let currentResult = currentResultByModel[activeModelType];
@@ -382,13 +443,381 @@ async function loadKPIs() {
 // Load scenarios data only (no UI rendering)
 async function loadScenariosData() {
   try {
-    allScenarios = await loadScenarios();
+    baseScenarios = await loadScenarios();
+    allScenarios = applyWorkspaceScenarios(baseScenarios);
     console.log(`✅ Loaded ${allScenarios.length} scenarios`);
   } catch (error) {
     console.error('Error loading scenarios:', error);
   }
 }
 
+/**
+ * Overlay the active workspace's stored scenarios on scenarios.json
+ * Works on a copy so the cached scenarios.json stays pristine when switching workspaces.
+ */
+function applyWorkspaceScenarios(baseScenarios) {
+  const scenarios = JSON.parse(JSON.stringify(baseScenarios));
+  workspaceScenarioRecords.forEach(record => {
+    const index = scenarios.findIndex(s => s.id === record.scenarioId);
+    if (index >= 0) {
+      scenarios[index] = record.scenario;
+    } else {
+      scenarios.push(record.scenario);
+    }
+  });
+  return scenarios;
+}
+
+/**
+ * Load the active workspace from IndexedDB into the in-memory state
+ */
+async function restoreWorkspaceState() {
+  const workspaceId = getActiveWorkspaceId();
+  let comparisonSets = {};
+
+  if (isStorageAvailable()) {
+    try {
+      [workspaceScenarioRecords, comparisonSets] = await Promise.all([
+        loadScenarioConfigs(workspaceId),
+        loadComparisonSets(workspaceId)
+      ]);
+    } catch (error) {
+      console.error('⚠️ Could not restore workspace, starting empty:', error);
+      workspaceScenarioRecords = [];
+    }
+  }
+
+  modelTypes.forEach(modelType => {
+    savedScenariosByModel[modelType] = comparisonSets[modelType]?.savedScenarios || [];
+    allSimulationResultsByModel[modelType] = comparisonSets[modelType]?.simulationResults || [];
+    selectedScenarioByModel[modelType] = null;
+    currentResultByModel[modelType] = null;
+  });
+
+  await loadRevisionHistory(workspaceId);
+  await loadScenariosData();
+  console.log(`📂 Restored workspace "${workspaceId}" (${workspaceScenarioRecords.length} stored scenarios)`);
+}
+
+/**
+ * Persist the comparison set and results for a model type (fire-and-forget)
+ */
+function persistComparisonSet(modelType) {
+  if (!isStorageAvailable()) return;
+  saveComparisonSet(getActiveWorkspaceId(), modelType, {
+    savedScenarios: savedScenariosByModel[modelType],
+    simulationResults: allSimulationResultsByModel[modelType]
+  }).catch(error => console.error('⚠️ Failed to persist comparison set:', error));
+}
+
+/**
+ * Persist a scenario config in the active workspace and keep the overlay in sync
+ * @param {Object} scenario - Scenario object
+ * @param {string} kind - 'edited' | 'custom'
+ */
+async function persistScenario(scenario, kind = 'edited') {
+  // In-memory overlay first so the scenario survives loadScenariosData() even without storage
+  workspaceScenarioRecords = workspaceScenarioRecords.filter(r => r.scenarioId !== scenario.id);
+  workspaceScenarioRecords.push({ scenarioId: scenario.id, kind, modelType: scenario.model_type, scenario });
+
+  if (!isStorageAvailable()) return;
+  try {
+    await saveScenarioConfig(getActiveWorkspaceId(), scenario, kind);
+  } catch (error) {
+    console.error('⚠️ Failed to persist scenario:', error);
+  }
+}
+
+/**
+ * Add a user-created scenario (e.g. from the price optimizer) to the scenario cards
+ * @param {Object} scenario - Scenario object (scenarios.json shape)
+ */
+async function addCustomScenario(scenario) {
+  if (!scenario) return;
+  await persistScenario(scenario, 'custom');
+  await recordScenarioRevision(scenario, { note: 'Created', author: getRevisionAuthor() });
+  await loadScenariosData();
+  populateElasticityModelTabs();
+  showAlert(`Scenario "${scenario.name}" added to the ${scenario.model_type} scenarios.`, 'success');
+}
+
+/**
+ * Add scenarios imported from a JSON / CSV library to the scenario cards (stored like custom scenarios)
+ * @param {Array} scenarios - Validated scenarios (scenario-import.js)
+ * @param {string} fileName - Source file, kept in the first revision note
+ */
+async function addImportedScenarios(scenarios, fileName) {
+  for (const scenario of scenarios) {
+    await persistScenario(scenario, 'custom');
+    await recordScenarioRevision(scenario, { note: `Imported from ${fileName}`, author: getRevisionAuthor() });
+  }
+  await loadScenariosData();
+  populateElasticityModelTabs();
+}
+
+/**
+ * Switch to another data source (data-source.js) and rebuild everything from it
+ * Panels, charts and the worker all hold data from the old source, so the page is reloaded
+ * @param {Object} source - Validated source from the Data Source panel
+ */
+async function applyDataSource(source) {
+  setActiveDataSource(source);
+  clearCache();
+  simulationService.reset();
+  location.reload();
+}
+
+/**
+ * Workspace selector (new / switch / delete)
+ */
+async function initializeWorkspaceControls() {
+  const select = document.getElementById('workspace-select');
+  if (!select) return;
+
+  if (!isStorageAvailable()) {
+    select.disabled = true;
+    select.innerHTML = '<option>Storage unavailable</option>';
+    return;
+  }
+
+  const renderOptions = async () => {
+    const workspaces = await listWorkspaces();
+    const activeId = getActiveWorkspaceId();
+    select.innerHTML = workspaces.map(ws => `
+      <option value="${escapeHtml(ws.id)}" ${ws.id === activeId ? 'selected' : ''}>${escapeHtml(ws.name)}</option>
+    `).join('');
+    document.getElementById('delete-workspace-btn').disabled = activeId === 'default';
+  };
+
+  const switchTo = async (workspaceId) => {
+    setActiveWorkspaceId(workspaceId);
+    await restoreWorkspaceState();
+    populateElasticityModelTabs();
+    setActiveModelType(activeModelType);
+    await renderOptions();
+  };
+
+  select.addEventListener('change', () => switchTo(select.value));
+
+  document.getElementById('new-workspace-btn')?.addEventListener('click', async () => {
+    const name = prompt('Name for the new workspace (e.g. "Q3 price review"):');
+    if (!name) return;
+    try {
+      const workspace = await createWorkspace(name);
+      await switchTo(workspace.id);
+      showAlert(`Workspace "${escapeHtml(workspace.name)}" created.`, 'success');
+    } catch (error) {
+      showAlert(error.message, 'warning');
+    }
+  });
+
+  document.getElementById('delete-workspace-btn')?.addEventListener('click', async () => {
+    const workspaceId = getActiveWorkspaceId();
+    const name = select.options[select.selectedIndex]?.text || workspaceId;
+    if (!confirm(`Delete workspace "${name}" and all of its saved scenarios and results?`)) return;
+    try {
+      await deleteWorkspace(workspaceId);
+      await switchTo(getActiveWorkspaceId());
+    } catch (error) {
+      showAlert(error.message, 'warning');
+    }
+  });
+
+  await renderOptions();
+}
+
+// ========== Share Links ==========
+
+/**
+ * Populate the simulation scope controls (target segment + time horizon)
+ */
+function populateSimulationScopeControls() {
+  const segmentSelect = document.getElementById('sim-target-segment');
+  const horizonSelect = document.getElementById('sim-time-horizon');
+
+  if (segmentSelect && window.segmentEngine) {
+    const axes = window.segmentEngine.axisDefinitions;
+    segmentSelect.innerHTML = '<option value="all">All visitors</option>' +
+      Object.entries(axes).map(([axis, segments]) => `
+        <optgroup label="${window.segmentEngine.axisLabels[axis] || axis}">
+          ${segments.map(segment => `
+            <option value="${axis}:${segment}">${window.segmentEngine.formatSegmentLabel(segment)}</option>
+          `).join('')}
+        </optgroup>
+      `).join('');
+  }
+
+  if (horizonSelect) {
+    horizonSelect.innerHTML = Object.entries(TIME_HORIZONS).map(([key, label]) => `
+      <option value="${key}" ${key === DEFAULT_TIME_HORIZON ? 'selected' : ''}>${label}</option>
+    `).join('');
+  }
+
+  document.getElementById('share-scenario-link-btn')?.addEventListener('click', async () => {
+    const url = buildCurrentShareUrl();
+    replaceUrl(url);
+    const copied = await copyShareUrl(url);
+    if (copied) {
+      showAlert('Link copied. Anyone opening it will see this scenario re-simulated.', 'success');
+    }
+  });
+}
+
+/**
+ * Simulation options from the scope controls
+ * @returns {Object} { targetSegment, segmentAxis, timeHorizon, monteCarlo }
+ */
+function getSimulationOptions() {
+  const segmentValue = document.getElementById('sim-target-segment')?.value || 'all';
+  const [segmentAxis, targetSegment] = segmentValue === 'all' ? [null, 'all'] : segmentValue.split(':');
+  const monteCarloEnabled = document.getElementById('sim-monte-carlo')?.checked;
+  return {
+    targetSegment,
+    segmentAxis,
+    timeHorizon: document.getElementById('sim-time-horizon')?.value || DEFAULT_TIME_HORIZON,
+    monteCarlo: monteCarloEnabled
+      ? { iterations: parseInt(document.getElementById('sim-monte-carlo-iterations')?.value, 10) || 2000 }
+      : null
+  };
+}
+
+function setSimulationOptions({ targetSegment, segmentAxis, timeHorizon, monteCarlo }) {
+  const monteCarloToggle = document.getElementById('sim-monte-carlo');
+  if (monteCarloToggle) monteCarloToggle.checked = !!monteCarlo;
+  const iterationsSelect = document.getElementById('sim-monte-carlo-iterations');
+  if (iterationsSelect && monteCarlo?.iterations) {
+    if (![...iterationsSelect.options].some(o => o.value === String(monteCarlo.iterations))) {
+      iterationsSelect.add(new Option(formatNumber(monteCarlo.iterations), String(monteCarlo.iterations)));
+    }
+    iterationsSelect.value = String(monteCarlo.iterations);
+  }
+
+  const segmentSelect = document.getElementById('sim-target-segment');
+  if (segmentSelect) {
+    const value = targetSegment && targetSegment !== 'all' ? `${segmentAxis}:${targetSegment}` : 'all';
+    segmentSelect.value = [...segmentSelect.options].some(o => o.value === value) ? value : 'all';
+  }
+  const horizonSelect = document.getElementById('sim-time-horizon');
+  if (horizonSelect && timeHorizon) horizonSelect.value = timeHorizon;
+}
+
+/**
+ * Build a share URL for the current step, scenario, scope and segment filters
+ * The scenario config is embedded only when it differs from scenarios.json,
+ * since the recipient has neither our edits nor our workspace.
+ */
+function buildCurrentShareUrl() {
+  const step = window.getCurrentStep ? window.getCurrentStep() : null;
+  const scenario = selectedScenarioByModel[activeModelType];
+  const baseScenario = scenario ? baseScenarios.find(s => s.id === scenario.id) : null;
+  const isModified = scenario && (!baseScenario || JSON.stringify(baseScenario) !== JSON.stringify(scenario));
+
+  return buildShareUrl({
+    step,
+    modelType: scenario ? activeModelType : null,
+    scenarioId: scenario?.id,
+    scenario: isModified ? scenario : null,
+    ...getSimulationOptions(),
+    filters: {
+      acquisition: getActivePillValues('acquisition-filters'),
+      engagement: getActivePillValues('engagement-filters'),
+      monetization: getActivePillValues('monetization-filters')
+    },
+    settings: {
+      conditions: getActiveExternalConditions(),
+      capacity: getActiveParkCapacity(),
+      costModel: getActiveCostModel(),
+      plannedEvents: getPlannedEvents(),
+      weather: getActiveWeatherSettings()
+    },
+    engine: lastSimulationEngine
+  });
+}
+
+/**
+ * Apply the run settings carried by a share link, before the settings panels render
+ * They are used for this session only; the recipient's stored settings are kept.
+ * @param {Object|null} settings - { conditions, capacity, costModel, plannedEvents, weather }
+ */
+function applySharedSettings(settings) {
+  if (!settings) return;
+  if (settings.conditions) setActiveExternalConditions(settings.conditions);
+  if (settings.capacity) setActiveParkCapacity(settings.capacity, { persist: false });
+  if (settings.costModel) setActiveCostModel(settings.costModel, { persist: false });
+  if (settings.plannedEvents) setPlannedEvents(settings.plannedEvents, { persist: false });
+  if (settings.weather) setActiveWeatherSettings(settings.weather, { persist: false });
+  showAlert('Opened with the linked macro conditions, capacity, cost, planned event and weather settings (not saved).', 'info');
+}
+
+/**
+ * Restore a share link: navigate to its step, re-apply filters and scope,
+ * select the scenario and re-run the simulation
+ * @param {Object} state - Parsed share state (see share-link.js)
+ */
+async function restoreShareLink(state) {
+  if (!state) return;
+
+  // Segment filter pills
+  Object.entries(state.filters).forEach(([axis, values]) => {
+    document.querySelectorAll(`#${axis}-filters .filter-pill`).forEach(pill => {
+      pill.classList.toggle('active', values.includes(pill.dataset.value));
+    });
+  });
+  if (Object.keys(state.filters).length > 0) {
+    try {
+      updateSegmentVisualization();
+    } catch (error) {
+      console.warn('Could not refresh segment view for share link:', error);
+    }
+  }
+
+  // Linked scenario config (custom/edited) is used for this session only
+  let scenario = null;
+  if (state.scenario) {
+    scenario = state.scenario;
+    const index = allScenarios.findIndex(s => s.id === scenario.id);
+    if (index >= 0) {
+      allScenarios[index] = scenario;
+    } else {
+      allScenarios.push(scenario);
+    }
+  } else if (state.scenarioId) {
+    scenario = allScenarios.find(s => s.id === state.scenarioId) || null;
+    if (!scenario) {
+      showAlert(`The linked scenario "${state.scenarioId}" does not exist in this workspace.`, 'warning');
+    }
+  }
+
+  const modelType = scenario?.model_type || state.modelType;
+  const step = state.step ?? (modelType ? modelSteps[modelType] : null);
+  if (step === null || step === undefined) return;
+
+  if (scenario && modelSteps[modelType]) {
+    selectedScenarioByModel[modelType] = scenario;
+  }
+  if (window.goToStep) {
+    window.goToStep(scenario && modelSteps[modelType] ? modelSteps[modelType] : step);
+  }
+  if (!scenario) return;
+
+  setActiveModelType(modelType);
+  setSimulationOptions(state);
+  syncScenarioSelectionUI();
+  updateSimulateButtonState();
+
+  // Run on the sender's engine: the JS and Python models give different numbers
+  if (state.engine === 'pyodide' && !simulationService.isPyodideReady()) {
+    await simulationService.initializePyodide();
+    if (!simulationService.isPyodideReady()) {
+      showAlert('The link was simulated with the Python models, which could not be loaded here. Showing JavaScript results.', 'warning');
+    }
+  }
+  engineOverride = state.engine;
+
+  // Same path as a user click so the recipient sees identical numbers
+  document.getElementById('simulate-btn-models')?.click();
+}
+
 // [OLD SIMULATION FUNCTIONS REMOVED - Using tabbed interface]
 
 // Update elasticity analysis with scenario data
@@ -603,7 +1032,7 @@ async function initializeChatContext() {
           if (!scenario) {
             throw new Error(`Scenario ${scenarioId} not found`);
           }
-          result = await simulateScenario(scenario);
+          result = await simulationService.simulate(scenario);
         }
 
         // Build interpretation
@@ -772,19 +1201,16 @@ async function initializeChatContext() {
           throw new Error('No valid scenarios found');
         }
 
-        // Run all scenarios if not already simulated
-        const results = [];
-        for (const scenario of scenarios) {
-          let result = allSimulationResults.find(r => r.scenario_id === scenario.id);
-          if (!result && currentResult && currentResult.scenario_id === scenario.id) {
-            result = currentResult;
-          }
-          if (!result) {
-            result = await simulateScenario(scenario);
-            allSimulationResults.push(result);
-          }
-          results.push(result);
-        }
+        // Run all scenarios if not already simulated (in one batch off the main thread)
+        const findResult = (scenario) => allSimulationResults.find(r => r.scenario_id === scenario.id) ||
+          (currentResult && currentResult.scenario_id === scenario.id ? currentResult : null);
+        const missing = scenarios.filter(scenario => !findResult(scenario));
+        const batch = await simulationService.simulateBatch(missing);
+        batch.forEach(entry => {
+          if (entry.error) throw new Error(`Simulation of ${entry.scenario_id} failed: ${entry.error}`);
+          allSimulationResults.push(entry.result);
+        });
+        const results = scenarios.map(findResult);
 
         // Analyze trade-offs
         const comparison = {
@@ -958,7 +1384,8 @@ async function loadData() {
       if (stage.progress === 45) {
         await loadKPIs();
       } else if (stage.progress === 60) {
-        await loadScenariosData();
+        // Loads scenarios.json plus anything stored in the active workspace
+        await restoreWorkspaceState();
         // Populate elasticity model tabs with filtered scenarios
         populateElasticityModelTabs();
         // Load segmentation data
@@ -967,6 +1394,7 @@ async function loadData() {
           if (!segmentDataLoaded) {
             console.error('Failed to load segmentation data');
           }
+          populateSimulationScopeControls();
         } else {
           console.error('Segmentation engine not available');
         }
@@ -976,6 +1404,7 @@ async function loadData() {
         await initializeChatContext();
       } else if (stage.progress === 95) {
         initializeDataViewer();
+        initializeElasticityEstimator();
       }
     }
 
@@ -1017,13 +1446,110 @@ async function loadData() {
       console.error('⚠️ Event Calendar initialization failed:', error);
     }
 
+    // Settings from a share link, so the panels below render them
+    applySharedSettings(pendingShareLink?.settings);
+
+    // Initialize macro-conditions panel (external_factors multipliers)
+    try {
+      await initializeExternalConditionsPanel();
+    } catch (error) {
+      console.error('⚠️ Macro conditions panel initialization failed:', error);
+    }
+
+    // Initialize park capacity panel (daily caps applied to forecasts)
+    try {
+      initializeParkCapacityPanel();
+    } catch (error) {
+      console.error('⚠️ Park capacity panel initialization failed:', error);
+    }
+
+    // Initialize cost model panel (contribution margin per scenario)
+    try {
+      initializeCostModelPanel();
+    } catch (error) {
+      console.error('⚠️ Cost model panel initialization failed:', error);
+    }
+
+    // Initialize planned events panel (future events applied to forecasts)
+    try {
+      initializeEventPlannerPanel();
+    } catch (error) {
+      console.error('⚠️ Event planner initialization failed:', error);
+    }
+
+    // Initialize weather year panel (typical vs pessimistic weather)
+    try {
+      initializeWeatherPanel();
+    } catch (error) {
+      console.error('⚠️ Weather panel initialization failed:', error);
+    }
+
+    // Initialize competitive positioning panel
+    try {
+      await initializeCompetitivePositioning();
+    } catch (error) {
+      console.error('⚠️ Competitive positioning initialization failed:', error);
+    }
+
+    // Initialize promotion designer panel
+    try {
+      await initializePromotionDesigner();
+    } catch (error) {
+      console.error('⚠️ Promotion designer initialization failed:', error);
+    }
+
+    // Initialize price optimizer panel (optimum can be saved as a scenario)
+    try {
+      initializePriceOptimizer({ onSaveScenario: addCustomScenario });
+    } catch (error) {
+      console.error('⚠️ Price optimizer initialization failed:', error);
+    }
+
+    // Initialize sweep runner panel (segment options need the segment engine)
+    try {
+      await initializeSweepRunner();
+    } catch (error) {
+      console.error('⚠️ Sweep runner initialization failed:', error);
+    }
+
+    // Scenario library import (JSON / CSV)
+    try {
+      initializeScenarioImport({ getScenarios: () => allScenarios, onImport: addImportedScenarios });
+    } catch (error) {
+      console.error('⚠️ Scenario import initialization failed:', error);
+    }
+
+    // Workspace selector and restored comparison sets
+    try {
+      await initializeWorkspaceControls();
+      setActiveModelType(activeModelType);
+    } catch (error) {
+      console.error('⚠️ Workspace controls initialization failed:', error);
+    }
+
+    // Fit marketing response curves (blended CAC used by acquisition payback)
+    try {
+      await fitMarketingResponse();
+    } catch (error) {
+      console.error('⚠️ Marketing response fit failed, using benchmark CAC:', error);
+    }
+
     // Re-initialize popovers for newly visible sections
     initializePopovers();
 
     dataLoaded = true;
 
-    // Initialize Pyodide models in background (non-blocking)
-    initializePyodideModels().then(success => {
+    // Open the shared scenario, if the page was opened from a share link
+    try {
+      await restoreShareLink(pendingShareLink);
+    } catch (error) {
+      console.error('⚠️ Share link could not be restored:', error);
+    }
+    // The link is consumed: later step changes must not carry the sender's state along
+    if (pendingShareLink) replaceUrl(stripShareParams());
+
+    // Initialize Pyodide models in the simulation worker (non-blocking; a share link may have loaded them)
+    (simulationService.isPyodideReady() ? Promise.resolve(true) : simulationService.initializePyodide()).then(success => {
       if (success) {
         console.log('✅ Pyodide Python models ready to use');
       } else {
@@ -1076,6 +1602,7 @@ function saveScenario() {
     savedAt: new Date().toISOString()
   });
   savedScenarios = savedScenariosByModel[activeModelType];
+  persistComparisonSet(activeModelType);
 
   updateScenarioComparisonUI();
 
@@ -1148,6 +1675,7 @@ function clearScenarios() {
   if (confirm('Are you sure you want to clear all saved scenarios?')) {
     savedScenariosByModel[activeModelType] = [];
     savedScenarios = savedScenariosByModel[activeModelType];
+    persistComparisonSet(activeModelType);
 
     // Also clear rankings for this model
     if (window.currentTop3ScenariosByModel) {
@@ -1184,12 +1712,25 @@ function openScenarioEditor(scenarioId) {
   const scenario = allScenarios.find(s => s.id === scenarioId);
   if (!scenario) return;
 
+  // The editor handles a single tier; price vectors are defined in scenarios.json
+  if (isMultiTierScenario(scenario)) {
+    showAlert('Multi-tier scenarios set one price per tier in config.price_changes and cannot be edited here.', 'info');
+    return;
+  }
+  if (isPricingCalendarScenario(scenario)) {
+    showAlert('Pricing calendars are defined by the rules in config.pricing_calendar and cannot be edited here.', 'info');
+    return;
+  }
+
   // Populate form
   document.getElementById('edit-scenario-id').value = scenario.id;
   document.getElementById('edit-scenario-name').value = scenario.name;
   document.getElementById('edit-tier').value = scenario.config.tier.replace('_', ' ').toUpperCase();
   document.getElementById('edit-current-price').value = scenario.config.current_price;
   document.getElementById('edit-new-price').value = scenario.config.new_price;
+  document.getElementById('edit-revision-note').value = '';
+  document.getElementById('edit-revision-author').value = getRevisionAuthor();
+  document.getElementById('edit-revision-current').textContent = `r${revisionStamp(scenario.id).revision}`;
 
   // Show constraints
   const constraints = scenario.constraints;
@@ -1247,6 +1788,9 @@ async function saveEditedScenario() {
     return;
   }
 
+  // The stored revisions are copies; this one becomes revision 1 if the scenario has no history yet
+  const previous = structuredClone(scenario);
+
   // Update scenario
   scenario.config.new_price = newPrice;
   scenario.config.price_change_pct = ((newPrice - scenario.config.current_price) / scenario.config.current_price) * 100;
@@ -1268,6 +1812,18 @@ async function saveEditedScenario() {
     scenario.name = `${scenario.config.tier.replace('_', ' ')} ${priceDiff >= 0 ? '+' : ''}$${Math.abs(priceDiff).toFixed(2)}`;
   }
 
+  // Keep the edit across sessions (stored in the active workspace) and append a revision
+  await persistScenario(scenario, workspaceScenarioRecords.find(r => r.scenarioId === scenarioId)?.kind || 'edited');
+  if (diffScenarioConfigs(previous, scenario).some(row => row.changed)) {
+    const author = document.getElementById('edit-revision-author').value.trim();
+    setRevisionAuthor(author);
+    await recordScenarioRevision(scenario, {
+      previous,
+      note: document.getElementById('edit-revision-note').value,
+      author
+    });
+  }
+
   // Close modal properly to avoid focus issues
   const modalElement = document.getElementById('scenarioEditorModal');
   const modalInstance = bootstrap.Modal.getInstance(modalElement);
@@ -1278,22 +1834,37 @@ async function saveEditedScenario() {
   // Wait for modal to close animation
   await new Promise(resolve => setTimeout(resolve, 300));
 
-  // Reload scenario data and refresh tabs
+  await refreshChangedScenario(scenario);
+
+  showAlert('Scenario updated! Click "Simulate" to see the new results.', 'info');
+}
+
+/**
+ * Restore a rolled-back scenario config (the revision is already recorded by scenario-revisions.js)
+ * @param {Object} scenario - The restored config
+ */
+async function restoreScenarioRevision(scenario) {
+  await persistScenario(scenario, workspaceScenarioRecords.find(r => r.scenarioId === scenario.id)?.kind || 'edited');
+  await refreshChangedScenario(scenario);
+}
+
+/**
+ * Reload the scenario cards after a config change and keep the scenario selected if it was
+ */
+async function refreshChangedScenario(scenario) {
   await loadScenariosData();
   populateElasticityModelTabs();
 
-  // If this was the selected scenario, re-select it
   const modelType = scenario.model_type;
-  if (selectedScenarioByModel[modelType] && selectedScenarioByModel[modelType].id === scenarioId) {
-    selectedScenarioByModel[modelType] = scenario;
+  if (selectedScenarioByModel[modelType] && selectedScenarioByModel[modelType].id === scenario.id) {
+    const updated = allScenarios.find(s => s.id === scenario.id) || scenario;
+    selectedScenarioByModel[modelType] = updated;
     if (modelType === activeModelType) {
-      selectedScenario = scenario;
+      selectedScenario = updated;
       syncScenarioSelectionUI();
       updateSimulateButtonState();
     }
   }
-
-  showAlert('Scenario updated! Click "Simulate" to see the new results.', 'info');
 }
 
 function buildKpiSummaryCard() {
@@ -2045,6 +2616,13 @@ async function init() {
   document.getElementById('edit-new-price')?.addEventListener('input', updatePriceChangeIndicator);
   document.getElementById('save-edited-scenario-btn')?.addEventListener('click', saveEditedScenario);
 
+  // Data source panel works before (and without) a successful data load, so a bad source can be undone
+  try {
+    initializeDataSourcePanel({ loadDictionary: loadMetadata, onApply: applyDataSource });
+  } catch (error) {
+    console.error('⚠️ Data source panel initialization failed:', error);
+  }
+
   // Make loadData available globally so it can be called when navigating to step 1
   window.loadAppData = loadData;
   window.dataLoaded = false;
@@ -2094,7 +2672,7 @@ function populateElasticityModelTabs() {
   const migrationContainer = document.getElementById('migration-scenarios');
   if (migrationContainer) {
     // Custom order: Bundle first, iOS second, Basic last
-    const migrationOrder = ['scenario_008', 'scenario_010', 'scenario_005'];
+    const migrationOrder = ['scenario_008', 'scenario_011', 'scenario_010', 'scenario_005'];
     const sortedMigration = migrationScenarios.sort((a, b) => {
       const indexA = migrationOrder.indexOf(a.id);
       const indexB = migrationOrder.indexOf(b.id);
@@ -2109,8 +2687,8 @@ function populateElasticityModelTabs() {
   // Add click handlers for scenario cards
   document.querySelectorAll('.scenario-card-tab').forEach(card => {
     card.addEventListener('click', function(e) {
-      // Don't select if clicking edit button
-      if (e.target.closest('.edit-scenario-btn-tab')) return;
+      // Don't select if clicking the edit or history button
+      if (e.target.closest('.edit-scenario-btn-tab, .history-scenario-btn-tab')) return;
 
       const pane = this.closest('.tab-pane');
       if (pane) {
@@ -2143,6 +2721,15 @@ function populateElasticityModelTabs() {
     });
   });
 
+  // Add click handlers for revision history buttons
+  document.querySelectorAll('.history-scenario-btn-tab').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const scenario = allScenarios.find(s => s.id === btn.dataset.scenarioId);
+      if (scenario) openRevisionHistory(scenario, { onRollback: restoreScenarioRevision });
+    });
+  });
+
   // Add decision engine event listeners
   const objectiveLensSelect = document.getElementById('objective-lens-select');
   if (objectiveLensSelect) {
@@ -2269,23 +2856,30 @@ function populateElasticityModelTabs() {
           model_type: activeScenario.model_type
         });
 
-        // Run simulation with Pyodide if available, otherwise fallback to JS
+        // Run simulation with Pyodide if available, otherwise fallback to JS.
+        // The Python models don't support segment targeting, time horizons, price vectors,
+        // pricing calendars or Monte Carlo bands, so those runs stay in JS.
+        const simulationOptions = getSimulationOptions();
+        const isScoped = simulationOptions.targetSegment !== 'all' ||
+          simulationOptions.timeHorizon !== DEFAULT_TIME_HORIZON ||
+          !!simulationOptions.monteCarlo;
+        // A share link pins the sender's engine for its first run
+        const requestedEngine = engineOverride;
+        engineOverride = null;
         let result;
-        if (isPyodideAvailable()) {
+        if (requestedEngine !== 'js' && simulationService.isPyodideReady() && !isScoped &&
+          !isMultiTierScenario(activeScenario) && !isPricingCalendarScenario(activeScenario)) {
           console.log('✅ Using Pyodide Python models');
           newSimulateBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Running Python models...';
-          result = await simulateScenarioWithPyodide(activeScenario, {
-            targetSegment: 'all',
-            segmentAxis: null
-          });
+          result = await simulationService.simulate(activeScenario, simulationOptions, { engine: 'pyodide' });
+          lastSimulationEngine = 'pyodide';
       } else {
         console.log('⚠️ Pyodide not ready, using JavaScript simulation');
-        result = await simulateScenario(activeScenario, {
-          targetSegment: 'all',
-          segmentAxis: null
-        });
+        result = await simulationService.simulate(activeScenario, simulationOptions);
+        lastSimulationEngine = 'js';
       }
       result.model_type = activeScenario.model_type;
+      result.scenario_revision = revisionStamp(activeScenario.id);
 
       // Debug: Verify result has correct model_type before displaying
       console.log(`🎯 Simulation complete for ${activeScenario.model_type}:`, {
@@ -2306,6 +2900,9 @@ function populateElasticityModelTabs() {
         // Update save button state after successful simulation
         updateSaveButtonState();
 
+        // Address bar always reflects the last simulated state
+        replaceUrl(buildCurrentShareUrl());
+
       } catch (error) {
         console.error('Error simulating scenario:', error);
         showAlert('Error running simulation: ' + error.message, 'danger');
@@ -2349,6 +2946,10 @@ function createScenarioCard(scenario) {
               <button class="btn btn-sm btn-outline-secondary edit-scenario-btn-tab ms-1" data-scenario-id="${scenario.id}" title="Edit parameters">
                 <i class="bi bi-pencil"></i>
               </button>
+              <button class="btn btn-sm btn-outline-secondary history-scenario-btn-tab ms-1" data-scenario-id="${scenario.id}"
+                title="Revision history (r${revisionStamp(scenario.id).revision})">
+                <i class="bi bi-clock-history"></i>
+              </button>
             </div>
           </div>
           <p class="card-text small text-muted mb-2">${scenario.description}</p>
@@ -2372,7 +2973,8 @@ function calculateAcquisitionPayback(result) {
     // Estimate visitor acquisition cost based on theme park industry benchmarks ($15-30)
     // For promos, acquisition cost is higher due to discount
     const isPromo = result.scenario_config?.promotional_status === true;
-    const baseCAC = 22; // Theme park industry median for marketing cost per new visitor
+    // Blended CAC from marketing_spend.csv vs new registrations; $22 industry median until fitted
+    const baseCAC = getBlendedCAC() ?? 22;
     const promoCACMultiplier = isPromo ? 1.3 : 1.0;
     const estimatedCAC = baseCAC * promoCACMultiplier;
 
@@ -2453,6 +3055,67 @@ function calculateChurnPayback(result) {
   }
 }
 
+/**
+ * Ticket / Fast Pass / in-park spend lines under the ARPV KPI
+ */
+function renderArpvBreakdown(ancillary) {
+  if (!ancillary) return '';
+  const line = (label, before, after) => `
+    <div class="d-flex justify-content-between">
+      <span>${label}</span>
+      <span>${formatCurrency(before)} → ${formatCurrency(after)}</span>
+    </div>
+  `;
+  const { baseline, forecasted, revenue_change: change } = ancillary;
+  // Tier results carry the ε used; park-level results only whether any tier's was assumed
+  const assumed = ancillary.elasticity_source
+    ? Object.values(ancillary.elasticity_source).includes('assumed')
+    : ancillary.assumed_response;
+  const assumedNote = !assumed ? '' : `
+    <div class="mt-1 fst-italic">
+      Fast Pass and in-park spend response to price is assumed${ancillary.elasticity
+        ? ` (ε ${ancillary.elasticity.fast_pass_attachment} / ${ancillary.elasticity.ancillary_spend})` : ''},
+      not estimated from the data
+    </div>
+  `;
+  return `
+    <div class="small text-muted text-start border-top mt-2 pt-2">
+      ${line('Ticket', baseline.ticket, forecasted.ticket)}
+      ${line(`Fast Pass (${formatPercent(baseline.fast_pass_attach_rate, 0)} → ${formatPercent(forecasted.fast_pass_attach_rate, 0)})`,
+        baseline.fast_pass_revenue, forecasted.fast_pass_revenue)}
+      ${line('In-park spend', baseline.ancillary_spend, forecasted.ancillary_spend)}
+      <div class="mt-1 ${change.fast_pass + change.ancillary_spend >= 0 ? 'text-success' : 'text-danger'}">
+        Extras ${change.fast_pass + change.ancillary_spend >= 0 ? '+' : ''}${formatCurrency(change.fast_pass + change.ancillary_spend)}/day
+        vs ticket ${change.ticket >= 0 ? '+' : ''}${formatCurrency(change.ticket)}/day
+      </div>
+      ${assumedNote}
+    </div>
+  `;
+}
+
+/**
+ * Cost lines under the contribution KPI
+ */
+function renderContributionBreakdown(contribution) {
+  if (!contribution) return '';
+  const { forecasted, cost_model: costModel } = contribution;
+  const line = (label, value) => value > 0 ? `
+    <div class="d-flex justify-content-between">
+      <span>${label}</span>
+      <span>−${formatCurrency(value)}</span>
+    </div>
+  ` : '';
+  return `
+    <div class="small text-muted text-start border-top mt-2 pt-2">
+      ${line('Visit costs', forecasted.variable_cost)}
+      ${line('Food & merch COGS', forecasted.ancillary_cogs)}
+      ${line('Promo fulfilment', forecasted.promo_cost)}
+      ${line(costModel.cac_source === 'marketing_spend' ? 'Acquisition spend (blended CAC)' : 'Acquisition spend', forecasted.acquisition_cost)}
+      <div class="mt-1">Margin ${formatPercent(forecasted.margin_pct / 100, 1)} of revenue</div>
+    </div>
+  `;
+}
+
 /**
  * Display simulation results in the tabbed interface
  * @param {Object} result - The simulation result to display
@@ -2525,6 +3188,7 @@ function displayResultsInTabs(result, isRedisplay = false) {
   // Store in all simulation results for chatbot access
   if (!allSimulationResultsByModel[modelType].find(r => r.scenario_id === result.scenario_id)) {
     allSimulationResultsByModel[modelType].push(result);
+    persistComparisonSet(modelType);
   }
 
   // Display warning for new tier scenarios
@@ -2542,6 +3206,12 @@ function displayResultsInTabs(result, isRedisplay = false) {
     warningContainer.style.display = 'none';
   }
 
+  // Show which macro-condition multipliers scaled the elasticity
+  const adjustmentsContainer = document.getElementById('external-adjustments-models');
+  if (adjustmentsContainer) {
+    adjustmentsContainer.innerHTML = renderExternalAdjustments(result);
+  }
+
   // Display KPI cards
   const container = document.getElementById('result-cards-models');
   const visitors = result.forecasted.activeVisitors || result.forecasted.visitors;
@@ -2598,6 +3268,7 @@ function displayResultsInTabs(result, isRedisplay = false) {
             ${(result.delta.arpv || result.delta.arpu || 0) >= 0 ? '+' : ''}${formatCurrency(result.delta.arpv || result.delta.arpu || 0)}
             (${formatPercent(result.delta.arpv_pct || result.delta.arpu_pct || 0, 1)})
           </div>
+          ${renderArpvBreakdown(result.ancillary)}
         </div>
       </div>
     </div>
@@ -2612,6 +3283,21 @@ function displayResultsInTabs(result, isRedisplay = false) {
         </div>
       </div>
     </div>
+    ${result.contribution ? `
+    <div class="col-md-3">
+      <div class="card">
+        <div class="card-body text-center">
+          <div class="text-muted small">Contribution (Daily)</div>
+          <div class="h4 mb-1">${formatCurrency(result.forecasted.contribution)}</div>
+          <div class="small ${result.delta.contribution >= 0 ? 'text-success' : 'text-danger'}">
+            ${result.delta.contribution >= 0 ? '+' : ''}${formatCurrency(result.delta.contribution)}
+            (${formatPercent(result.delta.contribution_pct / 100, 1)})
+          </div>
+          ${renderContributionBreakdown(result.contribution)}
+        </div>
+      </div>
+    </div>
+    ` : ''}
     <div class="col-md-3">
       <div class="card border-primary">
         <div class="card-body text-center">
@@ -2639,11 +3325,18 @@ function displayResultsInTabs(result, isRedisplay = false) {
   // Render charts
   renderRevenueChartInTabs(result);
   renderSubscriberChartInTabs(result);
+  renderSeasonalForecastInTabs(result);
+  renderPricingCalendarInTabs(result);
+  renderUncertaintyInTabs(result);
 
   // Render dynamic cohort tables
   renderAcquisitionCohortTable(result);
+  if (modelType === 'acquisition') {
+    renderMarketingTradeoff(result, selectedScenarioByModel[modelType]);
+  }
   renderChurnHeatmap(result);
   renderMigrationMatrix(result);
+  renderMultiTierBreakdown(result);
 
   // Show/hide appropriate detail table based on model type
   const acquisitionDetail = document.getElementById('acquisition-results-detail');
@@ -2757,6 +3450,516 @@ function renderSubscriberChartInTabs(result) {
   });
 }
 
+const SEASON_LABELS = { peak_summer: 'Peak summer', shoulder: 'Shoulder', off_peak: 'Off-peak' };
+const SEASON_COLORS = { peak_summer: 'rgba(255, 193, 7, 0.35)', shoulder: 'rgba(13, 202, 240, 0.25)', off_peak: 'rgba(108, 117, 125, 0.2)' };
+
+/**
+ * Month labels for a forecast series ('Now', then calendar months when the series is seasonal)
+ */
+function getForecastMonthLabels(timeSeries, count) {
+  return Array.from({ length: count }, (_, month) => {
+    if (month === 0) return 'Now';
+    const point = timeSeries?.[month];
+    return point?.month_start
+      ? new Date(`${point.month_start}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' })
+      : `M${month}`;
+  });
+}
+
+/**
+ * Capacity line under the seasonal forecast (days over capacity, turned-away demand, crowding)
+ */
+function renderCapacityNote(capacity) {
+  if (!capacity) {
+    return '<div class="small text-muted mt-2"><i class="bi bi-people me-1"></i>Park capacity off - demand is unconstrained</div>';
+  }
+  const overCapacity = capacity.days_at_capacity > capacity.baseline_days_at_capacity;
+  return `
+    <div class="small mt-2 ${overCapacity ? 'text-danger' : 'text-muted'}">
+      <i class="bi bi-people me-1"></i>
+      ${capacity.days_at_capacity} days at capacity (baseline ${capacity.baseline_days_at_capacity}) ·
+      ${formatNumber(Math.round(capacity.turned_away))} visits turned away,
+      ${formatNumber(Math.round(capacity.displaced))} rebooked,
+      ${formatNumber(Math.round(capacity.lost))} lost (${formatCurrency(capacity.lost_revenue)}) ·
+      peak load ${formatPercent(capacity.peak_load, 0)}
+      ${capacity.return_rate_penalty > 0.0005 ? ` · crowding −${(capacity.return_rate_penalty * 100).toFixed(1)} pts return rate` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Weather line under the seasonal forecast (weather-year effect on the baseline, apart from price)
+ */
+function renderWeatherNote(summary, weather) {
+  if (!weather || !summary.weather) return '';
+  if (weather.year === 'typical') {
+    return '<div class="small text-muted mt-2"><i class="bi bi-cloud-sun me-1"></i>Typical weather year - no weather adjustment</div>';
+  }
+  const range = weather.range
+    ? `, ${formatPercent(weather.range.low_pct / 100, 1)} to ${formatPercent(weather.range.high_pct / 100, 1)} over its 95% interval`
+    : '';
+  const source = {
+    estimated: `fitted sensitivity${range}`,
+    unidentified: `sensitivity not identified in history - point estimate${range}`,
+    unavailable: 'sensitivity could not be fitted'
+  }[weather.sensitivity.visitors_source];
+  return `
+    <div class="small mt-2 ${summary.weather.revenue < 0 ? 'text-danger' : 'text-muted'}">
+      <i class="bi bi-cloud-rain me-1"></i>
+      ${weather.label}: ${summary.weather.revenue >= 0 ? '+' : ''}${formatCurrency(summary.weather.revenue)} revenue
+      (${summary.weather.revenue_pct >= 0 ? '+' : ''}${formatPercent(summary.weather.revenue_pct / 100, 1)}),
+      ${formatNumber(Math.round(summary.weather.visitors))} visits vs a typical year (${source}) ·
+      price effect ${summary.price_effect.revenue >= 0 ? '+' : ''}${formatCurrency(summary.price_effect.revenue)}
+    </div>
+  `;
+}
+
+/**
+ * Planned events line under the seasonal forecast (events in the horizon, timing risks)
+ */
+function renderPlannedEventsNote(plannedEvents) {
+  if (!plannedEvents) return '';
+  const inForecast = plannedEvents.events.filter(event => event.in_forecast);
+  const eventList = inForecast.length
+    ? inForecast.map(event =>
+      `${event.name} (${event.date}, ${event.lift >= 0 ? '+' : ''}${formatPercent(event.lift, 1)})`).join(' · ')
+    : 'none inside the forecast horizon';
+  return `
+    <div class="small text-muted mt-2">
+      <i class="bi bi-calendar-plus me-1"></i>Planned events: ${eventList}
+    </div>
+    ${plannedEvents.timing_risks.map(risk => `
+      <div class="small mt-1 ${risk.severity === 'high' ? 'text-danger' : 'text-warning'}">
+        <i class="bi bi-exclamation-triangle me-1"></i>${risk.message}
+      </div>
+    `).join('')}
+  `;
+}
+
+/**
+ * Render the 12-month seasonal forecast: scenario vs no-change baseline by calendar month
+ */
+function renderSeasonalForecastInTabs(result) {
+  const card = document.getElementById('seasonal-forecast-models');
+  if (!card) return;
+
+  const summary = result.seasonal_forecast;
+  if (!summary) {
+    card.style.display = 'none';
+    return;
+  }
+  card.style.display = 'block';
+
+  const seasonRows = Object.entries(summary.by_season).map(([season, s]) => {
+    const months = result.time_series.filter(m => m.season === season);
+    const elasticity = months.reduce((sum, m) => sum + m.elasticity, 0) / months.length;
+    const revenuePct = s.baseline_revenue > 0 ? s.revenue / s.baseline_revenue - 1 : 0;
+    return `
+      <tr>
+        <td><span class="badge me-1" style="background: ${SEASON_COLORS[season]}; color: #212529;">${SEASON_LABELS[season] || season}</span></td>
+        <td class="text-end">${s.months}</td>
+        <td class="text-end">${elasticity.toFixed(2)}</td>
+        <td class="text-end">${formatCurrency(s.revenue)}</td>
+        <td class="text-end ${revenuePct >= 0 ? 'text-success' : 'text-danger'}">${revenuePct >= 0 ? '+' : ''}${formatPercent(revenuePct, 1)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById('seasonal-forecast-summary-models').innerHTML = `
+    <div class="row g-3">
+      <div class="col-md-4">
+        <div class="small text-muted">12-month revenue</div>
+        <div class="h5 mb-0">${formatCurrency(summary.revenue)}</div>
+        <div class="small ${summary.revenue_pct >= 0 ? 'text-success' : 'text-danger'}">
+          ${summary.revenue_pct >= 0 ? '+' : ''}${formatPercent(summary.revenue_pct / 100, 1)} vs seasonal baseline
+        </div>
+        <div class="small text-muted mt-2">12-month visits</div>
+        <div class="h6 mb-0">${formatNumber(Math.round(summary.visitors))}
+          <span class="small ${summary.visitors_pct >= 0 ? 'text-success' : 'text-danger'}">
+            (${summary.visitors_pct >= 0 ? '+' : ''}${formatPercent(summary.visitors_pct / 100, 1)})
+          </span>
+        </div>
+      </div>
+      <div class="col-md-8">
+        <table class="table table-sm mb-0">
+          <thead class="table-light">
+            <tr>
+              <th>Season</th>
+              <th class="text-end">Months</th>
+              <th class="text-end">Elasticity</th>
+              <th class="text-end">Revenue</th>
+              <th class="text-end">vs Baseline</th>
+            </tr>
+          </thead>
+          <tbody>${seasonRows}</tbody>
+        </table>
+      </div>
+    </div>
+    <div class="small text-muted mt-2">
+      Baseline from month, day-of-week and event-calendar profiles of the daily history; the price effect uses
+      the season elasticity and phases in over three months.
+    </div>
+    ${renderCapacityNote(result.capacity)}
+    ${renderPlannedEventsNote(result.planned_events)}
+    ${renderWeatherNote(summary, result.weather)}
+  `;
+
+  const ctx = document.getElementById('seasonal-forecast-chart-models');
+  if (window.seasonalForecastChartModels) {
+    window.seasonalForecastChartModels.destroy();
+  }
+
+  const months = result.time_series.filter(m => m.month > 0);
+  window.seasonalForecastChartModels = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: getForecastMonthLabels(result.time_series, result.time_series.length).slice(1),
+      datasets: [
+        {
+          type: 'line',
+          label: 'Scenario',
+          data: months.map(m => m.visitors),
+          borderColor: 'rgba(13, 110, 253, 1)',
+          backgroundColor: 'rgba(13, 110, 253, 1)',
+          borderWidth: 2,
+          pointRadius: 3
+        },
+        {
+          type: 'line',
+          label: 'Seasonal baseline (no change)',
+          data: months.map(m => m.baseline_visitors),
+          borderColor: 'rgba(108, 117, 125, 1)',
+          borderDash: [5, 5],
+          borderWidth: 2,
+          pointRadius: 0
+        },
+        ...(result.capacity?.lost > 0 ? [{
+          type: 'line',
+          label: 'Lost at capacity',
+          data: months.map(m => m.lost_visitors || 0),
+          borderColor: 'rgba(220, 53, 69, 1)',
+          backgroundColor: 'rgba(220, 53, 69, 0.15)',
+          borderWidth: 1,
+          pointRadius: 2,
+          fill: true
+        }] : []),
+        {
+          label: 'Season',
+          data: months.map(m => Math.max(m.visitors, m.baseline_visitors)),
+          backgroundColor: months.map(m => SEASON_COLORS[m.season]),
+          barPercentage: 1,
+          categoryPercentage: 1
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { position: 'bottom' },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          callbacks: {
+            label: (context) => (context.dataset.label === 'Season'
+              ? `${SEASON_LABELS[months[context.dataIndex].season]} (ε ${months[context.dataIndex].elasticity.toFixed(2)})`
+              : `${context.dataset.label}: ${formatNumber(context.parsed.y)} visitors/day`)
+          }
+        }
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+          ticks: {
+            callback: (value) => formatNumber(value)
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Render the pricing-calendar comparison: rule table per tier and day-by-day price vs visitors
+ */
+function renderPricingCalendarInTabs(result) {
+  const card = document.getElementById('pricing-calendar-models');
+  if (!card) return;
+
+  const calendar = result.pricing_calendar;
+  if (!result.is_pricing_calendar || !calendar) {
+    card.style.display = 'none';
+    return;
+  }
+  card.style.display = 'block';
+
+  const signedPct = (pct) => `${pct >= 0 ? '+' : ''}${formatPercent(pct / 100, 1)}`;
+  const colorFor = (value) => value >= 0 ? 'text-success' : 'text-danger';
+
+  const tierTables = Object.entries(calendar.tiers).map(([tier, t]) => `
+    <h6 class="small fw-semibold mt-3">
+      ${getTierLabel(tier)}
+      <span class="text-muted fw-normal">
+        flat ${formatCurrency(t.flat_price)} · calendar ${formatCurrency(t.min_price)}–${formatCurrency(t.max_price)},
+        avg ${formatCurrency(t.avg_price)} (${signedPct(t.avg_price_change_pct)})
+      </span>
+    </h6>
+    <div class="table-responsive">
+      <table class="table table-sm table-hover mb-0">
+        <thead class="table-light">
+          <tr>
+            <th>Rule</th>
+            <th class="text-end">Days</th>
+            <th class="text-end">Avg Price</th>
+            <th class="text-end">Revenue</th>
+            <th class="text-end">vs Flat</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${t.rules.map(rule => `
+            <tr>
+              <td>${rule.rule}</td>
+              <td class="text-end">${rule.days}</td>
+              <td class="text-end">${formatCurrency(rule.avg_price)}</td>
+              <td class="text-end">${formatCurrency(rule.revenue)}</td>
+              <td class="text-end ${colorFor(rule.revenue_pct)}">${signedPct(rule.revenue_pct)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+
+  const totals = calendar.days.reduce((acc, d) => {
+    acc.revenue += d.revenue;
+    acc.flat_revenue += d.flat_revenue;
+    acc.visitors += d.visitors;
+    acc.flat_visitors += d.flat_visitors;
+    return acc;
+  }, { revenue: 0, flat_revenue: 0, visitors: 0, flat_visitors: 0 });
+
+  document.getElementById('pricing-calendar-summary-models').innerHTML = `
+    <div class="row g-3">
+      <div class="col-md-4">
+        <div class="small text-muted">Revenue ${calendar.start_date} – ${calendar.end_date}</div>
+        <div class="h5 mb-0">${formatCurrency(totals.revenue)}</div>
+        <div class="small ${colorFor(totals.revenue - totals.flat_revenue)}">
+          ${signedPct((totals.revenue / totals.flat_revenue - 1) * 100)} vs flat pricing (${formatCurrency(totals.flat_revenue)})
+        </div>
+      </div>
+      <div class="col-md-4">
+        <div class="small text-muted">Visits</div>
+        <div class="h5 mb-0">${formatNumber(Math.round(totals.visitors))}</div>
+        <div class="small ${colorFor(totals.visitors - totals.flat_visitors)}">
+          ${signedPct((totals.visitors / totals.flat_visitors - 1) * 100)} vs flat pricing
+        </div>
+      </div>
+      <div class="col-md-4 small text-muted">
+        Each day uses its season elasticity on the seasonal baseline. Demand is not shifted between days,
+        so savings from moving visits off surge days are not counted.
+      </div>
+    </div>
+    ${tierTables}
+  `;
+
+  const ctx = document.getElementById('pricing-calendar-chart-models');
+  if (window.pricingCalendarChartModels) {
+    window.pricingCalendarChartModels.destroy();
+  }
+
+  const tiers = Object.keys(calendar.tiers);
+  const tierColors = { standard_pass: '13, 110, 253', premium_pass: '111, 66, 193', vip_pass: '253, 126, 20' };
+  window.pricingCalendarChartModels = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: calendar.days.map(d => d.date),
+      datasets: [
+        {
+          label: 'Visitors (calendar)',
+          data: calendar.days.map(d => Math.round(d.visitors)),
+          borderColor: 'rgba(16, 185, 129, 1)',
+          backgroundColor: 'rgba(16, 185, 129, 0.1)',
+          borderWidth: 1,
+          pointRadius: 0,
+          yAxisID: 'y'
+        },
+        {
+          label: 'Visitors (flat price)',
+          data: calendar.days.map(d => Math.round(d.flat_visitors)),
+          borderColor: 'rgba(108, 117, 125, 0.8)',
+          borderDash: [4, 4],
+          borderWidth: 1,
+          pointRadius: 0,
+          yAxisID: 'y'
+        },
+        ...tiers.map(tier => ({
+          label: `${getTierLabel(tier)} price`,
+          data: calendar.days.map(d => d.prices[tier]),
+          borderColor: `rgba(${tierColors[tier]}, 1)`,
+          borderWidth: 2,
+          pointRadius: 0,
+          stepped: true,
+          yAxisID: 'price'
+        }))
+      ]
+    },
+    options: {
+      responsive: true,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { position: 'bottom' },
+        tooltip: {
+          callbacks: {
+            label: (context) => (context.dataset.yAxisID === 'price'
+              ? `${context.dataset.label}: ${formatCurrency(context.parsed.y)} (${calendar.days[context.dataIndex].rules[tiers[context.datasetIndex - 2]]})`
+              : `${context.dataset.label}: ${formatNumber(context.parsed.y)}`)
+          }
+        }
+      },
+      scales: {
+        x: { ticks: { maxTicksLimit: 12 } },
+        y: {
+          beginAtZero: true,
+          title: { display: true, text: 'Visitors / day' },
+          ticks: { callback: (value) => formatNumber(value) }
+        },
+        price: {
+          position: 'right',
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: 'Price' },
+          ticks: { callback: (value) => formatCurrency(value) }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Render Monte Carlo P10/P50/P90 summary and fan charts (only when the run had uncertainty)
+ */
+function renderUncertaintyInTabs(result) {
+  const card = document.getElementById('uncertainty-models');
+  if (!card) return;
+
+  const uncertainty = result.uncertainty;
+  if (!uncertainty) {
+    card.style.display = 'none';
+    return;
+  }
+  card.style.display = 'block';
+
+  const rows = [
+    { label: 'Daily Revenue', band: uncertainty.revenue, point: result.forecasted.revenue, format: formatCurrency },
+    { label: 'Daily Visitors', band: uncertainty.visitors, point: result.forecasted.visitors, format: v => formatNumber(Math.round(v)) },
+    { label: 'Return Rate', band: uncertainty.return_rate, point: result.forecasted.return_rate, format: v => formatPercent(v, 1) }
+  ];
+
+  document.getElementById('uncertainty-summary-models').innerHTML = `
+    <table class="table table-sm mb-2">
+      <thead class="table-light">
+        <tr>
+          <th>Metric</th>
+          <th class="text-end">P10</th>
+          <th class="text-end">P50</th>
+          <th class="text-end">P90</th>
+          <th class="text-end">Point Estimate</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${row.label}</td>
+            <td class="text-end">${row.format(row.band.p10)}</td>
+            <td class="text-end fw-semibold">${row.format(row.band.p50)}</td>
+            <td class="text-end">${row.format(row.band.p90)}</td>
+            <td class="text-end text-muted">${row.point != null ? row.format(row.point) : 'N/A'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="small text-muted">
+      ${formatNumber(uncertainty.iterations)} iterations (seed ${uncertainty.seed}) drawing elasticities from their 95% confidence intervals.
+      80% of outcomes fall between P10 and P90.
+    </div>
+  `;
+
+  const labels = getForecastMonthLabels(result.time_series, uncertainty.time_series.length);
+  window.revenueFanChartModels = renderFanChart('revenue-fan-chart-models', window.revenueFanChartModels,
+    uncertainty.time_series.map(m => m.revenue), 'Daily Revenue', 'rgba(13, 110, 253', formatCurrency, labels);
+  window.visitorFanChartModels = renderFanChart('visitor-fan-chart-models', window.visitorFanChartModels,
+    uncertainty.time_series.map(m => m.visitors), 'Visitors', 'rgba(16, 185, 129', v => formatNumber(Math.round(v)), labels);
+}
+
+/**
+ * Fan chart: P10–P90 band filled around the P50 line
+ * @param {string} canvasId - Canvas element ID
+ * @param {Chart} existingChart - Previous chart instance to destroy
+ * @param {Array<Object>} bands - [{ p10, p50, p90 }] by month
+ * @param {string} label - Series label
+ * @param {string} rgbPrefix - Color prefix, e.g. 'rgba(13, 110, 253'
+ * @param {Function} formatValue - Tick/tooltip formatter
+ * @param {Array<string>} labels - X-axis labels (defaults to Now, M1, M2, ...)
+ * @returns {Chart|null}
+ */
+function renderFanChart(canvasId, existingChart, bands, label, rgbPrefix, formatValue, labels = null) {
+  const ctx = document.getElementById(canvasId);
+  if (!ctx) return null;
+  if (existingChart) existingChart.destroy();
+
+  return new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: labels || bands.map((_, month) => (month === 0 ? 'Now' : `M${month}`)),
+      datasets: [
+        {
+          label: 'P90',
+          data: bands.map(b => b.p90),
+          borderColor: `${rgbPrefix}, 0.3)`,
+          backgroundColor: `${rgbPrefix}, 0.15)`,
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: '+1'
+        },
+        {
+          label: 'P10',
+          data: bands.map(b => b.p10),
+          borderColor: `${rgbPrefix}, 0.3)`,
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false
+        },
+        {
+          label: `${label} (P50)`,
+          data: bands.map(b => b.p50),
+          borderColor: `${rgbPrefix}, 1)`,
+          borderWidth: 2,
+          pointRadius: 2,
+          fill: false
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        legend: { position: 'bottom' },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        y: {
+          ticks: {
+            callback: (value) => formatValue(value)
+          }
+        }
+      }
+    }
+  });
+}
+
 /**
  * Navigation Functions for Contextual Links
  */
@@ -2827,14 +4030,14 @@ async function renderAcquisitionCohortTable(result) {
 
     // Get Python model predictions if available
     let predictions = [];
-    if (isPyodideAvailable() && result.python_models) {
+    if (simulationService.isPyodideReady() && result.python_models) {
       const scenario = {
         new_price: result.scenario_config.new_price,
         current_price: result.scenario_config.current_price,
         promotion: result.scenario_config.promotion
       };
 
-      predictions = await pyodideBridge.predictAcquisitionBySegment(scenario, cohorts);
+      predictions = await simulationService.predict('predictAcquisitionBySegment', scenario, cohorts);
     }
 
     // Render table rows
@@ -2888,7 +4091,7 @@ async function renderChurnHeatmap(result) {
 
     // Get Python model predictions by time horizon
     let predictions = [];
-    if (isPyodideAvailable() && result.python_models) {
+    if (simulationService.isPyodideReady() && result.python_models) {
       const scenario = {
         new_price: result.scenario_config.new_price,
         current_price: result.scenario_config.current_price,
@@ -2897,7 +4100,7 @@ async function renderChurnHeatmap(result) {
         promotion: result.scenario_config.promotion
       };
 
-      predictions = await pyodideBridge.predictChurnBySegment(scenario, cohorts);
+      predictions = await simulationService.predict('predictChurnBySegment', scenario, cohorts);
     }
 
     // Render heatmap rows
@@ -2937,6 +4140,82 @@ async function renderChurnHeatmap(result) {
   }
 }
 
+/**
+ * Render per-tier, mix and revenue-bridge breakdown for multi-tier scenarios
+ */
+function renderMultiTierBreakdown(result) {
+  const card = document.getElementById('multi-tier-breakdown');
+  const container = document.getElementById('multi-tier-breakdown-content');
+  if (!card || !container) return;
+
+  if (!result?.is_multi_tier) {
+    card.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  const signed = (value, formatter) => `${value >= 0 ? '+' : '−'}${formatter(Math.abs(value))}`;
+  const colorFor = (value) => value >= 0 ? 'text-success' : 'text-danger';
+
+  const tierRows = Object.entries(result.tier_results).map(([tier, t]) => `
+    <tr>
+      <td><strong>${getTierLabel(tier)}</strong></td>
+      <td class="text-end">${formatCurrency(t.current_price)} → ${formatCurrency(t.new_price)}</td>
+      <td class="text-end">${t.elasticity.toFixed(2)}</td>
+      <td class="text-end">${formatNumber(t.baseline_visitors)} → ${formatNumber(t.forecasted_visitors)}</td>
+      <td class="text-end ${colorFor(t.own_price_visitors - t.baseline_visitors)}">${signed(t.own_price_visitors - t.baseline_visitors, formatNumber)}</td>
+      <td class="text-end ${colorFor(t.cross_price_visitors)}">${signed(t.cross_price_visitors, formatNumber)}</td>
+      <td class="text-end">${formatPercent(result.mix.baseline[tier], 1)} → ${formatPercent(result.mix.forecasted[tier], 1)}</td>
+      <td class="text-end ${colorFor(t.revenue_pct)}">${signed(t.revenue_pct, v => formatPercent(v / 100, 1))}</td>
+    </tr>
+  `).join('');
+
+  const bridge = result.revenue_decomposition;
+  const bridgeItems = [
+    { label: 'Price', value: bridge.price, hint: 'New ARPV (ticket, Fast Pass, in-park spend) on today\'s visitors' },
+    { label: 'Volume', value: bridge.volume, hint: 'Fewer/more visitors at today\'s tier mix' },
+    { label: 'Mix', value: bridge.mix, hint: 'Shift between tiers at today\'s prices' },
+    { label: 'Interaction', value: bridge.interaction, hint: 'Price change on the visitors gained/lost' }
+  ];
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-sm table-hover">
+        <thead class="table-light">
+          <tr>
+            <th>Tier</th>
+            <th class="text-end">Price</th>
+            <th class="text-end">ε</th>
+            <th class="text-end">Daily Visitors</th>
+            <th class="text-end">Own-Price Effect</th>
+            <th class="text-end">Cross-Price Effect</th>
+            <th class="text-end">Mix Share</th>
+            <th class="text-end">Δ Revenue</th>
+          </tr>
+        </thead>
+        <tbody>${tierRows}</tbody>
+      </table>
+    </div>
+    <h6 class="small fw-semibold mt-3">Park Revenue Bridge (daily)</h6>
+    <div class="row g-2">
+      ${bridgeItems.map(item => `
+        <div class="col-6 col-md-3">
+          <div class="border rounded p-2 h-100" title="${item.hint}">
+            <div class="small text-muted">${item.label}</div>
+            <div class="fw-semibold ${colorFor(item.value)}">${signed(item.value, v => formatCurrency(v))}</div>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+    <div class="small text-muted mt-2">
+      Total park revenue ${formatCurrency(result.baseline.revenue)} → ${formatCurrency(result.forecasted.revenue)}
+      (${signed(result.delta.revenue_pct, v => formatPercent(v / 100, 1))}).
+      Cross-price effects use <code>cross_elasticity</code> from elasticity-params.json.
+    </div>
+  `;
+  card.style.display = 'block';
+}
+
 /**
  * Render Migration Matrix dynamically
  */
@@ -0,0 +1,345 @@
+/**
+ * Backtest Module
+ * Replays the backtesting scenarios in validation_windows.json against the elasticity model
+ *
+ * Each scenario is forecast using only its train window of daily_aggregated.csv and the
+ * predictions are scored against the actual test-window numbers (weekly MAPE per KPI and tier).
+ * A scenario passes only when every scored KPI is within the MAPE target of its success criterion;
+ * criteria that are not a MAPE target (e.g. "±5pp migration") are reported but not scored.
+ *
+ * Dependencies: data-loader.js, elasticity-model.js
+ *
+ * Usage:
+ *   import { runBacktests } from './backtest.js';
+ *   const results = await runBacktests();
+ */
+
+import { loadDailyAggregated, loadValidationWindows } from './data-loader.js';
+import {
+  calculateElasticity,
+  forecastDemand,
+  forecastChurn,
+  forecastAcquisition
+} from './elasticity-model.js';
+
+const TIERS = ['standard_pass', 'premium_pass', 'vip_pass'];
+
+// KPIs scored by the harness (key in result → daily_aggregated column)
+export const BACKTEST_KPIS = {
+  visitors: { label: 'Visitors', column: 'daily_visitors', aggregate: 'sum' },
+  new_visitors: { label: 'New Visitors', column: 'new_registrations', aggregate: 'sum' },
+  return_rate: { label: 'Return Rate', column: 'return_rate', aggregate: 'mean' },
+  revenue: { label: 'Revenue', column: 'daily_revenue', aggregate: 'sum' }
+};
+
+/**
+ * Run every backtesting scenario defined in validation_windows.json
+ * @param {Object} options - { timeHorizon }
+ * @returns {Promise<Array>} One result object per backtesting scenario
+ */
+export async function runBacktests(options = {}) {
+  const [validationWindows, dailyData] = await Promise.all([
+    loadValidationWindows(),
+    loadDailyAggregated()
+  ]);
+
+  const scenarios = validationWindows.backtesting_scenarios || [];
+  const results = [];
+
+  for (const scenario of scenarios) {
+    try {
+      results.push(await runBacktest(scenario, dailyData, options));
+    } catch (error) {
+      console.error(`Backtest ${scenario.scenario_id} failed:`, error);
+      results.push({
+        scenario_id: scenario.scenario_id,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Run a single backtesting scenario
+ * @param {Object} scenario - Entry from validation_windows.backtesting_scenarios
+ * @param {Array} dailyData - Rows of daily_aggregated.csv
+ * @param {Object} options - { timeHorizon }
+ * @returns {Promise<Object>} MAPE per KPI and tier plus an overall pass/fail
+ */
+export async function runBacktest(scenario, dailyData, options = {}) {
+  const dataRange = getDataRange(dailyData);
+  const windows = resolveWindows(
+    parseWindow(scenario.train_window),
+    parseWindow(scenario.test_window),
+    dataRange
+  );
+
+  const mapeTarget = parseMapeTarget(scenario.success_criteria);
+  const timeHorizon = options.timeHorizon || 'medium_term_3_12mo';
+
+  const tiers = {};
+  for (const tier of TIERS) {
+    const tierRows = dailyData.filter(d => d.membership_tier === tier);
+    const trainRows = tierRows.filter(d => d.date >= windows.train.start && d.date <= windows.train.end);
+    const testRows = tierRows.filter(d => d.date >= windows.test.start && d.date <= windows.test.end);
+
+    if (trainRows.length === 0 || testRows.length === 0) {
+      console.warn(`Backtest ${scenario.scenario_id}: no ${tier} rows in train or test window`);
+      continue;
+    }
+
+    const elasticityInfo = await calculateElasticity(tier, null, { timeHorizon });
+    const predictions = await predictTestWindow(tier, trainRows, testRows, elasticityInfo.elasticity);
+
+    tiers[tier] = scoreKpis(testRows, predictions);
+  }
+
+  if (Object.keys(tiers).length === 0) {
+    throw new Error('No overlapping data between backtest windows and daily_aggregated.csv');
+  }
+
+  // Overall MAPE per KPI = mean across tiers
+  const overall = {};
+  Object.keys(BACKTEST_KPIS).forEach(kpi => {
+    const values = Object.values(tiers).map(t => t[kpi].mape).filter(Number.isFinite);
+    overall[kpi] = values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  });
+
+  const overallValues = Object.values(overall).filter(Number.isFinite);
+  const overallMape = overallValues.length
+    ? overallValues.reduce((a, b) => a + b, 0) / overallValues.length
+    : null;
+
+  // Every scored KPI has to be within the target - a mean would hide one KPI far outside it
+  const scoredKpis = Object.keys(overall).filter(kpi => Number.isFinite(overall[kpi]));
+  const failingKpis = mapeTarget === null ? [] : scoredKpis.filter(kpi => overall[kpi] > mapeTarget);
+
+  return {
+    scenario_id: scenario.scenario_id,
+    event_date: scenario.event_date,
+    success_criteria: scenario.success_criteria,
+    mape_target: mapeTarget,
+    train_window: windows.train,
+    test_window: windows.test,
+    rebased: windows.rebased,
+    year_offset: windows.yearOffset,
+    tiers,
+    overall,
+    overall_mape: overallMape,
+    scored: mapeTarget !== null && scoredKpis.length > 0,
+    failing_kpis: failingKpis,
+    // null = the success criterion is not a MAPE target, so the harness cannot judge it
+    passed: mapeTarget !== null && scoredKpis.length > 0 ? failingKpis.length === 0 : null
+  };
+}
+
+/**
+ * Predict daily KPIs for the test window using only the train window
+ * Baseline = train-window average for the same month (falls back to the train average),
+ * then the price effect vs the train-window price is applied through the elasticity model.
+ */
+async function predictTestWindow(tier, trainRows, testRows, elasticity) {
+  const trainByMonth = groupBy(trainRows, d => d.month);
+  const trainAll = summarizeRows(trainRows);
+  const dowFactors = getDowFactors(trainRows, trainAll.visitors);
+
+  const predictions = [];
+  for (const row of testRows) {
+    const monthRows = trainByMonth[row.month];
+    const base = monthRows ? summarizeRows(monthRows) : trainAll;
+    const dowFactor = dowFactors[row.dow] || 1;
+
+    const basePrice = base.price;
+    const testPrice = row.avg_ticket_price || basePrice;
+    const priceChangePct = (testPrice - basePrice) / basePrice;
+
+    const baseVisitors = Math.max(1, base.visitors * dowFactor);
+    const baseNew = Math.max(1, base.newVisitors * dowFactor);
+
+    const demand = forecastDemand(basePrice, testPrice, baseVisitors, elasticity);
+    const churn = await forecastChurn(tier, priceChangePct, base.returnRate);
+    const acquisition = await forecastAcquisition(tier, priceChangePct, baseNew);
+
+    predictions.push({
+      date: row.date,
+      daily_visitors: demand.forecastedVisitors,
+      new_registrations: acquisition.forecastedAcquisition,
+      return_rate: churn.forecastedChurn,
+      daily_revenue: demand.forecastedVisitors * (base.revenuePerVisitor + (testPrice - basePrice))
+    });
+  }
+
+  return predictions;
+}
+
+/**
+ * Score predictions against actuals, aggregated to weeks
+ * @returns {Object} { [kpi]: { mape, weeks, actual_total, predicted_total } }
+ */
+function scoreKpis(actualRows, predictedRows) {
+  const scores = {};
+
+  Object.entries(BACKTEST_KPIS).forEach(([kpi, def]) => {
+    const actualWeekly = aggregateWeekly(actualRows, def.column, def.aggregate);
+    const predictedWeekly = aggregateWeekly(predictedRows, def.column, def.aggregate);
+
+    const weeks = Object.keys(actualWeekly).filter(week => week in predictedWeekly).sort();
+    const actual = weeks.map(week => actualWeekly[week]);
+    const predicted = weeks.map(week => predictedWeekly[week]);
+
+    scores[kpi] = {
+      mape: computeMAPE(actual, predicted),
+      weeks: weeks.length,
+      actual_total: def.aggregate === 'sum' ? sum(actual) : mean(actual),
+      predicted_total: def.aggregate === 'sum' ? sum(predicted) : mean(predicted)
+    };
+  });
+
+  return scores;
+}
+
+/**
+ * Mean Absolute Percentage Error
+ * @param {Array<number>} actual - Actual values
+ * @param {Array<number>} predicted - Predicted values (same length)
+ * @returns {number|null} MAPE in percent, null if nothing comparable
+ */
+export function computeMAPE(actual, predicted) {
+  let total = 0;
+  let count = 0;
+
+  actual.forEach((value, i) => {
+    if (!value || !Number.isFinite(predicted[i])) return;
+    total += Math.abs((value - predicted[i]) / value);
+    count++;
+  });
+
+  return count > 0 ? (total / count) * 100 : null;
+}
+
+/**
+ * Parse "2022-01-02 to 2023-06-03" into { start, end }
+ */
+function parseWindow(windowStr) {
+  const [start, end] = String(windowStr).split(' to ').map(s => s.trim());
+  if (!start || !end) {
+    throw new Error(`Invalid backtest window: ${windowStr}`);
+  }
+  return { start, end };
+}
+
+/**
+ * Align backtest windows with the dates actually present in daily_aggregated.csv
+ * The windows in validation_windows.json may sit on an older calendar than the data; when
+ * the test window falls outside the data, both windows are shifted by whole years so the
+ * test window ends in the final data year, and the train window is clipped to the data start.
+ */
+function resolveWindows(train, test, dataRange) {
+  const inRange = test.start >= dataRange.start && test.end <= dataRange.end;
+  if (inRange) {
+    return { train: clipWindow(train, dataRange), test, rebased: false, yearOffset: 0 };
+  }
+
+  let yearOffset = parseInt(dataRange.end.slice(0, 4), 10) - parseInt(test.end.slice(0, 4), 10);
+  if (shiftWindow(test, yearOffset).end > dataRange.end) {
+    yearOffset -= 1;
+  }
+
+  return {
+    train: clipWindow(shiftWindow(train, yearOffset), dataRange),
+    test: clipWindow(shiftWindow(test, yearOffset), dataRange),
+    rebased: true,
+    yearOffset
+  };
+}
+
+function shiftWindow(window, years) {
+  const shift = dateStr => `${parseInt(dateStr.slice(0, 4), 10) + years}${dateStr.slice(4)}`;
+  return { start: shift(window.start), end: shift(window.end) };
+}
+
+function clipWindow(window, dataRange) {
+  return {
+    start: window.start < dataRange.start ? dataRange.start : window.start,
+    end: window.end > dataRange.end ? dataRange.end : window.end
+  };
+}
+
+function getDataRange(dailyData) {
+  return dailyData.reduce((range, row) => ({
+    start: row.date < range.start ? row.date : range.start,
+    end: row.date > range.end ? row.date : range.end
+  }), { start: '9999-12-31', end: '0000-01-01' });
+}
+
+/**
+ * Extract the MAPE threshold from a success criterion such as "Predicted vs Actual within ±10% MAPE"
+ * @returns {number|null} null when the criterion is not a MAPE target (pp, weeks, ...)
+ */
+function parseMapeTarget(criteria) {
+  const match = String(criteria || '').match(/±\s*(\d+(?:\.\d+)?)%\s*MAPE/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function summarizeRows(rows) {
+  const visitors = mean(rows.map(d => d.daily_visitors));
+  const weightedPrice = sum(rows.map(d => d.avg_ticket_price * d.daily_visitors)) / sum(rows.map(d => d.daily_visitors));
+
+  return {
+    visitors,
+    newVisitors: mean(rows.map(d => d.new_registrations)),
+    returnRate: mean(rows.map(d => d.return_rate)),
+    price: weightedPrice,
+    // Ticket + Fast Pass + ancillary spend, so revenue is comparable with daily_revenue
+    revenuePerVisitor: sum(rows.map(d => d.daily_revenue)) / sum(rows.map(d => d.daily_visitors))
+  };
+}
+
+function getDowFactors(rows, overallMean) {
+  const byDow = groupBy(rows, d => d.dow);
+  const factors = {};
+  Object.entries(byDow).forEach(([dow, dowRows]) => {
+    factors[dow] = overallMean > 0 ? mean(dowRows.map(d => d.daily_visitors)) / overallMean : 1;
+  });
+
+  // Normalise so the factors average to 1 and do not shift the monthly level
+  const avg = mean(Object.values(factors));
+  Object.keys(factors).forEach(dow => {
+    factors[dow] = factors[dow] / avg;
+  });
+  return factors;
+}
+
+function aggregateWeekly(rows, column, aggregate) {
+  const byWeek = groupBy(rows, d => getWeekStart(d.date));
+  const result = {};
+  Object.entries(byWeek).forEach(([week, weekRows]) => {
+    const values = weekRows.map(d => d[column]).filter(Number.isFinite);
+    result[week] = aggregate === 'mean' ? mean(values) : sum(values);
+  });
+  return result;
+}
+
+function getWeekStart(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+  return date.toISOString().slice(0, 10);
+}
+
+function groupBy(rows, keyFn) {
+  return rows.reduce((acc, row) => {
+    const key = keyFn(row);
+    (acc[key] = acc[key] || []).push(row);
+    return acc;
+  }, {});
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function mean(values) {
+  return values.length ? sum(values) / values.length : 0;
+}
@@ -5,6 +5,7 @@
 
 import { loadElasticityParams } from './data-loader.js';
 import { getChurnCohorts } from './cohort-aggregator.js';
+import { readDataJson } from './data-source.js';
 
 // Chart instances
 let churnChartSimple = null;
@@ -28,8 +29,7 @@ let cohortData = null;
  */
 async function loadCohortData() {
   try {
-    const response = await fetch('data/cohort_coefficients.json');
-    cohortData = await response.json();
+    cohortData = await readDataJson('cohort_coefficients.json');
     console.log('✓ Loaded cohort profiles:', Object.keys(cohortData).filter(k => k !== 'metadata').length);
     return cohortData;
   } catch (error) {
@@ -143,8 +143,7 @@ async function loadChurnParams() {
 
     // Load time-lag distribution from cohort_coefficients.json
     try {
-      const response = await fetch('data/cohort_coefficients.json');
-      const cohortData = await response.json();
+      const cohortData = await readDataJson('cohort_coefficients.json');
 
       // Use baseline cohort's time-lag distribution (aggregate of all cohorts)
       if (cohortData.baseline && cohortData.baseline.time_lag_distribution) {
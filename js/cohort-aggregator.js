@@ -3,6 +3,8 @@
  * Aggregates 375 customer segments into cohorts for model predictions
  */
 
+import { readDataFile, readDataJson } from './data-source.js';
+
 /**
  * Aggregate segments into acquisition cohorts
  * Groups by acquisition_segment (5 cohorts)
@@ -185,8 +187,7 @@ export async function getChurnCohorts(tier, filters = {}) {
  * Load segment KPIs from CSV
  */
 async function loadSegmentKPIs() {
-  const response = await fetch('data/segment_kpis.csv');
-  const text = await response.text();
+  const text = await readDataFile('segment_kpis.csv');
 
   const lines = text.trim().split('\n');
   const headers = lines[0].split(',');
@@ -205,6 +206,5 @@ async function loadSegmentKPIs() {
  * Load segment elasticity from JSON
  */
 async function loadSegmentElasticity() {
-  const response = await fetch('data/segment_elasticity.json');
-  return await response.json();
+  return readDataJson('segment_elasticity.json');
 }
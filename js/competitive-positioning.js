@@ -0,0 +1,226 @@
+/**
+ * Competitive Positioning Module
+ * UI for simulating our price against expected competitor moves (match / hold / undercut)
+ *
+ * Dependencies: scenario-engine.js, data-loader.js, utils.js, Chart.js
+ */
+
+import { simulateCompetitiveScenario, COMPETITORS } from './scenario-engine.js';
+import { getCurrentPrices } from './data-loader.js';
+import { formatCurrency, formatNumber, formatPercent, showAlert } from './utils.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const RESPONSE_STYLES = {
+  planned: { label: 'Our Plan', color: 'rgba(99, 102, 241, 1)' },
+  hold: { label: 'Hold', color: 'rgba(107, 114, 128, 1)' },
+  match: { label: 'Match', color: 'rgba(16, 185, 129, 1)' },
+  undercut: { label: 'Undercut', color: 'rgba(251, 146, 60, 1)' }
+};
+
+// Chart instance
+let competitiveChart = null;
+let currentPrices = {};
+
+/**
+ * Initialize the competitive positioning panel
+ */
+export async function initializeCompetitivePositioning() {
+  const runBtn = document.getElementById('run-competitive-btn');
+  if (!runBtn) return;
+
+  try {
+    currentPrices = await getCurrentPrices();
+  } catch (error) {
+    console.warn('Current prices unavailable for competitive panel:', error);
+  }
+
+  const tierSelect = document.getElementById('competitive-tier');
+  const priceInput = document.getElementById('competitive-our-price');
+  const syncPrice = () => {
+    const price = currentPrices[tierSelect.value]?.list_price;
+    if (price) priceInput.value = price;
+  };
+  tierSelect.addEventListener('change', syncPrice);
+  syncPrice();
+
+  const startMonth = document.getElementById('competitive-start-month');
+  startMonth.innerHTML = MONTH_NAMES.map((name, i) => `<option value="${i + 1}">${name}</option>`).join('');
+  startMonth.value = String(new Date().getMonth() + 1);
+
+  document.getElementById('add-competitor-move-btn').addEventListener('click', () => addMoveRow());
+  addMoveRow({ competitor: 'sixflags', changePct: 8, month: 5 });
+
+  runBtn.addEventListener('click', runCompetitiveSimulation);
+}
+
+/**
+ * Add a competitor move input row
+ */
+function addMoveRow(move = {}) {
+  const container = document.getElementById('competitor-moves');
+  const row = document.createElement('div');
+  row.className = 'row g-2 mb-2 competitor-move';
+  row.innerHTML = `
+    <div class="col-5">
+      <select class="form-select form-select-sm move-competitor">
+        ${Object.entries(COMPETITORS).map(([key, c]) =>
+          `<option value="${key}" ${key === move.competitor ? 'selected' : ''}>${c.label}</option>`
+        ).join('')}
+      </select>
+    </div>
+    <div class="col-3">
+      <div class="input-group input-group-sm">
+        <input type="number" class="form-control move-change" step="0.5" value="${move.changePct ?? 5}">
+        <span class="input-group-text">%</span>
+      </div>
+    </div>
+    <div class="col-3">
+      <select class="form-select form-select-sm move-month">
+        ${MONTH_NAMES.map((name, i) =>
+          `<option value="${i + 1}" ${i + 1 === move.month ? 'selected' : ''}>${name}</option>`
+        ).join('')}
+      </select>
+    </div>
+    <div class="col-1">
+      <button class="btn btn-sm btn-outline-danger w-100" title="Remove"><i class="bi bi-x"></i></button>
+    </div>
+  `;
+  row.querySelector('button').addEventListener('click', () => row.remove());
+  container.appendChild(row);
+}
+
+/**
+ * Read inputs and run the competitive simulation
+ */
+async function runCompetitiveSimulation() {
+  const runBtn = document.getElementById('run-competitive-btn');
+  const tier = document.getElementById('competitive-tier').value;
+  const newPrice = parseFloat(document.getElementById('competitive-our-price').value);
+  const currentPrice = currentPrices[tier]?.list_price || newPrice;
+
+  const competitorMoves = [...document.querySelectorAll('#competitor-moves .competitor-move')].map(row => ({
+    competitor: row.querySelector('.move-competitor').value,
+    changePct: parseFloat(row.querySelector('.move-change').value) / 100 || 0,
+    month: parseInt(row.querySelector('.move-month').value, 10)
+  }));
+
+  const scenario = {
+    id: `competitive_${tier}`,
+    name: `Competitive response (${tier})`,
+    config: { tier, current_price: currentPrice, new_price: newPrice }
+  };
+
+  runBtn.disabled = true;
+  runBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Simulating...';
+  try {
+    const result = await simulateCompetitiveScenario(scenario, {
+      competitorMoves,
+      startMonth: parseInt(document.getElementById('competitive-start-month').value, 10),
+      undercutPct: (parseFloat(document.getElementById('competitive-undercut').value) || 0) / 100
+    });
+    renderCompetitiveResults(result);
+  } catch (error) {
+    console.error('Competitive simulation failed:', error);
+    showAlert('Competitive simulation failed: ' + error.message, 'danger');
+  } finally {
+    runBtn.disabled = false;
+    runBtn.innerHTML = '<i class="bi bi-play-fill me-1"></i>Compare Responses';
+  }
+}
+
+/**
+ * Render the response comparison table and monthly visitors chart
+ */
+function renderCompetitiveResults(result) {
+  const container = document.getElementById('competitive-results');
+  container.style.display = 'block';
+
+  const rel = result.relative_elasticity;
+  const coverage = rel.coverage;
+  const coverageNote = coverage?.excludedDays > 0
+    ? ` <span class="text-warning">(daily data runs to ${coverage.lastDailyDate}; the ${formatNumber(coverage.excludedDays)} days after ${coverage.end} have no competitor prices and are left out of the fit)</span>`
+    : '';
+  const relNote = rel.source === 'estimated'
+    ? `estimated from ${formatNumber(rel.nObs)} days (${rel.estimate.toFixed(2)} ± ${rel.standardError.toFixed(2)})`
+    : `history not conclusive (${rel.estimate.toFixed(2)} ± ${rel.standardError.toFixed(2)}), using prior ${rel.elasticity}`;
+
+  const rows = Object.entries(result.responses).map(([key, r]) => `
+    <tr class="${key === result.best_response ? 'table-success' : ''}">
+      <td>
+        <strong>${RESPONSE_STYLES[key].label}</strong>
+        ${key === result.best_response ? '<span class="badge bg-success ms-1">Best revenue</span>' : ''}
+      </td>
+      <td class="text-end">${formatCurrency(r.price)}</td>
+      <td class="text-end">${formatPercent(r.final_price_gap_pct / 100, 1)}</td>
+      <td class="text-end">${formatNumber(r.visitors)}</td>
+      <td class="text-end ${r.visitors_pct >= 0 ? 'text-success' : 'text-danger'}">${formatPercent(r.visitors_pct / 100, 1)}</td>
+      <td class="text-end">${formatPercent(r.own_price_effect_pct / 100, 1)} / ${formatPercent(r.competitor_effect_pct / 100, 1)}</td>
+      <td class="text-end">${formatCurrency(r.revenue, 0)}</td>
+      <td class="text-end ${r.revenue_pct >= 0 ? 'text-success' : 'text-danger'}">${formatPercent(r.revenue_pct / 100, 1)}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('competitive-summary').innerHTML = `
+    <div class="small text-muted mb-2">
+      Competitor avg ${formatCurrency(result.competitor_avg.current)} → ${formatCurrency(result.competitor_avg.final)}
+      (${formatPercent(result.competitor_avg.change_pct / 100, 1)}) · competitor prices as of ${result.as_of}${coverageNote} ·
+      own-price ε ${result.own_elasticity.toFixed(2)} · relative-price ε ${relNote}
+    </div>
+    <div class="table-responsive">
+      <table class="table table-sm table-hover">
+        <thead class="table-light">
+          <tr>
+            <th>Response</th>
+            <th class="text-end">Our Price</th>
+            <th class="text-end">Gap vs Comp. Avg</th>
+            <th class="text-end">Daily Visitors</th>
+            <th class="text-end">Δ Visitors</th>
+            <th class="text-end">Own / Competitor Effect</th>
+            <th class="text-end">Daily Revenue</th>
+            <th class="text-end">Δ Revenue</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+
+  renderCompetitiveChart(result);
+}
+
+function renderCompetitiveChart(result) {
+  const ctx = document.getElementById('competitive-chart');
+  if (!ctx) return;
+
+  if (competitiveChart) {
+    competitiveChart.destroy();
+  }
+
+  const labels = result.responses.hold.time_series.map(m => MONTH_NAMES[m.calendar_month - 1]);
+  const datasets = Object.entries(result.responses).map(([key, r]) => ({
+    label: RESPONSE_STYLES[key].label,
+    data: r.time_series.map(m => m.visitors),
+    borderColor: RESPONSE_STYLES[key].color,
+    backgroundColor: RESPONSE_STYLES[key].color,
+    borderWidth: 2,
+    tension: 0.2,
+    fill: false
+  }));
+
+  competitiveChart = new Chart(ctx, {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: 'bottom' },
+        title: { display: true, text: 'Daily Visitors by Response' }
+      },
+      scales: {
+        y: { title: { display: true, text: 'Visitors / day' } }
+      }
+    }
+  });
+}
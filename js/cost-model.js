@@ -0,0 +1,227 @@
+/**
+ * Cost Model Module
+ * Contribution margin per scenario from a configurable cost model
+ *
+ *   contribution = revenue
+ *                − variable_cost_per_visitor × visitors        (staffing, cleaning, utilities per visit)
+ *                − ancillary_cogs_pct × in-park spend revenue   (food & merch cost of goods; Fast Pass has none)
+ *                − promo_fulfilment_cost × promo visitors       (voucher processing, partner fees)
+ *                − acquisition spend                            (marketing budget)
+ *
+ * Acquisition spend is today's budget, CAC × baseline new visitors, on both sides of a scenario:
+ * a price change moves new visitors but not what is spent to attract them. Only marketing spend
+ * the scenario itself adds (a promotion's marketing_spend_usd) raises the forecast side.
+ * CAC left empty is the blended CAC of marketing_spend.csv (recent spend ÷ new registrations,
+ * see marketing-response.js). Promo visitors are the forecasted visitors of promotion scenarios
+ * (category 'promotion', config.promotion or config.promotion_type); the baseline runs no promotion.
+ *
+ * simulateScenario() picks up the active settings through getActiveCostModel() unless
+ * options.costModel is passed explicitly.
+ *
+ * Dependencies: marketing-response.js
+ */
+
+import { fitMarketingResponse } from './marketing-response.js';
+
+export const DEFAULT_COST_MODEL = {
+  variable_cost_per_visitor: 22,
+  ancillary_cogs_pct: 0.35,
+  promo_fulfilment_cost: 4,
+  cac: null
+};
+
+const STORAGE_KEY = 'pricingStudio.costModel';
+
+let activeCostModel = loadStoredCostModel();
+
+/**
+ * Get the cost model applied to simulations
+ * @returns {Object} Settings in the DEFAULT_COST_MODEL shape (cac null = from marketing spend)
+ */
+export function getActiveCostModel() {
+  return { ...activeCostModel };
+}
+
+/**
+ * Set the cost model applied to simulations (missing keys fall back to the defaults)
+ * @param {Object} settings - Partial DEFAULT_COST_MODEL
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Remember the settings for the next visit
+ */
+export function setActiveCostModel(settings, { persist = true } = {}) {
+  activeCostModel = normalizeCostModel(settings);
+  if (!persist) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(activeCostModel));
+  } catch (error) {
+    console.warn('Could not remember cost model settings:', error);
+  }
+}
+
+/**
+ * Resolve the cost model for a run, filling in CAC from marketing spend when it is not set
+ * @param {Object|undefined} option - options.costModel (object = overrides of the active model)
+ * @returns {Promise<Object>} Settings plus cac_source ('manual' | 'marketing_spend' | 'unavailable')
+ */
+export async function resolveCostModel(option) {
+  const settings = option && typeof option === 'object'
+    ? normalizeCostModel({ ...activeCostModel, ...option })
+    : getActiveCostModel();
+
+  if (settings.cac != null) {
+    return { ...settings, cac_source: 'manual' };
+  }
+  try {
+    const model = await fitMarketingResponse();
+    if (model.blended_cac != null) {
+      return { ...settings, cac: model.blended_cac, cac_source: 'marketing_spend' };
+    }
+  } catch (error) {
+    console.warn('CAC not available from marketing spend:', error);
+  }
+  return { ...settings, cac: 0, cac_source: 'unavailable' };
+}
+
+/**
+ * Check whether a scenario is a promotion (its visitors carry promo fulfilment cost)
+ * @param {Object} scenario - Scenario configuration
+ * @returns {boolean}
+ */
+export function isPromotionScenario(scenario) {
+  return scenario?.category === 'promotion' || !!scenario?.config?.promotion || !!scenario?.config?.promotion_type;
+}
+
+/**
+ * Daily acquisition spend of a scenario side
+ * @param {number} baselineNewVisitors - New visitors per day before the change
+ * @param {Object} costModel - Output of resolveCostModel()
+ * @param {number} [addedSpend=0] - Marketing $ per day the scenario adds on top of today's budget
+ * @returns {number} $ per day
+ */
+export function acquisitionSpend(baselineNewVisitors, costModel, addedSpend = 0) {
+  return (baselineNewVisitors || 0) * (costModel.cac || 0) + addedSpend;
+}
+
+/**
+ * Contribution margin of one side of a scenario (daily figures)
+ * @param {Object} inputs - { visitors, revenue, ancillary_revenue, acquisition_spend, promo_visitors }
+ *   (acquisition_spend from acquisitionSpend())
+ * @param {Object} costModel - Output of resolveCostModel()
+ * @returns {Object} { revenue, variable_cost, ancillary_cogs, promo_cost, acquisition_cost, total_cost,
+ *   contribution, margin_pct }
+ */
+export function calculateContribution(inputs, costModel) {
+  const costs = {
+    variable_cost: (inputs.visitors || 0) * costModel.variable_cost_per_visitor,
+    ancillary_cogs: (inputs.ancillary_revenue || 0) * costModel.ancillary_cogs_pct,
+    promo_cost: (inputs.promo_visitors || 0) * costModel.promo_fulfilment_cost,
+    acquisition_cost: inputs.acquisition_spend || 0
+  };
+  const totalCost = costs.variable_cost + costs.ancillary_cogs + costs.promo_cost + costs.acquisition_cost;
+  const contribution = inputs.revenue - totalCost;
+
+  return {
+    revenue: inputs.revenue,
+    ...costs,
+    total_cost: totalCost,
+    contribution,
+    margin_pct: inputs.revenue > 0 ? (contribution / inputs.revenue) * 100 : 0
+  };
+}
+
+/**
+ * Initialize the cost-model panel in the scenario engine
+ */
+export function initializeCostModelPanel() {
+  const container = document.getElementById('cost-model-options');
+  if (!container) return;
+
+  const settings = getActiveCostModel();
+  container.innerHTML = `
+    <div class="col-md-3">
+      <label class="form-label small" for="cost-variable">Variable Cost / Visit ($)</label>
+      <input type="number" id="cost-variable" class="form-control form-control-sm"
+        value="${settings.variable_cost_per_visitor}" min="0" step="1">
+    </div>
+    <div class="col-md-3">
+      <label class="form-label small" for="cost-ancillary-cogs">Food &amp; Merch COGS (%)</label>
+      <input type="number" id="cost-ancillary-cogs" class="form-control form-control-sm"
+        value="${Math.round(settings.ancillary_cogs_pct * 100)}" min="0" max="100" step="1">
+    </div>
+    <div class="col-md-3">
+      <label class="form-label small" for="cost-promo">Promo Fulfilment / Visit ($)</label>
+      <input type="number" id="cost-promo" class="form-control form-control-sm"
+        value="${settings.promo_fulfilment_cost}" min="0" step="0.5">
+    </div>
+    <div class="col-md-3">
+      <label class="form-label small" for="cost-cac">CAC / New Visitor ($)</label>
+      <input type="number" id="cost-cac" class="form-control form-control-sm"
+        value="${settings.cac ?? ''}" min="0" step="1" placeholder="From marketing spend">
+    </div>
+  `;
+
+  const readInputs = () => {
+    const value = (id) => parseFloat(document.getElementById(id).value);
+    const cac = value('cost-cac');
+    setActiveCostModel({
+      variable_cost_per_visitor: value('cost-variable'),
+      ancillary_cogs_pct: value('cost-ancillary-cogs') / 100,
+      promo_fulfilment_cost: value('cost-promo'),
+      cac: Number.isFinite(cac) ? cac : null
+    });
+    renderCostModelSummary();
+  };
+
+  container.querySelectorAll('input').forEach(input => input.addEventListener('change', readInputs));
+
+  const resetBtn = document.getElementById('reset-cost-model-btn');
+  if (resetBtn) {
+    resetBtn.onclick = () => {
+      setActiveCostModel(DEFAULT_COST_MODEL);
+      initializeCostModelPanel();
+    };
+  }
+
+  renderCostModelSummary();
+}
+
+async function renderCostModelSummary() {
+  const summary = document.getElementById('cost-model-summary');
+  if (!summary) return;
+
+  const costModel = await resolveCostModel();
+  const cacLabel = {
+    manual: `CAC $${costModel.cac.toFixed(2)}`,
+    marketing_spend: `CAC $${costModel.cac.toFixed(2)} (blended, from marketing spend)`,
+    unavailable: 'CAC unavailable - acquisition cost left out'
+  }[costModel.cac_source];
+  const acquisitionNote = costModel.cac_source === 'unavailable' ? '' : ' × today\'s new visitors (held fixed)';
+  summary.innerHTML = `
+    <span class="text-muted">
+      $${costModel.variable_cost_per_visitor.toFixed(2)} per visit ·
+      ${Math.round(costModel.ancillary_cogs_pct * 100)}% COGS on in-park spend ·
+      $${costModel.promo_fulfilment_cost.toFixed(2)} per promo visit · ${cacLabel}${acquisitionNote}
+    </span>
+  `;
+}
+
+function normalizeCostModel(settings = {}) {
+  const merged = { ...DEFAULT_COST_MODEL, ...settings };
+  ['variable_cost_per_visitor', 'promo_fulfilment_cost'].forEach(key => {
+    merged[key] = Number(merged[key]) >= 0 ? Number(merged[key]) : DEFAULT_COST_MODEL[key];
+  });
+  merged.ancillary_cogs_pct = Number.isFinite(Number(merged.ancillary_cogs_pct))
+    ? Math.min(Math.max(Number(merged.ancillary_cogs_pct), 0), 1)
+    : DEFAULT_COST_MODEL.ancillary_cogs_pct;
+  merged.cac = merged.cac != null && Number(merged.cac) >= 0 ? Number(merged.cac) : null;
+  return merged;
+}
+
+function loadStoredCostModel() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return normalizeCostModel(stored ? JSON.parse(stored) : {});
+  } catch (error) {
+    return normalizeCostModel({});
+  }
+}
@@ -2,13 +2,18 @@
  * Data Loader Module
  * Loads and preprocesses all data files for the Legoland Pricing & Revenue Optimization Studio
  *
- * Dependencies: None (Vanilla JavaScript)
+ * Files are read through the data-source adapter, so the active source (bundled data/, another
+ * folder or dropped files) decides what every cache is filled from.
+ *
+ * Dependencies: data-source.js
  *
  * Usage:
  *   import { loadAllData } from './data-loader.js';
  *   const data = await loadAllData();
  */
 
+import { readDataFile, readDataJson } from './data-source.js';
+
 // Global data cache to avoid redundant fetches
 const dataCache = {
   visitors: null,
@@ -92,11 +97,7 @@ export async function loadElasticityParams() {
   }
 
   try {
-    const response = await fetch('data/elasticity-params.json');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await readDataJson('elasticity-params.json');
     dataCache.elasticityParams = data;
     return data;
   } catch (error) {
@@ -115,12 +116,7 @@ export async function loadScenarios() {
   }
 
   try {
-    // Add cache-busting parameter to force reload
-    const response = await fetch(`data/scenarios.json?v=${Date.now()}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await readDataJson('scenarios.json');
     dataCache.scenarios = data;
     return data;
   } catch (error) {
@@ -139,6 +135,7 @@ export async function loadMetadata() {
   }
 
   try {
+    // The data dictionary describes the studio's schema, so it always comes from data/
     const response = await fetch('data/metadata.json');
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -162,11 +159,7 @@ export async function loadDailyAggregated() {
   }
 
   try {
-    const response = await fetch('data/daily_aggregated.csv');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const csvText = await response.text();
+    const csvText = await readDataFile('daily_aggregated.csv');
     const data = parseCSV(csvText);
     dataCache.dailyAggregated = data;
     return data;
@@ -186,11 +179,7 @@ export async function loadMembershipTiers() {
   }
 
   try {
-    const response = await fetch('data/membership_tiers.csv');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const csvText = await response.text();
+    const csvText = await readDataFile('membership_tiers.csv');
     const data = parseCSV(csvText);
     dataCache.membershipTiers = data;
     return data;
@@ -210,11 +199,7 @@ export async function loadExternalFactors() {
   }
 
   try {
-    const response = await fetch('data/external_factors.csv');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const csvText = await response.text();
+    const csvText = await readDataFile('external_factors.csv');
     const data = parseCSV(csvText);
     dataCache.externalFactors = data;
     return data;
@@ -235,11 +220,7 @@ export async function loadEventCalendar() {
   }
 
   try {
-    const response = await fetch('data/event_calendar.csv');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const csvText = await response.text();
+    const csvText = await readDataFile('event_calendar.csv');
     const data = parseCSV(csvText);
     dataCache.eventCalendar = data;
     console.log(`Loaded ${data.length} events from event calendar`);
@@ -250,6 +231,47 @@ export async function loadEventCalendar() {
   }
 }
 
+/**
+ * Load weekly marketing spend by channel from CSV
+ * @returns {Promise<Array>} Array of weekly spend records
+ */
+export async function loadMarketingSpend() {
+  if (dataCache.marketingSpend) {
+    return dataCache.marketingSpend;
+  }
+
+  try {
+    const csvText = await readDataFile('marketing_spend.csv');
+    const data = parseCSV(csvText);
+    dataCache.marketingSpend = data;
+    return data;
+  } catch (error) {
+    console.error('Error loading marketing spend:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load attraction openings from CSV
+ * New rides, area expansions and refurbishments
+ * @returns {Promise<Array>} Array of attraction opening records
+ */
+export async function loadAttractionOpenings() {
+  if (dataCache.attractionOpenings) {
+    return dataCache.attractionOpenings;
+  }
+
+  try {
+    const csvText = await readDataFile('attraction_openings.csv');
+    const data = parseCSV(csvText);
+    dataCache.attractionOpenings = data;
+    return data;
+  } catch (error) {
+    console.error('Error loading attraction openings:', error);
+    throw error;
+  }
+}
+
 /**
  * Load promo metadata from JSON
  * Promo campaign definitions
@@ -261,11 +283,7 @@ export async function loadPromoMetadata() {
   }
 
   try {
-    const response = await fetch('data/promo_metadata.json');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await readDataJson('promo_metadata.json');
     dataCache.promoMetadata = data;
     console.log(`Loaded ${Object.keys(data).length} promo campaigns`);
     return data;
@@ -286,11 +304,7 @@ export async function loadValidationWindows() {
   }
 
   try {
-    const response = await fetch('data/validation_windows.json');
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await readDataJson('validation_windows.json');
     dataCache.validationWindows = data;
     console.log(`Loaded validation windows: ${data.validation_windows.length} windows defined`);
     return data;
@@ -306,7 +320,8 @@ export async function loadValidationWindows() {
  * @returns {Array<Object>} Array of objects with headers as keys
  */
 function parseCSV(csvText) {
-  const lines = csvText.trim().split('\n');
+  // Accept both LF and CRLF line endings (marketing_spend.csv is exported with CRLF)
+  const lines = csvText.trim().split(/\r?\n/);
   const headers = lines[0].split(',');
 
   const data = lines.slice(1).map(line => {
@@ -455,6 +470,7 @@ export async function getCurrentPrices() {
       acc[record.tier] = {
         list_price: record.list_price,
         avg_paid_price: record.avg_paid_price,
+        fast_pass_price: record.fast_pass_price,
         promotion_active: record.promotion_active,
         promotion_description: record.promotion_description
       };
@@ -0,0 +1,539 @@
+/**
+ * Data Source Module
+ * Where the studio reads its data files from: the bundled data/ folder, another folder or dropped files
+ *
+ * Every loader (data-loader.js, the segment engine, the cohort models, the data viewer and the
+ * simulation worker) reads files by name through readDataFile(), so another park's datasets or a
+ * refreshed quarter can be used without editing code. A source only has to provide the files that
+ * differ; anything it lacks is read from data/ (validateDataSource() reports which).
+ *
+ * Sources:
+ *   { type: 'bundled' }
+ *   { type: 'folder', baseUrl }                     a URL folder (e.g. data/park2/) with the same file names
+ *   { type: 'files', label, files: { name: text } } files dropped or picked in the Data Source panel
+ * Each can carry columnMap { 'daily_aggregated.csv': { date: 'Day' } } (expected column ← column in
+ * the file); CSV headers are renamed before parsing. The data dictionary in metadata.json
+ * (datasets.*.columns) drives validation: required columns, types, nullability, allowed_values, min/max.
+ *
+ * The source is remembered in localStorage and dropped files in sessionStorage, so applying a
+ * source reloads the page and every cache is rebuilt from it.
+ *
+ * Dependencies: utils.js; D3 (csvParse) for validation
+ *
+ * Usage:
+ *   import { readDataFile } from './data-source.js';
+ *   const csvText = await readDataFile('daily_aggregated.csv');
+ */
+
+import { escapeHtml } from './utils.js';
+
+const BUNDLED_BASE_URL = 'data/';
+const SOURCE_KEY = 'pricingStudio.dataSource';
+const FILES_KEY = 'pricingStudio.dataSourceFiles';
+const MAX_EXAMPLE_ROWS = 3;
+
+const BUNDLED_SOURCE = { type: 'bundled', columnMap: {} };
+
+let activeSource = loadStoredSource();
+
+/**
+ * The active source (plain data, safe to post to the simulation worker)
+ * @returns {Object}
+ */
+export function getActiveDataSource() {
+  return activeSource;
+}
+
+/**
+ * Switch the source every loader reads from (callers clear the caches, see applyDataSource in app.js)
+ * The source is stored first and only becomes active once that succeeded, so a failed switch
+ * leaves the previous source (and what the caches hold) in place.
+ * @param {Object} source - See module header
+ * @param {Object} options - { persist: false } inside the worker (no storage there)
+ */
+export function setActiveDataSource(source, { persist = true } = {}) {
+  const next = normalizeSource(source);
+  if (persist) {
+    persistSource(next);
+  }
+  activeSource = next;
+}
+
+/**
+ * Short description of a source for labels
+ */
+export function describeDataSource(source = activeSource) {
+  if (source.type === 'folder') return `Folder ${source.baseUrl}`;
+  if (source.type === 'files') return `${source.label || 'Dropped files'} (${Object.keys(source.files).length} files)`;
+  return 'Bundled sample data (data/)';
+}
+
+/**
+ * Read a data file by name from the active source, falling back to the bundled copy
+ * @param {string} filename - e.g. 'daily_aggregated.csv'
+ * @param {Object} source - Source to read from (defaults to the active one)
+ * @returns {Promise<string>} File contents (CSV headers already renamed through columnMap)
+ */
+export async function readDataFile(filename, source = activeSource) {
+  const { text } = await readWithOrigin(filename, source);
+  return text;
+}
+
+/**
+ * Read and parse a JSON data file by name
+ * @returns {Promise<*>}
+ */
+export async function readDataJson(filename, source = activeSource) {
+  return JSON.parse(await readDataFile(filename, source));
+}
+
+/**
+ * Build a 'files' source from dropped or picked files (folder picks keep only the file names)
+ * @param {FileList|Array<File>} fileList - .csv / .json files
+ * @param {string} label - Display name
+ * @returns {Promise<Object>}
+ */
+export async function sourceFromFiles(fileList, label) {
+  const files = {};
+  for (const file of fileList) {
+    if (/\.(csv|json)$/i.test(file.name)) {
+      files[file.name] = await file.text();
+    }
+  }
+  if (Object.keys(files).length === 0) {
+    throw new Error('No .csv or .json files found');
+  }
+  return normalizeSource({ type: 'files', label, files });
+}
+
+/**
+ * Check every dataset of the data dictionary against a source
+ * @param {Object} source - Candidate source
+ * @param {Object} dictionary - metadata.json contents (datasets.*)
+ * @returns {Promise<Object>} { ok, datasets: [{ key, filename, format, origin, required, rows, header,
+ *   expectedColumns, missing, errors: [{ column, message, rows, count }], warnings: [same shape] }] }
+ */
+export async function validateDataSource(source, dictionary) {
+  const datasets = [];
+
+  for (const [key, spec] of Object.entries(dictionary.datasets || {})) {
+    const report = {
+      key,
+      filename: spec.filename,
+      format: spec.format,
+      required: spec.required !== false,
+      origin: null,
+      rows: 0,
+      header: [],
+      expectedColumns: [],
+      missing: [],
+      errors: [],
+      warnings: []
+    };
+    datasets.push(report);
+
+    let read;
+    try {
+      read = await readWithOrigin(spec.filename, source);
+      report.origin = read.origin;
+    } catch (error) {
+      (report.required ? report.errors : report.warnings).push({ column: null, message: `File not found: ${error.message}`, rows: [], count: 1 });
+      continue;
+    }
+    if (source.type !== 'bundled' && read.origin === 'bundled') {
+      report.warnings.push({ column: null, message: 'Not in this source - the bundled file is used', rows: [], count: 1 });
+    }
+
+    if (spec.format === 'json') {
+      validateJson(read.text, spec, report);
+    } else {
+      validateCsv(read.text, spec, report);
+    }
+  }
+
+  return { ok: datasets.every(d => d.errors.length === 0), datasets };
+}
+
+// ========== UI ==========
+
+/**
+ * Wire the Data Source panel
+ * @param {Object} handlers - { loadDictionary() metadata.json, onApply(source) }
+ */
+export function initializeDataSourcePanel(handlers) {
+  const panel = document.getElementById('data-source-panel');
+  if (!panel) return;
+
+  let candidate = activeSource;
+  let lastReport = null;
+
+  const status = document.getElementById('data-source-status');
+  const applyBtn = document.getElementById('apply-data-source-btn');
+  const renderStatus = () => {
+    status.innerHTML = `
+      <span class="badge ${activeSource.type === 'bundled' ? 'bg-secondary' : 'bg-primary'} me-2">In use</span>${escapeHtml(describeDataSource(activeSource))}
+      ${candidate !== activeSource ? `<br><span class="badge bg-warning text-dark me-2">Selected</span>${escapeHtml(describeDataSource(candidate))}` : ''}
+    `;
+  };
+
+  const check = async () => {
+    applyBtn.disabled = true;
+    const report = document.getElementById('data-source-report');
+    report.innerHTML = '<div class="small text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Validating against metadata.json...</div>';
+    try {
+      lastReport = await validateDataSource(candidate, await handlers.loadDictionary());
+      renderValidationReport(lastReport, candidate, (filename, expected, column) => {
+        const columnMap = { ...candidate.columnMap, [filename]: { ...(candidate.columnMap[filename] || {}) } };
+        if (column) {
+          columnMap[filename][expected] = column;
+        } else {
+          delete columnMap[filename][expected];
+        }
+        candidate = normalizeSource({ ...candidate, columnMap });
+        check();
+      });
+      applyBtn.disabled = !lastReport.ok;
+    } catch (error) {
+      console.error('Data source validation failed:', error);
+      report.innerHTML = `<div class="alert alert-danger small mb-0">${escapeHtml(error.message)}</div>`;
+    }
+    renderStatus();
+  };
+
+  const choose = async (sourcePromise) => {
+    try {
+      candidate = await sourcePromise;
+      await check();
+    } catch (error) {
+      document.getElementById('data-source-report').innerHTML = `<div class="alert alert-danger small mb-0">${escapeHtml(error.message)}</div>`;
+    }
+  };
+
+  const dropZone = document.getElementById('data-source-drop');
+  dropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    dropZone.classList.add('border-primary');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('border-primary'));
+  dropZone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    dropZone.classList.remove('border-primary');
+    choose(sourceFromFiles(event.dataTransfer.files, 'Dropped files'));
+  });
+
+  document.getElementById('data-source-files').addEventListener('change', (event) => {
+    choose(sourceFromFiles(event.target.files, 'Selected files'));
+  });
+  document.getElementById('data-source-folder').addEventListener('change', (event) => {
+    const folder = event.target.files[0]?.webkitRelativePath?.split('/')[0];
+    choose(sourceFromFiles(event.target.files, folder ? `Folder ${folder}` : 'Selected folder'));
+  });
+  document.getElementById('data-source-url-btn').addEventListener('click', () => {
+    const baseUrl = document.getElementById('data-source-url').value.trim();
+    if (baseUrl) choose(Promise.resolve(normalizeSource({ type: 'folder', baseUrl })));
+  });
+  document.getElementById('data-source-bundled-btn').addEventListener('click', () => {
+    choose(Promise.resolve(BUNDLED_SOURCE));
+  });
+  document.getElementById('data-source-check-btn').addEventListener('click', check);
+
+  applyBtn.addEventListener('click', async () => {
+    if (!lastReport?.ok) return;
+    applyBtn.disabled = true;
+    try {
+      await handlers.onApply(candidate);
+    } catch (error) {
+      console.error('Data source could not be applied:', error);
+      document.getElementById('data-source-report').insertAdjacentHTML('afterbegin',
+        `<div class="alert alert-danger small">${escapeHtml(error.message)}</div>`);
+      applyBtn.disabled = false;
+    }
+  });
+
+  if (activeSource.type === 'folder') {
+    document.getElementById('data-source-url').value = activeSource.baseUrl;
+  }
+  renderStatus();
+}
+
+function renderValidationReport(report, source, onMap) {
+  const container = document.getElementById('data-source-report');
+  if (!container) return;
+
+  const originBadge = (origin) => (origin === 'source'
+    ? '<span class="badge bg-primary">source</span>'
+    : (origin === 'bundled' ? '<span class="badge bg-light text-dark">bundled</span>' : '<span class="badge bg-danger">missing</span>'));
+  const problemList = (items, cls) => items.map(item => `
+    <li class="${cls}">
+      ${item.column ? `<code>${escapeHtml(item.column)}</code>: ` : ''}${escapeHtml(item.message)}
+      ${item.rows?.length ? `<span class="text-muted">(row${item.rows.length > 1 ? 's' : ''} ${item.rows.join(', ')}${item.count > item.rows.length ? ` and ${item.count - item.rows.length} more` : ''})</span>` : ''}
+    </li>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="alert ${report.ok ? 'alert-success' : 'alert-danger'} small py-2">
+      ${report.ok
+    ? '<i class="bi bi-check-circle me-1"></i>All datasets match the data dictionary.'
+    : '<i class="bi bi-x-circle me-1"></i>Fix or map the flagged columns before using this source.'}
+    </div>
+    <table class="table table-sm small align-middle">
+      <thead class="table-light">
+        <tr><th>Dataset</th><th>From</th><th class="text-end">Rows</th><th>Checks</th></tr>
+      </thead>
+      <tbody>
+        ${report.datasets.map(d => `
+          <tr>
+            <td>
+              <code>${escapeHtml(d.filename)}</code>
+              ${d.required ? '' : '<span class="text-muted">(optional)</span>'}
+            </td>
+            <td>${originBadge(d.origin)}</td>
+            <td class="text-end">${d.format === 'csv' ? d.rows.toLocaleString() : '—'}</td>
+            <td>
+              ${d.errors.length || d.warnings.length ? `
+                <ul class="mb-1 ps-3">${problemList(d.errors, 'text-danger')}${problemList(d.warnings, 'text-muted')}</ul>
+              ` : '<span class="text-success"><i class="bi bi-check"></i> OK</span>'}
+              ${d.origin === 'source' && d.format === 'csv' ? mappingControls(d, source) : ''}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  container.querySelectorAll('.column-map-select').forEach(select => {
+    select.onchange = () => onMap(select.dataset.file, select.dataset.expected, select.value);
+  });
+}
+
+/**
+ * Selects mapping each expected column that is missing (or already mapped) onto a column of the file
+ */
+function mappingControls(report, source) {
+  const mapped = source.columnMap[report.filename] || {};
+  const expected = [...new Set([...report.missing, ...Object.keys(mapped)])];
+  if (expected.length === 0) return '';
+
+  // Header is after renaming, so mapped columns appear under their expected name
+  const unmatched = report.header.filter(column => !report.expectedColumns.includes(column));
+  return `
+    <div class="d-flex flex-wrap gap-2 mt-1">
+      ${expected.map(column => `
+        <div class="input-group input-group-sm" style="width: auto;">
+          <span class="input-group-text"><code>${escapeHtml(column)}</code>&nbsp;←</span>
+          <select class="form-select form-select-sm column-map-select" data-file="${escapeHtml(report.filename)}" data-expected="${escapeHtml(column)}">
+            <option value="">not mapped</option>
+            ${[...(mapped[column] ? [mapped[column]] : []), ...unmatched].map(option => `
+              <option value="${escapeHtml(option)}" ${mapped[column] === option ? 'selected' : ''}>${escapeHtml(option)}</option>
+            `).join('')}
+          </select>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// ========== Reading & validation ==========
+
+async function readWithOrigin(filename, source) {
+  let text = null;
+  let origin = 'bundled';
+
+  if (source.type === 'files' && source.files[filename] != null) {
+    text = source.files[filename];
+    origin = 'source';
+  } else if (source.type === 'folder') {
+    const response = await fetch(`${source.baseUrl}${filename}`, { cache: 'no-cache' }).catch(() => null);
+    if (response?.ok) {
+      text = await response.text();
+      origin = 'source';
+    }
+  }
+
+  if (text === null) {
+    // no-cache: revalidate so edited files (scenarios.json, a refreshed quarter) are picked up
+    const response = await fetch(`${BUNDLED_BASE_URL}${filename}`, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    text = await response.text();
+  }
+
+  const mapping = source.columnMap?.[filename];
+  if (origin === 'source' && mapping && /\.csv$/i.test(filename)) {
+    text = renameCsvColumns(text, mapping);
+  }
+  return { text, origin };
+}
+
+/**
+ * Rename header cells of a CSV (mapping: expected column ← column in the file)
+ */
+function renameCsvColumns(text, mapping) {
+  const body = text.replace(/^\uFEFF/, '');
+  const end = body.search(/\r?\n/);
+  const headerLine = end === -1 ? body : body.slice(0, end);
+  const renames = Object.fromEntries(Object.entries(mapping).map(([expected, column]) => [column, expected]));
+  const header = headerLine
+    .split(',')
+    .map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+    .map(cell => renames[cell] ?? cell);
+  return header.join(',') + (end === -1 ? '' : body.slice(end));
+}
+
+function validateCsv(text, spec, report) {
+  const rows = d3.csvParse(text.replace(/^\uFEFF/, '').trim());
+  const columns = spec.columns || {};
+  report.rows = rows.length;
+  report.header = rows.columns;
+  report.expectedColumns = Object.keys(columns);
+  report.missing = report.expectedColumns.filter(column => !rows.columns.includes(column));
+
+  report.missing.forEach(column => {
+    report.errors.push({ column, message: 'Missing column', rows: [], count: 1 });
+  });
+  if (rows.length === 0) {
+    report.errors.push({ column: null, message: 'No data rows', rows: [], count: 1 });
+  }
+
+  Object.entries(columns)
+    .filter(([column]) => rows.columns.includes(column))
+    .forEach(([column, definition]) => {
+      const problems = new Map();
+      rows.forEach((row, index) => {
+        const message = checkValue(row[column], definition);
+        if (!message) return;
+        const problem = problems.get(message) || { column, message, rows: [], count: 0 };
+        problem.count++;
+        if (problem.rows.length < MAX_EXAMPLE_ROWS) problem.rows.push(index + 2); // line in the file
+        problems.set(message, problem);
+      });
+      report.errors.push(...problems.values());
+    });
+}
+
+function validateJson(text, spec, report) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    report.errors.push({ column: null, message: `Not valid JSON: ${error.message}`, rows: [], count: 1 });
+    return;
+  }
+  if (spec.root === 'array' && !Array.isArray(data)) {
+    report.errors.push({ column: null, message: 'Expected a JSON array', rows: [], count: 1 });
+    return;
+  }
+  (spec.required_keys || []).forEach(key => {
+    if (!data || data[key] === undefined) {
+      report.errors.push({ column: key, message: 'Missing key', rows: [], count: 1 });
+    }
+  });
+}
+
+/**
+ * Check one CSV value against its data dictionary entry
+ * @returns {string|null} Problem, or null when the value is fine
+ */
+function checkValue(raw, definition) {
+  const value = (raw ?? '').trim();
+  if (value === '') {
+    return definition.nullable ? null : 'Empty value in a non-nullable column';
+  }
+
+  if (definition.allowed_values && !definition.allowed_values.map(String).includes(value)) {
+    return `Not one of ${definition.allowed_values.join(', ')}`;
+  }
+
+  switch (definition.type) {
+    case 'integer':
+    case 'float': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return `Not a number`;
+      if (definition.type === 'integer' && !Number.isInteger(number)) return 'Not a whole number';
+      if (definition.min != null && number < definition.min) return `Below the minimum of ${definition.min}`;
+      if (definition.max != null && number > definition.max) return `Above the maximum of ${definition.max}`;
+      return null;
+    }
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().startsWith(value)
+        ? null
+        : 'Not a YYYY-MM-DD date';
+    }
+    case 'boolean':
+      return /^(true|false)$/i.test(value) ? null : 'Not true / false';
+    default:
+      return null;
+  }
+}
+
+// ========== Source state ==========
+
+function normalizeSource(source) {
+  const columnMap = source?.columnMap && typeof source.columnMap === 'object' ? source.columnMap : {};
+  if (source?.type === 'folder' && source.baseUrl) {
+    return { type: 'folder', baseUrl: source.baseUrl.endsWith('/') ? source.baseUrl : `${source.baseUrl}/`, columnMap };
+  }
+  if (source?.type === 'files' && source.files && Object.keys(source.files).length) {
+    return { type: 'files', label: source.label || 'Dropped files', files: source.files, columnMap };
+  }
+  return { ...BUNDLED_SOURCE, columnMap };
+}
+
+/**
+ * Store a source; on failure the previously stored source is put back
+ */
+function persistSource(source) {
+  const { files, ...descriptor } = source;
+  let previous = null;
+  try {
+    previous = {
+      descriptor: localStorage.getItem(SOURCE_KEY),
+      files: sessionStorage.getItem(FILES_KEY)
+    };
+    if (files) {
+      sessionStorage.setItem(FILES_KEY, JSON.stringify(files));
+    } else {
+      sessionStorage.removeItem(FILES_KEY);
+    }
+    localStorage.setItem(SOURCE_KEY, JSON.stringify(descriptor));
+  } catch (error) {
+    console.warn('Could not remember data source:', error);
+    try {
+      if (previous?.files != null) sessionStorage.setItem(FILES_KEY, previous.files);
+      else sessionStorage.removeItem(FILES_KEY);
+      if (previous?.descriptor != null) localStorage.setItem(SOURCE_KEY, previous.descriptor);
+      else localStorage.removeItem(SOURCE_KEY);
+    } catch (restoreError) {
+      console.warn('Could not restore the previous data source:', restoreError);
+    }
+    throw new Error(files
+      ? 'The dropped files are too large to keep across a page reload - serve them from a folder URL instead'
+      : 'Could not store the data source in this browser');
+  }
+}
+
+function loadStoredSource() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SOURCE_KEY) || 'null');
+    if (!stored) return BUNDLED_SOURCE;
+    if (stored.type === 'files') {
+      const files = JSON.parse(sessionStorage.getItem(FILES_KEY) || 'null');
+      if (!files) {
+        console.warn('⚠️ Dropped data files are only kept for the browser session - using the bundled data');
+        return BUNDLED_SOURCE;
+      }
+      return normalizeSource({ ...stored, files });
+    }
+    return normalizeSource(stored);
+  } catch (error) {
+    // No storage (e.g. inside the simulation worker) - the service sends the source instead
+    return BUNDLED_SOURCE;
+  }
+}
+
+// The segment engine is a classic script and reads through this
+if (typeof window !== 'undefined') {
+  window.dataSource = { readDataFile, readDataJson };
+}
@@ -4,6 +4,7 @@
  */
 
 import { showAlert } from './utils.js';
+import { readDataFile } from './data-source.js';
 
 // Dataset configuration - CSV files only
 const DATASETS = {
@@ -227,8 +228,8 @@ async function loadDataset(datasetKey) {
  * Load CSV file
  */
 async function loadCSV(filePath) {
-  const response = await fetch(filePath);
-  const text = await response.text();
+  // Read by file name so the active data source (not just data/) is shown
+  const text = await readDataFile(filePath.split('/').pop());
 
   // Parse CSV
   const lines = text.trim().split('\n');
@@ -7,7 +7,7 @@
 /**
  * Rank scenarios by selected objective
  * @param {Array} scenarios - Array of simulated scenario results
- * @param {string} objective - Objective lens (growth-max, revenue-max, churn-capped, mix-targeted)
+ * @param {string} objective - Objective lens (growth-max, revenue-max, profit-max, churn-capped, mix-targeted)
  * @param {Object} constraints - Optional constraints (churn_cap, revenue_floor, premium_share_target)
  * @returns {Array} - Top 3 ranked scenarios with scores and rationale
  */
@@ -67,6 +67,12 @@ function calculateObjectiveScore(scenario, objective, constraints) {
       const churnImpact = (delta.churn_rate || 0) * 100;
       return (revGrowth * 2) + arpuGrowth - (churnImpact * 2);
 
+    case 'profit-max':
+      // Maximize contribution margin (revenue less the cost model's costs) with acceptable churn
+      const contributionGrowth = delta.contribution_pct || 0;
+      const churnCost = (delta.churn_rate || 0) * 100;
+      return (contributionGrowth * 2) + (delta.revenue_pct || 0) * 0.5 - (churnCost * 2);
+
     case 'churn-capped':
       // Minimize churn while maintaining revenue
       const churnDelta = delta.churn_rate || 0;
@@ -187,6 +193,23 @@ function generateRationale(scenario, objective, isTop) {
       }
       break;
 
+    case 'profit-max':
+      const contributionChange = delta.contribution_pct || 0;
+      if (contributionChange > 0) {
+        rationale.push(`✓ Grows contribution margin (+${contributionChange.toFixed(1)}%)`);
+      } else {
+        rationale.push(`⚠ Contribution margin ${contributionChange.toFixed(1)}%`);
+      }
+      if (revChange < 0 && contributionChange > 0) {
+        rationale.push(`✓ Gives up ${Math.abs(revChange).toFixed(1)}% revenue for margin`);
+      }
+      if (churnChange <= 0.03) {
+        rationale.push(`✓ Non-return rate remains within acceptable range`);
+      } else {
+        rationale.push(`⚠ Higher non-return risk (+${(churnChange * 100).toFixed(2)}pp)`);
+      }
+      break;
+
     case 'churn-capped':
       if (churnChange < 0) {
         rationale.push(`✓ Reduces churn by ${Math.abs(churnChange * 100).toFixed(2)}pp`);
@@ -235,6 +258,7 @@ export function getObjectiveDisplayName(objective) {
   const names = {
     'growth-max': 'Growth Maximization',
     'revenue-max': 'Revenue Maximization',
+    'profit-max': 'Profit Maximization',
     'churn-capped': 'Churn-Capped (Retention Focus)',
     'mix-targeted': 'Mix-Shift (Tier Optimization)'
   };
@@ -248,6 +272,7 @@ export function getObjectiveDescription(objective) {
   const descriptions = {
     'growth-max': 'Prioritizes visitor growth while maintaining revenue health',
     'revenue-max': 'Maximizes revenue and ARPV with acceptable non-return levels',
+    'profit-max': 'Maximizes contribution margin after visit costs, food & merch COGS, promo fulfilment and CAC',
     'churn-capped': 'Protects retention by capping non-return rate at acceptable threshold',
     'mix-targeted': 'Optimizes pass mix to increase Premium/VIP share and ARPV'
   };
@@ -5,6 +5,7 @@
  */
 
 import { formatCurrency, formatPercent, formatNumber, showAlert } from './utils.js';
+import { revisionStamp } from './scenario-revisions.js';
 
 /**
  * Export Top 3 scenarios to PDF
@@ -47,7 +48,7 @@ export async function exportToPDF(top3Scenarios, objective, constraints = {}) {
 
     // Page 5: Audit Trail
     doc.addPage();
-    addAuditTrail(doc, constraints, timestamp);
+    addAuditTrail(doc, constraints, timestamp, top3Scenarios);
 
     // Save PDF
     const filename = `Decision_Pack_${new Date().toISOString().split('T')[0]}.pdf`;
@@ -140,6 +141,7 @@ function addExecutiveSummary(doc, top3, objective, timestamp) {
   const winner = top3[0];
   const summary = [
     `Recommended Option: ${winner.scenario_name || winner.id}`,
+    `Scenario Revision: ${formatRevision(winner)}`,
     ``,
     `Key Metrics:`,
     `• Revenue Impact: ${winner.delta.revenue >= 0 ? '+' : ''}${formatPercent(winner.delta.revenue_pct, 1)}`,
@@ -348,7 +350,7 @@ function addImplementationGuidance(doc, winner) {
   doc.text('Page 4 of 5', 180, 285);
 }
 
-function addAuditTrail(doc, constraints, timestamp) {
+function addAuditTrail(doc, constraints, timestamp, top3) {
   // Header
   doc.setFontSize(14);
   doc.setTextColor(0, 0, 0);
@@ -382,6 +384,18 @@ function addAuditTrail(doc, constraints, timestamp) {
     y += 7;
   });
 
+  // Exact scenario revisions behind the recommendation
+  y += 8;
+  doc.setFont(undefined, 'bold');
+  doc.text('Scenario Revisions Ranked:', 20, y);
+  doc.setFont(undefined, 'normal');
+  y += 7;
+  top3.forEach((scenario, index) => {
+    doc.text(`#${index + 1} ${scenario.scenario_name || scenario.id}`, 25, y);
+    doc.text(doc.splitTextToSize(formatRevision(scenario), 110), 80, y);
+    y += 10;
+  });
+
   // Disclaimer
   y += 15;
   doc.setFontSize(8);
@@ -414,13 +428,14 @@ function createSummarySheet(top3) {
     ['Decision Pack Summary'],
     [`Generated: ${new Date().toLocaleDateString()}`],
     [],
-    ['Rank', 'Scenario', 'Revenue', 'Subscribers', 'Churn', 'Risk', 'Score'],
+    ['Rank', 'Scenario', 'Revision', 'Revenue', 'Subscribers', 'Churn', 'Risk', 'Score'],
   ];
 
   top3.forEach((s, i) => {
     data.push([
       i + 1,
       s.scenario_name || s.id,
+      formatRevision(s),
       formatPercent(s.delta.revenue_pct, 1),
       formatPercent(s.delta.visitors_pct, 1),
       formatPercent(s.delta.churn_rate, 2) + 'pp',
@@ -436,13 +451,14 @@ function createScenariosSheet(scenarios) {
   const data = [
     ['All Scenarios'],
     [],
-    ['ID', 'Name', 'Tier', 'Price', 'Revenue %', 'Subs %', 'Churn pp', 'ARPU %']
+    ['ID', 'Name', 'Revision', 'Tier', 'Price', 'Revenue %', 'Subs %', 'Churn pp', 'ARPU %']
   ];
 
   scenarios.forEach(s => {
     data.push([
       s.id || s.scenario_id,
       s.scenario_name || s.name || '',
+      formatRevision(s),
       s.scenario_config?.tier || '',
       s.scenario_config?.new_price || '',
       formatPercent(s.delta?.revenue_pct || 0, 1),
@@ -491,10 +507,25 @@ function createMetadataSheet() {
   ];
 }
 
+/**
+ * Cite the scenario revision a result was simulated on, flagging results from a superseded revision
+ */
+function formatRevision(scenario) {
+  const stamp = scenario.scenario_revision;
+  if (!stamp) return 'not recorded (simulated before revisions were tracked)';
+
+  const when = stamp.createdAt ? new Date(stamp.createdAt).toISOString().split('T')[0] : 'scenarios.json';
+  const parts = [`r${stamp.revision}`, when, stamp.author ? `by ${stamp.author}` : null, stamp.note ? `"${stamp.note}"` : null];
+  const current = revisionStamp(scenario.scenario_id || scenario.id).revision;
+  if (current !== stamp.revision) parts.push(`(superseded - current is r${current})`);
+  return parts.filter(Boolean).join(', ');
+}
+
 function getObjectiveName(objective) {
   const names = {
     'growth-max': 'Growth Maximization',
     'revenue-max': 'Revenue Maximization',
+    'profit-max': 'Profit Maximization',
     'churn-capped': 'Churn-Capped (Retention)',
     'mix-targeted': 'Mix-Shift (Tier Optimization)'
   };
@@ -0,0 +1,482 @@
+/**
+ * Elasticity Estimator Module
+ * Re-estimates elasticity parameters from daily_aggregated.csv instead of the static JSON
+ *
+ * Fits log-log regressions per tier on the "clean" periods listed in validation_windows.json:
+ *   ln(daily_visitors)      ~ ln(avg_ticket_price) + controls   → base_elasticity
+ *   ln(return_rate)         ~ ln(avg_ticket_price) + controls   → churn_elasticity
+ *   ln(1 + new_registrations) ~ ln(avg_ticket_price) + controls → acquisition_elasticity
+ *   ln(fast_pass_attachment_rate) ~ ln(avg_ticket_price) + controls → ancillary_elasticity.fast_pass_attachment
+ *   ln(avg_ancillary_spend)   ~ ln(avg_ticket_price) + controls → ancillary_elasticity.ancillary_spend
+ * Controls: day-of-week and month dummies, event-calendar dummies, external factors.
+ *
+ * The output has the same shape as elasticity-params.json, with a standard_error per tier
+ * (confidence_interval is derived as 1.96 × SE so calculateElasticity() keeps working).
+ * A coefficient is only used when the data identifies it: ln_price present (fitOLS drops it when
+ * the price never varied), significant at 95% and, for visits and new visits, negative. Anything
+ * else keeps the static value and the reason is shown in the panel (estimation.checks).
+ * Fast Pass attachment and in-park spend may move either way with the ticket price (a dearer
+ * ticket squeezes the budget for extras, but selects visitors who spend more), so only
+ * significance is required there.
+ *
+ * Applied params live in dataCache.elasticityParams; simulation-service.js hands them to its worker,
+ * which is restarted whenever an estimate is applied or cleared.
+ *
+ * Dependencies: data-loader.js, stats-utils.js, simulation-service.js
+ */
+
+import {
+  loadDailyAggregated,
+  loadElasticityParams,
+  loadValidationWindows,
+  loadEventCalendar,
+  loadExternalFactors,
+  dataCache
+} from './data-loader.js';
+import { fitOLS, mean, variance } from './stats-utils.js';
+import { formatNumber, showAlert } from './utils.js';
+import { simulationService } from './simulation-service.js';
+
+const TIERS = ['standard_pass', 'premium_pass', 'vip_pass'];
+const EVENT_TYPES = ['holiday', 'special_event', 'school_break', 'weather'];
+const EXTERNAL_CONTROLS = [
+  'unemployment_rate',
+  'cpi',
+  'consumer_sentiment',
+  'competitor_avg_price',
+  'weather_score',
+  'school_break',
+  'gas_price_index'
+];
+// dataCache keys the estimate is built from (cleared on data refresh)
+const ESTIMATION_INPUTS = ['dailyAggregated', 'externalFactors', 'eventCalendar', 'validationWindows'];
+const ANCILLARY_KEYS = ['fast_pass_attachment', 'ancillary_spend'];
+const MIN_OBSERVATIONS = 60;
+const Z_95 = 1.96;
+
+// Latest estimate (kept so the panel can export / re-apply it)
+let latestEstimate = null;
+// elasticity-params.json as loaded from disk, before any estimate was applied
+let staticParamsSnapshot = null;
+
+/**
+ * Estimate elasticity parameters from the daily data
+ * @param {Object} options - { periods: Array<{start, end}> (defaults to clean_periods) }
+ * @returns {Promise<Object>} Params object in the elasticity-params.json shape
+ */
+export async function estimateElasticityParams(options = {}) {
+  const [dailyData, loadedParams, validationWindows, events, externalFactors] = await Promise.all([
+    loadDailyAggregated(),
+    loadElasticityParams(),
+    loadValidationWindows(),
+    loadEventCalendar(),
+    loadExternalFactors()
+  ]);
+
+  // Once an estimate has been applied the cache holds it, so compare against the original JSON
+  if (!loadedParams._estimation) staticParamsSnapshot = loadedParams;
+  const staticParams = staticParamsSnapshot || loadedParams;
+
+  const periods = options.periods || (validationWindows.clean_periods || []).map(p => ({
+    id: p.period_id,
+    start: p.start,
+    end: p.end
+  }));
+
+  if (periods.length === 0) {
+    throw new Error('No clean periods defined in validation_windows.json');
+  }
+
+  const eventIndex = buildEventDayIndex(events);
+  const sortedExternal = [...externalFactors].sort((a, b) => a.date.localeCompare(b.date));
+  const inCleanPeriod = date => periods.some(p => date >= p.start && date <= p.end);
+
+  const params = JSON.parse(JSON.stringify(staticParams));
+
+  for (const tier of TIERS) {
+    const rows = dailyData.filter(d =>
+      d.membership_tier === tier &&
+      inCleanPeriod(d.date) &&
+      d.avg_ticket_price > 0 &&
+      d.daily_visitors > 0 &&
+      d.return_rate > 0
+    );
+
+    if (rows.length < MIN_OBSERVATIONS) {
+      throw new Error(
+        `Only ${rows.length} clean-period rows for ${tier} (need ${MIN_OBSERVATIONS}). ` +
+        'Check that validation_windows.json clean_periods overlap daily_aggregated.csv.'
+      );
+    }
+
+    const design = buildDesignMatrix(rows, eventIndex, sortedExternal);
+
+    const demandFit = fitOLS(design.X, rows.map(d => Math.log(d.daily_visitors)), design.names);
+    const churnFit = fitOLS(design.X, rows.map(d => Math.log(d.return_rate)), design.names);
+    const acquisitionFit = fitOLS(design.X, rows.map(d => Math.log(1 + d.new_registrations)), design.names);
+
+    // Days without Fast Pass sales or in-park spend have no log, so they leave the ancillary fits
+    const ancillaryRows = rows.filter(d => d.fast_pass_attachment_rate > 0 && d.avg_ancillary_spend > 0);
+    const ancillaryDesign = ancillaryRows.length === rows.length
+      ? design
+      : buildDesignMatrix(ancillaryRows, eventIndex, sortedExternal);
+    const attachmentFit = fitOLS(ancillaryDesign.X, ancillaryRows.map(d => Math.log(d.fast_pass_attachment_rate)), ancillaryDesign.names);
+    const spendFit = fitOLS(ancillaryDesign.X, ancillaryRows.map(d => Math.log(d.avg_ancillary_spend)), ancillaryDesign.names);
+
+    // Return rate moves either way with price in the static params' convention, so only significance is required
+    const checks = {
+      base_elasticity: checkPriceCoefficient(demandFit, true),
+      churn_elasticity: checkPriceCoefficient(churnFit, false),
+      acquisition_elasticity: checkPriceCoefficient(acquisitionFit, true),
+      fast_pass_attachment: checkPriceCoefficient(attachmentFit, false),
+      ancillary_spend: checkPriceCoefficient(spendFit, false)
+    };
+    const staticTier = staticParams[tier] || {};
+    const pick = key => (checks[key].accepted ? checks[key].value : staticTier[key]);
+    const pickAncillary = key => (checks[key].accepted ? checks[key].value : staticTier.ancillary_elasticity?.[key]);
+
+    params[tier] = {
+      ...params[tier],
+      base_elasticity: pick('base_elasticity'),
+      churn_elasticity: pick('churn_elasticity'),
+      acquisition_elasticity: pick('acquisition_elasticity'),
+      ancillary_elasticity: Object.fromEntries(ANCILLARY_KEYS.map(key => [key, pickAncillary(key)])),
+      ...(checks.base_elasticity.accepted ? {
+        standard_error: checks.base_elasticity.standardError,
+        confidence_interval: round(Z_95 * checks.base_elasticity.standardError)
+      } : {}),
+      estimation: {
+        method: 'OLS log-log',
+        n_obs: demandFit.n,
+        r_squared: round(demandFit.rSquared),
+        controls: demandFit.names.filter(name => name !== 'intercept' && name !== 'ln_price'),
+        standard_errors: {
+          base_elasticity: checks.base_elasticity.standardError,
+          churn_elasticity: checks.churn_elasticity.standardError,
+          acquisition_elasticity: checks.acquisition_elasticity.standardError,
+          fast_pass_attachment: checks.fast_pass_attachment.standardError,
+          ancillary_spend: checks.ancillary_spend.standardError
+        },
+        checks,
+        static_base_elasticity: staticTier.base_elasticity ?? null
+      }
+    };
+  }
+
+  params._estimation = {
+    estimated_at: new Date().toISOString(),
+    source: 'daily_aggregated.csv',
+    periods,
+    // Tiers whose visit elasticity came from the data (the rest keep the static value)
+    accepted_tiers: TIERS.filter(tier => params[tier].estimation.checks.base_elasticity.accepted)
+  };
+
+  latestEstimate = params;
+  return params;
+}
+
+/**
+ * Make an estimated params object the active elasticity parameters
+ * Every later calculateElasticity() / forecast call reads from the data cache; the simulation
+ * worker is reset so its next job starts from these params too.
+ * @param {Object} params - Output of estimateElasticityParams()
+ */
+export function applyEstimatedParams(params) {
+  if (!params?._estimation) {
+    throw new Error('No estimated parameters to apply');
+  }
+  if (!TIERS.some(tier => Object.values(params[tier].estimation.checks).some(check => check.accepted))) {
+    throw new Error('The data does not identify any elasticity - the static parameters stay in use');
+  }
+  TIERS.forEach(tier => {
+    ['base_elasticity', 'churn_elasticity', 'acquisition_elasticity'].forEach(key => {
+      if (!Number.isFinite(params[tier][key])) {
+        throw new Error(`${tier} ${key} is not a number`);
+      }
+    });
+    ANCILLARY_KEYS.forEach(key => {
+      if (!Number.isFinite(params[tier].ancillary_elasticity?.[key])) {
+        throw new Error(`${tier} ancillary ${key} is not a number`);
+      }
+    });
+  });
+  dataCache.elasticityParams = params;
+  simulationService.reset();
+}
+
+/**
+ * Go back to the static elasticity-params.json values
+ * @returns {boolean} Whether an applied estimate was cleared
+ */
+export function clearEstimatedParams() {
+  if (!dataCache.elasticityParams?._estimation) return false;
+  dataCache.elasticityParams = staticParamsSnapshot;
+  simulationService.reset();
+  return true;
+}
+
+/**
+ * Decide whether a fitted ln_price coefficient can replace the static value
+ * @param {Object} fit - fitOLS() result
+ * @param {boolean} expectNegative - Visits and new visits must fall as price rises
+ * @returns {Object} { accepted, value, standardError, t, reason }
+ */
+function checkPriceCoefficient(fit, expectNegative) {
+  const value = fit.coefficients.ln_price;
+  const standardError = fit.standardErrors.ln_price;
+  if (!Number.isFinite(value) || !Number.isFinite(standardError) || standardError === 0) {
+    return { accepted: false, value: null, standardError: null, t: null, reason: 'Price did not vary in the clean periods' };
+  }
+
+  const t = value / standardError;
+  const result = { value: round(value), standardError: round(standardError), t: round(t, 2) };
+  if (expectNegative && value >= 0) {
+    return { ...result, accepted: false, reason: 'Wrong sign (demand rising with price)' };
+  }
+  if (Math.abs(t) < Z_95) {
+    return { ...result, accepted: false, reason: `Not significant (|t| = ${Math.abs(t).toFixed(2)} < ${Z_95})` };
+  }
+  return { ...result, accepted: true, reason: null };
+}
+
+/**
+ * Map each date to the event types active on it
+ * School breaks run for a week; "Weekend" events cover three days; everything else one day.
+ * @param {Array} events - Rows of event_calendar.csv
+ * @returns {Object} { 'YYYY-MM-DD': Set<event_type> }
+ */
+export function buildEventDayIndex(events) {
+  const index = {};
+  (events || []).forEach(event => {
+    let days = 1;
+    if (event.event_type === 'school_break') days = 7;
+    else if (/weekend/i.test(event.event_name || '')) days = 3;
+
+    for (let i = 0; i < days; i++) {
+      const date = addDays(event.date, i);
+      (index[date] = index[date] || new Set()).add(event.event_type);
+    }
+  });
+  return index;
+}
+
+/**
+ * Get the weekly external-factors row in effect on a date (latest row on or before it)
+ * Dates outside the weeks the series covers get null rather than the nearest (stale) row.
+ * @param {Array} sortedExternal - external_factors.csv rows sorted by date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} External factor row
+ */
+export function getExternalFactorsForDate(sortedExternal, date) {
+  const coverage = getExternalFactorsCoverage(sortedExternal);
+  if (!coverage || date < coverage.start || date > coverage.end) return null;
+
+  let match = null;
+  for (const row of sortedExternal) {
+    if (row.date > date) break;
+    match = row;
+  }
+  return match;
+}
+
+/**
+ * Days covered by the weekly external-factors series (each row stands for its week)
+ * @param {Array} sortedExternal - external_factors.csv rows sorted by date
+ * @returns {Object|null} { start, end, lastRow } in YYYY-MM-DD
+ */
+export function getExternalFactorsCoverage(sortedExternal) {
+  if (!sortedExternal?.length) return null;
+  const lastRow = sortedExternal[sortedExternal.length - 1].date;
+  return { start: sortedExternal[0].date, end: addDays(lastRow, 6), lastRow };
+}
+
+/**
+ * Build the regression design matrix for a tier
+ */
+function buildDesignMatrix(rows, eventIndex, sortedExternal) {
+  const months = [...new Set(rows.map(d => d.month))].sort((a, b) => a - b).slice(1);
+  const dows = [...new Set(rows.map(d => d.dow))].sort((a, b) => a - b).slice(1);
+
+  // Standardise external controls so the normal equations stay well-conditioned
+  const externalRows = rows.map(d => getExternalFactorsForDate(sortedExternal, d.date) || {});
+  const externalStats = {};
+  EXTERNAL_CONTROLS.forEach(col => {
+    const values = externalRows.map(r => r[col]).filter(Number.isFinite);
+    externalStats[col] = { mean: mean(values), sd: Math.sqrt(variance(values)) || 1 };
+  });
+
+  const names = [
+    'intercept',
+    'ln_price',
+    ...dows.map(d => `dow_${d}`),
+    ...months.map(m => `month_${m}`),
+    ...EVENT_TYPES.map(t => `event_${t}`),
+    ...EXTERNAL_CONTROLS
+  ];
+
+  const X = rows.map((d, i) => {
+    const eventsToday = eventIndex[d.date] || new Set();
+    const ext = externalRows[i];
+    return [
+      1,
+      Math.log(d.avg_ticket_price),
+      ...dows.map(dow => (d.dow === dow ? 1 : 0)),
+      ...months.map(m => (d.month === m ? 1 : 0)),
+      ...EVENT_TYPES.map(t => (eventsToday.has(t) ? 1 : 0)),
+      ...EXTERNAL_CONTROLS.map(col => {
+        const value = Number.isFinite(ext[col]) ? ext[col] : externalStats[col].mean;
+        return (value - externalStats[col].mean) / externalStats[col].sd;
+      })
+    ];
+  });
+
+  return { X, names };
+}
+
+/**
+ * Initialize the elasticity estimation panel (Data Explorer step)
+ */
+export function initializeElasticityEstimator() {
+  const runBtn = document.getElementById('estimate-elasticity-btn');
+  const applyBtn = document.getElementById('apply-estimate-btn');
+  const clearBtn = document.getElementById('clear-estimate-btn');
+  const downloadBtn = document.getElementById('download-estimate-btn');
+  if (!runBtn) return;
+
+  const runEstimate = async () => {
+    runBtn.disabled = true;
+    runBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Estimating...';
+    try {
+      const params = await estimateElasticityParams();
+      renderEstimateTable(params);
+      if (applyBtn) {
+        applyBtn.disabled = !TIERS.some(tier => Object.values(params[tier].estimation.checks).some(check => check.accepted));
+      }
+      if (downloadBtn) downloadBtn.disabled = false;
+    } catch (error) {
+      console.error('Elasticity estimation failed:', error);
+      showAlert('Elasticity estimation failed: ' + error.message, 'danger');
+    } finally {
+      runBtn.disabled = false;
+      runBtn.innerHTML = '<i class="bi bi-calculator me-2"></i>Re-estimate from Data';
+    }
+  };
+
+  runBtn.addEventListener('click', runEstimate);
+
+  // Data refresh: drop the cached inputs and re-fit so the estimate tracks the files on disk
+  document.getElementById('refresh-data-btn')?.addEventListener('click', () => {
+    if (!latestEstimate) return;
+    ESTIMATION_INPUTS.forEach(key => {
+      dataCache[key] = null;
+    });
+    runEstimate();
+  });
+
+  applyBtn?.addEventListener('click', () => {
+    try {
+      applyEstimatedParams(latestEstimate);
+      if (clearBtn) clearBtn.disabled = false;
+      showAlert('Estimated elasticities are now used by simulations, Monte Carlo bands and the optimizer for the rest of this session (static values where the data did not identify one).', 'success');
+    } catch (error) {
+      showAlert(error.message, 'warning');
+    }
+  });
+
+  clearBtn?.addEventListener('click', () => {
+    if (clearEstimatedParams()) {
+      showAlert('Simulations are back on the static elasticity-params.json values.', 'info');
+    }
+    clearBtn.disabled = true;
+  });
+
+  downloadBtn?.addEventListener('click', () => {
+    if (!latestEstimate) return;
+    const blob = new Blob([JSON.stringify(latestEstimate, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'elasticity-params.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+}
+
+/**
+ * Render estimated vs static elasticities
+ */
+function renderEstimateTable(params) {
+  const container = document.getElementById('elasticity-estimate-results');
+  if (!container) return;
+
+  // Estimate ± SE, then what the simulations would use
+  const estimateCell = (check, used) => {
+    const fitted = check.value === null ? 'n/a' : `${check.value} <span class="text-muted small">± ${check.standardError}</span>`;
+    return check.accepted
+      ? `<td><strong>${fitted}</strong> <span class="badge bg-success">used</span></td>`
+      : `<td>${fitted}<div class="small text-danger">${check.reason} - static ${used} kept</div></td>`;
+  };
+
+  const rows = TIERS.map(tier => {
+    const p = params[tier];
+    const est = p.estimation;
+    return `
+      <tr>
+        <td>${tier.replace('_', ' ')}</td>
+        <td>${est.static_base_elasticity ?? '-'}</td>
+        ${estimateCell(est.checks.base_elasticity, p.base_elasticity)}
+        ${estimateCell(est.checks.churn_elasticity, p.churn_elasticity)}
+        ${estimateCell(est.checks.acquisition_elasticity, p.acquisition_elasticity)}
+        ${estimateCell(est.checks.fast_pass_attachment, p.ancillary_elasticity.fast_pass_attachment)}
+        ${estimateCell(est.checks.ancillary_spend, p.ancillary_elasticity.ancillary_spend)}
+        <td>${formatNumber(est.n_obs)}</td>
+        <td>${est.r_squared.toFixed(2)}</td>
+      </tr>
+    `;
+  }).join('');
+  const anyAccepted = TIERS.some(tier => Object.values(params[tier].estimation.checks).some(check => check.accepted));
+
+  const periods = params._estimation.periods.map(p => `${p.id || ''} ${p.start} - ${p.end}`).join(', ');
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-sm table-hover mb-2">
+        <thead class="table-light">
+          <tr>
+            <th>Tier</th>
+            <th>Static ε</th>
+            <th>Estimated ε (± SE)</th>
+            <th>Return-rate ε</th>
+            <th>New-visit ε</th>
+            <th>Fast Pass attach ε</th>
+            <th>In-park spend ε</th>
+            <th>Obs</th>
+            <th>R²</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    ${anyAccepted ? '' : `
+      <div class="alert alert-warning small py-2 mb-2">
+        <i class="bi bi-exclamation-triangle me-1"></i>
+        The clean periods do not identify any elasticity (${formatNumber(params[TIERS[0]].estimation.n_obs)} days per tier),
+        so there is nothing to apply - the static parameters stay in use.
+      </div>
+    `}
+    <div class="small text-muted">
+      <i class="bi bi-info-circle me-1"></i>
+      Clean periods used: ${periods}. Controls: day-of-week, month, event calendar, external factors.
+    </div>
+  `;
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value, decimals = 4) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -11,7 +11,7 @@ import { loadElasticityParams } from './data-loader.js';
  * Calculate elasticity for a specific tier and segment
  * @param {string} tier - Tier name (standard_pass, premium_pass, vip_pass)
  * @param {string} segment - Segment name (optional)
- * @param {Object} options - Additional options {cohort, timeHorizon}
+ * @param {Object} options - Additional options {cohort, timeHorizon, externalConditions}
  * @returns {Promise<Object>} Elasticity object with value and confidence interval
  */
 export async function calculateElasticity(tier, segment = null, options = {}) {
@@ -32,11 +32,18 @@ export async function calculateElasticity(tier, segment = null, options = {}) {
       adjustedElasticity = vipElasticity * multiplier;
     }
 
+    const external = applyExternalFactors(
+      adjustedElasticity,
+      params.standard_pass?.external_factors,
+      options.externalConditions
+    );
+
     return {
-      elasticity: adjustedElasticity,
+      elasticity: external.elasticity,
       confidenceInterval: vipCI,
-      lowerBound: adjustedElasticity - vipCI,
-      upperBound: adjustedElasticity + vipCI,
+      lowerBound: external.elasticity - vipCI,
+      upperBound: external.elasticity + vipCI,
+      externalAdjustments: external.adjustments,
       isVIP: true
     };
   }
@@ -70,11 +77,56 @@ export async function calculateElasticity(tier, segment = null, options = {}) {
     elasticity = elasticity * multiplier;
   }
 
+  // Apply macro-condition multipliers (high inflation, competitor moves, weather, ...)
+  // Only standard_pass carries an external_factors block; it applies park-wide
+  const external = applyExternalFactors(
+    elasticity,
+    params[tier].external_factors || params.standard_pass?.external_factors,
+    options.externalConditions
+  );
+  elasticity = external.elasticity;
+
   return {
     elasticity,
     confidenceInterval,
     lowerBound: elasticity - confidenceInterval,
-    upperBound: elasticity + confidenceInterval
+    upperBound: elasticity + confidenceInterval,
+    externalAdjustments: external.adjustments
+  };
+}
+
+/**
+ * Scale an elasticity by the external_factors multipliers of the active conditions
+ * Multipliers compound, e.g. high_inflation (1.15) × bad_weather_forecast (1.3) = 1.495.
+ *
+ * @param {number} elasticity - Elasticity before macro adjustments
+ * @param {Object} externalFactors - external_factors block from elasticity-params.json
+ * @param {Array<string>} conditions - Active condition keys (e.g. ['high_inflation'])
+ * @returns {Object} { elasticity, multiplier, adjustments: [{ condition, multiplier, elasticityBefore, elasticityAfter }] }
+ */
+export function applyExternalFactors(elasticity, externalFactors, conditions = []) {
+  const adjustments = [];
+  let adjusted = elasticity;
+
+  (conditions || []).forEach(condition => {
+    const multiplier = externalFactors?.[condition];
+    if (!multiplier) {
+      console.warn(`No external factor multiplier for condition: ${condition}`);
+      return;
+    }
+    adjustments.push({
+      condition,
+      multiplier,
+      elasticityBefore: adjusted,
+      elasticityAfter: adjusted * multiplier
+    });
+    adjusted *= multiplier;
+  });
+
+  return {
+    elasticity: adjusted,
+    multiplier: elasticity !== 0 ? adjusted / elasticity : 1,
+    adjustments
   };
 }
 
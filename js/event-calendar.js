@@ -5,11 +5,15 @@
 
 import { loadEventCalendar, loadPromoMetadata, loadValidationWindows } from './data-loader.js';
 import { formatCurrency, formatPercent, formatNumber } from './utils.js';
+import { runBacktests, BACKTEST_KPIS } from './backtest.js';
+import { runPromoPostMortems, buildPromoMetadataWithPostMortems } from './promo-postmortem.js';
+import { estimateEventImpacts } from './event-impact.js';
 
 // Global state
 let allEvents = [];
 let promoMetadata = {};
 let validationWindows = {};
+let eventImpacts = null;
 let activeFilters = {
   holiday: true,
   special_event: true,
@@ -31,14 +35,23 @@ export async function initializeEventCalendar() {
       loadValidationWindows()
     ]);
 
+    try {
+      eventImpacts = await estimateEventImpacts();
+    } catch (error) {
+      console.warn('Event impact estimation failed:', error);
+    }
+
     // Update event count badge
     updateEventCountBadge();
 
     // Render all components
     renderEventTimeline();
     renderEventTable();
+    renderEventImpacts();
     renderPromoCards();
     renderValidationWindows();
+    renderBacktestResults();
+    renderPromoPostMortems();
 
     // Setup event listeners
     setupEventFilters();
@@ -217,6 +230,7 @@ function showEventDetails(event) {
         <button type="button" class="btn-close" onclick="document.getElementById('timeline-details').style.display='none'"></button>
       </div>
       <p class="mb-0"><strong>Expected Impact:</strong> ${event.impact_level.charAt(0).toUpperCase() + event.impact_level.slice(1)} visitor impact expected for this ${eventTypeDisplay.toLowerCase()}.</p>
+      ${measuredImpactText(event)}
     </div>
   `;
 
@@ -237,7 +251,7 @@ function renderEventTable() {
   const filteredEvents = filterEvents();
 
   if (filteredEvents.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="3" class="text-center text-muted">No events match the current filters</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted">No events match the current filters</td></tr>';
     return;
   }
 
@@ -253,6 +267,7 @@ function renderEventTable() {
         <td class="text-nowrap">${dateStr}</td>
         <td><strong>${event.event_name}</strong><br><span class="badge bg-primary small">${eventTypeDisplay}</span></td>
         <td><span class="badge ${impactBadge.class}">${impactBadge.text}</span></td>
+        <td>${formatLift(findMeasuredEvent(event))}</td>
       </tr>
     `;
   });
@@ -260,6 +275,91 @@ function renderEventTable() {
   tbody.innerHTML = html;
 }
 
+/**
+ * Render measured lift per event type (event-impact.js)
+ */
+function renderEventImpacts() {
+  const container = document.getElementById('event-impact-container');
+  if (!container) return;
+
+  if (!eventImpacts) {
+    container.innerHTML = '<div class="text-center text-muted small">Event impact not available</div>';
+    return;
+  }
+
+  const types = Object.entries(eventImpacts.by_type).sort((a, b) => b[1].visitor_lift - a[1].visitor_lift);
+  const levels = ['high', 'medium', 'low'].filter(level => eventImpacts.by_impact_level[level]);
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-sm table-hover mb-2">
+        <thead class="table-light">
+          <tr>
+            <th>Event Type</th>
+            <th>Events</th>
+            <th>Days</th>
+            <th>Visitor Lift</th>
+            <th>Revenue Lift</th>
+            <th>Labelled Impact</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${types.map(([type, impact]) => `
+            <tr>
+              <td>${formatEventType(type)}</td>
+              <td>${impact.events}</td>
+              <td>${impact.days}</td>
+              <td>${formatLift(impact)}</td>
+              <td>${impact.revenue_lift != null ? formatSignedPercent(impact.revenue_lift) : '-'}</td>
+              <td class="small">${Object.entries(impact.impact_levels).map(([level, count]) => `${count} ${level}`).join(', ') || '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="small text-muted">
+      <strong>Labels vs measured:</strong>
+      ${levels.map(level => {
+        const stats = eventImpacts.by_impact_level[level];
+        return `${level} ${formatPercent(stats.mean_abs_lift, 1)} average size (${stats.events} events)`;
+      }).join(' · ')}
+      · Data ${formatDate(eventImpacts.data_range.start)} - ${formatDate(eventImpacts.data_range.end)}
+    </div>
+  `;
+}
+
+/**
+ * Measured impact of an event_calendar.csv event (null outside the daily data)
+ */
+function findMeasuredEvent(event) {
+  return eventImpacts?.events.find(e =>
+    e.source === 'event_calendar' && e.date === event.date && e.event_name === event.event_name) || null;
+}
+
+function measuredImpactText(event) {
+  const measured = findMeasuredEvent(event);
+  if (!measured) return '';
+  return `
+    <p class="mb-0 mt-2"><strong>Measured Impact:</strong> ${formatLift(measured)} visitors,
+      ${formatSignedPercent(measured.revenue_lift)} revenue vs the seasonal baseline
+      over ${measured.days} day${measured.days === 1 ? '' : 's'}.</p>
+  `;
+}
+
+/**
+ * Lift with its band; muted when inside the noise
+ */
+function formatLift(impact) {
+  if (!impact) return '<span class="text-muted">-</span>';
+  const cls = impact.significant === false ? 'text-muted' : impact.visitor_lift >= 0 ? 'text-success' : 'text-danger';
+  const band = impact.visitor_band != null ? ` <span class="small text-muted">±${(impact.visitor_band * 100).toFixed(1)}%</span>` : '';
+  return `<span class="${cls}">${formatSignedPercent(impact.visitor_lift)}</span>${band}`;
+}
+
+function formatSignedPercent(value) {
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
+
 /**
  * Render promo campaign performance cards
  */
@@ -324,6 +424,7 @@ function renderPromoCards() {
                 `<span class="badge bg-secondary text-white me-1">${tag}</span>`
               ).join('')}
             </div>
+            <div class="promo-postmortem mt-3 pt-2 border-top small" data-promo-id="${promo.promo_id}"></div>
           </div>
         </div>
       </div>
@@ -333,6 +434,117 @@ function renderPromoCards() {
   container.innerHTML = html;
 }
 
+/**
+ * Fill the post-mortem section of each promo card
+ * Measured from daily_aggregated.csv; a post_mortem stored in promo_metadata.json is shown when the
+ * campaign is outside the daily data
+ */
+async function renderPromoPostMortems() {
+  const sections = document.querySelectorAll('.promo-postmortem');
+  if (sections.length === 0) return;
+
+  sections.forEach(section => {
+    section.innerHTML = `
+      <div class="text-muted"><span class="spinner-border spinner-border-sm me-2"></span>Running post-mortem...</div>
+    `;
+  });
+
+  try {
+    const results = await runPromoPostMortems();
+
+    sections.forEach(section => {
+      const promo = promoMetadata[section.dataset.promoId];
+      const live = results[section.dataset.promoId];
+      const stored = promo?.post_mortem;
+      const useStored = stored && (!live || !isMeasured(live)) && isMeasured(stored);
+      section.innerHTML = renderPostMortemSection(useStored ? stored : live, useStored);
+    });
+
+    const exportBtn = document.getElementById('export-promo-postmortems-btn');
+    if (exportBtn) {
+      exportBtn.disabled = false;
+      exportBtn.onclick = () => {
+        const metadata = buildPromoMetadataWithPostMortems(promoMetadata, results);
+        const blob = new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'promo_metadata.json';
+        a.click();
+        URL.revokeObjectURL(url);
+      };
+    }
+  } catch (error) {
+    console.error('Error running promo post-mortems:', error);
+    sections.forEach(section => {
+      section.innerHTML = `<span class="text-danger">Post-mortem failed: ${error.message}</span>`;
+    });
+  }
+}
+
+/**
+ * Build the post-mortem block of a promo card
+ */
+function renderPostMortemSection(result, stored) {
+  if (!result) {
+    return '<span class="text-muted">No post-mortem available</span>';
+  }
+  if (!isMeasured(result)) {
+    return `
+      <strong>Post-mortem:</strong>
+      <span class="text-muted">${result.error || (result.notes || []).join('; ') || 'Not measurable'}</span>
+    `;
+  }
+
+  const { totals, pull_forward: pullForward, roll_off: rollOff } = result;
+  const signed = (value, text) => `<span class="${value >= 0 ? 'text-success' : 'text-danger'}">${value >= 0 ? '+' : ''}${text}</span>`;
+  const significance = totals.significant == null
+    ? ''
+    : totals.significant
+      ? '<span class="badge bg-success ms-1">Significant</span>'
+      : `<span class="badge bg-secondary ms-1" title="±${formatNumber(Math.round(totals.incremental_visitors_band))} visitors (95%)">Within noise</span>`;
+
+  let rollOffText = 'No roll-off';
+  if (rollOff.status === 'measured' || rollOff.status === 'partial') {
+    rollOffText = `${signed(rollOff.return_rate_change_pts, `${rollOff.return_rate_change_pts.toFixed(2)} pts`)}
+      return rate after ${formatDate(rollOff.date)}${rollOff.status === 'partial' ? ' (partial)' : ''}`;
+  } else if (rollOff.status === 'outside_data') {
+    rollOffText = `<span class="text-muted">${formatDate(rollOff.date)} - outside the daily data</span>`;
+  } else if (rollOff.status === 'no_comparison') {
+    rollOffText = `<span class="text-muted">${formatDate(rollOff.date)} - no clean comparison period</span>`;
+  }
+
+  return `
+    <div class="d-flex justify-content-between align-items-center mb-1">
+      <strong>Post-mortem</strong>
+      <span class="badge ${result.status === 'partial' ? 'bg-warning text-body' : 'bg-info'}">
+        ${stored ? 'Stored' : result.status === 'partial' ? 'Partial' : 'Measured'}
+      </span>
+    </div>
+    <div>Incremental visitors:
+      ${signed(totals.incremental_visitors, `${formatNumber(Math.round(totals.incremental_visitors))} (${totals.incremental_visitors_pct.toFixed(1)}%)`)}
+      ${significance}
+    </div>
+    <div>Incremental revenue: ${signed(totals.incremental_revenue, formatCurrency(totals.incremental_revenue, 0))}</div>
+    <div>Subsidy cost: ${formatCurrency(totals.subsidy_cost, 0)}
+      <span class="text-muted">(${formatNumber(Math.round(totals.subsidized_visitors))} visitors)</span>
+    </div>
+    <div>Pull-forward: ${pullForward.visitors > 0
+      ? `${formatNumber(Math.round(pullForward.visitors))} visitors in ${pullForward.days} days after`
+      : `none in ${pullForward.days} days after`}
+    </div>
+    <div>Roll-off: ${rollOffText}</div>
+    <div class="text-muted mt-1">
+      ${result.comparison.label} · ${result.window.days} days · data through ${formatDate(result.data_through)}
+      ${(result.notes || []).map(note => `<br><i class="bi bi-info-circle me-1"></i>${note}`).join('')}
+    </div>
+  `;
+}
+
+function isMeasured(result) {
+  return result.status === 'analyzed' || result.status === 'partial';
+}
+
 /**
  * Render validation windows table
  */
@@ -367,6 +579,126 @@ function renderValidationWindows() {
   tbody.innerHTML = html;
 }
 
+/**
+ * Render backtest results panel
+ * Replays validation_windows.backtesting_scenarios and shows MAPE per KPI and tier
+ */
+async function renderBacktestResults() {
+  const container = document.getElementById('backtest-results-container');
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="text-center text-muted small py-3">
+      <span class="spinner-border spinner-border-sm me-2"></span>Replaying backtests...
+    </div>
+  `;
+
+  try {
+    const results = await runBacktests();
+
+    if (results.length === 0) {
+      container.innerHTML = '<div class="text-center text-muted">No backtesting scenarios defined</div>';
+      return;
+    }
+
+    container.innerHTML = results.map(renderBacktestCard).join('');
+  } catch (error) {
+    console.error('Error running backtests:', error);
+    container.innerHTML = `
+      <div class="alert alert-danger mb-0">
+        <i class="bi bi-exclamation-triangle me-2"></i>
+        Error running backtests: ${error.message}
+      </div>
+    `;
+  }
+}
+
+/**
+ * Build a single backtest result card
+ */
+function renderBacktestCard(result) {
+  if (result.error) {
+    return `
+      <div class="alert alert-warning small mb-3">
+        <code>${result.scenario_id}</code>: ${result.error}
+      </div>
+    `;
+  }
+
+  const kpis = Object.keys(BACKTEST_KPIS);
+  const tiers = Object.keys(result.tiers);
+  const mapeCell = value => {
+    if (value === null || value === undefined) return '<td class="text-muted">-</td>';
+    if (!result.scored) return `<td>${value.toFixed(1)}%</td>`;
+    const cls = value <= result.mape_target ? 'text-success' : 'text-danger';
+    return `<td class="${cls}">${value.toFixed(1)}%</td>`;
+  };
+
+  const rows = tiers.map(tier => `
+    <tr>
+      <td>${formatTier(tier)}</td>
+      ${kpis.map(kpi => mapeCell(result.tiers[tier][kpi].mape)).join('')}
+    </tr>
+  `).join('');
+
+  let verdictBadge;
+  if (!result.scored) {
+    verdictBadge = '<span class="badge bg-light text-dark border" title="The success criterion is not a MAPE target; MAPE is shown for reference only">Not scored</span>';
+  } else if (result.passed) {
+    verdictBadge = `<span class="badge bg-success">All KPIs within ±${result.mape_target}% MAPE</span>`;
+  } else {
+    const failing = result.failing_kpis.map(kpi => BACKTEST_KPIS[kpi].label).join(', ');
+    verdictBadge = `<span class="badge bg-danger">Outside ±${result.mape_target}% MAPE: ${failing}</span>`;
+  }
+
+  return `
+    <div class="card mb-3">
+      <div class="card-header d-flex justify-content-between align-items-center">
+        <div>
+          <code class="small">${result.scenario_id}</code>
+          <span class="text-muted small ms-2">
+            Train ${formatDate(result.train_window.start)} - ${formatDate(result.train_window.end)} ·
+            Test ${formatDate(result.test_window.start)} - ${formatDate(result.test_window.end)}
+          </span>
+        </div>
+        <div>
+          <span class="badge bg-secondary me-1">Mean ${result.overall_mape !== null ? `${result.overall_mape.toFixed(1)}%` : '-'}</span>
+          ${verdictBadge}
+        </div>
+      </div>
+      <div class="card-body">
+        ${result.rebased ? `
+          <div class="small text-muted mb-2">
+            <i class="bi bi-info-circle me-1"></i>
+            Windows shifted ${result.year_offset > 0 ? '+' : ''}${result.year_offset}y to align with the daily data range.
+          </div>
+        ` : ''}
+        <div class="table-responsive">
+          <table class="table table-sm mb-2">
+            <thead class="table-light">
+              <tr>
+                <th>Tier</th>
+                ${kpis.map(kpi => `<th>${BACKTEST_KPIS[kpi].label} MAPE</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${rows}
+              <tr class="fw-bold">
+                <td>All Tiers</td>
+                ${kpis.map(kpi => mapeCell(result.overall[kpi])).join('')}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        <div class="small text-muted">
+          <strong>Success criteria:</strong> ${result.success_criteria}
+          ${result.scored ? '' : ' - not a MAPE target, so this harness does not judge it'}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
 /**
  * Setup event filter listeners
  */
@@ -438,7 +770,11 @@ function formatEventType(eventType) {
     'holiday': 'Holiday',
     'special_event': 'Special Event',
     'school_break': 'School Break',
-    'weather': 'Weather'
+    'weather': 'Weather',
+    'new_attraction': 'New Attraction',
+    'seasonal_event': 'Seasonal Event',
+    'limited_time': 'Limited-Time Show',
+    'renovation_closure': 'Renovation / Closure'
   };
   return typeMap[eventType] || eventType;
 }
@@ -511,6 +847,9 @@ function formatTier(tier) {
     'ad_supported': 'Ad-Lite',
     'ad_free': 'Ad-Free',
     'bundle': 'Bundle',
+    'standard_pass': 'Standard Pass',
+    'premium_pass': 'Premium Pass',
+    'vip_pass': 'VIP Pass',
     'all': 'All Tiers'
   };
   return tiers[tier] || tier;
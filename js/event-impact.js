@@ -0,0 +1,371 @@
+/**
+ * Event Impact Module
+ * Measured lift of each calendar event on daily_visitors and daily_revenue
+ *
+ * Events come from event_calendar.csv (holidays, school breaks, special events, weather) and
+ * attraction_openings.csv (new attractions, seasonal events, limited-time shows, closures). Each
+ * event covers a window of days (EVENT_WINDOW_DAYS; weekend-named events 3 days, others 1).
+ *
+ * Baseline of an event day, per tier and for the park as a whole:
+ *   baseline = local level × month_index[month] × dow_index[dow]
+ *   month_index / dow_index   from days outside every short event window (as in seasonality.js);
+ *                             multi-week windows stay in - they cover most of a month and the
+ *                             seasonal ones recur every year, so their months would have no days left
+ *   local level               deseasonalized mean of event-free days within LEVEL_RADIUS_DAYS of the window
+ * Lift = Σ actual ÷ Σ baseline − 1 over the event's days not covered by another event with an equal or
+ * shorter window (all of its days when every one overlaps), so short events are not double counted
+ * inside a multi-week one. Bands are ±1.96 × the daily baseline error ÷ √days.
+ * A seasonal event on the same dates every year is partly absorbed by its month index, which
+ * pulls its measured lift towards zero.
+ *
+ * Lifts pooled by event type are what seasonality.js applies to forecast days with an event on the
+ * calendar, so its forecasts carry the measured effect rather than the subjective impact_level.
+ *
+ * Dependencies: data-loader.js
+ *
+ * Usage:
+ *   import { estimateEventImpacts } from './event-impact.js';
+ *   const impacts = await estimateEventImpacts();   // { events, by_type, by_impact_level, ... }
+ */
+
+import { loadDailyAggregated, loadEventCalendar, loadAttractionOpenings, dataCache } from './data-loader.js';
+
+// Days an event of a type covers, counted from its date
+export const EVENT_WINDOW_DAYS = {
+  school_break: 7,
+  new_attraction: 28,
+  seasonal_event: 28,
+  limited_time: 14,
+  renovation_closure: 14
+};
+const WEEKEND_WINDOW_DAYS = 3;
+// Longest window kept out of the month / weekday index fit
+const SEASONAL_FIT_MAX_DAYS = 7;
+
+const LEVEL_RADIUS_DAYS = 42;
+const MIN_LEVEL_DAYS = 14;
+const PARK = 'all';
+
+// Estimates (rebuilt when the daily data is reloaded)
+let impactCache = null;
+let impactSource = null;
+
+/**
+ * Events of event_calendar.csv and attraction_openings.csv in one list
+ * @returns {Promise<Array>} [{ date, end_date, event_type, event_name, impact_level, source, description }]
+ *   sorted by date
+ */
+export async function loadCalendarEvents() {
+  const [calendar, openings] = await Promise.all([
+    loadEventCalendar(),
+    loadAttractionOpenings().catch(() => [])
+  ]);
+
+  const events = [
+    ...calendar.map(e => ({
+      date: e.date,
+      event_type: e.event_type,
+      event_name: e.event_name,
+      impact_level: e.impact_level,
+      source: 'event_calendar',
+      description: null
+    })),
+    ...openings.map(o => ({
+      date: o.event_date,
+      event_type: o.event_type,
+      event_name: o.attraction_name,
+      impact_level: o.expected_impact,
+      source: 'attraction_openings',
+      description: o.description
+    }))
+  ];
+
+  return events
+    .filter(e => e.date && e.event_type)
+    .map(e => ({ ...e, end_date: shiftDate(e.date, eventWindowDays(e) - 1) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Number of days an event covers
+ * @param {Object} event - { event_type, event_name }
+ * @returns {number}
+ */
+export function eventWindowDays(event) {
+  if (EVENT_WINDOW_DAYS[event.event_type]) return EVENT_WINDOW_DAYS[event.event_type];
+  return /weekend/i.test(event.event_name || '') ? WEEKEND_WINDOW_DAYS : 1;
+}
+
+/**
+ * Event types active on each date
+ * @param {Array} events - Output of loadCalendarEvents()
+ * @returns {Object} { 'YYYY-MM-DD': Set<event_type> }
+ */
+export function buildCalendarDayIndex(events) {
+  const index = {};
+  (events || []).forEach(event => {
+    const days = eventWindowDays(event);
+    for (let i = 0; i < days; i++) {
+      const date = shiftDate(event.date, i);
+      (index[date] = index[date] || new Set()).add(event.event_type);
+    }
+  });
+  return index;
+}
+
+/**
+ * Measure every event in the data range against its seasonal baseline
+ * @returns {Promise<Object>} {
+ *   data_range: { start, end },
+ *   events: [{ ...event, days, overlapping, visitors, baseline_visitors, visitor_lift, visitor_band,
+ *     revenue, baseline_revenue, revenue_lift, significant, tiers: { tier: visitor_lift } }],
+ *   by_type: { type: { events, days, visitor_lift, visitor_band, revenue_lift, significant,
+ *     impact_levels: { level: count }, tiers: { tier: { visitor_lift, revenue_lift, days } } } },
+ *   by_impact_level: { level: { events, mean_abs_lift, mean_lift } }
+ * }  Lifts are fractions (0.05 = +5%)
+ */
+export async function estimateEventImpacts() {
+  const [dailyData, events] = await Promise.all([loadDailyAggregated(), loadCalendarEvents()]);
+  if (impactCache && impactSource === dataCache.dailyAggregated) return impactCache;
+
+  const dayIndex = buildCalendarDayIndex(events.filter(e => eventWindowDays(e) <= SEASONAL_FIT_MAX_DAYS));
+  const series = buildSeries(dailyData);
+  const dates = Object.keys(series[PARK]).sort();
+  const dataRange = { start: dates[0], end: dates[dates.length - 1] };
+  const models = Object.fromEntries(Object.entries(series).map(([tier, rows]) => [tier, fitBaselineModel(rows, dayIndex)]));
+
+  const measured = events
+    .filter(e => e.end_date >= dataRange.start && e.date <= dataRange.end)
+    .map(event => measureEvent(event, events, series, models))
+    .filter(Boolean);
+
+  impactCache = {
+    data_range: dataRange,
+    events: measured,
+    by_type: poolByType(measured, models),
+    by_impact_level: poolByImpactLevel(measured)
+  };
+  impactSource = dataCache.dailyAggregated;
+  return impactCache;
+}
+
+/**
+ * Daily visitors and revenue per tier plus the park total
+ * @returns {Object} { tier: { date: { visitors, revenue } } }
+ */
+function buildSeries(dailyData) {
+  const series = { [PARK]: {} };
+  dailyData.forEach(row => {
+    if (!(row.daily_visitors > 0)) return;
+    [row.membership_tier, PARK].forEach(key => {
+      const byDate = (series[key] = series[key] || {});
+      const point = (byDate[row.date] = byDate[row.date] || { visitors: 0, revenue: 0 });
+      point.visitors += row.daily_visitors;
+      point.revenue += row.daily_revenue || 0;
+    });
+  });
+  return series;
+}
+
+/**
+ * Month and weekday indices from event-free days, plus the daily baseline error
+ */
+function fitBaselineModel(byDate, dayIndex) {
+  const plain = Object.entries(byDate)
+    .filter(([date]) => !dayIndex[date])
+    .map(([date, point]) => ({ date, ...point, ...dateParts(date) }));
+
+  const model = { plain, month_index: {}, dow_index: {} };
+  ['visitors', 'revenue'].forEach(column => {
+    const byMonth = groupMean(plain, r => r.month, r => r[column]);
+    const overall = mean(Object.values(byMonth));
+    const byYearMonth = groupMean(plain, r => r.date.slice(0, 7), r => r[column]);
+    const dowRatios = groupMean(plain, r => r.dow, r => r[column] / byYearMonth[r.date.slice(0, 7)]);
+    const dowMean = mean(Object.values(dowRatios));
+
+    model.month_index[column] = {};
+    model.dow_index[column] = {};
+    for (let m = 1; m <= 12; m++) model.month_index[column][m] = byMonth[m] ? byMonth[m] / overall : 1;
+    for (let d = 0; d < 7; d++) model.dow_index[column][d] = dowRatios[d] ? dowRatios[d] / dowMean : 1;
+  });
+
+  // Daily error of the baseline on event-free days (relative), for the confidence bands
+  const errors = plain.map(r => {
+    const level = localLevel(model, 'visitors', r.date, r.date);
+    return level ? r.visitors / (level * seasonal(model, 'visitors', r)) - 1 : null;
+  }).filter(e => e !== null);
+  model.daily_error = errors.length > 1
+    ? Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / (errors.length - 1))
+    : null;
+
+  return model;
+}
+
+function seasonal(model, column, parts) {
+  return model.month_index[column][parts.month] * model.dow_index[column][parts.dow];
+}
+
+/**
+ * Deseasonalized mean of event-free days around a window (the window itself left out)
+ */
+function localLevel(model, column, start, end) {
+  for (const radius of [LEVEL_RADIUS_DAYS, LEVEL_RADIUS_DAYS * 2]) {
+    const from = shiftDate(start, -radius);
+    const to = shiftDate(end, radius);
+    const values = model.plain
+      .filter(r => r.date >= from && r.date <= to && (r.date < start || r.date > end))
+      .map(r => r[column] / seasonal(model, column, r));
+    if (values.length >= MIN_LEVEL_DAYS) return mean(values);
+  }
+  return null;
+}
+
+function measureEvent(event, events, series, models) {
+  const windowDates = dateRange(event.date, event.end_date).filter(date => series[PARK][date]);
+  if (windowDates.length === 0) return null;
+
+  // Days shared with another event of the same or shorter length would be double counted
+  const length = eventWindowDays(event);
+  const others = events.filter(e => e !== event && eventWindowDays(e) <= length);
+  const soleDates = windowDates.filter(date => !others.some(e => date >= e.date && date <= e.end_date));
+  const days = soleDates.length ? soleDates : windowDates;
+
+  const measure = tier => {
+    const model = models[tier];
+    const byDate = series[tier];
+    const levels = {
+      visitors: localLevel(model, 'visitors', event.date, event.end_date),
+      revenue: localLevel(model, 'revenue', event.date, event.end_date)
+    };
+    if (!levels.visitors || !levels.revenue) return null;
+
+    const totals = { visitors: 0, baseline_visitors: 0, revenue: 0, baseline_revenue: 0 };
+    days.forEach(date => {
+      const point = byDate[date];
+      if (!point) return;
+      const parts = dateParts(date);
+      totals.visitors += point.visitors;
+      totals.revenue += point.revenue;
+      totals.baseline_visitors += levels.visitors * seasonal(model, 'visitors', parts);
+      totals.baseline_revenue += levels.revenue * seasonal(model, 'revenue', parts);
+    });
+    return totals;
+  };
+
+  const park = measure(PARK);
+  if (!park || park.baseline_visitors <= 0) return null;
+
+  const tiers = {};
+  Object.keys(series).filter(tier => tier !== PARK).forEach(tier => {
+    const totals = measure(tier);
+    if (totals && totals.baseline_visitors > 0) tiers[tier] = totals;
+  });
+
+  const visitorLift = park.visitors / park.baseline_visitors - 1;
+  const band = models[PARK].daily_error != null ? 1.96 * models[PARK].daily_error / Math.sqrt(days.length) : null;
+
+  return {
+    ...event,
+    days: days.length,
+    overlapping: soleDates.length === 0,
+    ...park,
+    visitor_lift: visitorLift,
+    visitor_band: band,
+    revenue_lift: park.baseline_revenue > 0 ? park.revenue / park.baseline_revenue - 1 : null,
+    significant: band != null ? Math.abs(visitorLift) > band : null,
+    tier_totals: tiers,
+    tiers: Object.fromEntries(Object.entries(tiers).map(([tier, t]) => [tier, t.visitors / t.baseline_visitors - 1]))
+  };
+}
+
+function poolByType(measured, models) {
+  const byType = {};
+  measured.forEach(event => {
+    const pool = (byType[event.event_type] = byType[event.event_type] || {
+      events: 0, days: 0, visitors: 0, baseline_visitors: 0, revenue: 0, baseline_revenue: 0,
+      impact_levels: {}, tier_totals: {}
+    });
+    pool.events++;
+    pool.days += event.days;
+    ['visitors', 'baseline_visitors', 'revenue', 'baseline_revenue'].forEach(key => { pool[key] += event[key]; });
+    if (event.impact_level) pool.impact_levels[event.impact_level] = (pool.impact_levels[event.impact_level] || 0) + 1;
+    Object.entries(event.tier_totals).forEach(([tier, t]) => {
+      const tierPool = (pool.tier_totals[tier] = pool.tier_totals[tier] ||
+        { visitors: 0, baseline_visitors: 0, revenue: 0, baseline_revenue: 0, days: 0 });
+      ['visitors', 'baseline_visitors', 'revenue', 'baseline_revenue'].forEach(key => { tierPool[key] += t[key]; });
+      tierPool.days += event.days;
+    });
+  });
+
+  const error = models[PARK].daily_error;
+  return Object.fromEntries(Object.entries(byType).map(([type, pool]) => {
+    const visitorLift = pool.visitors / pool.baseline_visitors - 1;
+    const band = error != null ? 1.96 * error / Math.sqrt(pool.days) : null;
+    return [type, {
+      events: pool.events,
+      days: pool.days,
+      visitor_lift: visitorLift,
+      visitor_band: band,
+      revenue_lift: pool.baseline_revenue > 0 ? pool.revenue / pool.baseline_revenue - 1 : null,
+      significant: band != null ? Math.abs(visitorLift) > band : null,
+      impact_levels: pool.impact_levels,
+      tiers: Object.fromEntries(Object.entries(pool.tier_totals).map(([tier, t]) => [tier, {
+        visitor_lift: t.visitors / t.baseline_visitors - 1,
+        revenue_lift: t.baseline_revenue > 0 ? t.revenue / t.baseline_revenue - 1 : null,
+        days: t.days
+      }]))
+    }];
+  }));
+}
+
+/**
+ * How the subjective impact levels line up with the measured lifts (size, either direction)
+ */
+function poolByImpactLevel(measured) {
+  const byLevel = {};
+  measured.filter(e => e.impact_level).forEach(event => {
+    (byLevel[event.impact_level] = byLevel[event.impact_level] || []).push(event.visitor_lift);
+  });
+  return Object.fromEntries(Object.entries(byLevel).map(([level, lifts]) => [level, {
+    events: lifts.length,
+    mean_abs_lift: mean(lifts.map(Math.abs)),
+    mean_lift: mean(lifts)
+  }]));
+}
+
+/**
+ * Calendar parts of a YYYY-MM-DD date (dow 0 = Monday, as in daily_aggregated.csv)
+ */
+function dateParts(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return { month: date.getUTCMonth() + 1, dow: (date.getUTCDay() + 6) % 7 };
+}
+
+function groupMean(rows, keyFn, valueFn) {
+  const sums = {};
+  const counts = {};
+  rows.forEach(r => {
+    const key = keyFn(r);
+    sums[key] = (sums[key] || 0) + valueFn(r);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.fromEntries(Object.keys(sums).map(key => [key, sums[key] / counts[key]]));
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function dateRange(start, end) {
+  const dates = [];
+  for (let date = start; date <= end; date = shiftDate(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
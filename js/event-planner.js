@@ -0,0 +1,383 @@
+/**
+ * Event Planner Module
+ * Planned future events layered onto scenario forecasts, with timing-risk flags
+ *
+ * A planned event (new attraction, holiday, competitor major event, bad weather) covers
+ * `days` days from its date. On those days the seasonal baseline is scaled by the event's lift:
+ *   lift   manual override, else the measured lift of the matching event type (event-impact.js),
+ *          else a prior - competitor events and bad weather have no usable history (the weather
+ *          rows of event_calendar.csv mix heat waves with storms)
+ * A day the event calendars already mark with the same type keeps its calendar lift only.
+ * New attractions also switch on the new_attraction_opening elasticity multiplier for
+ * DAMPENER_DAYS from the opening (bad weather: bad_weather_forecast for its own days), unless
+ * that condition is already applied park-wide in the macro-conditions panel.
+ *
+ * simulateScenario() picks up the planned events through resolvePlannedEvents() unless
+ * options.plannedEvents is passed (an array, or false for none) and flags risky timing of the
+ * scenario's price move against them (assessEventTiming()).
+ *
+ * Dependencies: event-impact.js, promotion-model.js, utils.js
+ */
+
+import { estimateEventImpacts } from './event-impact.js';
+import { resolvePromotion } from './promotion-model.js';
+import { showAlert } from './utils.js';
+
+export const PLANNED_EVENT_TYPES = {
+  new_attraction: {
+    label: 'New Attraction',
+    icon: 'bi-stars',
+    days: 28,
+    measured_type: 'new_attraction',
+    prior_lift: 0.05,
+    condition: 'new_attraction_opening'
+  },
+  holiday: {
+    label: 'Holiday',
+    icon: 'bi-calendar-heart',
+    days: 1,
+    measured_type: 'holiday',
+    prior_lift: 0.10
+  },
+  competitor_event: {
+    label: 'Competitor Major Event',
+    icon: 'bi-flag',
+    days: 7,
+    measured_type: null,
+    prior_lift: -0.05
+  },
+  bad_weather: {
+    label: 'Bad Weather',
+    icon: 'bi-cloud-rain',
+    days: 3,
+    measured_type: null,
+    prior_lift: -0.20,
+    condition: 'bad_weather_forecast'
+  }
+};
+
+// Opening-driven dampening lasts as long as the ±90-day window external-conditions.js derives it from
+const DAMPENER_DAYS = 90;
+// How close a price move may come to an event before it is flagged
+const OPENING_LEAD_DAYS = 60;
+const DISRUPTION_WINDOW_DAYS = 14;
+const STORAGE_KEY = 'pricingStudio.plannedEvents';
+
+let plannedEvents = loadStoredEvents();
+
+/**
+ * Get the planned events applied to simulations
+ * @returns {Array} [{ id, name, event_type, date, days, lift }] (lift null = measured / prior)
+ */
+export function getPlannedEvents() {
+  return plannedEvents.map(event => ({ ...event }));
+}
+
+/**
+ * Set the planned events applied to simulations (invalid entries are dropped)
+ * @param {Array} events - [{ name, event_type, date, days?, lift? }]
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Remember the events for the next visit
+ */
+export function setPlannedEvents(events, { persist = true } = {}) {
+  plannedEvents = (events || []).map(normalizePlannedEvent).filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (!persist) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(plannedEvents));
+  } catch (error) {
+    console.warn('Could not remember planned events:', error);
+  }
+}
+
+/**
+ * Resolve planned events for a run: end dates, lifts and elasticity conditions
+ * @param {Array|false|undefined} option - options.plannedEvents (already resolved lists pass through)
+ * @returns {Promise<Array>} [{ ...event, end_date, lift, lift_source ('manual' | 'measured' | 'prior'),
+ *   measured_type, condition, condition_end }]
+ */
+export async function resolvePlannedEvents(option) {
+  if (option === false) return [];
+  if (Array.isArray(option) && option.every(event => event.lift_source)) return option;
+
+  const events = Array.isArray(option) ? option.map(normalizePlannedEvent).filter(Boolean) : getPlannedEvents();
+  if (events.length === 0) return [];
+
+  let impacts = null;
+  try {
+    impacts = await estimateEventImpacts();
+  } catch (error) {
+    console.warn('Measured event lifts not available - using priors:', error);
+  }
+
+  return events.map(event => {
+    const type = PLANNED_EVENT_TYPES[event.event_type];
+    const measured = type.measured_type ? impacts?.by_type[type.measured_type] : null;
+    const lift = event.lift != null ? event.lift : measured ? measured.visitor_lift : type.prior_lift;
+    const conditionDays = event.event_type === 'new_attraction' ? DAMPENER_DAYS : event.days;
+
+    return {
+      ...event,
+      end_date: shiftDate(event.date, event.days - 1),
+      lift,
+      lift_source: event.lift != null ? 'manual' : measured ? 'measured' : 'prior',
+      measured_type: type.measured_type,
+      condition: type.condition || null,
+      condition_end: type.condition ? shiftDate(event.date, conditionDays - 1) : null
+    };
+  });
+}
+
+/**
+ * Effect of the planned events on one forecast day
+ * @param {Object} day - Row of forecastSeasonalDays() ({ date, event_types })
+ * @param {Array} events - Output of resolvePlannedEvents()
+ * @returns {Object|null} { factor, types, conditions, ids } or null when no event touches the day
+ */
+export function plannedEventEffects(day, events) {
+  let factor = 1;
+  const types = [];
+  const conditions = [];
+  const ids = [];
+
+  events.forEach(event => {
+    if (day.date >= event.date && day.date <= event.end_date) {
+      ids.push(event.id);
+      const calendarType = event.measured_type || event.event_type;
+      if (!day.event_types.includes(calendarType)) {
+        factor *= 1 + event.lift;
+        types.push(calendarType);
+      }
+    }
+    if (event.condition && day.date >= event.date && day.date <= event.condition_end &&
+        !conditions.includes(event.condition)) {
+      conditions.push(event.condition);
+    }
+  });
+
+  return ids.length || conditions.length ? { factor, types, conditions, ids } : null;
+}
+
+/**
+ * Flag a scenario's price move landing awkwardly close to planned events
+ * @param {Object} scenario - Scenario configuration
+ * @param {Array} events - Output of resolvePlannedEvents()
+ * @param {string} fallbackDate - Date the price moves when the scenario sets none (forecast start)
+ * @returns {Array} [{ event_id, event_name, event_type, date, gap_days, severity, message }]
+ */
+export function assessEventTiming(scenario, events, fallbackDate) {
+  const move = describePriceMove(scenario, fallbackDate);
+  if (!move || events.length === 0) return [];
+
+  const risks = [];
+  events.forEach(event => {
+    const gap = daysBetween(move.date, event.date);
+    const when = describeGap(gap);
+    const label = `${event.name} (${event.date})`;
+    const flag = (severity, message) => risks.push({
+      event_id: event.id,
+      event_name: event.name,
+      event_type: event.event_type,
+      date: event.date,
+      gap_days: gap,
+      severity,
+      message
+    });
+
+    if (move.direction === 'increase') {
+      if (event.event_type === 'new_attraction' && gap > 0 && gap <= OPENING_LEAD_DAYS) {
+        flag(gap <= 30 ? 'high' : 'medium',
+          `Price increase takes effect ${when} ${label} opens - visitors pay more before the attraction ` +
+          'softens price sensitivity; consider moving the increase to the opening');
+      }
+      if ((event.event_type === 'competitor_event' || event.event_type === 'bad_weather') &&
+          Math.abs(gap) <= DISRUPTION_WINDOW_DAYS) {
+        flag('medium',
+          `Price increase takes effect ${when} ${label} - its demand dip lands on the price response ` +
+          'and blurs the read of the increase');
+      }
+    } else {
+      const overlaps = event.date <= move.end_date && event.end_date >= move.date;
+      if (event.event_type === 'holiday' && overlaps) {
+        flag('medium',
+          `${move.label} runs over ${label} - peak-day visitors would have come at full price`);
+      }
+      if (event.event_type === 'new_attraction' && gap >= -DISRUPTION_WINDOW_DAYS && gap <= 30) {
+        flag('medium',
+          `${move.label} starts ${when} ${label} opens - the opening already lifts demand, so the ` +
+          'discount subsidizes visits the attraction brings');
+      }
+    }
+  });
+
+  return risks;
+}
+
+/**
+ * Initialize the planned-events panel in the scenario engine
+ */
+export function initializeEventPlannerPanel() {
+  const typeSelect = document.getElementById('planned-event-type');
+  if (!typeSelect) return;
+
+  typeSelect.innerHTML = Object.entries(PLANNED_EVENT_TYPES)
+    .map(([key, type]) => `<option value="${key}">${type.label}</option>`)
+    .join('');
+  const daysInput = document.getElementById('planned-event-days');
+  typeSelect.onchange = () => { daysInput.value = PLANNED_EVENT_TYPES[typeSelect.value].days; };
+  typeSelect.onchange();
+
+  const addBtn = document.getElementById('add-planned-event-btn');
+  if (addBtn) {
+    addBtn.onclick = () => {
+      const lift = parseFloat(document.getElementById('planned-event-lift').value);
+      const event = normalizePlannedEvent({
+        event_type: typeSelect.value,
+        name: document.getElementById('planned-event-name').value.trim(),
+        date: document.getElementById('planned-event-date').value,
+        days: parseInt(daysInput.value, 10),
+        lift: Number.isFinite(lift) ? lift / 100 : null
+      });
+      if (!event) {
+        showAlert('Planned events need a type and a date', 'warning');
+        return;
+      }
+      setPlannedEvents([...plannedEvents, event]);
+      document.getElementById('planned-event-name').value = '';
+      document.getElementById('planned-event-lift').value = '';
+      renderPlannedEvents();
+    };
+  }
+
+  const clearBtn = document.getElementById('clear-planned-events-btn');
+  if (clearBtn) {
+    clearBtn.onclick = () => {
+      setPlannedEvents([]);
+      renderPlannedEvents();
+    };
+  }
+
+  renderPlannedEvents();
+}
+
+async function renderPlannedEvents() {
+  const list = document.getElementById('planned-events-list');
+  if (!list) return;
+
+  const events = await resolvePlannedEvents();
+  if (events.length === 0) {
+    list.innerHTML = '<div class="small text-muted">No planned events - forecasts use the event calendars only</div>';
+    return;
+  }
+
+  list.innerHTML = `
+    <table class="table table-sm mb-0">
+      <thead class="table-light">
+        <tr><th>Date</th><th>Event</th><th class="text-end">Days</th><th class="text-end">Lift</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${events.map(event => `
+          <tr>
+            <td class="text-nowrap">${event.date}</td>
+            <td><i class="bi ${PLANNED_EVENT_TYPES[event.event_type].icon} me-1"></i>${event.name}
+              ${event.condition ? `<span class="badge bg-light text-dark ms-1">${event.condition}</span>` : ''}</td>
+            <td class="text-end">${event.days}</td>
+            <td class="text-end ${event.lift >= 0 ? 'text-success' : 'text-danger'}">
+              ${event.lift >= 0 ? '+' : ''}${(event.lift * 100).toFixed(1)}%
+              <span class="text-muted small">(${event.lift_source})</span>
+            </td>
+            <td class="text-end">
+              <button class="btn btn-sm btn-link text-danger p-0 remove-planned-event" data-id="${event.id}" title="Remove">
+                <i class="bi bi-x-circle"></i>
+              </button>
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  list.querySelectorAll('.remove-planned-event').forEach(btn => {
+    btn.onclick = () => {
+      setPlannedEvents(plannedEvents.filter(event => event.id !== btn.dataset.id));
+      renderPlannedEvents();
+    };
+  });
+}
+
+/**
+ * Direction and date of a scenario's price move (null for no-change and date-based pricing)
+ */
+function describePriceMove(scenario, fallbackDate) {
+  const config = scenario?.config || {};
+  if (config.tier === 'all' || config.pricing_calendar) return null;
+
+  if (scenario.category === 'promotion' || config.promotion) {
+    try {
+      const promotion = resolvePromotion(scenario);
+      return {
+        direction: 'decrease',
+        date: promotion.start_date,
+        end_date: promotion.end_date,
+        label: `Promotion (${promotion.discount_pct.toFixed(0)}% off)`
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const changes = config.price_changes
+    ? Object.values(config.price_changes).filter(c => c.current_price > 0 && c.new_price != null)
+    : [{ current_price: config.current_price, new_price: config.new_price }];
+  const moves = changes.filter(c => c.current_price > 0 && c.new_price != null && c.new_price !== c.current_price);
+  if (moves.length === 0) return null;
+
+  const date = config.effective_date || fallbackDate;
+  if (!date) return null;
+  const increase = moves.some(c => c.new_price > c.current_price);
+  return {
+    direction: increase ? 'increase' : 'decrease',
+    date,
+    end_date: '9999-12-31',
+    label: 'Price cut'
+  };
+}
+
+function describeGap(gap) {
+  if (gap === 0) return 'the day';
+  const size = Math.abs(gap) >= 14 ? `${Math.round(Math.abs(gap) / 7)} weeks` : `${Math.abs(gap)} day${Math.abs(gap) === 1 ? '' : 's'}`;
+  return `${size} ${gap > 0 ? 'before' : 'after'}`;
+}
+
+function normalizePlannedEvent(event) {
+  const type = PLANNED_EVENT_TYPES[event?.event_type];
+  if (!type || !/^\d{4}-\d{2}-\d{2}$/.test(event.date || '')) return null;
+  const lift = event.lift != null && Number.isFinite(Number(event.lift)) ? Number(event.lift) : null;
+  return {
+    id: event.id || `${event.event_type}-${event.date}-${Math.random().toString(36).slice(2, 7)}`,
+    name: event.name || type.label,
+    event_type: event.event_type,
+    date: event.date,
+    days: Number(event.days) >= 1 ? Math.round(Number(event.days)) : type.days,
+    lift: lift != null ? Math.max(lift, -0.95) : null
+  };
+}
+
+function loadStoredEvents() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return (stored ? JSON.parse(stored) : []).map(normalizePlannedEvent).filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
@@ -0,0 +1,290 @@
+/**
+ * External Conditions Module
+ * Macro-conditions panel that feeds the external_factors multipliers into the demand forecast
+ *
+ * Conditions map 1:1 onto the external_factors block of elasticity-params.json. They can be
+ * toggled by hand or derived from the latest weeks of external_factors.csv (plus upcoming
+ * attraction openings). simulateScenario() picks up the active set through
+ * getActiveExternalConditions() unless options.externalConditions is passed explicitly.
+ *
+ * Dependencies: data-loader.js
+ */
+
+import { loadExternalFactors, loadAttractionOpenings, loadElasticityParams } from './data-loader.js';
+
+// Rolling window (weeks) used to smooth the weekly macro series
+const SMOOTHING_WEEKS = 4;
+
+// Thresholds used when deriving conditions from external_factors.csv
+const THRESHOLDS = {
+  inflationYoY: 0.04,         // CPI year-over-year
+  unemploymentRate: 5.0,      // Percent
+  competitorPriceMove: 0.03,  // Competitor avg price vs one quarter earlier
+  badWeatherScore: 50,        // weather_score (0-100)
+  openingWindowDays: 90       // Attraction opening within ± this many days
+};
+
+export const EXTERNAL_CONDITIONS = {
+  high_inflation: {
+    label: 'High Inflation',
+    icon: 'bi-currency-dollar',
+    rule: `CPI up ≥ ${THRESHOLDS.inflationYoY * 100}% year-over-year`
+  },
+  high_unemployment: {
+    label: 'High Unemployment',
+    icon: 'bi-briefcase',
+    rule: `Unemployment ≥ ${THRESHOLDS.unemploymentRate}%`
+  },
+  competitor_price_increase: {
+    label: 'Competitors Raising Prices',
+    icon: 'bi-arrow-up-right',
+    rule: `Competitor avg price up ≥ ${THRESHOLDS.competitorPriceMove * 100}% vs last quarter`
+  },
+  competitor_price_decrease: {
+    label: 'Competitors Cutting Prices',
+    icon: 'bi-arrow-down-right',
+    rule: `Competitor avg price down ≥ ${THRESHOLDS.competitorPriceMove * 100}% vs last quarter`
+  },
+  new_attraction_opening: {
+    label: 'New Attraction Opening',
+    icon: 'bi-stars',
+    rule: `New attraction within ${THRESHOLDS.openingWindowDays} days`
+  },
+  bad_weather_forecast: {
+    label: 'Bad Weather Forecast',
+    icon: 'bi-cloud-rain',
+    rule: `Weather score < ${THRESHOLDS.badWeatherScore}`
+  }
+};
+
+// Conditions currently applied to simulations
+let activeConditions = [];
+let lastDerivation = null;
+
+/**
+ * Get the macro conditions currently applied to simulations
+ * @returns {Array<string>} Condition keys
+ */
+export function getActiveExternalConditions() {
+  return [...activeConditions];
+}
+
+/**
+ * Set the macro conditions applied to simulations
+ * @param {Array<string>} conditions - Condition keys (unknown keys are ignored)
+ */
+export function setActiveExternalConditions(conditions) {
+  activeConditions = (conditions || []).filter(key => key in EXTERNAL_CONDITIONS);
+  // competitor_price_increase / _decrease are mutually exclusive
+  if (activeConditions.includes('competitor_price_increase') &&
+      activeConditions.includes('competitor_price_decrease')) {
+    activeConditions = activeConditions.filter(key => key !== 'competitor_price_decrease');
+  }
+  renderConditionsSummary();
+}
+
+/**
+ * Derive current conditions from the latest external_factors.csv rows
+ * @returns {Promise<Object>} { asOf, conditions: Array<string>, evidence: { [key]: { active, value } } }
+ */
+export async function deriveExternalConditions() {
+  const [externalFactors, openings] = await Promise.all([
+    loadExternalFactors(),
+    loadAttractionOpenings().catch(() => [])
+  ]);
+
+  const rows = [...externalFactors].sort((a, b) => a.date.localeCompare(b.date));
+  if (rows.length === 0) {
+    throw new Error('external_factors.csv has no rows');
+  }
+
+  const latest = rows[rows.length - 1];
+  const recent = rows.slice(-SMOOTHING_WEEKS);
+  const quarterAgo = rows.slice(-13 - SMOOTHING_WEEKS, -13);
+  const yearAgo = findRowOnOrBefore(rows, shiftDate(latest.date, -365));
+
+  const evidence = {};
+
+  const inflation = yearAgo ? latest.cpi / yearAgo.cpi - 1 : null;
+  evidence.high_inflation = {
+    active: inflation !== null && inflation >= THRESHOLDS.inflationYoY,
+    value: inflation !== null ? `CPI ${(inflation * 100).toFixed(1)}% YoY` : 'Less than a year of CPI history'
+  };
+
+  const unemployment = average(recent, 'unemployment_rate');
+  evidence.high_unemployment = {
+    active: unemployment >= THRESHOLDS.unemploymentRate,
+    value: `Unemployment ${unemployment.toFixed(1)}% (${SMOOTHING_WEEKS}-wk avg)`
+  };
+
+  const competitorNow = average(recent, 'competitor_avg_price');
+  const competitorBefore = quarterAgo.length ? average(quarterAgo, 'competitor_avg_price') : competitorNow;
+  const competitorMove = competitorNow / competitorBefore - 1;
+  evidence.competitor_price_increase = {
+    active: competitorMove >= THRESHOLDS.competitorPriceMove,
+    value: `Competitor avg $${competitorNow.toFixed(2)} (${formatSigned(competitorMove * 100)}% vs last quarter)`
+  };
+  evidence.competitor_price_decrease = {
+    active: competitorMove <= -THRESHOLDS.competitorPriceMove,
+    value: evidence.competitor_price_increase.value
+  };
+
+  const upcoming = openings.filter(o =>
+    o.event_type === 'new_attraction' &&
+    Math.abs(daysBetween(latest.date, o.event_date)) <= THRESHOLDS.openingWindowDays
+  );
+  evidence.new_attraction_opening = {
+    active: upcoming.length > 0,
+    value: upcoming.length ? upcoming.map(o => `${o.attraction_name} (${o.event_date})`).join(', ') : 'None nearby'
+  };
+
+  const weather = average(recent, 'weather_score');
+  evidence.bad_weather_forecast = {
+    active: weather < THRESHOLDS.badWeatherScore,
+    value: `Weather score ${weather.toFixed(1)} (${SMOOTHING_WEEKS}-wk avg)`
+  };
+
+  lastDerivation = {
+    asOf: latest.date,
+    conditions: Object.keys(evidence).filter(key => evidence[key].active),
+    evidence
+  };
+  return lastDerivation;
+}
+
+/**
+ * Initialize the macro-conditions panel in the scenario engine
+ */
+export async function initializeExternalConditionsPanel() {
+  const container = document.getElementById('external-conditions-options');
+  if (!container) return;
+
+  const params = await loadElasticityParams();
+  const multipliers = params.standard_pass?.external_factors || {};
+
+  container.innerHTML = Object.entries(EXTERNAL_CONDITIONS).map(([key, condition]) => `
+    <div class="col-md-4">
+      <div class="form-check">
+        <input class="form-check-input external-condition-toggle" type="checkbox" value="${key}" id="ext-cond-${key}">
+        <label class="form-check-label small" for="ext-cond-${key}">
+          <i class="bi ${condition.icon} me-1"></i>${condition.label}
+          <span class="badge bg-light text-dark ms-1">×${multipliers[key] ?? '-'}</span>
+          <span class="d-block text-muted" id="ext-cond-evidence-${key}">${condition.rule}</span>
+        </label>
+      </div>
+    </div>
+  `).join('');
+
+  container.querySelectorAll('.external-condition-toggle').forEach(input => {
+    input.addEventListener('change', () => {
+      setActiveExternalConditions(
+        [...container.querySelectorAll('.external-condition-toggle:checked')].map(el => el.value)
+      );
+      syncCheckboxes();
+    });
+  });
+
+  document.getElementById('derive-external-conditions-btn')?.addEventListener('click', async () => {
+    try {
+      const derived = await deriveExternalConditions();
+      setActiveExternalConditions(derived.conditions);
+      syncCheckboxes();
+    } catch (error) {
+      console.error('Failed to derive external conditions:', error);
+    }
+  });
+
+  document.getElementById('clear-external-conditions-btn')?.addEventListener('click', () => {
+    setActiveExternalConditions([]);
+    syncCheckboxes();
+  });
+
+  // Conditions may already be set (e.g. from a share link)
+  syncCheckboxes();
+  renderConditionsSummary();
+}
+
+/**
+ * Render the "applied adjustments" table for a simulation result
+ * @param {Object} result - simulateScenario() result
+ * @returns {string} HTML (empty when no adjustments were applied)
+ */
+export function renderExternalAdjustments(result) {
+  const adjustments = result?.external_adjustments || [];
+  if (adjustments.length === 0) return '';
+
+  const rows = adjustments.map(adj => `
+    <tr>
+      <td>${EXTERNAL_CONDITIONS[adj.condition]?.label || adj.condition}</td>
+      <td class="text-end">×${adj.multiplier.toFixed(2)}</td>
+      <td class="text-end">${adj.elasticityBefore.toFixed(2)} → ${adj.elasticityAfter.toFixed(2)}</td>
+    </tr>
+  `).join('');
+
+  return `
+    <div class="alert alert-secondary mb-3">
+      <div class="d-flex justify-content-between mb-2">
+        <strong><i class="bi bi-globe me-2"></i>Macro Adjustments Applied</strong>
+        <span class="small">Elasticity ${result.elasticity_before_external.toFixed(2)} → ${result.elasticity.toFixed(2)}</span>
+      </div>
+      <table class="table table-sm mb-0">
+        <thead><tr><th>Condition</th><th class="text-end">Multiplier</th><th class="text-end">Elasticity</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+function syncCheckboxes() {
+  document.querySelectorAll('.external-condition-toggle').forEach(input => {
+    input.checked = activeConditions.includes(input.value);
+    const evidenceEl = document.getElementById(`ext-cond-evidence-${input.value}`);
+    const evidence = lastDerivation?.evidence[input.value];
+    if (evidenceEl && evidence) {
+      evidenceEl.textContent = evidence.value;
+    }
+  });
+}
+
+function renderConditionsSummary() {
+  const summary = document.getElementById('external-conditions-summary');
+  if (!summary) return;
+
+  if (activeConditions.length === 0) {
+    summary.innerHTML = '<span class="text-muted">No macro adjustments (neutral conditions)</span>';
+    return;
+  }
+
+  const asOf = lastDerivation ? ` · derived from data as of ${lastDerivation.asOf}` : '';
+  summary.innerHTML = activeConditions
+    .map(key => `<span class="badge bg-primary me-1">${EXTERNAL_CONDITIONS[key].label}</span>`)
+    .join('') + `<span class="text-muted small">${asOf}</span>`;
+}
+
+function findRowOnOrBefore(rows, date) {
+  let match = null;
+  for (const row of rows) {
+    if (row.date > date) break;
+    match = row;
+  }
+  return match;
+}
+
+function average(rows, column) {
+  const values = rows.map(r => r[column]).filter(Number.isFinite);
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function shiftDate(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromStr, toStr) {
+  return (new Date(`${toStr}T00:00:00Z`) - new Date(`${fromStr}T00:00:00Z`)) / 86400000;
+}
+
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+}
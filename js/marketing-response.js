@@ -0,0 +1,378 @@
+/**
+ * Marketing Response Module
+ * Diminishing-returns curves of new registrations vs marketing spend by channel
+ *
+ * Each channel gets a log response curve on weekly spend:
+ *   incremental_registrations_c(s) = β_c × ln(1 + s / 1000)
+ * fitted on weeks where marketing_spend.csv and daily_aggregated.csv overlap, with quarter
+ * dummies for seasonality. When the channel mix never changes in the history the channels
+ * cannot be separated, so one total-spend curve is fitted and attributed by spend share.
+ *
+ * Used to compare a price cut against spending the same dollars on marketing. Blended CAC
+ * (spend ÷ new registrations) always comes from the data; channel CAC only when the history
+ * identifies per-channel curves (channel_cac_identified) - otherwise the channel figures are a
+ * spend-share split of one curve (or of the prior) and are shown as not identified, and extra
+ * budget is split by the current mix rather than ranked on them.
+ *
+ * Dependencies: data-loader.js, elasticity-model.js, stats-utils.js
+ */
+
+import { loadMarketingSpend, loadDailyAggregated } from './data-loader.js';
+import { forecastAcquisition } from './elasticity-model.js';
+import { fitOLS, mean, sum } from './stats-utils.js';
+
+export const MARKETING_CHANNELS = {
+  paid_social: 'Paid Social',
+  paid_search: 'Paid Search',
+  display: 'Display',
+  tv: 'TV',
+  other: 'Other'
+};
+
+// Spend scale inside the log curve (dollars)
+const SPEND_SCALE = 1000;
+// Weeks averaged for "current" spend and registration levels
+const RECENT_WEEKS = 13;
+// Share of new registrations attributed to marketing when the history cannot identify it
+const PRIOR_MARKETING_SHARE = 0.3;
+// Channel-share standard deviation below which the channel mix is treated as fixed
+const MIX_VARIATION_THRESHOLD = 0.01;
+// Budget split into this many increments when allocating to the best marginal channel
+const ALLOCATION_STEPS = 50;
+
+let cachedModel = null;
+
+/**
+ * Fit marketing response curves (cached)
+ * @param {Object} options - { force: true to refit }
+ * @returns {Promise<Object>} Response model with per-channel β, CAC and marginal CAC
+ */
+export async function fitMarketingResponse(options = {}) {
+  if (cachedModel && !options.force) {
+    return cachedModel;
+  }
+
+  const [spendRows, dailyData] = await Promise.all([loadMarketingSpend(), loadDailyAggregated()]);
+
+  const weeklyRegistrations = aggregateWeeklyRegistrations(dailyData);
+  const weeks = spendRows
+    .filter(row => weeklyRegistrations[row.date]?.days === 7)
+    .map(row => ({ ...row, new_registrations: weeklyRegistrations[row.date].total }));
+
+  if (weeks.length < 20) {
+    throw new Error(`Only ${weeks.length} weeks overlap between marketing_spend.csv and daily_aggregated.csv`);
+  }
+
+  const channels = Object.keys(MARKETING_CHANNELS);
+  const mixVaries = channels.some(c => {
+    const shares = weeks.map(w => w[c] / w.total_marketing_spend);
+    const m = mean(shares);
+    return Math.sqrt(mean(shares.map(s => (s - m) ** 2))) > MIX_VARIATION_THRESHOLD;
+  });
+
+  const curveTerms = mixVaries ? channels : ['total_marketing_spend'];
+  const names = ['intercept', 'q2', 'q3', 'q4', ...curveTerms];
+  const X = weeks.map(w => {
+    const quarter = Math.ceil(parseInt(w.date.slice(5, 7), 10) / 3);
+    return [
+      1,
+      quarter === 2 ? 1 : 0,
+      quarter === 3 ? 1 : 0,
+      quarter === 4 ? 1 : 0,
+      ...curveTerms.map(term => Math.log(1 + w[term] / SPEND_SCALE))
+    ];
+  });
+  const fit = fitOLS(X, weeks.map(w => w.new_registrations), names);
+
+  const recent = spendRows.slice(-RECENT_WEEKS);
+  const recentSpend = {};
+  channels.forEach(c => {
+    recentSpend[c] = mean(recent.map(r => r[c]));
+  });
+  const recentTotal = sum(Object.values(recentSpend));
+  const recentRegistrations = mean(weeks.slice(-RECENT_WEEKS).map(w => w.new_registrations));
+
+  // Response coefficient per channel
+  const betas = {};
+  let source = 'estimated';
+  const identified = curveTerms.every(term =>
+    fit.coefficients[term] > 0 && fit.coefficients[term] / fit.standardErrors[term] >= 1.96
+  );
+
+  if (identified && mixVaries) {
+    channels.forEach(c => {
+      betas[c] = fit.coefficients[c];
+    });
+  } else {
+    let totalBeta = identified ? fit.coefficients.total_marketing_spend : null;
+    if (!identified) {
+      // History does not identify a positive response: calibrate to the prior attribution share
+      source = 'prior';
+      const attributedPerBeta = sum(channels.map(c =>
+        (recentSpend[c] / recentTotal) * Math.log(1 + recentSpend[c] / SPEND_SCALE)
+      ));
+      totalBeta = (PRIOR_MARKETING_SHARE * recentRegistrations) / attributedPerBeta;
+      console.warn('Marketing response not identified from history, using prior attribution share', PRIOR_MARKETING_SHARE);
+    }
+    // Attribute the total curve to channels by spend share
+    channels.forEach(c => {
+      betas[c] = totalBeta * (recentSpend[c] / recentTotal);
+    });
+  }
+
+  const attributed = {};
+  channels.forEach(c => {
+    attributed[c] = betas[c] * Math.log(1 + recentSpend[c] / SPEND_SCALE);
+  });
+  const totalAttributed = sum(Object.values(attributed));
+
+  const channelResults = {};
+  channels.forEach(c => {
+    // Share of all new registrations credited to this channel's spend
+    const credited = totalAttributed > 0 ? recentRegistrations * (attributed[c] / totalAttributed) : 0;
+    channelResults[c] = {
+      label: MARKETING_CHANNELS[c],
+      beta: betas[c],
+      weekly_spend: recentSpend[c],
+      incremental_registrations: attributed[c],
+      cac: credited > 0 ? recentSpend[c] / credited : null,
+      marginal_cac: betas[c] > 0 ? (SPEND_SCALE + recentSpend[c]) / betas[c] : null
+    };
+  });
+
+  cachedModel = {
+    channels: channelResults,
+    // Per-channel β differ only when the mix varied and the curves were significant
+    channel_cac_identified: source === 'estimated' && mixVaries,
+    blended_cac: recentRegistrations > 0 ? recentTotal / recentRegistrations : null,
+    weekly_spend: recentTotal,
+    weekly_registrations: recentRegistrations,
+    marketing_share: recentRegistrations > 0 ? totalAttributed / recentRegistrations : 0,
+    mix_varies: mixVaries,
+    source,
+    r_squared: fit.rSquared,
+    weeks: weeks.length
+  };
+  return cachedModel;
+}
+
+/**
+ * Blended CAC (recent marketing spend ÷ new registrations) if the model has been fitted
+ * @returns {number|null} Dollars per new visitor
+ */
+export function getBlendedCAC() {
+  return cachedModel?.blended_cac ?? null;
+}
+
+/**
+ * Allocate an extra weekly budget across channels, each increment going to the channel
+ * with the highest marginal registrations per dollar
+ * @param {number} budget - Extra weekly dollars
+ * @param {Object} model - Output of fitMarketingResponse()
+ * @returns {Object} { incremental_registrations, allocation: { channel: dollars } }
+ */
+export function allocateMarketingBudget(budget, model) {
+  const allocation = {};
+  Object.keys(model.channels).forEach(c => {
+    allocation[c] = 0;
+  });
+
+  const response = (c, extra) =>
+    model.channels[c].beta * Math.log(1 + (model.channels[c].weekly_spend + extra) / SPEND_SCALE);
+
+  if (!model.channel_cac_identified) {
+    // Channels can't be told apart: keep the current mix instead of ranking on an assumed split
+    Object.keys(allocation).forEach(c => {
+      allocation[c] = model.weekly_spend > 0 ? budget * (model.channels[c].weekly_spend / model.weekly_spend) : 0;
+    });
+    const incremental = sum(Object.keys(allocation).map(c => response(c, allocation[c]) - response(c, 0)));
+    return { incremental_registrations: incremental, allocation, by_mix: true };
+  }
+
+  const step = budget / ALLOCATION_STEPS;
+  for (let i = 0; i < ALLOCATION_STEPS; i++) {
+    let best = null;
+    let bestGain = -Infinity;
+    Object.keys(allocation).forEach(c => {
+      const gain = response(c, allocation[c] + step) - response(c, allocation[c]);
+      if (gain > bestGain) {
+        bestGain = gain;
+        best = c;
+      }
+    });
+    allocation[best] += step;
+  }
+
+  const incremental = sum(Object.keys(allocation).map(c => response(c, allocation[c]) - response(c, 0)));
+  return { incremental_registrations: incremental, allocation };
+}
+
+/**
+ * Compare a price cut against spending the same dollars on marketing
+ * Budget = weekly discount given to visitors who would have come anyway: (P0 − P1) × baseline visitors.
+ *
+ * @param {string} tier - Tier name
+ * @param {number} currentPrice - Current price
+ * @param {number} newPrice - Proposed (lower) price
+ * @returns {Promise<Object|null>} Comparison, or null when the scenario is not a price cut
+ */
+export async function comparePriceCutVsMarketing(tier, currentPrice, newPrice) {
+  if (!(newPrice < currentPrice)) {
+    return null;
+  }
+
+  const [model, dailyData] = await Promise.all([fitMarketingResponse(), loadDailyAggregated()]);
+
+  const dataTier = tier === 'vip_pass' ? 'premium_pass' : tier;
+  const tierRows = dailyData.filter(d => d.membership_tier === dataTier).slice(-28);
+  const weeklyVisitors = mean(tierRows.map(d => d.daily_visitors)) * 7;
+  const weeklyNew = mean(tierRows.map(d => d.new_registrations)) * 7;
+
+  const budget = (currentPrice - newPrice) * weeklyVisitors;
+  const priceChangePct = (newPrice - currentPrice) / currentPrice;
+
+  const acquisition = await forecastAcquisition(tier, priceChangePct, weeklyNew);
+  const priceCutNew = Math.max(0, acquisition.forecastedAcquisition - weeklyNew);
+
+  const marketing = allocateMarketingBudget(budget, model);
+  const marketingNew = marketing.incremental_registrations;
+
+  const priceCut = {
+    weekly_cost: budget,
+    incremental_new_visitors: priceCutNew,
+    cost_per_new_visitor: priceCutNew > 0 ? budget / priceCutNew : null,
+    net_cost: budget - priceCutNew * newPrice
+  };
+  const marketingOption = {
+    weekly_cost: budget,
+    incremental_new_visitors: marketingNew,
+    cost_per_new_visitor: marketingNew > 0 ? budget / marketingNew : null,
+    net_cost: budget - marketingNew * currentPrice,
+    allocation: marketing.allocation,
+    by_mix: Boolean(marketing.by_mix)
+  };
+
+  return {
+    tier,
+    current_price: currentPrice,
+    new_price: newPrice,
+    weekly_visitors: weeklyVisitors,
+    weekly_new_visitors: weeklyNew,
+    price_cut: priceCut,
+    marketing: marketingOption,
+    recommendation: marketingOption.net_cost < priceCut.net_cost ? 'marketing' : 'price_cut',
+    model_source: model.source
+  };
+}
+
+/**
+ * Render price-cut vs marketing comparison and channel CAC table
+ * @param {Object} result - simulateScenario() result
+ * @param {Object} scenario - Scenario that produced the result (for tier and prices)
+ */
+export async function renderMarketingTradeoff(result, scenario = null) {
+  const container = document.getElementById('marketing-tradeoff-container');
+  if (!container) return;
+
+  const config = scenario?.config || result.scenario_config || {};
+  const tier = config.tier || result.tier;
+  const currentPrice = config.current_price;
+  const newPrice = config.new_price;
+
+  try {
+    const model = await fitMarketingResponse();
+    const comparison = tier && currentPrice
+      ? await comparePriceCutVsMarketing(tier, currentPrice, newPrice)
+      : null;
+
+    const money = value => (value === null ? 'N/A' : `$${Math.round(value).toLocaleString()}`);
+
+    const notIdentified = '<td class="text-end text-muted" title="The history does not separate the channels">not identified</td>';
+    const channelRows = Object.values(model.channels).map(ch => `
+      <tr>
+        <td>${ch.label}</td>
+        <td class="text-end">${money(ch.weekly_spend)}</td>
+        ${model.channel_cac_identified ? `
+          <td class="text-end">${Math.round(ch.incremental_registrations).toLocaleString()}</td>
+          <td class="text-end">${money(ch.cac)}</td>
+          <td class="text-end">${money(ch.marginal_cac)}</td>
+        ` : notIdentified.repeat(3)}
+      </tr>
+    `).join('');
+
+    const comparisonHtml = comparison ? `
+      <div class="row g-3 mb-3">
+        ${['price_cut', 'marketing'].map(key => {
+          const option = comparison[key];
+          const isBest = comparison.recommendation === key;
+          return `
+            <div class="col-md-6">
+              <div class="card h-100 ${isBest ? 'border-success' : ''}">
+                <div class="card-body">
+                  <h6 class="mb-2">
+                    ${key === 'price_cut' ? `<i class="bi bi-tag me-1"></i>Price Cut to $${newPrice}` : '<i class="bi bi-megaphone me-1"></i>Same $ on Marketing'}
+                    ${isBest ? '<span class="badge bg-success ms-1">Lower net cost</span>' : ''}
+                  </h6>
+                  <div class="small">Weekly cost: <strong>${money(option.weekly_cost)}</strong></div>
+                  <div class="small">Incremental new visitors / week: <strong>${Math.round(option.incremental_new_visitors).toLocaleString()}</strong></div>
+                  <div class="small">Cost per new visitor: <strong>${money(option.cost_per_new_visitor)}</strong></div>
+                  <div class="small">Net cost after ticket revenue: <strong>${money(option.net_cost)}</strong></div>
+                  ${key === 'marketing' ? `<div class="small text-muted mt-1">${option.by_mix ? 'Current mix' : 'Best mix'}: ${
+                    Object.entries(option.allocation).filter(([, v]) => v > 0)
+                      .map(([c, v]) => `${MARKETING_CHANNELS[c]} ${money(v)}`).join(', ')
+                  }${model.source === 'prior' ? ` · assumes ${PRIOR_MARKETING_SHARE * 100}% of new visitors come from marketing` : ''}</div>` : ''}
+                </div>
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    ` : '<p class="small text-muted">Price-vs-marketing comparison applies to price cuts.</p>';
+
+    container.innerHTML = `
+      ${comparisonHtml}
+      <div class="table-responsive">
+        <table class="table table-sm mb-1">
+          <thead class="table-light">
+            <tr>
+              <th>Channel</th>
+              <th class="text-end">Weekly Spend</th>
+              <th class="text-end">Incremental Regs / wk</th>
+              <th class="text-end">CAC</th>
+              <th class="text-end">Marginal CAC</th>
+            </tr>
+          </thead>
+          <tbody>${channelRows}</tbody>
+        </table>
+      </div>
+      <div class="small text-muted">
+        Blended CAC ${money(model.blended_cac)} measured from ${model.weeks} weeks of marketing spend vs new registrations
+        ${model.source === 'prior'
+          ? `· response curve not identified in history, so the trade-off assumes ${PRIOR_MARKETING_SHARE * 100}% marketing attribution`
+          : `· R² ${model.r_squared.toFixed(2)}`}
+        ${model.channel_cac_identified ? '' : `· channel CAC not identified (${model.mix_varies ? 'channel curves not significant' : 'channel mix constant in history'})`}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Marketing trade-off failed:', error);
+    container.innerHTML = `<p class="small text-danger">Marketing response unavailable: ${error.message}</p>`;
+  }
+}
+
+/**
+ * Sum new registrations into weeks starting Sunday (matches marketing_spend.csv dates)
+ */
+function aggregateWeeklyRegistrations(dailyData) {
+  const weeks = {};
+  const daysSeen = {};
+  dailyData.forEach(row => {
+    const date = new Date(`${row.date}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+    const week = date.toISOString().slice(0, 10);
+    weeks[week] = weeks[week] || { total: 0, days: 0 };
+    weeks[week].total += row.new_registrations || 0;
+    (daysSeen[week] = daysSeen[week] || new Set()).add(row.date);
+    weeks[week].days = daysSeen[week].size;
+  });
+  return weeks;
+}
@@ -4,6 +4,7 @@
  */
 
 import { loadElasticityParams, loadDailyAggregated } from './data-loader.js';
+import { readDataJson } from './data-source.js';
 
 // Chart instance
 let migrationChartSimple = null;
@@ -19,8 +20,7 @@ let cohortData = null;
  */
 async function loadCohortData() {
   try {
-    const response = await fetch('data/cohort_coefficients.json');
-    cohortData = await response.json();
+    cohortData = await readDataJson('cohort_coefficients.json');
     console.log('✓ Loaded cohort profiles for migration');
     return cohortData;
   } catch (error) {
@@ -0,0 +1,298 @@
+/**
+ * Park Capacity Module
+ * Daily capacity per day type, demand clipping and crowding feedback for forecasts
+ *
+ * Capacity is a park-wide limit shared by all tiers. Each forecast day:
+ *   served    = min(demand, capacity), cut pro-rata across tiers
+ *   displaced = displacement_rate × turned-away visitors, rebooked on the next days with spare
+ *               capacity within displacement_window_days
+ *   lost      = turned-away visitors that never find a day
+ * Crowding: above crowding.threshold (load = served ÷ capacity) the return rate drops by
+ * crowding.return_rate_penalty for every 10 points of load. Historical return rates already
+ * include today's crowding, so forecasts apply the penalty relative to the baseline's load.
+ *
+ * simulateScenario() picks up the active settings through getActiveParkCapacity() unless
+ * options.capacity is passed explicitly (options.capacity = false switches capacity off).
+ *
+ * Dependencies: None
+ */
+
+export const DAY_TYPES = {
+  weekday: { label: 'Weekday', icon: 'bi-briefcase' },
+  weekend: { label: 'Weekend', icon: 'bi-sun' },
+  holiday: { label: 'Holiday / Special Event', icon: 'bi-stars' }
+};
+
+// Sized just above the highest park days in daily_aggregated.csv (≈8,750 on summer weekends);
+// weekdays run shorter hours, holidays extended ones
+export const DEFAULT_PARK_CAPACITY = {
+  enabled: true,
+  weekday: 8500,
+  weekend: 9000,
+  holiday: 9500,
+  displacement_rate: 0.5,
+  displacement_window_days: 7,
+  crowding: {
+    enabled: true,
+    threshold: 0.85,
+    return_rate_penalty: 0.02
+  }
+};
+
+const STORAGE_KEY = 'pricingStudio.parkCapacity';
+
+let activeCapacity = loadStoredCapacity();
+
+/**
+ * Get the capacity settings applied to simulations
+ * @returns {Object} Settings in the DEFAULT_PARK_CAPACITY shape
+ */
+export function getActiveParkCapacity() {
+  return structuredClone(activeCapacity);
+}
+
+/**
+ * Set the capacity settings applied to simulations (missing keys fall back to the defaults)
+ * @param {Object} settings - Partial DEFAULT_PARK_CAPACITY
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Remember the settings for the next visit
+ */
+export function setActiveParkCapacity(settings, { persist = true } = {}) {
+  activeCapacity = normalizeCapacity(settings);
+  if (!persist) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(activeCapacity));
+  } catch (error) {
+    console.warn('Could not remember park capacity settings:', error);
+  }
+}
+
+/**
+ * Resolve the capacity settings for a run
+ * @param {Object|boolean|undefined} option - options.capacity (false = off, object = overrides)
+ * @returns {Object|null} Settings, or null when capacity is switched off
+ */
+export function resolveParkCapacity(option) {
+  if (option === false) return null;
+  const settings = option && typeof option === 'object' ? normalizeCapacity(option) : getActiveParkCapacity();
+  return settings.enabled ? settings : null;
+}
+
+/**
+ * Day type of a forecast day (holiday and special-event days outrank weekends)
+ * @param {Object} day - { is_weekend, event_types }
+ * @returns {string} weekday | weekend | holiday
+ */
+export function getDayType(day) {
+  if ((day.event_types || []).some(type => type === 'holiday' || type === 'special_event')) return 'holiday';
+  return day.is_weekend ? 'weekend' : 'weekday';
+}
+
+/**
+ * Return-rate penalty for a day's load factor
+ * @param {number} load - served ÷ capacity
+ * @param {Object} crowding - { enabled, threshold, return_rate_penalty }
+ * @returns {number} Return-rate points lost (0 at or below the threshold)
+ */
+export function crowdingPenalty(load, crowding) {
+  if (!crowding?.enabled || load <= crowding.threshold) return 0;
+  return crowding.return_rate_penalty * (load - crowding.threshold) / 0.1;
+}
+
+/**
+ * Clip daily demand at park capacity
+ * @param {Array<Object>} days - Forecast days ({ date, is_weekend, event_types }), same order for every tier
+ * @param {Array<Array<number>>} tierDemand - Demand per tier per day
+ * @param {Object} capacity - Settings from resolveParkCapacity()
+ * @param {Object} options - { displacement: false to clip without rebooking }
+ * @returns {Object} { served, lost, displaced (per tier per day), load, capacity (per day), summary }
+ *   summary: { days_at_capacity, turned_away, displaced, lost, peak_load, avg_load, by_day_type }
+ */
+export function applyParkCapacity(days, tierDemand, capacity, options = {}) {
+  const rate = options.displacement === false ? 0 : capacity.displacement_rate;
+  const window = capacity.displacement_window_days;
+  const tiers = tierDemand.length;
+
+  const served = tierDemand.map(() => new Array(days.length).fill(0));
+  const lost = tierDemand.map(() => new Array(days.length).fill(0));
+  const displaced = tierDemand.map(() => new Array(days.length).fill(0));
+  const load = new Array(days.length).fill(0);
+  const dailyCapacity = days.map(day => capacity[getDayType(day)]);
+
+  // Rebooking queue: { tier, visitors, expires } (index of the last day it can be used)
+  let queue = [];
+  const summary = { days_at_capacity: 0, turned_away: 0, displaced: 0, lost: 0, peak_load: 0, avg_load: 0, by_day_type: {} };
+
+  days.forEach((day, i) => {
+    const cap = dailyCapacity[i];
+    const demand = tierDemand.map(d => d[i]);
+    const total = demand.reduce((a, b) => a + b, 0);
+    const scale = total > cap ? cap / total : 1;
+
+    let used = 0;
+    for (let t = 0; t < tiers; t++) {
+      served[t][i] = demand[t] * scale;
+      used += served[t][i];
+      const turnedAway = demand[t] - served[t][i];
+      if (turnedAway > 0) {
+        summary.turned_away += turnedAway;
+        if (rate > 0) queue.push({ tier: t, visitors: turnedAway * rate, expires: i + window });
+        lost[t][i] += turnedAway * (1 - rate);
+      }
+    }
+    if (scale < 1) summary.days_at_capacity++;
+
+    // Rebooked visitors from earlier full days fill today's spare capacity (oldest first)
+    queue = queue.filter(entry => {
+      if (entry.expires < i) {
+        lost[entry.tier][i] += entry.visitors;
+        return false;
+      }
+      if (entry.expires === i + window) return true; // turned away today - rebook from tomorrow
+      const take = Math.min(entry.visitors, cap - used);
+      if (take > 0) {
+        served[entry.tier][i] += take;
+        displaced[entry.tier][i] += take;
+        used += take;
+        entry.visitors -= take;
+      }
+      return entry.visitors > 0;
+    });
+
+    load[i] = cap > 0 ? used / cap : 0;
+    summary.peak_load = Math.max(summary.peak_load, load[i]);
+    summary.avg_load += load[i] / days.length;
+
+    const type = getDayType(day);
+    const stats = (summary.by_day_type[type] = summary.by_day_type[type] || { days: 0, capacity: cap, days_at_capacity: 0, peak_load: 0 });
+    stats.days++;
+    if (scale < 1) stats.days_at_capacity++;
+    stats.peak_load = Math.max(stats.peak_load, load[i]);
+  });
+
+  // Whatever is still queued after the last day never found a slot
+  queue.forEach(entry => { lost[entry.tier][days.length - 1] += entry.visitors; });
+
+  summary.displaced = displaced.reduce((sum, d) => sum + d.reduce((a, b) => a + b, 0), 0);
+  summary.lost = lost.reduce((sum, d) => sum + d.reduce((a, b) => a + b, 0), 0);
+
+  return { served, lost, displaced, load, capacity: dailyCapacity, summary };
+}
+
+/**
+ * Initialize the park-capacity panel in the scenario engine
+ */
+export function initializeParkCapacityPanel() {
+  const container = document.getElementById('park-capacity-options');
+  if (!container) return;
+
+  const settings = getActiveParkCapacity();
+  container.innerHTML = `
+    <div class="col-md-3">
+      <div class="form-check form-switch mt-4">
+        <input class="form-check-input" type="checkbox" id="capacity-enabled" ${settings.enabled ? 'checked' : ''}>
+        <label class="form-check-label small" for="capacity-enabled">Clip demand at capacity</label>
+      </div>
+    </div>
+    ${Object.entries(DAY_TYPES).map(([key, type]) => `
+      <div class="col-md-3">
+        <label class="form-label small" for="capacity-${key}"><i class="bi ${type.icon} me-1"></i>${type.label}</label>
+        <input type="number" id="capacity-${key}" class="form-control form-control-sm capacity-input"
+          data-key="${key}" value="${settings[key]}" min="0" step="100">
+      </div>
+    `).join('')}
+    <div class="col-md-3">
+      <label class="form-label small" for="capacity-displacement">Rebook on another day (%)</label>
+      <input type="number" id="capacity-displacement" class="form-control form-control-sm"
+        value="${Math.round(settings.displacement_rate * 100)}" min="0" max="100" step="5">
+    </div>
+    <div class="col-md-3">
+      <div class="form-check form-switch mt-4">
+        <input class="form-check-input" type="checkbox" id="capacity-crowding" ${settings.crowding.enabled ? 'checked' : ''}>
+        <label class="form-check-label small" for="capacity-crowding">Crowding lowers return rate</label>
+      </div>
+    </div>
+    <div class="col-md-3">
+      <label class="form-label small" for="capacity-crowding-threshold">Crowding above (% of capacity)</label>
+      <input type="number" id="capacity-crowding-threshold" class="form-control form-control-sm"
+        value="${Math.round(settings.crowding.threshold * 100)}" min="50" max="100" step="5">
+    </div>
+    <div class="col-md-3">
+      <label class="form-label small" for="capacity-crowding-penalty">Return-rate pts lost per 10% over</label>
+      <input type="number" id="capacity-crowding-penalty" class="form-control form-control-sm"
+        value="${(settings.crowding.return_rate_penalty * 100).toFixed(1)}" min="0" max="20" step="0.5">
+    </div>
+  `;
+
+  const readInputs = () => {
+    const value = (id) => parseFloat(document.getElementById(id).value);
+    const next = {
+      enabled: document.getElementById('capacity-enabled').checked,
+      displacement_rate: value('capacity-displacement') / 100,
+      crowding: {
+        enabled: document.getElementById('capacity-crowding').checked,
+        threshold: value('capacity-crowding-threshold') / 100,
+        return_rate_penalty: value('capacity-crowding-penalty') / 100
+      }
+    };
+    container.querySelectorAll('.capacity-input').forEach(input => {
+      next[input.dataset.key] = parseFloat(input.value);
+    });
+    setActiveParkCapacity(next);
+    renderCapacitySummary();
+  };
+
+  container.querySelectorAll('input').forEach(input => input.addEventListener('change', readInputs));
+
+  const resetBtn = document.getElementById('reset-park-capacity-btn');
+  if (resetBtn) {
+    resetBtn.onclick = () => {
+      setActiveParkCapacity(DEFAULT_PARK_CAPACITY);
+      initializeParkCapacityPanel();
+    };
+  }
+
+  renderCapacitySummary();
+}
+
+function renderCapacitySummary() {
+  const summary = document.getElementById('park-capacity-summary');
+  if (!summary) return;
+
+  const settings = getActiveParkCapacity();
+  if (!settings.enabled) {
+    summary.innerHTML = '<span class="text-muted">Capacity off - forecasts are unconstrained</span>';
+    return;
+  }
+  summary.innerHTML = Object.entries(DAY_TYPES)
+    .map(([key, type]) => `<span class="badge bg-light text-dark border me-1">${type.label}: ${settings[key].toLocaleString()}</span>`)
+    .join('') +
+    `<span class="text-muted small">${Math.round(settings.displacement_rate * 100)}% of turned-away visitors rebook` +
+    `${settings.crowding.enabled ? ` · crowding above ${Math.round(settings.crowding.threshold * 100)}% lowers return rate` : ''}</span>`;
+}
+
+function normalizeCapacity(settings = {}) {
+  const merged = {
+    ...DEFAULT_PARK_CAPACITY,
+    ...settings,
+    crowding: { ...DEFAULT_PARK_CAPACITY.crowding, ...(settings.crowding || {}) }
+  };
+  Object.keys(DAY_TYPES).forEach(key => {
+    if (!(merged[key] > 0)) merged[key] = DEFAULT_PARK_CAPACITY[key];
+  });
+  merged.displacement_rate = Math.min(Math.max(Number(merged.displacement_rate) || 0, 0), 1);
+  merged.displacement_window_days = Math.max(Math.round(Number(merged.displacement_window_days) || 0), 0);
+  ['threshold', 'return_rate_penalty'].forEach(key => {
+    if (!Number.isFinite(merged.crowding[key])) merged.crowding[key] = DEFAULT_PARK_CAPACITY.crowding[key];
+  });
+  return merged;
+}
+
+function loadStoredCapacity() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return normalizeCapacity(stored ? JSON.parse(stored) : {});
+  } catch (error) {
+    return normalizeCapacity({});
+  }
+}
@@ -0,0 +1,410 @@
+/**
+ * Price Optimizer Module
+ * Grid search over a tier's price_range for the price that maximizes an objective
+ *
+ * Each candidate price is evaluated with the same building blocks as simulateScenario():
+ * forecastDemand() for visitors, forecastChurn() for return rate and forecastAcquisition()
+ * for new visitors, with revenue per visit from forecastAncillary() (ticket + Fast Pass + in-park
+ * spend). Candidates that break the return-rate or visitor-floor constraint are
+ * kept on the curve (for context) but can't be the optimum.
+ *
+ * Contribution uses the same cost model as the scenario results (cost-model.js): variable cost per
+ * visit, food & merch COGS on in-park spend and today's acquisition spend, which no price changes.
+ *
+ * Dependencies: elasticity-model.js, ancillary-revenue.js, cost-model.js, data-loader.js, utils.js,
+ *   simulation-service.js, Chart.js
+ */
+
+import {
+  forecastDemand,
+  forecastChurn,
+  forecastAcquisition,
+  calculateElasticity
+} from './elasticity-model.js';
+import { buildAncillaryProfile, forecastAncillary } from './ancillary-revenue.js';
+import { resolveCostModel, calculateContribution, acquisitionSpend } from './cost-model.js';
+import { getDailyData, loadElasticityParams } from './data-loader.js';
+import { formatCurrency, formatNumber, formatPercent, showAlert } from './utils.js';
+import { simulationService } from './simulation-service.js';
+
+export const OPTIMIZER_OBJECTIVES = {
+  revenue: { label: 'Revenue', unit: '$ / day' },
+  visitors: { label: 'Visitors', unit: 'visitors / day' },
+  contribution: { label: 'Contribution Margin', unit: '$ / day' }
+};
+
+let optimizerChart = null;
+let lastOptimization = null;
+let saveScenarioHandler = null;
+
+/**
+ * Search the price_range of a tier for the best price
+ * @param {string} tier - Tier name (standard_pass, premium_pass, vip_pass)
+ * @param {Object} options
+ *   objective: 'revenue' | 'visitors' | 'contribution'
+ *   costModel: overrides of the active cost model (see resolveCostModel())
+ *   variableCostPerVisitor: $ per visit, overrides the cost model's variable cost
+ *   minReturnRate: lowest acceptable forecast return rate (fraction), optional
+ *   minVisitorsPct: visitor floor as a share of baseline visitors (e.g. 0.9), optional
+ *   step: price step in $ (default 1)
+ *   timeHorizon, externalConditions: passed to calculateElasticity()
+ * @returns {Promise<Object>} { tier, objective, baseline, points, optimum, current, atBoundary, constraints, cost_model }
+ */
+export async function optimizePrice(tier, options = {}) {
+  const objective = OPTIMIZER_OBJECTIVES[options.objective] ? options.objective : 'revenue';
+  const params = await loadElasticityParams();
+  const range = params[tier]?.price_range;
+  if (!range) {
+    throw new Error(`No price_range defined for tier: ${tier}`);
+  }
+
+  const dailyData = await getDailyData(tier);
+  const latestDay = dailyData?.[dailyData.length - 1];
+  if (!latestDay) {
+    throw new Error(`No data available for tier: ${tier}`);
+  }
+
+  const currentPrice = range.current;
+  const ancillary = await buildAncillaryProfile(tier);
+  const currentArpv = forecastAncillary(ancillary, currentPrice, currentPrice).arpv;
+  const costModel = await resolveCostModel(options.costModel);
+  if (options.variableCostPerVisitor != null) {
+    costModel.variable_cost_per_visitor = options.variableCostPerVisitor;
+  }
+  const step = options.step > 0 ? options.step : 1;
+  const { elasticity } = await calculateElasticity(tier, null, {
+    timeHorizon: options.timeHorizon,
+    externalConditions: options.externalConditions
+  });
+
+  const baseline = {
+    price: currentPrice,
+    arpv: currentArpv,
+    visitors: latestDay.daily_visitors,
+    return_rate: latestDay.return_rate,
+    new_visitors: latestDay.new_registrations
+  };
+  const visitorFloor = options.minVisitorsPct != null ? baseline.visitors * options.minVisitorsPct : null;
+
+  const prices = [];
+  for (let price = range.min; price <= range.max + 1e-9; price += step) {
+    prices.push(Math.round(price * 100) / 100);
+  }
+  if (!prices.includes(currentPrice)) {
+    prices.push(currentPrice);
+    prices.sort((a, b) => a - b);
+  }
+
+  const points = [];
+  for (const price of prices) {
+    const priceChangePct = (price - currentPrice) / currentPrice;
+    const demand = forecastDemand(currentPrice, price, baseline.visitors, elasticity);
+    const returnRate = await forecastChurn(tier, priceChangePct, baseline.return_rate);
+    const acquisition = await forecastAcquisition(tier, priceChangePct, baseline.new_visitors);
+
+    const visitors = demand.forecastedVisitors;
+    const { arpv, ancillary_spend: spend } = forecastAncillary(ancillary, price, currentPrice);
+    const newVisitors = acquisition.forecastedAcquisition;
+    const { contribution } = calculateContribution({
+      visitors,
+      revenue: visitors * arpv,
+      ancillary_revenue: visitors * spend,
+      acquisition_spend: acquisitionSpend(baseline.new_visitors, costModel)
+    }, costModel);
+    const point = {
+      price,
+      price_change_pct: priceChangePct * 100,
+      visitors,
+      arpv,
+      revenue: visitors * arpv,
+      contribution,
+      return_rate: returnRate.forecastedChurn,
+      new_visitors: newVisitors,
+      violations: []
+    };
+
+    if (options.minReturnRate != null && point.return_rate < options.minReturnRate) {
+      point.violations.push('return_rate');
+    }
+    if (visitorFloor != null && point.visitors < visitorFloor) {
+      point.violations.push('visitor_floor');
+    }
+    point.feasible = point.violations.length === 0;
+    point.objective = point[objective];
+    points.push(point);
+  }
+
+  const feasible = points.filter(p => p.feasible);
+  const optimum = feasible.length > 0
+    ? feasible.reduce((best, p) => (p.objective > best.objective ? p : best))
+    : null;
+  const current = points.find(p => p.price === currentPrice);
+
+  return {
+    tier,
+    objective,
+    elasticity,
+    variable_cost: costModel.variable_cost_per_visitor,
+    cost_model: costModel,
+    price_range: { min: range.min, max: range.max },
+    baseline,
+    constraints: {
+      min_return_rate: options.minReturnRate ?? null,
+      min_visitors_pct: options.minVisitorsPct ?? null,
+      visitor_floor: visitorFloor
+    },
+    points,
+    optimum,
+    current,
+    // With constant elasticity the curve is often monotone, so the optimum sits on an edge
+    atBoundary: !!optimum && (optimum.price === prices[0] || optimum.price === prices[prices.length - 1]),
+    uplift: optimum && current ? optimum.objective - current.objective : null
+  };
+}
+
+/**
+ * Turn an optimization result into a scenario (scenarios.json shape)
+ * @param {Object} optimization - Result of optimizePrice()
+ * @param {string} modelType - acquisition | churn | migration
+ * @returns {Object|null} Scenario object
+ */
+export function createScenarioFromOptimum(optimization, modelType = 'churn') {
+  const { optimum, tier, baseline, objective } = optimization;
+  if (!optimum) return null;
+
+  const priceChangePct = ((optimum.price - baseline.price) / baseline.price) * 100;
+  const tierLabel = tier.replace('_', ' ').replace(/\b\w/g, c => c.toUpperCase());
+  const category = priceChangePct > 0 ? 'price_increase' : (priceChangePct < 0 ? 'price_decrease' : 'baseline');
+
+  return {
+    id: `optimized_${tier}_${objective}_${String(optimum.price).replace('.', '_')}`,
+    name: `${tierLabel} at ${formatCurrency(optimum.price)} (${OPTIMIZER_OBJECTIVES[objective].label}-optimal)`,
+    description: `Optimizer result: best ${OPTIMIZER_OBJECTIVES[objective].label.toLowerCase()} in ` +
+      `${formatCurrency(optimization.price_range.min)}–${formatCurrency(optimization.price_range.max)}`,
+    category,
+    model_type: modelType,
+    config: {
+      tier,
+      current_price: baseline.price,
+      new_price: optimum.price,
+      price_change_pct: Math.round(priceChangePct * 10) / 10
+    },
+    impact_summary: {
+      revenue_change_pct: optimization.current
+        ? Math.round(((optimum.revenue - optimization.current.revenue) / optimization.current.revenue) * 1000) / 10
+        : null,
+      visitor_change_pct: Math.round(((optimum.visitors - baseline.visitors) / baseline.visitors) * 1000) / 10
+    },
+    optimizer: {
+      objective,
+      constraints: optimization.constraints,
+      variable_cost: optimization.variable_cost,
+      at_boundary: optimization.atBoundary
+    },
+    rationale: `Maximizes ${OPTIMIZER_OBJECTIVES[objective].label.toLowerCase()} under elasticity ` +
+      `${optimization.elasticity.toFixed(2)}${optimization.atBoundary ? ' (optimum at the edge of price_range)' : ''}.`
+  };
+}
+
+// ========== UI ==========
+
+/**
+ * Initialize the price optimizer panel
+ * @param {Object} hooks - { onSaveScenario(scenario) } called when the optimum is saved
+ */
+export function initializePriceOptimizer(hooks = {}) {
+  const runBtn = document.getElementById('run-optimizer-btn');
+  if (!runBtn) return;
+
+  saveScenarioHandler = hooks.onSaveScenario || null;
+  runBtn.addEventListener('click', runOptimizer);
+  document.getElementById('save-optimum-btn')?.addEventListener('click', saveOptimum);
+
+  const objectiveSelect = document.getElementById('optimizer-objective');
+  const costGroup = document.getElementById('optimizer-cost-group');
+  const syncCostVisibility = () => {
+    if (costGroup) costGroup.style.display = objectiveSelect.value === 'contribution' ? '' : 'none';
+  };
+  objectiveSelect?.addEventListener('change', syncCostVisibility);
+  syncCostVisibility();
+}
+
+function readNumber(id) {
+  const value = parseFloat(document.getElementById(id)?.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+async function runOptimizer() {
+  const runBtn = document.getElementById('run-optimizer-btn');
+  const minReturnRate = readNumber('optimizer-min-return-rate');
+  const minVisitorsPct = readNumber('optimizer-visitor-floor');
+
+  runBtn.disabled = true;
+  runBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Searching...';
+  try {
+    lastOptimization = await simulationService.optimizePrice(document.getElementById('optimizer-tier').value, {
+      objective: document.getElementById('optimizer-objective').value,
+      variableCostPerVisitor: readNumber('optimizer-variable-cost') ?? undefined,
+      minReturnRate: minReturnRate != null ? minReturnRate / 100 : null,
+      minVisitorsPct: minVisitorsPct != null ? minVisitorsPct / 100 : null,
+      step: readNumber('optimizer-step') || 1
+    });
+    renderOptimizerResults(lastOptimization);
+  } catch (error) {
+    console.error('Price optimization failed:', error);
+    showAlert('Price optimization failed: ' + error.message, 'danger');
+  } finally {
+    runBtn.disabled = false;
+    runBtn.innerHTML = '<i class="bi bi-search me-1"></i>Find Optimal Price';
+  }
+}
+
+function saveOptimum() {
+  if (!lastOptimization?.optimum || !saveScenarioHandler) return;
+  const modelType = document.getElementById('optimizer-model-type')?.value || 'churn';
+  saveScenarioHandler(createScenarioFromOptimum(lastOptimization, modelType));
+}
+
+function renderOptimizerResults(result) {
+  const container = document.getElementById('optimizer-results');
+  container.style.display = 'block';
+
+  const objectiveLabel = OPTIMIZER_OBJECTIVES[result.objective].label;
+  const formatObjective = (value) => result.objective === 'visitors' ? formatNumber(value) : formatCurrency(value, 0);
+  const saveBtn = document.getElementById('save-optimum-btn');
+  if (saveBtn) saveBtn.disabled = !result.optimum;
+
+  if (!result.optimum) {
+    document.getElementById('optimizer-summary').innerHTML = `
+      <div class="alert alert-warning small mb-2">
+        <i class="bi bi-exclamation-triangle me-1"></i>
+        No price in ${formatCurrency(result.price_range.min)}–${formatCurrency(result.price_range.max)} meets the constraints.
+        Relax the return-rate or visitor floor.
+      </div>
+    `;
+  } else {
+    const { optimum, current } = result;
+    document.getElementById('optimizer-summary').innerHTML = `
+      <div class="row g-2 mb-2">
+        <div class="col-6 col-md-3">
+          <div class="border rounded p-2 h-100">
+            <div class="small text-muted">Optimal Price</div>
+            <div class="fs-5 fw-semibold">${formatCurrency(optimum.price)}</div>
+            <div class="small text-muted">today ${formatCurrency(result.baseline.price)}</div>
+          </div>
+        </div>
+        <div class="col-6 col-md-3">
+          <div class="border rounded p-2 h-100">
+            <div class="small text-muted">${objectiveLabel}</div>
+            <div class="fs-5 fw-semibold">${formatObjective(optimum.objective)}</div>
+            <div class="small ${result.uplift >= 0 ? 'text-success' : 'text-danger'}">
+              ${result.uplift >= 0 ? '+' : ''}${formatObjective(result.uplift)} vs today
+            </div>
+          </div>
+        </div>
+        <div class="col-6 col-md-3">
+          <div class="border rounded p-2 h-100">
+            <div class="small text-muted">Daily Visitors</div>
+            <div class="fs-5 fw-semibold">${formatNumber(optimum.visitors)}</div>
+            <div class="small text-muted">today ${formatNumber(current?.visitors ?? result.baseline.visitors)}</div>
+          </div>
+        </div>
+        <div class="col-6 col-md-3">
+          <div class="border rounded p-2 h-100">
+            <div class="small text-muted">Return Rate</div>
+            <div class="fs-5 fw-semibold">${formatPercent(optimum.return_rate, 1)}</div>
+            <div class="small text-muted">today ${formatPercent(result.baseline.return_rate, 1)}</div>
+          </div>
+        </div>
+      </div>
+      <div class="small text-muted mb-2">
+        ε ${result.elasticity.toFixed(2)} ·
+        ${result.points.filter(p => !p.feasible).length} of ${result.points.length} prices break a constraint
+        ${result.objective === 'contribution' ? ` · ${describeCosts(result.cost_model)}` : ''}
+        ${result.atBoundary ? ' · <span class="text-warning">optimum is at the edge of price_range — the true optimum may lie outside it</span>' : ''}
+      </div>
+    `;
+  }
+
+  renderOptimizerChart(result);
+}
+
+function describeCosts(costModel) {
+  const cac = costModel.cac_source === 'unavailable'
+    ? ''
+    : ` + today's acquisition spend (${formatCurrency(costModel.cac)}/new visitor${costModel.cac_source === 'marketing_spend' ? ', CAC from marketing spend' : ''})`;
+  return `costs ${formatCurrency(costModel.variable_cost_per_visitor)}/visit + ` +
+    `${formatPercent(costModel.ancillary_cogs_pct, 0)} food &amp; merch COGS${cac}`;
+}
+
+function renderOptimizerChart(result) {
+  const ctx = document.getElementById('optimizer-chart');
+  if (!ctx) return;
+
+  if (optimizerChart) {
+    optimizerChart.destroy();
+  }
+
+  const objectiveLabel = OPTIMIZER_OBJECTIVES[result.objective].label;
+  const toXY = (points) => points.map(p => ({ x: p.price, y: p.objective }));
+
+  const datasets = [
+    {
+      label: `${objectiveLabel} (meets constraints)`,
+      data: result.points.map(p => ({ x: p.price, y: p.feasible ? p.objective : null })),
+      borderColor: 'rgba(99, 102, 241, 1)',
+      backgroundColor: 'rgba(99, 102, 241, 0.1)',
+      borderWidth: 2,
+      pointRadius: 0,
+      spanGaps: false
+    },
+    {
+      label: 'Breaks a constraint',
+      data: result.points.map(p => ({ x: p.price, y: p.feasible ? null : p.objective })),
+      borderColor: 'rgba(239, 68, 68, 0.6)',
+      borderDash: [4, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      spanGaps: false
+    }
+  ];
+
+  if (result.current) {
+    datasets.push({
+      type: 'scatter',
+      label: 'Today',
+      data: toXY([result.current]),
+      backgroundColor: 'rgba(107, 114, 128, 1)',
+      pointRadius: 6
+    });
+  }
+  if (result.optimum) {
+    datasets.push({
+      type: 'scatter',
+      label: 'Optimum',
+      data: toXY([result.optimum]),
+      backgroundColor: 'rgba(16, 185, 129, 1)',
+      pointStyle: 'star',
+      pointRadius: 10,
+      borderColor: 'rgba(16, 185, 129, 1)'
+    });
+  }
+
+  optimizerChart = new Chart(ctx, {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      parsing: true,
+      plugins: {
+        legend: { position: 'bottom' },
+        title: { display: true, text: `${objectiveLabel} by Price` }
+      },
+      scales: {
+        x: { type: 'linear', title: { display: true, text: 'Price ($)' } },
+        y: { title: { display: true, text: OPTIMIZER_OBJECTIVES[result.objective].unit } }
+      }
+    }
+  });
+}
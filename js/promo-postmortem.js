@@ -0,0 +1,430 @@
+/**
+ * Promo Post-Mortem Module
+ * Measures what each campaign in promo_metadata.json actually did in daily_aggregated.csv
+ *
+ * The counterfactual of a promo day is the same weekday 52 weeks earlier or later (whichever year
+ * has more days clear of every campaign and its attribution window), scaled by the level ratio
+ * actual ÷ comparison over 8 clean weeks next to the promo (before it where the data allows):
+ *   incremental visitors / revenue / adds = actual − counterfactual over the promo window (eligible tiers)
+ *   subsidy cost   = visitors who would have come anyway × redemption share × discount × list price
+ *   pull-forward   = visitor shortfall against the counterfactual in the weeks after the promo ends
+ *   roll-off Δ     = return-rate change after roll_off_date, difference-in-differences against the
+ *                    comparison year over the 8 weeks before
+ * The redemption share comes from the drop in avg_ticket_price against the counterfactual; when the
+ * tickets show no measurable discount it falls back to the promotion model's eligible share.
+ * Confidence bands assume independent daily residuals (pre-period noise), so they are optimistic.
+ *
+ * Results can be stored back on each campaign as post_mortem (see buildPromoMetadataWithPostMortems()).
+ *
+ * Dependencies: data-loader.js, promotion-model.js
+ *
+ * Usage:
+ *   import { runPromoPostMortems } from './promo-postmortem.js';
+ *   const results = await runPromoPostMortems();   // { promo_id: post-mortem }
+ */
+
+import { loadDailyAggregated, loadPromoMetadata } from './data-loader.js';
+import { resolvePromotion, resolvePromotionEligibility, promotionScenarioFromCampaign } from './promotion-model.js';
+
+const YEAR_OFFSETS = [-364, 364]; // 52 weeks keeps the weekday
+const BASELINE_DAYS = 56;
+const MIN_BASELINE_DAYS = 14;
+const MIN_PULL_FORWARD_DAYS = 28;
+const ROLL_OFF_DAYS = 56;
+const MIN_COVERAGE = 0.5;
+// Below this drop in the average ticket price the tickets carry no readable redemption signal
+const MIN_OBSERVED_DISCOUNT = 0.02;
+
+/**
+ * Post-mortem of every campaign in promo_metadata.json
+ * @returns {Promise<Object>} Post-mortem per promo_id (see analyzePromotion())
+ */
+export async function runPromoPostMortems() {
+  const [metadata, dailyData] = await Promise.all([loadPromoMetadata(), loadDailyAggregated()]);
+  const campaigns = Object.values(metadata);
+  const results = {};
+
+  campaigns.forEach(campaign => {
+    try {
+      results[campaign.promo_id] = analyzePromotion(campaign, dailyData, campaigns);
+    } catch (error) {
+      console.error(`Post-mortem ${campaign.promo_id} failed:`, error);
+      results[campaign.promo_id] = { promo_id: campaign.promo_id, status: 'error', error: error.message };
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Post-mortem of one campaign
+ * @param {Object} campaign - promo_metadata.json entry
+ * @param {Array} dailyData - Rows of daily_aggregated.csv
+ * @param {Array} campaigns - All campaigns (their windows are kept out of the comparison days)
+ * @returns {Object} { promo_id, status, data_through, analyzed_at, comparison, window, tiers, totals,
+ *   pull_forward, roll_off, notes }; status 'analyzed' | 'partial' | 'before_data' | 'after_data' |
+ *   'no_comparison'
+ */
+export function analyzePromotion(campaign, dailyData, campaigns = [campaign]) {
+  const promotion = resolvePromotion(promotionScenarioFromCampaign(campaign));
+  const index = indexDailyData(dailyData);
+  const { start: dataStart, end: dataEnd } = index.range;
+  const base = {
+    promo_id: promotion.promo_id,
+    data_through: dataEnd,
+    analyzed_at: new Date().toISOString().slice(0, 10)
+  };
+
+  if (promotion.start_date > dataEnd) {
+    return { ...base, status: 'after_data', notes: [`Starts after the daily data ends (${dataEnd})`] };
+  }
+  if (promotion.end_date < dataStart) {
+    return { ...base, status: 'before_data', notes: [`Ended before the daily data starts (${dataStart})`] };
+  }
+
+  const promoWindows = campaigns.map(c => ({
+    promo_id: c.promo_id,
+    start: c.start_date,
+    end: shiftDate(c.end_date, c.attribution_window_days ?? 14)
+  }));
+  const inPromo = (date, ownId = null) => promoWindows.some(w => w.promo_id !== ownId && date >= w.start && date <= w.end);
+
+  const promoDates = dateRange(maxDate(promotion.start_date, dataStart), minDate(promotion.end_date, dataEnd));
+  const tiers = promotion.eligible_tiers.filter(tier => index.tiers.has(tier) &&
+    resolvePromotionEligibility(promotion, tier).eligible);
+  const offset = pickOffset(index, tiers, promoDates, inPromo);
+  if (offset == null) {
+    return {
+      ...base,
+      status: 'no_comparison',
+      notes: ['No comparable non-promo period 52 weeks earlier or later in the daily data']
+    };
+  }
+
+  const notes = [];
+  const fullDays = dateRange(promotion.start_date, promotion.end_date).length;
+  const status = promoDates.length < fullDays ? 'partial' : 'analyzed';
+  if (status === 'partial') {
+    notes.push(`Only ${promoDates.length} of ${fullDays} promo days fall inside the daily data`);
+  }
+
+  // Clean comparison pairs: promo day with data whose comparison day is outside every campaign
+  const comparable = date => !inPromo(shiftDate(date, offset)) && index.has(tiers[0], shiftDate(date, offset));
+  const windowDates = promoDates.filter(comparable);
+  const postDays = Math.max(MIN_PULL_FORWARD_DAYS, promotion.attribution_window_days || 0);
+  const postDates = dateRange(shiftDate(promotion.end_date, 1), minDate(shiftDate(promotion.end_date, postDays), dataEnd))
+    .filter(date => !inPromo(date, promotion.promo_id) && comparable(date));
+
+  const discount = promotion.discount_pct / 100;
+  const tierResults = {};
+  tiers.forEach(tier => {
+    const baseline = fitBaseline(index, tier, offset, promotion, postDays, inPromo);
+    const window = compareDays(index, tier, offset, windowDates, baseline);
+    const post = compareDays(index, tier, offset, postDates, baseline);
+
+    // Redemptions from the ticket price drop, else from the promotion's eligible share
+    const observedDiscount = window.counterfactual.price > 0 ? 1 - window.actual.price / window.counterfactual.price : 0;
+    const fromTickets = observedDiscount >= MIN_OBSERVED_DISCOUNT;
+    const redemptionShare = fromTickets
+      ? Math.min(1, observedDiscount / discount)
+      : resolvePromotionEligibility(promotion, tier).share;
+    const incrementalVisitors = window.actual.visitors - window.counterfactual.visitors;
+    const subsidizedVisitors = Math.max(0, window.actual.visitors * redemptionShare - Math.max(0, incrementalVisitors));
+
+    tierResults[tier] = {
+      baseline_source: baseline.source,
+      level_factor: baseline.visitors,
+      visitors: window.actual.visitors,
+      counterfactual_visitors: window.counterfactual.visitors,
+      incremental_visitors: incrementalVisitors,
+      revenue: window.actual.revenue,
+      counterfactual_revenue: window.counterfactual.revenue,
+      incremental_revenue: window.actual.revenue - window.counterfactual.revenue,
+      incremental_adds: window.actual.adds - window.counterfactual.adds,
+      observed_discount_pct: observedDiscount * 100,
+      redemption_share: redemptionShare,
+      redemption_source: fromTickets ? 'ticket_price' : 'eligibility',
+      subsidized_visitors: subsidizedVisitors,
+      subsidy_cost: subsidizedVisitors * discount * window.counterfactual.price,
+      post_incremental_visitors: post.actual.visitors - post.counterfactual.visitors,
+      noise_variance: baseline.residual_variance == null ? null : window.days * baseline.residual_variance
+    };
+  });
+
+  const sum = key => Object.values(tierResults).reduce((total, t) => total + t[key], 0);
+  const counterfactualVisitors = sum('counterfactual_visitors');
+  const counterfactualRevenue = sum('counterfactual_revenue');
+  const incrementalVisitors = sum('incremental_visitors');
+  const band = Object.values(tierResults).some(t => t.noise_variance == null)
+    ? null
+    : 1.96 * Math.sqrt(sum('noise_variance'));
+  const postIncremental = sum('post_incremental_visitors');
+  const pullForward = Math.max(0, -postIncremental);
+
+  if (Object.values(tierResults).every(t => t.redemption_source === 'eligibility')) {
+    notes.push('Ticket prices show no discount - redemptions estimated from the eligible share');
+  }
+  if (Object.values(tierResults).some(t => t.baseline_source === 'none')) {
+    notes.push('No clean weeks to level the comparison year - counterfactual is unscaled, no confidence band');
+  }
+  if (windowDates.length < promoDates.length) {
+    notes.push(`${promoDates.length - windowDates.length} promo days skipped (comparison day inside another campaign)`);
+  }
+
+  return {
+    ...base,
+    status,
+    comparison: {
+      offset_days: offset,
+      label: `Same weekdays ${offset < 0 ? '52 weeks earlier' : '52 weeks later'}, scaled to the pre-promo level`
+    },
+    window: {
+      start: promoDates[0],
+      end: promoDates[promoDates.length - 1],
+      days: windowDates.length
+    },
+    tiers: tierResults,
+    totals: {
+      visitors: sum('visitors'),
+      counterfactual_visitors: counterfactualVisitors,
+      incremental_visitors: incrementalVisitors,
+      incremental_visitors_pct: counterfactualVisitors > 0 ? (incrementalVisitors / counterfactualVisitors) * 100 : 0,
+      incremental_visitors_band: band,
+      significant: band == null ? null : Math.abs(incrementalVisitors) > band,
+      incremental_revenue: sum('incremental_revenue'),
+      incremental_revenue_pct: counterfactualRevenue > 0 ? (sum('incremental_revenue') / counterfactualRevenue) * 100 : 0,
+      incremental_adds: sum('incremental_adds'),
+      subsidized_visitors: sum('subsidized_visitors'),
+      subsidy_cost: sum('subsidy_cost'),
+      marketing_spend: promotion.marketing_spend_usd
+    },
+    pull_forward: {
+      days: postDates.length,
+      post_incremental_visitors: postIncremental,
+      visitors: pullForward,
+      share: incrementalVisitors > 0 ? Math.min(1, pullForward / incrementalVisitors) : null
+    },
+    roll_off: measureRollOff(index, tiers, promotion, inPromo),
+    notes
+  };
+}
+
+/**
+ * Copy of promo_metadata.json with each campaign's post-mortem stored under post_mortem
+ * A stored post-mortem is only replaced by a measured one (campaigns that have left the daily data keep theirs)
+ * @param {Object} metadata - promo_metadata.json contents
+ * @param {Object} results - Output of runPromoPostMortems()
+ * @returns {Object} Metadata ready to be saved back to data/promo_metadata.json
+ */
+export function buildPromoMetadataWithPostMortems(metadata, results) {
+  return Object.fromEntries(Object.entries(metadata).map(([promoId, campaign]) => {
+    const result = results[promoId];
+    const measured = result && (result.status === 'analyzed' || result.status === 'partial');
+    return [promoId, measured ? { ...campaign, post_mortem: result } : campaign];
+  }));
+}
+
+/**
+ * Level of the actual data against the comparison year for one tier
+ * 8 clean weeks before the promo, else the 8 weeks after the pull-forward window, else the 8 clean
+ * weeks nearest to the promo within a year (neighbouring campaigns can cover both sides)
+ */
+function fitBaseline(index, tier, offset, promotion, postDays, inPromo) {
+  const candidates = [
+    { source: 'pre_promo', dates: dateRange(shiftDate(promotion.start_date, -BASELINE_DAYS), shiftDate(promotion.start_date, -1)) },
+    { source: 'post_promo', dates: dateRange(shiftDate(promotion.end_date, postDays + 1), shiftDate(promotion.end_date, postDays + BASELINE_DAYS)) },
+    { source: 'nearest_clean', dates: nearestDates(promotion, postDays) }
+  ];
+
+  for (const candidate of candidates) {
+    const pairs = candidate.dates
+      .filter(date => !inPromo(date) && !inPromo(shiftDate(date, offset)))
+      .map(date => [index.get(tier, date), index.get(tier, shiftDate(date, offset))])
+      .filter(([actual, comparison]) => actual && comparison)
+      .slice(0, BASELINE_DAYS);
+    if (pairs.length < MIN_BASELINE_DAYS) continue;
+
+    const total = (rows, column) => rows.reduce((sum, row) => sum + (row[column] || 0), 0);
+    const actualRows = pairs.map(pair => pair[0]);
+    const comparisonRows = pairs.map(pair => pair[1]);
+    const ratio = column => total(comparisonRows, column) > 0 ? total(actualRows, column) / total(comparisonRows, column) : 1;
+    const factors = {
+      visitors: ratio('daily_visitors'),
+      revenue: ratio('daily_revenue'),
+      adds: ratio('new_registrations'),
+      price: ratio('avg_ticket_price')
+    };
+    const residuals = pairs.map(([actual, comparison]) => actual.daily_visitors - comparison.daily_visitors * factors.visitors);
+    const variance = residuals.reduce((sum, r) => sum + r * r, 0) / Math.max(1, residuals.length - 1);
+
+    return { source: candidate.source, ...factors, residual_variance: variance };
+  }
+
+  return { source: 'none', visitors: 1, revenue: 1, adds: 1, price: 1, residual_variance: null };
+}
+
+// Dates within a year either side of the promo and its pull-forward window, nearest first
+function nearestDates(promotion, postDays) {
+  const postEnd = shiftDate(promotion.end_date, postDays);
+  const distance = date => (date < promotion.start_date
+    ? daysBetween(date, promotion.start_date)
+    : daysBetween(postEnd, date));
+  return dateRange(shiftDate(promotion.start_date, -365), shiftDate(postEnd, 365))
+    .filter(date => date < promotion.start_date || date > postEnd)
+    .sort((a, b) => distance(a) - distance(b));
+}
+
+/**
+ * Actual vs counterfactual totals over a set of dates (price = visitor-weighted ticket price)
+ */
+function compareDays(index, tier, offset, dates, baseline) {
+  const actual = { visitors: 0, revenue: 0, adds: 0, price: 0 };
+  const counterfactual = { visitors: 0, revenue: 0, adds: 0, price: 0 };
+  let days = 0;
+
+  dates.forEach(date => {
+    const row = index.get(tier, date);
+    const comparison = index.get(tier, shiftDate(date, offset));
+    if (!row || !comparison) return;
+    days++;
+
+    actual.visitors += row.daily_visitors || 0;
+    actual.revenue += row.daily_revenue || 0;
+    actual.adds += row.new_registrations || 0;
+    actual.price += (row.avg_ticket_price || 0) * (row.daily_visitors || 0);
+
+    const cfVisitors = (comparison.daily_visitors || 0) * baseline.visitors;
+    counterfactual.visitors += cfVisitors;
+    counterfactual.revenue += (comparison.daily_revenue || 0) * baseline.revenue;
+    counterfactual.adds += (comparison.new_registrations || 0) * baseline.adds;
+    counterfactual.price += (comparison.avg_ticket_price || 0) * baseline.price * cfVisitors;
+  });
+
+  actual.price = actual.visitors > 0 ? actual.price / actual.visitors : 0;
+  counterfactual.price = counterfactual.visitors > 0 ? counterfactual.price / counterfactual.visitors : 0;
+  return { actual, counterfactual, days };
+}
+
+/**
+ * Return-rate change after the roll-off (percentage points, visitor-weighted over the eligible tiers)
+ */
+function measureRollOff(index, tiers, promotion, inPromo) {
+  const rollOff = { date: promotion.roll_off_date, type: promotion.roll_off_type };
+  if (!promotion.roll_off_date || promotion.roll_off_type === 'none') {
+    return { ...rollOff, status: 'none' };
+  }
+
+  const { start: dataStart, end: dataEnd } = index.range;
+  const postEnd = shiftDate(promotion.roll_off_date, promotion.roll_off_window_weeks * 7 + ROLL_OFF_DAYS - 1);
+  const preStart = shiftDate(promotion.roll_off_date, -ROLL_OFF_DAYS);
+  if (promotion.roll_off_date > dataEnd || preStart < dataStart) {
+    return { ...rollOff, status: 'outside_data' };
+  }
+
+  const postDates = dateRange(promotion.roll_off_date, minDate(postEnd, dataEnd));
+  const preDates = dateRange(preStart, shiftDate(promotion.roll_off_date, -1));
+  const offset = pickOffset(index, tiers, [...preDates, ...postDates], inPromo);
+  if (offset == null) {
+    return { ...rollOff, status: 'no_comparison' };
+  }
+
+  const meanGap = (tier, dates) => {
+    const gaps = dates
+      .filter(date => !inPromo(shiftDate(date, offset)))
+      .map(date => [index.get(tier, date), index.get(tier, shiftDate(date, offset))])
+      .filter(([actual, comparison]) => actual && comparison)
+      .map(([actual, comparison]) => actual.return_rate - comparison.return_rate);
+    return gaps.length ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : null;
+  };
+
+  let weighted = 0;
+  let weight = 0;
+  const byTier = {};
+  tiers.forEach(tier => {
+    const post = meanGap(tier, postDates);
+    const pre = meanGap(tier, preDates);
+    if (post == null || pre == null) return;
+    const change = (post - pre) * 100;
+    const visitors = postDates.reduce((sum, date) => sum + (index.get(tier, date)?.daily_visitors || 0), 0);
+    byTier[tier] = change;
+    weighted += change * visitors;
+    weight += visitors;
+  });
+
+  if (weight === 0) {
+    return { ...rollOff, status: 'no_comparison' };
+  }
+  return {
+    ...rollOff,
+    status: postEnd > dataEnd ? 'partial' : 'measured',
+    days: postDates.length,
+    comparison_offset_days: offset,
+    return_rate_change_pts: weighted / weight,
+    tiers: byTier
+  };
+}
+
+/**
+ * Comparison year with the most promo-free days for the given dates (null below MIN_COVERAGE)
+ */
+function pickOffset(index, tiers, dates, inPromo) {
+  if (!tiers.length || !dates.length) return null;
+  let best = null;
+  let bestCount = 0;
+  YEAR_OFFSETS.forEach(offset => {
+    const count = dates.filter(date => {
+      const comparisonDate = shiftDate(date, offset);
+      return index.has(tiers[0], comparisonDate) && !inPromo(comparisonDate);
+    }).length;
+    if (count > bestCount) {
+      best = offset;
+      bestCount = count;
+    }
+  });
+  return bestCount >= dates.length * MIN_COVERAGE ? best : null;
+}
+
+function indexDailyData(dailyData) {
+  const rows = new Map();
+  const tiers = new Set();
+  let start = null;
+  let end = null;
+  dailyData.forEach(row => {
+    rows.set(`${row.membership_tier}|${row.date}`, row);
+    tiers.add(row.membership_tier);
+    if (!start || row.date < start) start = row.date;
+    if (!end || row.date > end) end = row.date;
+  });
+  return {
+    tiers,
+    range: { start, end },
+    get: (tier, date) => rows.get(`${tier}|${date}`),
+    has: (tier, date) => rows.has(`${tier}|${date}`)
+  };
+}
+
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function dateRange(start, end) {
+  const dates = [];
+  for (let date = start; date <= end; date = shiftDate(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function maxDate(a, b) {
+  return a > b ? a : b;
+}
+
+function minDate(a, b) {
+  return a < b ? a : b;
+}
@@ -0,0 +1,383 @@
+/**
+ * Promotion Designer Module
+ * UI for designing a promotion (eligibility, discount window, roll-off) and checking the
+ * promotion model against the campaigns in promo_metadata.json
+ *
+ * Results are marked uncalibrated unless the campaign calibration (calibratePromotionModel())
+ * replays the past campaigns within PROMOTION_MAPE_TARGET out of sample.
+ *
+ * Dependencies: scenario-engine.js, promotion-model.js, utils.js, Chart.js
+ */
+
+import { simulatePromotionScenario, validatePromotionModel } from './scenario-engine.js';
+import { loadPromoCampaigns, promotionScenarioFromCampaign, PROMOTION_MAPE_TARGET } from './promotion-model.js';
+import { formatCurrency, formatNumber, formatPercent, showAlert } from './utils.js';
+
+const TIER_LABELS = {
+  standard_pass: 'Standard',
+  premium_pass: 'Premium',
+  vip_pass: 'VIP'
+};
+
+// Chart instance
+let promotionChart = null;
+let campaigns = [];
+
+/**
+ * Initialize the promotion designer panel
+ */
+export async function initializePromotionDesigner() {
+  const runBtn = document.getElementById('run-promotion-btn');
+  if (!runBtn) return;
+
+  try {
+    campaigns = await loadPromoCampaigns();
+  } catch (error) {
+    console.warn('Promo campaigns unavailable for promotion designer:', error);
+  }
+
+  const campaignSelect = document.getElementById('promotion-campaign');
+  campaignSelect.innerHTML = '<option value="">Custom promotion</option>' + campaigns.map(c =>
+    `<option value="${c.promo_id}">${c.campaign_name} (${c.start_date.slice(0, 4)})</option>`
+  ).join('');
+  campaignSelect.addEventListener('change', () => {
+    const campaign = campaigns.find(c => c.promo_id === campaignSelect.value);
+    if (campaign) fillInputs(campaign);
+  });
+
+  fillInputs(campaigns.find(c => c.actual_adds == null) || campaigns[0] || {});
+  runBtn.addEventListener('click', runPromotionSimulation);
+  document.getElementById('validate-promotions-btn').addEventListener('click', runPromotionValidation);
+}
+
+/**
+ * Copy a campaign (or defaults) into the inputs
+ */
+function fillInputs(campaign) {
+  const value = (id, v) => { document.getElementById(id).value = v ?? ''; };
+  const tiers = campaign.eligible_tiers || ['standard_pass'];
+  document.querySelectorAll('#promotion-tiers input[type="checkbox"]').forEach(box => {
+    box.checked = tiers.includes(box.value);
+  });
+  value('promotion-discount', campaign.discount_pct ?? 20);
+  value('promotion-start', campaign.start_date);
+  value('promotion-end', campaign.end_date);
+  value('promotion-cohorts', (campaign.eligible_cohorts || []).join(', '));
+  value('promotion-exclusions', (campaign.exclusions || []).join(', '));
+  value('promotion-channels', (campaign.eligible_channels || []).join(', '));
+  value('promotion-roll-off-type', campaign.roll_off_type || 'none');
+  value('promotion-roll-off-date', campaign.roll_off_date);
+  value('promotion-roll-off-weeks', campaign.roll_off_window_weeks ?? 0);
+  value('promotion-spend', campaign.marketing_spend_usd ?? 0);
+}
+
+/**
+ * Read the inputs into a promotion scenario
+ */
+function readPromotionScenario() {
+  const text = (id) => document.getElementById(id).value.trim();
+  const list = (id) => text(id).split(',').map(s => s.trim()).filter(Boolean);
+  const campaign = campaigns.find(c => c.promo_id === text('promotion-campaign'));
+  const rollOffType = text('promotion-roll-off-type');
+
+  const promotion = {
+    promo_id: campaign?.promo_id || 'custom_promotion',
+    campaign_name: campaign?.campaign_name || 'Custom promotion',
+    discount_pct: parseFloat(text('promotion-discount')),
+    start_date: text('promotion-start'),
+    end_date: text('promotion-end'),
+    eligible_tiers: [...document.querySelectorAll('#promotion-tiers input:checked')].map(box => box.value),
+    eligible_cohorts: list('promotion-cohorts'),
+    exclusions: list('promotion-exclusions'),
+    eligible_channels: list('promotion-channels'),
+    roll_off_type: rollOffType,
+    roll_off_date: rollOffType === 'none' ? null : text('promotion-roll-off-date') || null,
+    roll_off_window_weeks: parseFloat(text('promotion-roll-off-weeks')) || 0,
+    attribution_window_days: campaign?.attribution_window_days,
+    marketing_spend_usd: parseFloat(text('promotion-spend')) || 0,
+    promo_code: campaign?.promo_code
+  };
+
+  if (promotion.eligible_tiers.length === 0) {
+    throw new Error('Select at least one eligible tier');
+  }
+  if (!promotion.start_date || !promotion.end_date) {
+    throw new Error('Enter the promotion start and end dates');
+  }
+  return promotionScenarioFromCampaign(promotion);
+}
+
+/**
+ * Read inputs and run the promotion simulation
+ */
+async function runPromotionSimulation() {
+  const runBtn = document.getElementById('run-promotion-btn');
+  runBtn.disabled = true;
+  runBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Simulating...';
+  try {
+    const result = await simulatePromotionScenario(readPromotionScenario());
+    renderPromotionResults(result);
+  } catch (error) {
+    console.error('Promotion simulation failed:', error);
+    showAlert('Promotion simulation failed: ' + error.message, 'danger');
+  } finally {
+    runBtn.disabled = false;
+    runBtn.innerHTML = '<i class="bi bi-play-fill me-1"></i>Simulate Promotion';
+  }
+}
+
+/**
+ * Render the per-tier table, totals and daily visitors chart
+ */
+function renderPromotionResults(result) {
+  const container = document.getElementById('promotion-results');
+  container.style.display = 'block';
+
+  const promo = result.promotion;
+  const totals = promo.totals;
+  const rollOff = promo.roll_off;
+
+  const rows = Object.entries(promo.tiers).map(([tier, t]) => `
+    <tr>
+      <td><strong>${TIER_LABELS[tier]}</strong></td>
+      <td class="text-end">${t.eligibility.eligible ? `${formatCurrency(t.list_price)} → ${formatCurrency(t.promo_price)}` : '—'}</td>
+      <td class="text-end">${formatPercent(t.eligibility.share, 0)}</td>
+      <td class="text-end">${formatNumber(t.redemptions)}</td>
+      <td class="text-end ${t.incremental_visitors >= 0 ? 'text-success' : 'text-danger'}">${formatNumber(t.incremental_visitors)}</td>
+      <td class="text-end">${formatCurrency(t.subsidy_cost, 0)}</td>
+      <td class="text-end">${formatNumber(t.incremental_adds)}</td>
+      <td class="text-end ${t.incremental_revenue >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(t.incremental_revenue, 0)}</td>
+    </tr>
+  `).join('');
+
+  const rollOffNote = rollOff.date
+    ? `${rollOff.type} roll-off ${rollOff.date}${rollOff.type === 'soft' ? ` over ${rollOff.window_weeks} weeks` : ''}:
+       ${formatNumber(rollOff.churned)} of ${formatNumber(rollOff.cohort)} promo visitors lost
+       (${formatPercent(rollOff.churn, 1)})${rollOff.lost_revenue > 0 ? `, ${formatCurrency(rollOff.lost_revenue, 0)} within the forecast` : ''}`
+    : 'No roll-off';
+
+  document.getElementById('promotion-summary').innerHTML = `
+    ${renderCalibrationNote(promo.calibration)}
+    <div class="row g-2 mb-3 text-center">
+      <div class="col-md-3"><div class="border rounded p-2">
+        <div class="small text-muted">Incremental Visits</div>
+        <div class="fw-bold">${formatNumber(totals.incremental_visitors)}</div>
+        <div class="small text-muted">${formatNumber(totals.redemptions)} redemptions</div>
+      </div></div>
+      <div class="col-md-3"><div class="border rounded p-2">
+        <div class="small text-muted">Subsidy</div>
+        <div class="fw-bold">${formatCurrency(totals.subsidy_cost, 0)}</div>
+        <div class="small text-muted">${formatPercent(totals.subsidy_share, 0)} would have come anyway</div>
+      </div></div>
+      <div class="col-md-3"><div class="border rounded p-2">
+        <div class="small text-muted">Incremental Revenue (12 mo)</div>
+        <div class="fw-bold ${totals.incremental_revenue >= 0 ? 'text-success' : 'text-danger'}">${formatCurrency(totals.incremental_revenue, 0)}</div>
+        <div class="small text-muted">${totals.roi != null ? `ROI ${totals.roi.toFixed(1)}× on ${formatCurrency(totals.marketing_spend, 0)}` : 'no marketing spend entered'}</div>
+      </div></div>
+      <div class="col-md-3"><div class="border rounded p-2">
+        <div class="small text-muted">Incremental Adds</div>
+        <div class="fw-bold">${formatNumber(totals.incremental_adds)}</div>
+        <div class="small text-muted">${totals.days} promotion days</div>
+      </div></div>
+    </div>
+    <div class="table-responsive">
+      <table class="table table-sm table-hover">
+        <thead class="table-light">
+          <tr>
+            <th>Tier</th>
+            <th class="text-end">Price</th>
+            <th class="text-end">Eligible</th>
+            <th class="text-end">Redemptions</th>
+            <th class="text-end">Incremental Visits</th>
+            <th class="text-end">Subsidy</th>
+            <th class="text-end">Incremental Adds</th>
+            <th class="text-end">Δ Revenue (12 mo)</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+    <div class="small text-muted mb-2">${rollOffNote}</div>
+    ${result.warnings.length ? `
+      <div class="alert alert-warning small py-2">
+        ${result.warnings.map(w => `<div><i class="bi bi-exclamation-triangle me-1"></i>${w}</div>`).join('')}
+      </div>
+    ` : ''}
+  `;
+
+  renderPromotionChart(result);
+}
+
+/**
+ * Calibration status above the promotion results
+ */
+function renderCalibrationNote(calibration) {
+  if (!calibration) {
+    return `
+      <div class="alert alert-warning small py-2">
+        <span class="badge bg-warning text-dark me-1">Uncalibrated</span>
+        Eligibility and promotional elasticity are priors that were not checked against past campaigns.
+      </div>
+    `;
+  }
+  const multipliers = `eligible share ×${calibration.reach.toFixed(2)}, promotional elasticity ×${calibration.response.toFixed(2)}`;
+  const errors = `adds ${formatMapeValue(calibration.adds_mape)}, revenue ${formatMapeValue(calibration.revenue_mape)} MAPE out of sample`;
+  if (calibration.validated) {
+    return `
+      <div class="small text-muted mb-2">
+        <span class="badge bg-success me-1">Calibrated</span>
+        ${calibration.campaigns} past campaigns: ${multipliers} · ${errors}
+      </div>
+    `;
+  }
+  return `
+    <div class="alert alert-warning small py-2">
+      <span class="badge bg-warning text-dark me-1">Uncalibrated</span>
+      ${calibration.fitted
+        ? `Fitted to ${calibration.campaigns} past campaigns (${multipliers}), the model still misses them by ${errors}
+           (target ${PROMOTION_MAPE_TARGET}%).`
+        : 'The past campaigns do not fit a reach and response multiplier, so eligibility and promotional elasticity are uncalibrated priors.'}
+      Treat the figures below as indicative, not validated.
+    </div>
+  `;
+}
+
+function formatMapeValue(value) {
+  return value != null ? `${value.toFixed(0)}%` : 'N/A';
+}
+
+function renderPromotionChart(result) {
+  const ctx = document.getElementById('promotion-chart');
+  if (!ctx) return;
+
+  if (promotionChart) {
+    promotionChart.destroy();
+  }
+
+  // Promotion window with a month either side
+  const days = result.promotion.days;
+  const first = Math.max(0, days.findIndex(d => d.in_promotion) - 30);
+  const last = Math.min(days.length, days.map(d => d.in_promotion).lastIndexOf(true) + 31);
+  const shown = days.slice(first, last);
+
+  promotionChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: shown.map(d => d.date.slice(5)),
+      datasets: [
+        {
+          label: 'No promotion',
+          data: shown.map(d => Math.round(d.baseline_visitors)),
+          borderColor: 'rgba(107, 114, 128, 1)',
+          borderDash: [5, 5],
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false
+        },
+        {
+          label: 'With promotion',
+          data: shown.map(d => Math.round(d.visitors)),
+          borderColor: 'rgba(99, 102, 241, 1)',
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false
+        },
+        {
+          label: 'Redemptions',
+          data: shown.map(d => Math.round(d.redemptions)),
+          borderColor: 'rgba(251, 146, 60, 1)',
+          backgroundColor: 'rgba(251, 146, 60, 0.15)',
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: true
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { position: 'bottom' },
+        title: { display: true, text: 'Daily Park Visitors' }
+      },
+      scales: {
+        y: { title: { display: true, text: 'Visitors / day' } }
+      }
+    }
+  });
+}
+
+/**
+ * Replay the completed campaigns and compare with their actuals
+ */
+async function runPromotionValidation() {
+  const btn = document.getElementById('validate-promotions-btn');
+  const container = document.getElementById('promotion-validation');
+  btn.disabled = true;
+  btn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Replaying...';
+  try {
+    const validation = await validatePromotionModel();
+    const errorCell = (pct) => (pct == null
+      ? '<td class="text-end text-muted">—</td>'
+      : `<td class="text-end ${Math.abs(pct) <= PROMOTION_MAPE_TARGET ? 'text-success' : 'text-danger'}">${pct >= 0 ? '+' : ''}${pct.toFixed(0)}%</td>`);
+    const { calibration } = validation;
+
+    const rows = validation.campaigns.map(c => c.error ? `
+      <tr><td>${c.campaign_name}</td><td colspan="7" class="text-danger small">${c.error}</td></tr>
+    ` : `
+      <tr>
+        <td>${c.campaign_name}<div class="small text-muted">${c.start_date} · ${c.discount_pct}% off${c.calibrated ? '' : ' · priors as is'}</div></td>
+        <td class="text-end">${formatNumber(c.predicted_adds)}</td>
+        <td class="text-end">${formatNumber(c.actual_adds)}</td>
+        ${errorCell(c.adds_error_pct)}
+        <td class="text-end">${formatCurrency(c.predicted_revenue, 0)}
+          <div class="small text-muted">${formatCurrency(c.gross_revenue, 0)} − ${formatCurrency(c.subsidy_revenue, 0)} subsidy</div></td>
+        <td class="text-end">${c.actual_revenue != null ? formatCurrency(c.actual_revenue, 0) : '—'}</td>
+        ${errorCell(c.revenue_error_pct)}
+        <td class="text-end">${formatPercent(c.subsidy_share, 0)}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="alert ${calibration.validated ? 'alert-success' : 'alert-warning'} small py-2 mb-2">
+        <span class="badge ${calibration.validated ? 'bg-success' : 'bg-warning text-dark'} me-1">
+          ${calibration.validated ? 'Calibrated' : 'Uncalibrated'}
+        </span>
+        ${calibration.fitted
+          ? `Eligible share ×${calibration.reach.toFixed(2)} and promotional elasticity ×${calibration.response.toFixed(2)} fitted to
+             ${calibration.campaigns} campaigns; each campaign below is predicted with the multipliers fitted to the others.`
+          : 'The campaigns do not fit a reach and response multiplier - predictions use the priors as is.'}
+        Adds MAPE ${formatMapeValue(validation.adds_mape)}, revenue MAPE ${formatMapeValue(validation.revenue_mape)}
+        (target ${PROMOTION_MAPE_TARGET}%; uncalibrated ${formatMapeValue(validation.uncalibrated_adds_mape)} /
+        ${formatMapeValue(validation.uncalibrated_revenue_mape)}).
+      </div>
+      <div class="small text-muted mb-2">
+        Campaigns replayed on today's seasonal baseline and prices · revenue is the promotion window's extra-visit
+        revenue net of the subsidy, as in incremental_revenue_usd
+      </div>
+      <div class="table-responsive">
+        <table class="table table-sm">
+          <thead class="table-light">
+            <tr>
+              <th>Campaign</th>
+              <th class="text-end">Predicted Adds</th>
+              <th class="text-end">Actual Adds</th>
+              <th class="text-end">Error</th>
+              <th class="text-end">Predicted Net Δ Revenue</th>
+              <th class="text-end">Actual Δ Revenue</th>
+              <th class="text-end">Error</th>
+              <th class="text-end">Subsidized</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Promotion validation failed:', error);
+    showAlert('Promotion validation failed: ' + error.message, 'danger');
+  } finally {
+    btn.disabled = false;
+    btn.innerHTML = '<i class="bi bi-clipboard-check me-1"></i>Validate vs History';
+  }
+}
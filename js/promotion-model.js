@@ -0,0 +1,365 @@
+/**
+ * Promotion Model Module
+ * Eligibility, promotional response and roll-off churn for promotion scenarios
+ *
+ * A promotion (config.promotion, or a campaign from promo_metadata.json) takes discount_pct off
+ * the list ticket for the eligible part of each eligible tier between start_date and end_date:
+ *   eligible share  = cohort share (segment_kpis.csv visitor counts) × channel share (booking mix)
+ *   promo lift      = 1 + |ε_promo| × discount         (linear, like forecastAcquisition())
+ *   ε_promo         = promotional_elasticity.short_term_3mo, long_term_6mo after the first 3 months
+ * Both priors - the eligible share (booking mix below; cohort share 1 without segment data) and
+ * ε_promo - are scaled to the completed campaigns of promo_metadata.json (fitPromotionCalibration()):
+ *   eligible share × reach,  ε_promo × response
+ * Eligible visitors who would have come anyway still redeem the code - the subsidy. Promo
+ * visitors whose discounted pass rolls off at roll_off_date face the full price again; their
+ * non-return rate rises with churn_elasticity × the price step (hard roll-off), half of that
+ * when the step is phased in over roll_off_window_weeks (soft), none without a roll-off.
+ *
+ * Cohorts map onto the segment axis values (one_time … season_pass, solo … group, budget …
+ * luxury); labels the segment data cannot express are reported as unmapped and not applied.
+ * Without segment data (e.g. in the simulation worker, which has no segment engine) no cohort
+ * rule can be applied: every cohort counts as eligible and the rules are listed in ignored_cohorts.
+ * Marketing channels (email, search, social, radio, outdoor) create awareness but do not limit
+ * where the code can be booked, so only booking channels narrow the reach.
+ *
+ * Dependencies: data-loader.js, segmentation-engine.js (window.segmentEngine, optional)
+ */
+
+import { loadDailyAggregated, loadPromoMetadata, isSegmentDataAvailable, dataCache } from './data-loader.js';
+
+// Campaign cohort labels → segment axis values
+const COHORT_SEGMENTS = {
+  first_time_visitors: ['one_time'],
+  new_visitors: ['one_time'],
+  families: ['family_small', 'family_large'],
+  couples: ['couple'],
+  frequent_visitors: ['frequent'],
+  season_pass_holders: ['season_pass'],
+  current_season_pass_holders: ['season_pass'],
+  season_pass_candidates: ['frequent', 'regular'],
+  price_sensitive: ['budget', 'value'],
+  high_spenders: ['premium', 'luxury']
+};
+
+// Exclusions that remove a whole tier rather than a segment
+const TIER_EXCLUSIONS = {
+  standard_pass_only: 'standard_pass',
+  premium_pass_holders: 'premium_pass',
+  vip_pass_holders: 'vip_pass'
+};
+
+// Share of bookings per channel (prior - the data has no booking-channel split)
+export const BOOKING_CHANNEL_MIX = {
+  online: 0.45,
+  mobile_app: 0.25,
+  on_site: 0.15,
+  travel_agent: 0.10,
+  partner: 0.05
+};
+
+const CHANNEL_ALIASES = {
+  in_park: 'on_site',
+  concierge: 'on_site',
+  phone_sales: 'on_site',
+  travel_partners: 'travel_agent'
+};
+
+// Cross-validated campaign error (MAPE, %) the calibrated model must reach on adds and revenue
+export const PROMOTION_MAPE_TARGET = 25;
+
+const ROLL_OFF_INTENSITY = { hard: 1, soft: 0.5, none: 0 };
+const SHORT_TERM_DAYS = 92;
+const DEFAULT_VISITS_PER_YEAR = 2.5;
+
+// New registrations per visitor by tier and calendar month (rebuilt when the daily data is reloaded)
+let addsRatioCache = null;
+let addsRatioSource = null;
+
+/**
+ * Normalize a scenario's promotion
+ *
+ * config.promotion is used as is (missing fields defaulted); older promotion scenarios that only
+ * carry a price drop are read as a discount on config.tier from effective_date for
+ * duration_months, limited by constraints.channel and config.target_audience. Without any
+ * start date the promotion starts on the first of next month.
+ *
+ * @param {Object} scenario - Promotion scenario
+ * @returns {Object} { promo_id, name, discount_pct, start_date, end_date, eligible_tiers,
+ *   eligible_cohorts, exclusions, eligible_channels, roll_off_date, roll_off_type,
+ *   roll_off_window_weeks, attribution_window_days, marketing_spend_usd, promo_code }
+ */
+export function resolvePromotion(scenario) {
+  const config = scenario.config || {};
+  const promo = config.promotion || {};
+
+  const startDate = promo.start_date || config.effective_date || firstOfNextMonth();
+  const discountPct = promo.discount_pct ??
+    (config.current_price > 0 && config.new_price != null ? (1 - config.new_price / config.current_price) * 100 : null);
+  if (!(discountPct > 0 && discountPct < 100)) {
+    throw new Error('Promotion needs a discount_pct between 0 and 100');
+  }
+
+  const channel = scenario.constraints?.channel;
+  const rollOffType = promo.roll_off_type || (promo.roll_off_date ? 'hard' : 'none');
+
+  const resolved = {
+    promo_id: promo.promo_id || scenario.id,
+    name: promo.campaign_name || scenario.name,
+    discount_pct: discountPct,
+    start_date: startDate,
+    end_date: promo.end_date || addMonths(startDate, promo.duration_months || config.duration_months || 1),
+    eligible_tiers: promo.eligible_tiers || [config.tier],
+    eligible_cohorts: promo.eligible_cohorts ||
+      (config.target_audience && config.target_audience !== 'all' ? [config.target_audience] : []),
+    exclusions: promo.exclusions || [],
+    eligible_channels: promo.eligible_channels ||
+      (channel && channel !== 'all' ? [channel.replace(/_only$/, '')] : []),
+    roll_off_date: promo.roll_off_date || null,
+    roll_off_type: ROLL_OFF_INTENSITY[rollOffType] != null ? rollOffType : 'hard',
+    roll_off_window_weeks: promo.roll_off_window_weeks || 0,
+    attribution_window_days: promo.attribution_window_days ?? 14,
+    marketing_spend_usd: promo.marketing_spend_usd || 0,
+    promo_code: promo.promo_code || null
+  };
+
+  if (resolved.end_date < resolved.start_date) {
+    throw new Error(`Promotion ends (${resolved.end_date}) before it starts (${resolved.start_date})`);
+  }
+  return resolved;
+}
+
+/**
+ * Build a promotion scenario from a promo_metadata.json campaign
+ * @param {Object} campaign - Campaign entry
+ * @returns {Object} Scenario with category 'promotion' and config.promotion
+ */
+export function promotionScenarioFromCampaign(campaign) {
+  return {
+    id: campaign.promo_id,
+    name: campaign.campaign_name,
+    category: 'promotion',
+    model_type: 'acquisition',
+    config: {
+      tier: campaign.eligible_tiers?.[0],
+      effective_date: campaign.start_date,
+      promotion: { ...campaign }
+    }
+  };
+}
+
+/**
+ * Campaigns of promo_metadata.json as a list (newest first)
+ * @returns {Promise<Array>} Campaign entries
+ */
+export async function loadPromoCampaigns() {
+  const metadata = await loadPromoMetadata();
+  return Object.values(metadata).sort((a, b) => b.start_date.localeCompare(a.start_date));
+}
+
+/**
+ * Who can redeem the promotion in one tier
+ * @param {Object} promotion - Output of resolvePromotion()
+ * @param {string} tier - Tier name
+ * @returns {Object} { eligible, share, cohort_share, channel_share, visits_per_year, cohort_source,
+ *   cohort_fallback, ignored_cohorts, unmapped_cohorts, unmapped_channels }
+ */
+export function resolvePromotionEligibility(promotion, tier) {
+  const excludedTiers = promotion.exclusions.map(label => TIER_EXCLUSIONS[label]).filter(Boolean);
+  const cohorts = resolveCohortShare(promotion, tier);
+  const channels = resolveChannelShare(promotion.eligible_channels);
+  const eligible = promotion.eligible_tiers.includes(tier) && !excludedTiers.includes(tier);
+
+  return {
+    eligible,
+    share: eligible ? cohorts.share * channels.share : 0,
+    cohort_share: cohorts.share,
+    channel_share: channels.share,
+    visits_per_year: cohorts.visits_per_year,
+    cohort_source: cohorts.source,
+    cohort_fallback: cohorts.source !== 'segment_kpis',
+    ignored_cohorts: cohorts.ignored || [],
+    unmapped_cohorts: cohorts.unmapped,
+    unmapped_channels: channels.unmapped
+  };
+}
+
+/**
+ * Promotional elasticity of a tier for a day of the campaign
+ * @param {Object} tierParams - elasticity-params.json entry of the tier
+ * @param {number} dayOfPromo - Days since the promotion started (0-based)
+ * @returns {number} Elasticity (negative)
+ */
+export function promotionalElasticity(tierParams, dayOfPromo) {
+  const promo = tierParams?.promotional_elasticity;
+  if (promo) {
+    return dayOfPromo >= SHORT_TERM_DAYS && promo.long_term_6mo != null ? promo.long_term_6mo : promo.short_term_3mo;
+  }
+  // No promotional estimate (VIP): short-term scaling of the base elasticity
+  return (tierParams?.base_elasticity ?? -1) * (tierParams?.time_horizon_adjustment?.short_term_1_3mo ?? 1.2);
+}
+
+/**
+ * Extra non-return of promo visitors when the discounted price rolls off
+ * @param {Object} promotion - Output of resolvePromotion()
+ * @param {Object} tierParams - elasticity-params.json entry of the tier
+ * @param {number} returnRate - Baseline return rate of the tier
+ * @returns {number} Share of the promo cohort lost at roll-off (0-1)
+ */
+export function rollOffChurn(promotion, tierParams, returnRate) {
+  const intensity = promotion.roll_off_date ? ROLL_OFF_INTENSITY[promotion.roll_off_type] : 0;
+  if (!intensity) return 0;
+  const d = promotion.discount_pct / 100;
+  const priceStep = d / (1 - d); // promo price back to list
+  const nonReturn = 1 - returnRate;
+  const churnElasticity = tierParams?.churn_elasticity ?? 0.3;
+  return Math.min(returnRate, nonReturn * churnElasticity * priceStep * intensity);
+}
+
+/**
+ * Share of the promo cohort's roll-off churn that has happened by a date
+ * (hard: all on roll_off_date; soft: linear over roll_off_window_weeks)
+ */
+export function rollOffProgress(promotion, date) {
+  if (!promotion.roll_off_date || date < promotion.roll_off_date) return 0;
+  const windowDays = promotion.roll_off_type === 'soft' ? promotion.roll_off_window_weeks * 7 : 0;
+  if (windowDays <= 0) return 1;
+  return Math.min(1, (daysBetween(promotion.roll_off_date, date) + 1) / windowDays);
+}
+
+/**
+ * Fit the reach and response multipliers to completed campaigns
+ *
+ * An uncalibrated replay splits each campaign into parts that scale with the multipliers
+ * (promotion window only):
+ *   adds    = reach × response × lift_adds + reach × cross_adds
+ *   revenue = reach × response × lift_revenue − reach × (subsidy_revenue − cross_revenue)
+ * lift_* are the extra promo visits, subsidy_revenue what visitors who would have come anyway
+ * no longer pay, cross_* the other visitors trading into the promotion. With u = reach × response
+ * and v = reach both are linear, so u and v are the least-squares solution of the relative errors
+ * against actual_adds and incremental_revenue_usd. reach is capped so no tier's share exceeds 100%.
+ *
+ * @param {Array} components - [{ actual_adds, actual_revenue, lift_adds, cross_adds, lift_revenue,
+ *   subsidy_revenue, cross_revenue, max_share }]
+ * @returns {Object|null} { reach, response, campaigns } or null when fewer than two campaigns fit
+ */
+export function fitPromotionCalibration(components) {
+  const rows = [];
+  components.forEach(c => {
+    if (c.actual_adds > 0) {
+      rows.push([c.lift_adds / c.actual_adds, c.cross_adds / c.actual_adds]);
+    }
+    if (c.actual_revenue > 0) {
+      rows.push([c.lift_revenue / c.actual_revenue, -(c.subsidy_revenue - c.cross_revenue) / c.actual_revenue]);
+    }
+  });
+  if (components.length < 2 || rows.length < 2) return null;
+
+  const maxShare = Math.max(...components.map(c => c.max_share));
+  const maxReach = maxShare > 0 ? 1 / maxShare : 1;
+  const sum = (fn) => rows.reduce((acc, row) => acc + fn(row), 0);
+  const solveU = (v) => sum(([a, b]) => a * (1 - b * v)) / sum(([a]) => a * a);
+
+  // Normal equations of Σ (a·u + b·v − 1)²
+  const saa = sum(([a]) => a * a);
+  const sab = sum(([a, b]) => a * b);
+  const sbb = sum(([, b]) => b * b);
+  const det = saa * sbb - sab * sab;
+  let v = det !== 0 ? (saa * sum(([, b]) => b) - sab * sum(([a]) => a)) / det : maxReach;
+  if (!(v > 0)) return null;
+  v = Math.min(v, maxReach);
+  const u = solveU(v);
+  if (!(u > 0)) return null;
+
+  return { reach: v, response: u / v, campaigns: components.length };
+}
+
+/**
+ * New registrations per visitor for a tier and calendar month (from daily_aggregated.csv)
+ * @returns {Promise<Function>} (tier, calendarMonth) => ratio
+ */
+export async function buildAddsRatio() {
+  const dailyData = await loadDailyAggregated();
+  if (addsRatioSource !== dataCache.dailyAggregated) {
+    const totals = {};
+    dailyData.forEach(row => {
+      const key = `${row.membership_tier}|${Number(row.date.slice(5, 7))}`;
+      const t = (totals[key] = totals[key] || { adds: 0, visitors: 0 });
+      t.adds += row.new_registrations || 0;
+      t.visitors += row.daily_visitors || 0;
+    });
+    addsRatioCache = Object.fromEntries(Object.entries(totals)
+      .map(([key, t]) => [key, t.visitors > 0 ? t.adds / t.visitors : 0]));
+    addsRatioSource = dataCache.dailyAggregated;
+  }
+  return (tier, calendarMonth) => addsRatioCache[`${tier}|${calendarMonth}`] ?? 0;
+}
+
+function resolveCohortShare(promotion, tier) {
+  const include = new Set();
+  const exclude = new Set();
+  const unmapped = [];
+  const collect = (labels, target) => labels.forEach(label => {
+    const values = COHORT_SEGMENTS[label] || (isSegmentValue(label) ? [label] : null);
+    if (values) values.forEach(v => target.add(v));
+    else if (!TIER_EXCLUSIONS[label]) unmapped.push(label);
+  });
+  collect(promotion.eligible_cohorts, include);
+  collect(promotion.exclusions, exclude);
+
+  if (!isSegmentDataAvailable()) {
+    const ignored = [...promotion.eligible_cohorts, ...promotion.exclusions.filter(label => !TIER_EXCLUSIONS[label])];
+    return { share: 1, visits_per_year: DEFAULT_VISITS_PER_YEAR, source: 'segment data not loaded', ignored, unmapped: [] };
+  }
+
+  const segments = window.segmentEngine.getSegmentsForTier(tier);
+  const count = (s) => parseFloat(s.visitor_count) || 0;
+  const total = segments.reduce((sum, s) => sum + count(s), 0);
+  const matching = segments.filter(s => {
+    const values = [s.acquisition, s.engagement, s.monetization];
+    if (values.some(v => exclude.has(v))) return false;
+    return include.size === 0 || values.some(v => include.has(v));
+  });
+  const eligibleCount = matching.reduce((sum, s) => sum + count(s), 0);
+  const visitsPerYear = eligibleCount > 0
+    ? matching.reduce((sum, s) => sum + (parseFloat(s.avg_visits_per_year) || 0) * count(s), 0) / eligibleCount
+    : DEFAULT_VISITS_PER_YEAR;
+
+  return {
+    share: total > 0 ? eligibleCount / total : 1,
+    visits_per_year: visitsPerYear,
+    source: 'segment_kpis',
+    unmapped
+  };
+}
+
+function resolveChannelShare(channels) {
+  const booking = new Set();
+  const unmapped = [];
+  channels.forEach(channel => {
+    const key = CHANNEL_ALIASES[channel] || channel;
+    if (BOOKING_CHANNEL_MIX[key] != null) booking.add(key);
+    else unmapped.push(channel);
+  });
+  if (booking.size === 0) return { share: 1, unmapped };
+  return { share: [...booking].reduce((sum, key) => sum + BOOKING_CHANNEL_MIX[key], 0), unmapped };
+}
+
+function isSegmentValue(label) {
+  const axes = window.segmentEngine?.axisDefinitions;
+  return !!axes && Object.values(axes).some(values => values.includes(label));
+}
+
+function addMonths(date, months) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + Math.round(months * 30.4) - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function firstOfNextMonth() {
+  const today = new Date();
+  return new Date(Date.UTC(today.getFullYear(), today.getMonth() + 1, 1)).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+}
@@ -2,33 +2,106 @@
  * Scenario Engine Module
  * Simulate pricing scenarios and forecast KPIs
  *
- * Dependencies: elasticity-model.js, data-loader.js, pyodide-bridge.js
+ * Dependencies: elasticity-model.js, data-loader.js, pyodide-bridge.js, stats-utils.js, seasonality.js,
+ *   park-capacity.js, ancillary-revenue.js, cost-model.js, promotion-model.js, event-planner.js, weather-model.js
  */
 
 import {
   forecastDemand,
   forecastChurn,
   forecastAcquisition,
-  calculateElasticity
+  calculateElasticity,
+  applyExternalFactors
 } from './elasticity-model.js';
 
-import { getDailyData, getWeeklyData, getCurrentPrices, loadElasticityParams } from './data-loader.js';
+import {
+  getDailyData,
+  getWeeklyData,
+  getCurrentPrices,
+  loadElasticityParams,
+  loadDailyAggregated,
+  loadExternalFactors,
+  dataCache
+} from './data-loader.js';
+
+import { fitOLS, createRandom, randomNormal, quantile } from './stats-utils.js';
+
+import { getExternalFactorsForDate, getExternalFactorsCoverage } from './elasticity-estimator.js';
 
 import { pyodideBridge } from './pyodide-bridge.js';
 
+import { getActiveExternalConditions } from './external-conditions.js';
+
+import { forecastSeasonalDays } from './seasonality.js';
+
+import { resolveParkCapacity, applyParkCapacity, crowdingPenalty } from './park-capacity.js';
+
+import { buildAncillaryProfile, forecastAncillary, decomposeAncillaryRevenue } from './ancillary-revenue.js';
+
+import { resolveCostModel, calculateContribution, acquisitionSpend, isPromotionScenario } from './cost-model.js';
+
+import {
+  resolvePromotion,
+  resolvePromotionEligibility,
+  promotionalElasticity,
+  rollOffChurn,
+  rollOffProgress,
+  buildAddsRatio,
+  loadPromoCampaigns,
+  promotionScenarioFromCampaign,
+  fitPromotionCalibration,
+  PROMOTION_MAPE_TARGET
+} from './promotion-model.js';
+
+import { resolvePlannedEvents, plannedEventEffects, assessEventTiming } from './event-planner.js';
+
+import { resolveWeatherYear, weatherDayEffects, weatherRiskRange } from './weather-model.js';
+
 /**
  * Simulate a pricing scenario
  * @param {Object} scenario - Scenario configuration
- * @param {Object} options - Additional options {timeHorizon, startDate}
+ * @param {Object} options - Additional options {timeHorizon, startDate, externalConditions, monteCarlo, capacity, costModel,
+ *   plannedEvents, weatherYear}
+ *   monteCarlo: true or { iterations, seed } to attach P10/P50/P90 bands (result.uncertainty)
+ *   capacity: park capacity overrides, or false to switch clipping off (see park-capacity.js)
+ *   costModel: cost model overrides for the contribution margin (see cost-model.js)
+ *   plannedEvents: planned future events, or false for none (see event-planner.js)
+ *   weatherYear: weather settings overrides, or false for a typical year (see weather-model.js)
  * @returns {Promise<Object>} Simulation results
  */
 export async function simulateScenario(scenario, options = {}) {
+  const [plannedEvents, weatherYear] = await Promise.all([
+    resolvePlannedEvents(options.plannedEvents),
+    resolveWeatherYear(options.weatherYear)
+  ]);
+  const result = await dispatchScenario(scenario, { ...options, plannedEvents, weatherYear });
+  applyPlannedEventsToResult(result, scenario, plannedEvents);
+  applyWeatherToResult(result, weatherYear);
+  return result;
+}
+
+async function dispatchScenario(scenario, options) {
   // Handle baseline "Do Nothing" scenario (tier="all")
   if (scenario.config.tier === 'all') {
     console.log('Baseline scenario detected - returning current state');
     return await simulateBaselineScenario(scenario, options);
   }
 
+  // Date-based prices (season / weekday / school break / specific dates)
+  if (isPricingCalendarScenario(scenario)) {
+    return simulatePricingCalendar(scenario, options);
+  }
+
+  // Discount for eligible visitors over a campaign window
+  if (isPromotionScenario(scenario)) {
+    return simulatePromotionScenario(scenario, options);
+  }
+
+  // Price vector across several tiers
+  if (isMultiTierScenario(scenario)) {
+    return simulateMultiTierScenario(scenario, options);
+  }
+
   // Check if this is a segment-targeted scenario
   if (options.targetSegment && options.targetSegment !== 'all') {
     console.log('Delegating to segment-targeted simulation');
@@ -36,22 +109,15 @@ export async function simulateScenario(scenario, options = {}) {
   }
 
   const timeHorizon = options.timeHorizon || 'medium_term_3_12mo';
+  const externalConditions = options.externalConditions || getActiveExternalConditions();
 
   try {
     console.log('Simulating scenario:', scenario.id, 'for tier:', scenario.config.tier);
 
-    // Map new/hypothetical tiers to proxy tiers for baseline data
-    const tierMap = {
-      'economy_pass': 'standard_pass',  // Economy tier uses standard_pass as proxy
-      'vip_pass': 'premium_pass',       // VIP pass uses premium_pass as proxy (if not in data)
-    };
-
-    const baselineTier = tierMap[scenario.config.tier] || scenario.config.tier;
-    // Only "economy_pass" is truly a new tier
-    const isNewTier = (scenario.config.tier === 'economy_pass');
-
-    if (tierMap[scenario.config.tier] && isNewTier) {
-      console.log(`⚠️ New tier "${scenario.config.tier}" - using "${baselineTier}" as baseline proxy`);
+    // Tiers without daily data (e.g. a new economy_pass) borrow a proxy tier's baseline
+    const baselineTier = await resolveBaselineTier(scenario.config.tier);
+    if (baselineTier !== scenario.config.tier) {
+      console.log(`⚠️ No data for tier "${scenario.config.tier}" - using "${baselineTier}" as baseline proxy`);
     }
 
     // Get baseline data (pass scenario for bundle handling)
@@ -62,8 +128,9 @@ export async function simulateScenario(scenario, options = {}) {
     const elasticityInfo = await calculateElasticity(
       baselineTier,
       null,
-      { timeHorizon }
+      { timeHorizon, externalConditions }
     );
+    const externalAdjustments = elasticityInfo.externalAdjustments || [];
 
     // Calculate price change percentage
     const priceChangePct = (scenario.config.new_price - scenario.config.current_price) / scenario.config.current_price;
@@ -98,16 +165,23 @@ export async function simulateScenario(scenario, options = {}) {
       changePercent: newVisitsForecast.changePercent
     });
 
+    // ARPV (Average Revenue Per Visitor): ticket + Fast Pass attach × price + in-park spend,
+    // with attach rate and spend responding to the ticket price
+    const ancillary = await buildAncillaryProfile(baselineTier);
+    const baselineArpv = forecastAncillary(ancillary, scenario.config.current_price, scenario.config.current_price);
+    const forecastedArpv = forecastAncillary(ancillary, scenario.config.new_price, scenario.config.current_price);
+    baseline.arpv = baselineArpv.arpv;
+    baseline.revenue = baseline.activeVisitors * baselineArpv.arpv;
+
     // Calculate revenue impact
     const revenueImpact = calculateRevenueImpact(
       demandForecast.forecastedVisitors,
-      scenario.config.new_price,
+      forecastedArpv.arpv,
       baseline.activeVisitors,
-      scenario.config.current_price
+      baselineArpv.arpv
     );
 
-    // Calculate ARPV (Average Revenue Per Visitor)
-    const forecastedARPV = scenario.config.new_price;
+    const forecastedARPV = forecastedArpv.arpv;
     const arpvChange = forecastedARPV - baseline.arpv;
 
     // Calculate ARPV percentage change, handling zero baseline
@@ -132,13 +206,25 @@ export async function simulateScenario(scenario, options = {}) {
     // Calculate premium/VIP share (percentage of visitors on premium_pass or vip_pass)
     const tierDistribution = await calculateTierDistribution(scenario.config.tier, demandForecast);
 
-    // Generate time series forecast (12 months)
-    const timeSeries = generateTimeSeries(
+    // Generate time series forecast (12 months on the seasonal baseline, clipped at park capacity)
+    const { series: timeSeries, capacity } = await generateTimeSeries(
+      baselineTier,
       demandForecast,
       returnRateForecast,
-      newVisitsForecast,
-      scenario.config.new_price,
-      12
+      {
+        currentPrice: scenario.config.current_price,
+        newPrice: scenario.config.new_price,
+        elasticity: elasticityInfo.elasticity,
+        ancillary
+      },
+      {
+        startDate: options.startDate || scenario.config.effective_date,
+        months: 12,
+        capacity: options.capacity,
+        plannedEvents: options.plannedEvents,
+        weatherYear: options.weatherYear,
+        externalConditions
+      }
     );
 
     const migrationMatrix = await buildMigrationMatrix(scenario, baselineTier, priceChangePct);
@@ -150,6 +236,10 @@ export async function simulateScenario(scenario, options = {}) {
       model_type: scenario.model_type,
       elasticity: elasticityInfo.elasticity,
       confidence_interval: elasticityInfo.confidenceInterval,
+      elasticity_before_external: externalAdjustments.length
+        ? externalAdjustments[0].elasticityBefore
+        : elasticityInfo.elasticity,
+      external_adjustments: externalAdjustments,
 
       baseline: {
         visitors: baseline.activeVisitors,
@@ -189,7 +279,14 @@ export async function simulateScenario(scenario, options = {}) {
         net_adds: forecastedNetAdds - baselineNetAdds
       },
 
+      ancillary: summarizeAncillary(
+        ancillary,
+        { visitors: baseline.activeVisitors, arpv: baselineArpv },
+        { visitors: demandForecast.forecastedVisitors, arpv: forecastedArpv }
+      ),
+
       time_series: timeSeries,
+      seasonal_forecast: summarizeSeasonalForecast(timeSeries),
 
       warnings: generateWarnings(scenario, returnRateForecast, demandForecast),
 
@@ -200,6 +297,28 @@ export async function simulateScenario(scenario, options = {}) {
       result.migration_matrix = migrationMatrix;
     }
 
+    applyCapacityToResult(result, capacity);
+    applyContributionToResult(result, scenario, {
+      baseline: baseline.activeVisitors * baselineArpv.ancillary_spend,
+      forecasted: demandForecast.forecastedVisitors * forecastedArpv.ancillary_spend
+    }, await resolveCostModel(options.costModel));
+
+    if (options.monteCarlo) {
+      result.uncertainty = simulateUncertainty([{
+        baseVisitors: demandForecast.baseVisitors,
+        forecastedVisitors: demandForecast.forecastedVisitors,
+        currentPrice: scenario.config.current_price,
+        newPrice: scenario.config.new_price,
+        currentArpv: baselineArpv.arpv,
+        newArpv: forecastedArpv.arpv,
+        elasticity: elasticityInfo.elasticity,
+        confidenceInterval: elasticityInfo.confidenceInterval,
+        baseReturnRate: returnRateForecast.baselineChurn,
+        forecastedReturnRate: returnRateForecast.forecastedChurn,
+        seasonalMonths: timeSeries.slice(1)
+      }], options.monteCarlo);
+    }
+
     return result;
 
   } catch (error) {
@@ -224,6 +343,7 @@ async function simulateBaselineScenario(scenario, options = {}) {
     // Calculate aggregated metrics across all tiers
     let totalVisitors = 0;
     let totalRevenue = 0;
+    let ancillaryRevenue = 0;
     let weightedReturnRate = 0;
     let weightedNewVisitors = 0;
     let premiumVisitors = 0;
@@ -236,6 +356,7 @@ async function simulateBaselineScenario(scenario, options = {}) {
       if (latestDay) {
         totalVisitors += latestDay.daily_visitors;
         totalRevenue += latestDay.daily_revenue;
+        ancillaryRevenue += (latestDay.avg_ancillary_spend || 0) * latestDay.daily_visitors;
         weightedReturnRate += latestDay.return_rate * latestDay.daily_visitors;
         weightedNewVisitors += latestDay.new_registrations;
 
@@ -257,18 +378,46 @@ async function simulateBaselineScenario(scenario, options = {}) {
     // Calculate premium/VIP share
     const premiumShare = totalVisitors > 0 ? (premiumVisitors + vipVisitors) / totalVisitors : 0;
 
-    // Generate time series (no change over time for baseline)
-    const timeSeries = [];
-    for (let month = 0; month <= 12; month++) {
-      timeSeries.push({
-        month,
-        visitors: Math.round(totalVisitors),
-        revenue: Math.round(totalRevenue),
-        return_rate: avgReturnRate
-      });
+    // Time series: no price change, so each month is the tiers' seasonal baseline at today's ARPV
+    const forecastOptions = {
+      startDate: options.startDate,
+      months: 12,
+      plannedEvents: options.plannedEvents,
+      weatherYear: options.weatherYear
+    };
+    const tierDays = {};
+    for (const tier of tiers) {
+      const latestDay = dailyData.filter(d => d.membership_tier === tier).pop();
+      const arpv = latestDay ? latestDay.daily_revenue / latestDay.daily_visitors : 0;
+      tierDays[tier] = await forecastTierDays(tier, { currentPrice: arpv, newPrice: arpv, elasticity: 0 }, forecastOptions);
     }
+    const capacity = constrainParkDays(tierDays, resolveParkCapacity(options.capacity));
+
+    const tierSeries = tiers.map(tier => buildMonthlySeries(
+      tierDays[tier],
+      { visitors: 0, revenue: 0 },
+      { baseline: avgReturnRate, forecasted: avgReturnRate }
+    ));
+    const timeSeries = tierSeries[0].map((point, i) => {
+      if (point.month === 0) {
+        return { month: 0, visitors: Math.round(totalVisitors), revenue: Math.round(totalRevenue), return_rate: avgReturnRate };
+      }
+      const sumTiers = (key) => tierSeries.reduce((sum, series) => sum + series[i][key], 0);
+      return {
+        ...point,
+        visitors: sumTiers('visitors'),
+        revenue: sumTiers('revenue'),
+        return_rate: avgReturnRate,
+        elasticity: 0,
+        baseline_visitors: sumTiers('baseline_visitors'),
+        baseline_revenue: sumTiers('baseline_revenue'),
+        typical_visitors: sumTiers('typical_visitors'),
+        typical_revenue: sumTiers('typical_revenue'),
+        lost_visitors: sumTiers('lost_visitors')
+      };
+    });
 
-    return {
+    const result = {
       scenario_id: scenario.id,
       scenario_name: scenario.name,
       elasticity: 0, // No price change
@@ -313,11 +462,22 @@ async function simulateBaselineScenario(scenario, options = {}) {
       },
 
       time_series: timeSeries,
+      seasonal_forecast: summarizeSeasonalForecast(timeSeries),
 
       warnings: ['This is a baseline scenario with no changes to pricing or strategy'],
 
+      ...(capacity ? { capacity } : {}),
+
       constraints_met: true
     };
+
+    applyContributionToResult(
+      result,
+      scenario,
+      { baseline: ancillaryRevenue, forecasted: ancillaryRevenue },
+      await resolveCostModel(options.costModel)
+    );
+    return result;
   } catch (error) {
     console.error('Error simulating baseline scenario:', error);
     throw error;
@@ -410,6 +570,24 @@ async function calculateTierDistribution(affectedTier, demandForecast) {
   }
 }
 
+// Proxy tiers for tiers that have no rows in daily_aggregated.csv
+const BASELINE_TIER_PROXIES = {
+  economy_pass: 'standard_pass',
+  vip_pass: 'premium_pass'
+};
+
+/**
+ * Tier whose daily data, elasticity and ARPV profile a scenario on `tier` is built from
+ * The tier itself whenever it has daily data (as in price-optimizer.js), else its proxy.
+ * @param {string} tier - Tier name
+ * @returns {Promise<string>} Baseline tier
+ */
+async function resolveBaselineTier(tier) {
+  if (!BASELINE_TIER_PROXIES[tier]) return tier;
+  const dailyData = await getDailyData(tier);
+  return dailyData?.length ? tier : BASELINE_TIER_PROXIES[tier];
+}
+
 /**
  * Get baseline metrics for a tier
  * @param {string} tier - Tier name
@@ -417,8 +595,8 @@ async function calculateTierDistribution(affectedTier, demandForecast) {
  * @returns {Promise<Object>} Baseline metrics
  */
 async function getBaselineMetrics(tier, scenario = null) {
-  // Special handling for vip_pass scenarios
-  if (tier === 'vip_pass') {
+  // vip_pass without its own daily data: estimate it from premium_pass
+  if (tier === 'vip_pass' && (await resolveBaselineTier(tier)) !== tier) {
     console.log('VIP pass scenario detected - using premium_pass tier as baseline');
 
     // Use premium_pass tier as baseline since VIP is premium tier with enhancements
@@ -502,6 +680,87 @@ function calculateRevenueImpact(forecastedVisitors, newPrice, baselineVisitors,
   };
 }
 
+/**
+ * Ticket / Fast Pass / in-park spend view of ARPV for a result
+ * @param {Object} profile - Output of buildAncillaryProfile()
+ * @param {Object} baseline - { visitors, arpv: forecastAncillary() output }
+ * @param {Object} forecasted - { visitors, arpv: forecastAncillary() output }
+ * @returns {Object} { fast_pass_price, fast_pass_included, elasticity, elasticity_source, baseline, forecasted,
+ *   revenue_change }
+ */
+function summarizeAncillary(profile, baseline, forecasted) {
+  return {
+    fast_pass_price: profile.fast_pass_price,
+    fast_pass_included: profile.fast_pass_included,
+    elasticity: profile.elasticity,
+    elasticity_source: profile.elasticity_source,
+    baseline: baseline.arpv,
+    forecasted: forecasted.arpv,
+    revenue_change: decomposeAncillaryRevenue(baseline, forecasted)
+  };
+}
+
+/**
+ * Park-level ancillary view from tier summaries (components weighted by each tier's visitors)
+ * @param {Array<Object>} summaries - Outputs of summarizeAncillary()
+ * @param {Array<Object>} visitors - [{ baseline, forecasted }] in the same order
+ * @returns {Object} { baseline, forecasted, revenue_change, assumed_response } in summarizeAncillary() shape
+ */
+function combineAncillary(summaries, visitors) {
+  const average = (side) => {
+    const total = visitors.reduce((sum, v) => sum + v[side], 0);
+    const combined = {};
+    ['ticket', 'fast_pass_attach_rate', 'fast_pass_revenue', 'ancillary_spend', 'arpv'].forEach(key => {
+      combined[key] = total > 0
+        ? summaries.reduce((sum, a, i) => sum + a[side][key] * visitors[i][side], 0) / total
+        : 0;
+    });
+    return combined;
+  };
+  const revenueChange = {};
+  ['ticket', 'fast_pass', 'ancillary_spend', 'total'].forEach(key => {
+    revenueChange[key] = summaries.reduce((sum, a) => sum + a.revenue_change[key], 0);
+  });
+  return {
+    baseline: average('baseline'),
+    forecasted: average('forecasted'),
+    revenue_change: revenueChange,
+    assumed_response: summaries.some(a => Object.values(a.elasticity_source || {}).includes('assumed'))
+  };
+}
+
+/**
+ * Add contribution margin to a result: baseline / forecasted / delta .contribution plus
+ * result.contribution with the cost breakdown (see cost-model.js)
+ * @param {Object} result - Simulation result (mutated)
+ * @param {Object} scenario - Scenario configuration (promotions carry fulfilment cost)
+ * @param {Object} ancillaryRevenue - { baseline, forecasted } daily in-park spend revenue
+ * @param {Object} costModel - Output of resolveCostModel()
+ */
+function applyContributionToResult(result, scenario, ancillaryRevenue, costModel) {
+  const promotion = isPromotionScenario(scenario);
+  // Today's acquisition budget on both sides, plus a promotion's own marketing spend per promotion day
+  const campaign = result.promotion?.totals;
+  const addedSpend = promotion && campaign?.days > 0 ? (campaign.marketing_spend || 0) / campaign.days : 0;
+  const side = (key) => calculateContribution({
+    visitors: result[key].visitors,
+    revenue: result[key].revenue,
+    ancillary_revenue: ancillaryRevenue[key],
+    acquisition_spend: acquisitionSpend(result.baseline.new_visitors, costModel, key === 'forecasted' ? addedSpend : 0),
+    promo_visitors: key === 'forecasted' && promotion ? (result.promotion?.daily_redemptions ?? result[key].visitors) : 0
+  }, costModel);
+
+  const baseline = side('baseline');
+  const forecasted = side('forecasted');
+  const change = forecasted.contribution - baseline.contribution;
+
+  result.baseline.contribution = baseline.contribution;
+  result.forecasted.contribution = forecasted.contribution;
+  result.delta.contribution = change;
+  result.delta.contribution_pct = baseline.contribution !== 0 ? (change / Math.abs(baseline.contribution)) * 100 : 0;
+  result.contribution = { cost_model: costModel, baseline, forecasted };
+}
+
 function getLatestTierSnapshots(dailyData) {
   const latestByTier = {};
   dailyData.forEach(row => {
@@ -648,55 +907,458 @@ async function buildMigrationMatrix(scenario, baselineTier, priceChangePct) {
 }
 
 /**
- * Generate time series forecast
- * @param {Object} demandForecast - Demand forecast object
- * @param {Object} returnRateForecast - Return rate forecast object
- * @param {Object} newVisitsForecast - New visits forecast object
- * @param {number} newPrice - New price
- * @param {number} months - Number of months to forecast
- * @returns {Array} Time series data
+ * Forecast one tier day by day on the seasonal baseline
+ *
+ * Each day starts from the tier's seasonal baseline (month, day-of-week and event profile from
+ * seasonality.js) and layers the price effect on top with the season elasticity from
+ * cohort_elasticity.by_season. Season elasticities are scaled by elasticity ÷ base_elasticity so
+ * time-horizon and external-condition adjustments carry over. A flat price change phases in over
+ * the first three months; calendar prices (pricing.priceForDay) apply from day one.
+ *
+ * @param {string} tier - Tier the seasonal profile and season elasticities come from
+ * @param {Object} pricing - { currentPrice, newPrice, elasticity, crossFactor?, priceForDay?, ancillary? }
+ *   priceForDay(day) returns { price, rule } for date-based pricing; ancillary is a profile from
+ *   buildAncillaryProfile() (without it revenue per visit is the ticket price)
+ * Planned events (event-planner.js) scale the seasonal baseline on their days and switch on their
+ * elasticity condition (new_attraction_opening, bad_weather_forecast) where it is not applied park-wide.
+ * The weather year (weather-model.js) then scales it again; typical_visitors keeps the baseline of a
+ * typical weather year so weather risk can be told apart from the price effect.
+ *
+ * @param {Object} options - { startDate, months, plannedEvents, weatherYear, externalConditions }
+ * @returns {Promise<Array>} Days with { month, price, rule?, arpv, baseline_arpv, ancillary_spend,
+ *   baseline_ancillary_spend, elasticity, progress, baseline_visitors, typical_visitors, demand, visitors,
+ *   planned_events?, weather_anomaly?, weather_return_shift? }
+ *   (visitors = demand until constrainParkDays() clips it; spend is in-park spend per visit)
  */
-function generateTimeSeries(demandForecast, returnRateForecast, newVisitsForecast, newPrice, months) {
-  const series = [];
-  let currentVisitors = demandForecast.baseVisitors;
+async function forecastTierDays(tier, pricing, options = {}) {
+  const { currentPrice, newPrice = currentPrice, elasticity, crossFactor = 1, priceForDay, ancillary } = pricing;
+  const revenueAt = new Map();
+  const perVisit = (price) => {
+    if (!revenueAt.has(price)) {
+      revenueAt.set(price, ancillary
+        ? forecastAncillary(ancillary, price, currentPrice)
+        : { arpv: price, ancillary_spend: 0 });
+    }
+    return revenueAt.get(price);
+  };
+  const baseline = perVisit(currentPrice);
+  const [params, seasonalDays, plannedEvents, weatherYear] = await Promise.all([
+    loadElasticityParams(),
+    forecastSeasonalDays(tier, { startDate: options.startDate, months: options.months || 12 }),
+    resolvePlannedEvents(options.plannedEvents),
+    resolveWeatherYear(options.weatherYear)
+  ]);
+  const appliedConditions = options.externalConditions || getActiveExternalConditions();
+  const externalFactors = params[tier]?.external_factors || params.standard_pass?.external_factors || {};
+  const tierParams = params[tier] || {};
+  const bySeason = tierParams.cohort_elasticity?.by_season || {};
+  const horizonScale = tierParams.base_elasticity && elasticity ? elasticity / tierParams.base_elasticity : 1;
+
+  let month = 0;
+  let lastMonthStart = null;
+  return seasonalDays.map(seasonalDay => {
+    const monthStart = seasonalDay.date.slice(0, 7);
+    if (monthStart !== lastMonthStart) {
+      month++;
+      lastMonthStart = monthStart;
+    }
 
-  for (let month = 0; month <= months; month++) {
-    // Month 0 is baseline
-    if (month === 0) {
-      series.push({
-        month: 0,
-        visitors: currentVisitors,
-        revenue: currentVisitors * (newPrice / (1 + (demandForecast.priceChangePct / 100))),
-        return_rate: returnRateForecast.baselineChurn
-      });
-      continue;
+    const planned = plannedEventEffects(seasonalDay, plannedEvents);
+    const eventDay = planned
+      ? {
+        ...seasonalDay,
+        visitors: seasonalDay.visitors * planned.factor,
+        event_types: [...seasonalDay.event_types, ...planned.types],
+        planned_events: planned.ids
+      }
+      : seasonalDay;
+    const weather = weatherDayEffects(eventDay, weatherYear);
+    const day = weather
+      ? {
+        ...eventDay,
+        visitors: eventDay.visitors * weather.visitor_factor,
+        weather_anomaly: weather.anomaly,
+        weather_return_shift: weather.return_rate_shift
+      }
+      : eventDay;
+    const eventMultiplier = planned
+      ? planned.conditions
+        .filter(condition => !appliedConditions.includes(condition))
+        .reduce((m, condition) => m * (externalFactors[condition] || 1), 1)
+      : 1;
+
+    const seasonElasticity = (bySeason[day.season] != null ? bySeason[day.season] * horizonScale : elasticity) *
+      eventMultiplier;
+    const { price, rule } = priceForDay ? priceForDay(day) : { price: newPrice };
+    const progress = priceForDay ? 1 : Math.min(month / 3, 1); // Full effect after 3 months
+    const priceFactor = price === currentPrice ? 1 : Math.pow(price / currentPrice, seasonElasticity);
+    const demand = Math.max(0, day.visitors * (1 + (priceFactor * crossFactor - 1) * progress));
+
+    return {
+      ...day,
+      month,
+      price,
+      ...(rule ? { rule } : {}),
+      arpv: perVisit(price).arpv,
+      baseline_arpv: baseline.arpv,
+      ancillary_spend: perVisit(price).ancillary_spend,
+      baseline_ancillary_spend: baseline.ancillary_spend,
+      elasticity: seasonElasticity,
+      progress,
+      baseline_visitors: day.visitors,
+      typical_visitors: eventDay.visitors,
+      demand,
+      visitors: demand
+    };
+  });
+}
+
+/**
+ * Attach the planned events of a run and flag the scenario's timing against them
+ * @param {Object} result - Simulation result (mutated)
+ * @param {Object} scenario - Scenario configuration
+ * @param {Array} plannedEvents - Output of resolvePlannedEvents()
+ */
+function applyPlannedEventsToResult(result, scenario, plannedEvents) {
+  if (!result || plannedEvents.length === 0) return;
+
+  const months = (result.time_series || []).filter(m => m.month_start);
+  const forecastStart = months[0]?.month_start || null;
+  const forecastEnd = months.length
+    ? new Date(Date.UTC(Number(months[months.length - 1].month_start.slice(0, 4)),
+      Number(months[months.length - 1].month_start.slice(5, 7)), 0)).toISOString().slice(0, 10)
+    : null;
+  const timingRisks = assessEventTiming(scenario, plannedEvents, forecastStart);
+
+  result.planned_events = {
+    events: plannedEvents.map(event => ({
+      ...event,
+      in_forecast: !!forecastStart && event.end_date >= forecastStart && event.date <= forecastEnd
+    })),
+    timing_risks: timingRisks
+  };
+  result.warnings = [...(result.warnings || []), ...timingRisks.map(risk => risk.message)];
+}
+
+/**
+ * Attach the weather year of a run and its effect on the seasonal forecast, apart from the price effect
+ * result.weather.range is the effect at the ends of the sensitivity's 95% interval; when the history
+ * does not identify the sensitivity, the warning is sized from that range.
+ * @param {Object} result - Simulation result (mutated)
+ * @param {Object} weatherYear - Output of resolveWeatherYear()
+ */
+function applyWeatherToResult(result, weatherYear) {
+  if (!result || !weatherYear) return;
+
+  const effect = result.seasonal_forecast?.weather || null;
+  const range = effect
+    ? weatherRiskRange(weatherYear, (result.time_series || [])
+      .filter(m => m.month > 0 && m.month_start)
+      .map(m => ({ month_start: m.month_start, visitors: m.typical_visitors })))
+    : null;
+  result.weather = {
+    year: weatherYear.year,
+    label: weatherYear.label,
+    score_shift: weatherYear.score_shift,
+    sensitivity: weatherYear.sensitivity,
+    event_days: Object.keys(weatherYear.event_days).length,
+    ...(effect ? { visitors: effect.visitors, revenue: effect.revenue, revenue_pct: effect.revenue_pct, range } : {})
+  };
+  if (!effect) return;
+
+  const rangeText = range ? `${range.low_pct.toFixed(1)}% to ${range.high_pct >= 0 ? '+' : ''}${range.high_pct.toFixed(1)}%` : null;
+  if (weatherYear.sensitivity.visitors_source === 'unidentified') {
+    if (range && range.low_pct <= -1) {
+      result.warnings = [...(result.warnings || []),
+        `Weather response is not identified in ${weatherYear.weeks} weeks of history: ${weatherYear.label} changes ` +
+        `baseline revenue by ${effect.revenue_pct.toFixed(1)}% at the point estimate, ${rangeText} over its 95% interval`];
     }
+  } else if (effect.revenue_pct <= -1) {
+    result.warnings = [...(result.warnings || []),
+      `${weatherYear.label} costs ${Math.abs(effect.revenue_pct).toFixed(1)}% of baseline revenue ` +
+      `(${Math.round(Math.abs(effect.revenue)).toLocaleString()} USD over the forecast${rangeText ? `; ${rangeText} over the 95% interval` : ''})` +
+      ' - weather risk on top of the price effect'];
+  }
+}
 
-    // Apply changes gradually over time
-    const progressFactor = Math.min(month / 3, 1); // Full effect after 3 months
+/**
+ * Clip every tier's days at park capacity (see park-capacity.js)
+ *
+ * Scenario demand and the no-change baseline are clipped the same way, so both sides of the
+ * comparison live with the same park. Days gain { baseline_demand, lost, displaced,
+ * crowding_penalty } and visitors / baseline_visitors become what the park can serve.
+ *
+ * @param {Object} tierDays - { tier: days from forecastTierDays() } for every tier in the park
+ * @param {Object|null} capacity - Settings from resolveParkCapacity() (null leaves demand as is)
+ * @returns {Object|null} Capacity summary for the result
+ */
+function constrainParkDays(tierDays, capacity) {
+  if (!capacity) return null;
+
+  const tiers = Object.keys(tierDays);
+  const days = tierDays[tiers[0]];
+  const scenario = applyParkCapacity(days, tiers.map(t => tierDays[t].map(d => d.demand)), capacity);
+  const baseline = applyParkCapacity(days, tiers.map(t => tierDays[t].map(d => d.baseline_visitors)), capacity);
+  const typical = applyParkCapacity(days, tiers.map(t => tierDays[t].map(d => d.typical_visitors)), capacity);
+
+  let lostRevenue = 0;
+  let penaltyWeighted = 0;
+  let servedTotal = 0;
+  tiers.forEach((tier, t) => {
+    tierDays[tier].forEach((day, i) => {
+      day.baseline_demand = day.baseline_visitors;
+      day.baseline_visitors = baseline.served[t][i];
+      day.typical_visitors = typical.served[t][i];
+      day.visitors = scenario.served[t][i];
+      day.lost = scenario.lost[t][i];
+      day.displaced = scenario.displaced[t][i];
+      day.crowding_penalty = crowdingPenalty(scenario.load[i], capacity.crowding) -
+        crowdingPenalty(baseline.load[i], capacity.crowding);
+      lostRevenue += day.lost * day.arpv;
+      penaltyWeighted += day.crowding_penalty * day.visitors;
+      servedTotal += day.visitors;
+    });
+  });
 
-    // Calculate visitor change
-    const totalChange = demandForecast.forecastedVisitors - demandForecast.baseVisitors;
-    currentVisitors = demandForecast.baseVisitors + (totalChange * progressFactor);
+  return {
+    settings: capacity,
+    ...scenario.summary,
+    lost_revenue: lostRevenue,
+    baseline_days_at_capacity: baseline.summary.days_at_capacity,
+    baseline_lost: baseline.summary.lost,
+    return_rate_penalty: servedTotal > 0 ? penaltyWeighted / servedTotal : 0,
+    peak_days: days
+      .map((day, i) => ({ date: day.date, capacity: scenario.capacity[i], load: scenario.load[i] }))
+      .filter(day => day.load >= 0.999)
+      .map(day => day.date)
+  };
+}
 
-    // Calculate return rate for this month
-    const returnRateChange = returnRateForecast.forecastedChurn - returnRateForecast.baselineChurn;
-    const monthReturnRate = returnRateForecast.baselineChurn + (returnRateChange * progressFactor);
+/**
+ * Days of the other park tiers at today's prices (they share capacity with the scenario tier)
+ */
+async function forecastFlatParkDays(excludeTiers, options) {
+  const currentPrices = await getCurrentPrices();
+  const entries = await Promise.all(PARK_TIERS
+    .filter(tier => !excludeTiers.includes(tier))
+    .map(async tier => {
+      const price = currentPrices[tier]?.list_price || 0;
+      return [tier, await forecastTierDays(tier, { currentPrice: price, newPrice: price, elasticity: 0 }, options)];
+    }));
+  return Object.fromEntries(entries);
+}
 
-    // Revenue
-    const revenue = currentVisitors * newPrice;
+/**
+ * Roll forecast days into the monthly series (daily averages per calendar month)
+ * @param {Array} days - Days from forecastTierDays() (optionally constrained)
+ * @param {Object} month0 - { visitors, revenue } for the latest observed day
+ * @param {Object} returnRate - { baseline, forecasted } (the change follows each day's phase-in)
+ * @returns {Array} [{ month, visitors, revenue, return_rate, calendar_month, month_start, season, days,
+ *   elasticity, baseline_visitors, baseline_revenue, typical_visitors, typical_revenue, lost_visitors,
+ *   days_at_capacity }]
+ */
+function buildMonthlySeries(days, month0, returnRate) {
+  const series = [{
+    month: 0,
+    visitors: month0.visitors,
+    revenue: month0.revenue,
+    return_rate: returnRate.baseline
+  }];
+
+  days.forEach(day => {
+    let point = series[series.length - 1];
+    if (point.month !== day.month) {
+      point = {
+        month: day.month,
+        visitors: 0,
+        revenue: 0,
+        return_rate: 0,
+        calendar_month: day.calendar_month,
+        month_start: `${day.date.slice(0, 7)}-01`,
+        season: day.season,
+        days: 0,
+        elasticity: 0,
+        baseline_visitors: 0,
+        baseline_revenue: 0,
+        typical_visitors: 0,
+        typical_revenue: 0,
+        lost_visitors: 0,
+        days_at_capacity: 0
+      };
+      series.push(point);
+    }
+    const rate = returnRate.baseline + (returnRate.forecasted - returnRate.baseline) * day.progress -
+      (day.crowding_penalty || 0) + (day.weather_return_shift || 0);
+    point.days++;
+    point.visitors += day.visitors;
+    point.revenue += day.visitors * day.arpv;
+    point.return_rate += rate * day.visitors;
+    point.elasticity += day.elasticity;
+    point.baseline_visitors += day.baseline_visitors;
+    point.baseline_revenue += day.baseline_visitors * day.baseline_arpv;
+    point.typical_visitors += day.typical_visitors ?? day.baseline_visitors;
+    point.typical_revenue += (day.typical_visitors ?? day.baseline_visitors) * day.baseline_arpv;
+    point.lost_visitors += day.lost || 0;
+    if (day.demand > day.visitors + 0.5) point.days_at_capacity++;
+  });
 
-    series.push({
-      month,
-      visitors: Math.round(currentVisitors),
-      revenue: Math.round(revenue),
-      return_rate: monthReturnRate
+  series.slice(1).forEach(point => {
+    point.return_rate = point.visitors > 0 ? point.return_rate / point.visitors : returnRate.forecasted;
+    point.elasticity /= point.days;
+    ['visitors', 'revenue', 'baseline_visitors', 'baseline_revenue', 'typical_visitors', 'typical_revenue',
+      'lost_visitors'].forEach(key => {
+      point[key] = Math.round(point[key] / point.days);
     });
-  }
+  });
 
   return series;
 }
 
+/**
+ * Sum tier monthly series into a park series (rates and elasticities visitor-weighted)
+ * @param {Array<Array>} seriesList - Outputs of buildMonthlySeries(), same months
+ * @returns {Array} Park series in the same shape
+ */
+function sumMonthlySeries(seriesList) {
+  return seriesList[0].map((point, i) => {
+    const points = seriesList.map(series => series[i]);
+    const sum = (key) => points.reduce((acc, p) => acc + (p[key] || 0), 0);
+    const weighted = (key, weightKey) => {
+      const weight = sum(weightKey);
+      return weight > 0 ? points.reduce((acc, p) => acc + p[key] * p[weightKey], 0) / weight : point[key];
+    };
+
+    const parkPoint = {
+      month: point.month,
+      visitors: sum('visitors'),
+      revenue: sum('revenue'),
+      return_rate: weighted('return_rate', 'visitors')
+    };
+    if (point.month > 0) {
+      Object.assign(parkPoint, {
+        calendar_month: point.calendar_month,
+        month_start: point.month_start,
+        season: point.season,
+        days: point.days,
+        elasticity: weighted('elasticity', 'baseline_visitors'),
+        baseline_visitors: sum('baseline_visitors'),
+        baseline_revenue: sum('baseline_revenue'),
+        typical_visitors: sum('typical_visitors'),
+        typical_revenue: sum('typical_revenue'),
+        lost_visitors: sum('lost_visitors'),
+        days_at_capacity: Math.max(...points.map(p => p.days_at_capacity || 0))
+      });
+    }
+    return parkPoint;
+  });
+}
+
+/**
+ * Generate the 12-month forecast for one tier on the seasonal baseline, clipped at park capacity
+ * (the other tiers stay at today's prices and share the park)
+ *
+ * @param {string} tier - Tier the seasonal profile and season elasticities come from
+ * @param {Object} demandForecast - { baseVisitors } (month 0)
+ * @param {Object} returnRateForecast - Return rate forecast object
+ * @param {Object} pricing - { currentPrice, newPrice, elasticity, crossFactor?, ancillary? }
+ * @param {Object} options - { startDate, months, capacity }
+ * @returns {Promise<Object>} { series (see buildMonthlySeries), capacity (summary or null) }
+ */
+async function generateTimeSeries(tier, demandForecast, returnRateForecast, pricing, options = {}) {
+  const days = await forecastTierDays(tier, pricing, options);
+  const capacity = resolveParkCapacity(options.capacity);
+  const capacitySummary = capacity
+    ? constrainParkDays({ [tier]: days, ...(await forecastFlatParkDays([tier], options)) }, capacity)
+    : null;
+
+  const series = buildMonthlySeries(
+    days,
+    { visitors: demandForecast.baseVisitors, revenue: demandForecast.baseVisitors * days[0].baseline_arpv },
+    { baseline: returnRateForecast.baselineChurn, forecasted: returnRateForecast.forecastedChurn }
+  );
+
+  return { series, capacity: capacitySummary };
+}
+
+/**
+ * Attach the capacity summary to a result: crowding lowers the forecasted return rate and
+ * demand the park cannot serve is flagged in the warnings
+ * @param {Object} result - Simulation result (mutated)
+ * @param {Object|null} capacity - Summary from constrainParkDays()
+ */
+function applyCapacityToResult(result, capacity) {
+  if (!capacity) return;
+  result.capacity = capacity;
+
+  if (capacity.return_rate_penalty !== 0) {
+    result.forecasted.return_rate -= capacity.return_rate_penalty;
+    result.delta.return_rate = result.forecasted.return_rate - result.baseline.return_rate;
+    result.delta.return_rate_pct = result.baseline.return_rate > 0
+      ? (result.delta.return_rate / result.baseline.return_rate) * 100
+      : 0;
+  }
+
+  const extraDays = capacity.days_at_capacity - capacity.baseline_days_at_capacity;
+  if (extraDays > 0) {
+    result.warnings.push(
+      `Demand exceeds park capacity on ${capacity.days_at_capacity} days (baseline: ${capacity.baseline_days_at_capacity}) - ` +
+      `${Math.round(capacity.turned_away).toLocaleString()} visits turned away, ` +
+      `${Math.round(capacity.displaced).toLocaleString()} rebooked on quieter days, ` +
+      `${Math.round(capacity.lost).toLocaleString()} lost`
+    );
+  }
+  if (capacity.return_rate_penalty > 0.001) {
+    result.warnings.push(
+      `Crowding lowers the return rate by ${(capacity.return_rate_penalty * 100).toFixed(1)} pts on average over the forecast`
+    );
+  }
+}
+
+/**
+ * Totals over the forecast months (daily averages × days in month)
+ *
+ * The price effect is the scenario against the no-change baseline under the same weather year;
+ * weather is that baseline against the baseline of a typical weather year.
+ *
+ * @param {Array} timeSeries - Output of generateTimeSeries()
+ * @returns {Object} { months, visitors, revenue, baseline_visitors, baseline_revenue, typical_visitors,
+ *   typical_revenue, visitors_pct, revenue_pct, price_effect: { visitors, revenue },
+ *   weather: { visitors, revenue, visitors_pct, revenue_pct }, by_season }
+ */
+function summarizeSeasonalForecast(timeSeries) {
+  const totals = { visitors: 0, revenue: 0, baseline_visitors: 0, baseline_revenue: 0, typical_visitors: 0, typical_revenue: 0 };
+  const bySeason = {};
+
+  timeSeries.filter(m => m.month > 0).forEach(m => {
+    const season = (bySeason[m.season] = bySeason[m.season] || { months: 0, visitors: 0, revenue: 0, baseline_revenue: 0 });
+    season.months++;
+    Object.keys(totals).forEach(key => {
+      totals[key] += m[key] * m.days;
+    });
+    season.visitors += m.visitors * m.days;
+    season.revenue += m.revenue * m.days;
+    season.baseline_revenue += m.baseline_revenue * m.days;
+  });
+
+  return {
+    months: timeSeries.length - 1,
+    ...totals,
+    visitors_pct: totals.baseline_visitors > 0 ? (totals.visitors / totals.baseline_visitors - 1) * 100 : 0,
+    revenue_pct: totals.baseline_revenue > 0 ? (totals.revenue / totals.baseline_revenue - 1) * 100 : 0,
+    price_effect: {
+      visitors: totals.visitors - totals.baseline_visitors,
+      revenue: totals.revenue - totals.baseline_revenue
+    },
+    weather: {
+      visitors: totals.baseline_visitors - totals.typical_visitors,
+      revenue: totals.baseline_revenue - totals.typical_revenue,
+      visitors_pct: totals.typical_visitors > 0 ? (totals.baseline_visitors / totals.typical_visitors - 1) * 100 : 0,
+      revenue_pct: totals.typical_revenue > 0 ? (totals.baseline_revenue / totals.typical_revenue - 1) * 100 : 0
+    },
+    by_season: bySeason
+  };
+}
+
 /**
  * Generate time series forecast for segment scenarios
  * @param {Object} baseline - Baseline tier metrics
@@ -922,7 +1584,14 @@ export async function simulateSegmentScenario(scenario, options = {}) {
 
   try {
     // Get segment-specific data (using segmentTier for lookups)
-    const segmentElasticity = await getSegmentElasticity(segmentTier, targetSegment, segmentAxis);
+    const rawSegmentElasticity = await getSegmentElasticity(segmentTier, targetSegment, segmentAxis);
+    const params = await loadElasticityParams();
+    const external = applyExternalFactors(
+      rawSegmentElasticity,
+      params.standard_pass?.external_factors,
+      options.externalConditions || getActiveExternalConditions()
+    );
+    const segmentElasticity = external.elasticity;
     const segmentBaseline = await getSegmentBaseline(segmentTier, targetSegment, segmentAxis);
 
     console.log('Segment elasticity:', segmentElasticity);
@@ -992,6 +1661,20 @@ export async function simulateSegmentScenario(scenario, options = {}) {
       warnings.push(`Significant spillover effects: ~${spilloverEffects.total_migration.toLocaleString()} visitors may migrate`);
     }
 
+    // In-park spend share of revenue (segment data only carries total ARPV); the targeted
+    // segment moves to the new price, the rest of the tier stays at today's
+    let spendShare = { current: 0, next: 0 };
+    try {
+      const ancillary = await buildAncillaryProfile(segmentTier);
+      const share = (price) => {
+        const perVisit = forecastAncillary(ancillary, price, currentPrice);
+        return perVisit.ancillary_spend / perVisit.arpv;
+      };
+      spendShare = { current: share(currentPrice), next: share(newPrice) };
+    } catch (error) {
+      console.warn(`No ancillary profile for ${segmentTier} - contribution leaves out food & merch COGS`);
+    }
+
     // Generate time series forecast for tier-level totals (12 months)
     const timeSeries = generateTimeSeriesForSegment(
       tierImpact.baseline,
@@ -1001,7 +1684,7 @@ export async function simulateSegmentScenario(scenario, options = {}) {
       12
     );
 
-    return {
+    const result = {
       scenario_id: scenario.id,
       scenario_name: scenario.name,
       tier,
@@ -1031,12 +1714,36 @@ export async function simulateSegmentScenario(scenario, options = {}) {
 
       // Metadata
       elasticity: segmentElasticity,
+      elasticity_before_external: rawSegmentElasticity,
+      external_adjustments: external.adjustments,
       price_change_pct: priceChangePct * 100,
       warnings,
       constraints_met: warnings.length === 0,
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+
+      // Segment demand is linear in elasticity, so draws scale the deltas
+      uncertainty: options.monteCarlo
+        ? simulateUncertainty([{
+          linear: true,
+          baseVisitors: tierImpact.baseline.visitors,
+          forecastedVisitors: tierImpact.forecasted.visitors,
+          baseRevenue: tierImpact.baseline.revenue,
+          forecastedRevenue: tierImpact.forecasted.revenue,
+          elasticity: segmentElasticity,
+          confidenceInterval: params[segmentTier]?.confidence_interval ?? params.standard_pass?.confidence_interval,
+          baseReturnRate: segmentBaseline.churn_rate,
+          forecastedReturnRate: forecastedChurn
+        }], options.monteCarlo)
+        : undefined
     };
 
+    applyContributionToResult(result, scenario, {
+      baseline: tierImpact.baseline.revenue * spendShare.current,
+      forecasted: (tierImpact.forecasted.revenue - forecastedRevenue) * spendShare.current +
+        forecastedRevenue * spendShare.next
+    }, await resolveCostModel(options.costModel));
+    return result;
+
   } catch (error) {
     console.error('Error simulating segment scenario:', error);
     throw error;
@@ -1287,6 +1994,1737 @@ async function calculateTierTotals(tier, impactData) {
   };
 }
 
+// ========== Monte Carlo Uncertainty ==========
+
+export const MONTE_CARLO_DEFAULTS = { iterations: 2000, seed: 42, months: 12 };
+
+// confidence_interval in elasticity-params.json is a 95% half-width (1.96 × SE)
+const CI_Z = 1.96;
+
+/**
+ * Draw elasticities from their confidence intervals and collect P10/P50/P90 bands
+ *
+ * Each component is one tier (or a segment-targeted tier total). Per iteration one standard
+ * normal z is drawn and shared by all components - tiers are estimated from the same park
+ * data, so their errors move together and the bands stay on the conservative side.
+ *   ε* = ε + z × CI / 1.96
+ * Constant-elasticity components re-run Q = Q0 × (P1/P0)^ε*; linear ones (segment scenarios)
+ * scale their deltas by ε* ÷ ε. churn_elasticity and acquisition_elasticity carry no CI, so the
+ * return-rate change is scaled by the same ratio. The monthly ramp matches generateTimeSeries();
+ * components with seasonalMonths (its month 1..n points) scale each month's point forecast by
+ * the drawn vs point demand factor at that month's season elasticity.
+ *
+ * @param {Array<Object>} components - [{ baseVisitors, forecastedVisitors, currentPrice, newPrice,
+ *   elasticity, confidenceInterval, baseReturnRate, forecastedReturnRate, crossFactor?,
+ *   currentArpv?, newArpv?, seasonalMonths?, linear?, baseRevenue?, forecastedRevenue? }]
+ *   (revenue per visitor is currentArpv / newArpv when given, else the ticket price)
+ * @param {Object|boolean} options - true or { iterations, seed, months }
+ * @returns {Object} { iterations, seed, revenue, visitors, return_rate, elasticity_multiplier, time_series }
+ *   where each metric is { p10, p50, p90 } and time_series is [{ month, visitors: {...}, revenue: {...} }]
+ */
+export function simulateUncertainty(components, options = {}) {
+  const { iterations, seed, months } = { ...MONTE_CARLO_DEFAULTS, ...(options === true ? {} : options) };
+  const random = createRandom(seed);
+
+  const draws = { revenue: [], visitors: [], return_rate: [], elasticity_multiplier: [] };
+  const monthly = Array.from({ length: months + 1 }, () => ({ visitors: [], revenue: [] }));
+
+  for (let i = 0; i < iterations; i++) {
+    const z = randomNormal(random);
+    let visitors = 0;
+    let revenue = 0;
+    let returnWeighted = 0;
+    const monthVisitors = new Array(months + 1).fill(0);
+    const monthRevenue = new Array(months + 1).fill(0);
+
+    components.forEach(c => {
+      const sigma = (c.confidenceInterval || 0) / CI_Z;
+      const drawnElasticity = c.elasticity + z * sigma;
+      const k = c.elasticity ? drawnElasticity / c.elasticity : 1;
+      if (components.length === 1) draws.elasticity_multiplier.push(k);
+
+      let v;
+      let r;
+      let baseRevenue;
+      if (c.linear) {
+        v = c.baseVisitors + (c.forecastedVisitors - c.baseVisitors) * k;
+        r = c.baseRevenue + (c.forecastedRevenue - c.baseRevenue) * k;
+        baseRevenue = c.baseRevenue;
+      } else {
+        v = c.baseVisitors * Math.pow(c.newPrice / c.currentPrice, drawnElasticity) * (c.crossFactor ?? 1);
+        r = v * (c.newArpv ?? c.newPrice);
+        baseRevenue = c.baseVisitors * (c.currentArpv ?? c.currentPrice);
+      }
+      v = Math.max(0, v);
+      const rate = c.baseReturnRate + (c.forecastedReturnRate - c.baseReturnRate) * k;
+
+      visitors += v;
+      revenue += r;
+      returnWeighted += rate * v;
+
+      for (let m = 0; m <= months; m++) {
+        const progress = Math.min(m / 3, 1);
+        const season = m > 0 ? c.seasonalMonths?.[m - 1] : null;
+        let mv;
+        if (season) {
+          const demandFactor = (e) =>
+            1 + (Math.pow(c.newPrice / c.currentPrice, e) * (c.crossFactor ?? 1) - 1) * progress;
+          mv = season.visitors * demandFactor(season.elasticity * k) / demandFactor(season.elasticity);
+        } else {
+          mv = c.baseVisitors + (v - c.baseVisitors) * progress;
+        }
+        monthVisitors[m] += mv;
+        if (m === 0) {
+          monthRevenue[m] += baseRevenue;
+        } else {
+          monthRevenue[m] += c.linear ? baseRevenue + (r - baseRevenue) * progress : mv * (c.newArpv ?? c.newPrice);
+        }
+      }
+    });
+
+    draws.visitors.push(visitors);
+    draws.revenue.push(revenue);
+    draws.return_rate.push(visitors > 0 ? returnWeighted / visitors : 0);
+    for (let m = 0; m <= months; m++) {
+      monthly[m].visitors.push(monthVisitors[m]);
+      monthly[m].revenue.push(monthRevenue[m]);
+    }
+  }
+
+  return summarizeDraws(iterations, seed, draws, monthly);
+}
+
+/**
+ * Monte Carlo bands for day-by-day forecasts (pricing calendars, promotions)
+ *
+ * Same draw as simulateUncertainty(): one z per iteration, shared by every tier, moves each
+ * tier's elasticity to ε + z × CI / 1.96. drawDay() re-prices each day with the multiplier
+ * k = ε* ÷ ε, the park is clipped at capacity again and the days are averaged the way the point
+ * forecast averages them, so k = 1 reproduces the point forecast. The return-rate change is
+ * scaled by k per tier.
+ *
+ * @param {Object} forecast
+ *   tierDays: { tier: days } for every park tier, as passed to constrainParkDays()
+ *   tiers: [{ tier, elasticity, confidenceInterval, baseReturnRate, forecastedReturnRate }] - the
+ *     tiers the result's KPIs sum over (other tiers only take up capacity, with k = 1)
+ *   drawDay(tier, day, k): { demand, arpv } of the day before capacity
+ *   inWindow(day): whether the day counts in the daily KPI averages (default: every day)
+ *   capacity: resolveParkCapacity() settings, or null
+ *   returnRatePenalty: crowding penalty taken off the forecast return rate (applyCapacityToResult())
+ *   month0: { visitors, revenue } of the result's month 0
+ * @param {Object|boolean} options - true or { iterations, seed }
+ * @returns {Object} Same shape as simulateUncertainty()
+ */
+function simulateDayUncertainty(forecast, options = {}) {
+  const { iterations, seed } = { ...MONTE_CARLO_DEFAULTS, ...(options === true ? {} : options) };
+  const { tierDays, tiers, drawDay, inWindow = () => true, capacity, returnRatePenalty = 0, month0 } = forecast;
+  const random = createRandom(seed);
+  const parkTiers = Object.keys(tierDays);
+  const days = tierDays[parkTiers[0]];
+  const windowDays = days.filter(inWindow).length;
+  const months = Math.max(...days.map(day => day.month));
+  const monthDays = new Array(months + 1).fill(0);
+  days.forEach(day => { monthDays[day.month]++; });
+
+  const draws = { revenue: [], visitors: [], return_rate: [], elasticity_multiplier: [] };
+  const monthly = Array.from({ length: months + 1 }, () => ({ visitors: [], revenue: [] }));
+
+  for (let i = 0; i < iterations; i++) {
+    const z = randomNormal(random);
+    const multipliers = {};
+    tiers.forEach(t => {
+      const drawnElasticity = t.elasticity + z * (t.confidenceInterval || 0) / CI_Z;
+      multipliers[t.tier] = t.elasticity ? drawnElasticity / t.elasticity : 1;
+    });
+    if (tiers.length === 1) draws.elasticity_multiplier.push(multipliers[tiers[0].tier]);
+
+    const drawn = parkTiers.map(tier => tierDays[tier].map(day => drawDay(tier, day, multipliers[tier] ?? 1)));
+    const demand = drawn.map(tierDraws => tierDraws.map(d => Math.max(0, d.demand)));
+    const served = capacity ? applyParkCapacity(days, demand, capacity).served : demand;
+
+    let visitors = 0;
+    let revenue = 0;
+    let returnWeighted = 0;
+    const monthVisitors = new Array(months + 1).fill(0);
+    const monthRevenue = new Array(months + 1).fill(0);
+    tiers.forEach(({ tier, baseReturnRate, forecastedReturnRate }) => {
+      const t = parkTiers.indexOf(tier);
+      let tierVisitors = 0;
+      days.forEach((day, d) => {
+        const v = served[t][d];
+        const r = v * drawn[t][d].arpv;
+        monthVisitors[day.month] += v;
+        monthRevenue[day.month] += r;
+        if (inWindow(day)) {
+          tierVisitors += v;
+          revenue += r;
+        }
+      });
+      visitors += tierVisitors;
+      returnWeighted += (baseReturnRate + (forecastedReturnRate - baseReturnRate) * multipliers[tier]) * tierVisitors;
+    });
+
+    draws.visitors.push(visitors / windowDays);
+    draws.revenue.push(revenue / windowDays);
+    draws.return_rate.push(visitors > 0 ? returnWeighted / visitors - returnRatePenalty : 0);
+    monthly[0].visitors.push(month0.visitors);
+    monthly[0].revenue.push(month0.revenue);
+    for (let m = 1; m <= months; m++) {
+      monthly[m].visitors.push(monthDays[m] > 0 ? monthVisitors[m] / monthDays[m] : 0);
+      monthly[m].revenue.push(monthDays[m] > 0 ? monthRevenue[m] / monthDays[m] : 0);
+    }
+  }
+
+  return summarizeDraws(iterations, seed, draws, monthly);
+}
+
+function summarizeDraws(iterations, seed, draws, monthly) {
+  const bands = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return { p10: quantile(sorted, 0.1), p50: quantile(sorted, 0.5), p90: quantile(sorted, 0.9) };
+  };
+
+  return {
+    iterations,
+    seed,
+    revenue: bands(draws.revenue),
+    visitors: bands(draws.visitors),
+    return_rate: bands(draws.return_rate),
+    elasticity_multiplier: draws.elasticity_multiplier.length ? bands(draws.elasticity_multiplier) : null,
+    time_series: monthly.map((m, month) => ({
+      month,
+      visitors: bands(m.visitors),
+      revenue: bands(m.revenue)
+    }))
+  };
+}
+
+// ========== Multi-Tier Price Vectors ==========
+
+export const PARK_TIERS = ['standard_pass', 'premium_pass', 'vip_pass'];
+
+/**
+ * Check whether a scenario moves several tiers at once
+ * @param {Object} scenario - Scenario configuration
+ * @returns {boolean}
+ */
+export function isMultiTierScenario(scenario) {
+  return !!scenario?.config?.price_changes && Object.keys(scenario.config.price_changes).length > 0;
+}
+
+/**
+ * Simulate a price vector applied to several tiers at the same time
+ *
+ * Scenario format:
+ *   config: {
+ *     tier: 'multi',
+ *     price_changes: {
+ *       standard_pass: { current_price: 79, new_price: 84 },
+ *       premium_pass: { current_price: 139, new_price: 149 },
+ *       vip_pass: { new_price: 269 }          // current_price defaults to list price
+ *     }
+ *   }
+ *
+ * Each tier's visitors respond to their own price (constant elasticity) and to the other
+ * tiers' prices through cross_elasticity (params[k].cross_elasticity.to_<tier> is the % change
+ * in <tier> demand per 1% change in k's price):
+ *   Q_i = V_i × (P1_i / P0_i)^ε_i × (1 + Σ_k c_k→i × Δ_k)
+ * Cross-tier flows come from buildMigrationMatrix() for each moved tier, damped when the
+ * destination tier moves in the same direction (moving together keeps the price ladder intact).
+ *
+ * @param {Object} scenario - Multi-tier scenario configuration
+ * @param {Object} options - { timeHorizon, externalConditions }
+ * @returns {Promise<Object>} Result in simulateScenario() shape plus tier_results,
+ *   revenue_decomposition (price / volume / mix / interaction) and mix shares
+ */
+export async function simulateMultiTierScenario(scenario, options = {}) {
+  if (!isMultiTierScenario(scenario)) {
+    throw new Error('simulateMultiTierScenario requires config.price_changes');
+  }
+
+  const timeHorizon = options.timeHorizon || 'medium_term_3_12mo';
+  const externalConditions = options.externalConditions || getActiveExternalConditions();
+  const [params, currentPrices, dailyData] = await Promise.all([
+    loadElasticityParams(),
+    getCurrentPrices(),
+    getDailyData('all')
+  ]);
+  const latestByTier = getLatestTierSnapshots(dailyData);
+
+  // Resolve the price vector (unchanged tiers keep their list price)
+  const prices = {};
+  for (const tier of PARK_TIERS) {
+    const change = scenario.config.price_changes[tier] || {};
+    const listPrice = currentPrices[tier]?.list_price;
+    const currentPrice = change.current_price ?? listPrice;
+    const newPrice = change.new_price ?? currentPrice;
+    if (!currentPrice || !newPrice) {
+      throw new Error(`No price available for tier: ${tier}`);
+    }
+    if (!latestByTier[tier]) {
+      throw new Error(`No data available for tier: ${tier}`);
+    }
+    prices[tier] = { current: currentPrice, next: newPrice, changePct: (newPrice - currentPrice) / currentPrice };
+  }
+
+  const unknownTiers = Object.keys(scenario.config.price_changes).filter(t => !PARK_TIERS.includes(t));
+  const warnings = unknownTiers.length
+    ? [`Ignored price changes for unknown tiers: ${unknownTiers.join(', ')}`]
+    : [];
+
+  const tierResults = {};
+  const tierDays = {};
+  let externalAdjustments = [];
+
+  for (const tier of PARK_TIERS) {
+    const snapshot = latestByTier[tier];
+    const { current, next, changePct } = prices[tier];
+    const baseVisitors = snapshot.daily_visitors;
+
+    const elasticityInfo = await calculateElasticity(tier, null, { timeHorizon, externalConditions });
+    if (tier === 'standard_pass') externalAdjustments = elasticityInfo.externalAdjustments || [];
+
+    const ownVisitors = changePct === 0
+      ? baseVisitors
+      : baseVisitors * Math.pow(next / current, elasticityInfo.elasticity);
+
+    // Cross-price effect from the other tiers' moves
+    const crossPct = PARK_TIERS
+      .filter(other => other !== tier)
+      .reduce((sum, other) => sum + (params[other]?.cross_elasticity?.[`to_${tier}`] || 0) * prices[other].changePct, 0);
+    const crossVisitors = ownVisitors * crossPct;
+    const forecastedVisitors = Math.max(0, Math.round(ownVisitors + crossVisitors));
+
+    const returnRateForecast = await forecastChurn(tier, changePct, snapshot.return_rate);
+    const newVisitsForecast = await forecastAcquisition(tier, changePct, snapshot.new_registrations);
+
+    const ancillary = await buildAncillaryProfile(tier);
+    const baselineArpv = forecastAncillary(ancillary, current, current);
+    const forecastedArpv = forecastAncillary(ancillary, next, current);
+    const baselineRevenue = baseVisitors * baselineArpv.arpv;
+    const forecastedRevenue = forecastedVisitors * forecastedArpv.arpv;
+
+    tierResults[tier] = {
+      current_price: current,
+      new_price: next,
+      price_change_pct: changePct * 100,
+      current_arpv: baselineArpv.arpv,
+      new_arpv: forecastedArpv.arpv,
+      elasticity: elasticityInfo.elasticity,
+      confidence_interval: elasticityInfo.confidenceInterval,
+      cross_effect_pct: crossPct * 100,
+      baseline_visitors: baseVisitors,
+      own_price_visitors: Math.round(ownVisitors),
+      cross_price_visitors: Math.round(crossVisitors),
+      forecasted_visitors: forecastedVisitors,
+      visitors_pct: ((forecastedVisitors - baseVisitors) / baseVisitors) * 100,
+      baseline_revenue: baselineRevenue,
+      forecasted_revenue: forecastedRevenue,
+      revenue_pct: ((forecastedRevenue - baselineRevenue) / baselineRevenue) * 100,
+      baseline_return_rate: returnRateForecast.baselineChurn,
+      forecasted_return_rate: returnRateForecast.forecastedChurn,
+      baseline_new_visitors: snapshot.new_registrations,
+      forecasted_new_visitors: newVisitsForecast.forecastedAcquisition,
+      ancillary: summarizeAncillary(
+        ancillary,
+        { visitors: baseVisitors, arpv: baselineArpv },
+        { visitors: forecastedVisitors, arpv: forecastedArpv }
+      )
+    };
+
+    tierDays[tier] = await forecastTierDays(
+      tier,
+      { currentPrice: current, newPrice: next, elasticity: elasticityInfo.elasticity, crossFactor: 1 + crossPct, ancillary },
+      {
+        startDate: options.startDate || scenario.config.effective_date,
+        months: 12,
+        plannedEvents: options.plannedEvents,
+        weatherYear: options.weatherYear,
+        externalConditions
+      }
+    );
+  }
+
+  // All tiers move, so they are clipped at park capacity together
+  const capacity = constrainParkDays(tierDays, resolveParkCapacity(options.capacity));
+  PARK_TIERS.forEach(tier => {
+    const t = tierResults[tier];
+    t.time_series = buildMonthlySeries(
+      tierDays[tier],
+      { visitors: t.baseline_visitors, revenue: t.baseline_revenue },
+      { baseline: t.baseline_return_rate, forecasted: t.forecasted_return_rate }
+    );
+  });
+
+  // Park totals
+  const sumOver = (key) => PARK_TIERS.reduce((sum, tier) => sum + tierResults[tier][key], 0);
+  const baselineVisitors = sumOver('baseline_visitors');
+  const forecastedVisitors = sumOver('forecasted_visitors');
+  const baselineRevenue = sumOver('baseline_revenue');
+  const forecastedRevenue = sumOver('forecasted_revenue');
+  const weightedRate = (rateKey, visitorsKey) =>
+    PARK_TIERS.reduce((sum, tier) => sum + tierResults[tier][rateKey] * tierResults[tier][visitorsKey], 0) /
+    sumOver(visitorsKey);
+  const baselineReturnRate = weightedRate('baseline_return_rate', 'baseline_visitors');
+  const forecastedReturnRate = weightedRate('forecasted_return_rate', 'forecasted_visitors');
+  const baselineNewVisitors = sumOver('baseline_new_visitors');
+  const forecastedNewVisitors = sumOver('forecasted_new_visitors');
+
+  // Mix: tier shares of park visitors
+  const baselineShares = {};
+  const forecastedShares = {};
+  PARK_TIERS.forEach(tier => {
+    baselineShares[tier] = tierResults[tier].baseline_visitors / baselineVisitors;
+    forecastedShares[tier] = forecastedVisitors > 0 ? tierResults[tier].forecasted_visitors / forecastedVisitors : 0;
+  });
+
+  // ΔRevenue = price + volume + mix + interaction, with P the tier's ARPV (ticket + Fast Pass + spend)
+  //   price:       Σ V_i × ΔP_i                      (new prices on today's visitors)
+  //   volume:      (Q − V) × Σ s0_i × P0_i           (more/fewer visitors at today's mix)
+  //   mix:         Q × Σ (s1_i − s0_i) × P0_i        (shift between tiers at today's prices)
+  //   interaction: Σ (Q_i − V_i) × ΔP_i
+  const baselineMixPrice = PARK_TIERS.reduce((sum, tier) => sum + baselineShares[tier] * tierResults[tier].current_arpv, 0);
+  const revenueDecomposition = {
+    price: PARK_TIERS.reduce((sum, tier) =>
+      sum + tierResults[tier].baseline_visitors * (tierResults[tier].new_arpv - tierResults[tier].current_arpv), 0),
+    volume: (forecastedVisitors - baselineVisitors) * baselineMixPrice,
+    mix: forecastedVisitors * PARK_TIERS.reduce((sum, tier) =>
+      sum + (forecastedShares[tier] - baselineShares[tier]) * tierResults[tier].current_arpv, 0),
+    interaction: PARK_TIERS.reduce((sum, tier) =>
+      sum + (tierResults[tier].forecasted_visitors - tierResults[tier].baseline_visitors) *
+        (tierResults[tier].new_arpv - tierResults[tier].current_arpv), 0)
+  };
+
+  const baselineARPV = baselineRevenue / baselineVisitors;
+  const forecastedARPV = forecastedVisitors > 0 ? forecastedRevenue / forecastedVisitors : 0;
+  const avgLifetimeVisits = 8;
+  const baselineNetAdds = baselineNewVisitors - Math.round(baselineVisitors * (1 - baselineReturnRate));
+  const forecastedNetAdds = forecastedNewVisitors - Math.round(forecastedVisitors * (1 - forecastedReturnRate));
+  const premiumShare = (shares) => shares.premium_pass + shares.vip_pass;
+
+  // Park time series = sum of tier series
+  const timeSeries = sumMonthlySeries(PARK_TIERS.map(tier => tierResults[tier].time_series));
+
+  if (PARK_TIERS.some(tier => Math.abs(tierResults[tier].price_change_pct) > 20)) {
+    warnings.push('One or more tiers move more than 20% - outside the range the elasticities were estimated on');
+  }
+
+  const uncertainty = options.monteCarlo
+    ? simulateUncertainty(PARK_TIERS.map(tier => {
+      const t = tierResults[tier];
+      return {
+        baseVisitors: t.baseline_visitors,
+        forecastedVisitors: t.forecasted_visitors,
+        currentPrice: t.current_price,
+        newPrice: t.new_price,
+        currentArpv: t.current_arpv,
+        newArpv: t.new_arpv,
+        crossFactor: 1 + t.cross_effect_pct / 100,
+        elasticity: t.elasticity,
+        confidenceInterval: t.confidence_interval,
+        baseReturnRate: t.baseline_return_rate,
+        forecastedReturnRate: t.forecasted_return_rate,
+        seasonalMonths: t.time_series.slice(1)
+      };
+    }), options.monteCarlo)
+    : undefined;
+
+  const result = {
+    scenario_id: scenario.id,
+    scenario_name: scenario.name,
+    model_type: scenario.model_type,
+    is_multi_tier: true,
+    uncertainty,
+    elasticity: visitorWeightedElasticity(tierResults),
+    confidence_interval: null,
+    elasticity_before_external: externalAdjustments.length
+      ? externalAdjustments[0].elasticityBefore
+      : tierResults.standard_pass.elasticity,
+    external_adjustments: externalAdjustments,
+
+    baseline: {
+      visitors: baselineVisitors,
+      return_rate: baselineReturnRate,
+      new_visitors: baselineNewVisitors,
+      revenue: baselineRevenue,
+      arpv: baselineARPV,
+      ltv: baselineARPV * avgLifetimeVisits,
+      net_adds: baselineNetAdds,
+      premium_share: premiumShare(baselineShares)
+    },
+
+    forecasted: {
+      visitors: forecastedVisitors,
+      return_rate: forecastedReturnRate,
+      new_visitors: forecastedNewVisitors,
+      revenue: forecastedRevenue,
+      arpv: forecastedARPV,
+      ltv: forecastedARPV * avgLifetimeVisits,
+      net_adds: forecastedNetAdds,
+      premium_share: premiumShare(forecastedShares)
+    },
+
+    delta: {
+      visitors: forecastedVisitors - baselineVisitors,
+      visitors_pct: ((forecastedVisitors - baselineVisitors) / baselineVisitors) * 100,
+      return_rate: forecastedReturnRate - baselineReturnRate,
+      return_rate_pct: ((forecastedReturnRate - baselineReturnRate) / baselineReturnRate) * 100,
+      new_visitors: forecastedNewVisitors - baselineNewVisitors,
+      new_visitors_pct: ((forecastedNewVisitors - baselineNewVisitors) / baselineNewVisitors) * 100,
+      revenue: forecastedRevenue - baselineRevenue,
+      revenue_pct: ((forecastedRevenue - baselineRevenue) / baselineRevenue) * 100,
+      arpv: forecastedARPV - baselineARPV,
+      arpv_pct: ((forecastedARPV - baselineARPV) / baselineARPV) * 100,
+      ltv: (forecastedARPV - baselineARPV) * avgLifetimeVisits,
+      ltv_pct: ((forecastedARPV - baselineARPV) / baselineARPV) * 100,
+      net_adds: forecastedNetAdds - baselineNetAdds
+    },
+
+    tier_results: tierResults,
+    ancillary: combineAncillary(PARK_TIERS.map(tier => tierResults[tier].ancillary), PARK_TIERS.map(tier => ({
+      baseline: tierResults[tier].baseline_visitors,
+      forecasted: tierResults[tier].forecasted_visitors
+    }))),
+    mix: { baseline: baselineShares, forecasted: forecastedShares },
+    revenue_decomposition: revenueDecomposition,
+    migration_matrix: await buildJointMigrationMatrix(prices),
+    time_series: timeSeries,
+    seasonal_forecast: summarizeSeasonalForecast(timeSeries),
+    warnings,
+    constraints_met: checkConstraints(scenario)
+  };
+
+  applyCapacityToResult(result, capacity);
+  applyContributionToResult(result, scenario, {
+    baseline: result.ancillary.baseline.ancillary_spend * baselineVisitors,
+    forecasted: result.ancillary.forecasted.ancillary_spend * forecastedVisitors
+  }, await resolveCostModel(options.costModel));
+  return result;
+}
+
+function visitorWeightedElasticity(tierResults) {
+  const tiers = Object.values(tierResults);
+  const total = tiers.reduce((sum, t) => sum + t.baseline_visitors, 0);
+  return tiers.reduce((sum, t) => sum + t.elasticity * t.baseline_visitors, 0) / total;
+}
+
+/**
+ * Combine single-tier migration matrices into one for a price vector
+ * A flow from i to j is scaled by (1 − Δ_j / Δ_i) when both tiers move the same way,
+ * so no one trades down to a tier that went up by as much.
+ * @param {Object} prices - { tier: { current, next, changePct } }
+ * @returns {Promise<Object|null>} { tiers, flows, baseline } (flows are shares of the source tier)
+ */
+async function buildJointMigrationMatrix(prices) {
+  const movedTiers = Object.keys(prices).filter(tier => prices[tier].changePct !== 0);
+  let joint = null;
+
+  for (const tier of movedTiers) {
+    const { current, next, changePct } = prices[tier];
+    const matrix = await buildMigrationMatrix(
+      { config: { tier, current_price: current, new_price: next } },
+      tier,
+      changePct
+    );
+    if (!matrix) continue;
+
+    if (!joint) {
+      joint = {
+        tiers: matrix.tiers,
+        baseline: matrix.baseline,
+        flows: Object.fromEntries(Object.entries(matrix.flows).map(([from, row]) =>
+          [from, Object.fromEntries(Object.keys(row).map(to => [to, 0]))]))
+      };
+    }
+
+    Object.entries(matrix.flows).forEach(([from, row]) => {
+      Object.entries(row).forEach(([to, rate]) => {
+        if (!rate) return;
+        // The tier whose price moved drives the flow; the other end may have moved too
+        const otherTier = from === tier ? to : from;
+        const otherChange = prices[otherTier]?.changePct || 0;
+        const damping = Math.sign(otherChange) === Math.sign(changePct)
+          ? Math.max(0, 1 - otherChange / changePct)
+          : 1;
+        joint.flows[from][to] = (joint.flows[from][to] || 0) + rate * damping;
+      });
+    });
+  }
+
+  return joint;
+}
+
+// ========== Pricing Calendar ==========
+
+/**
+ * Check whether a scenario prices by date (config.pricing_calendar)
+ * @param {Object} scenario - Scenario configuration
+ * @returns {boolean}
+ */
+export function isPricingCalendarScenario(scenario) {
+  const calendar = scenario?.config?.pricing_calendar;
+  return !!calendar && (Array.isArray(calendar.rules) || !!calendar.tiers);
+}
+
+/**
+ * Resolve the price of one forecast day
+ *
+ * A rule matches when every condition it sets holds; later rules override earlier ones, so list
+ * broad rules (seasons) first and specific ones (dates) last. Conditions:
+ *   season       peak_summer | shoulder | off_peak (or an array)
+ *   day_type     weekday | weekend (Saturday and Sunday)
+ *   school_break true for the school-break weeks of external_factors.csv
+ *   event_type   event_calendar.csv type(s) active that day
+ *   start, end   inclusive YYYY-MM-DD range
+ * Each rule sets either price (absolute) or change_pct (vs the flat price, e.g. 15 = +15%).
+ *
+ * @param {Object} day - Output row of forecastSeasonalDays()
+ * @param {Array<Object>} rules - Calendar rules
+ * @param {number} flatPrice - Today's flat price
+ * @returns {{ price: number, rule: string }} rule is the label of the winning rule ('Flat price' when none)
+ */
+export function resolveCalendarPrice(day, rules, flatPrice) {
+  let resolved = { price: flatPrice, rule: 'Flat price' };
+  (rules || []).forEach((rule, index) => {
+    if (!matchesCalendarRule(day, rule)) return;
+    const price = rule.price ?? flatPrice * (1 + (rule.change_pct || 0) / 100);
+    resolved = { price, rule: describeCalendarRule(rule, index) };
+  });
+  return resolved;
+}
+
+function matchesCalendarRule(day, rule) {
+  const asList = (value) => (Array.isArray(value) ? value : [value]);
+  if (rule.season && !asList(rule.season).includes(day.season)) return false;
+  if (rule.day_type && (rule.day_type === 'weekend') !== day.is_weekend) return false;
+  if (rule.school_break != null && !!rule.school_break !== day.school_break) return false;
+  if (rule.event_type && !asList(rule.event_type).some(type => day.event_types.includes(type))) return false;
+  if (rule.start && day.date < rule.start) return false;
+  if (rule.end && day.date > rule.end) return false;
+  return true;
+}
+
+function describeCalendarRule(rule, index) {
+  if (rule.label) return rule.label;
+  const parts = [
+    rule.season && [].concat(rule.season).join('/'),
+    rule.day_type,
+    rule.school_break && 'school break',
+    rule.event_type && [].concat(rule.event_type).join('/'),
+    (rule.start || rule.end) && `${rule.start || '…'} – ${rule.end || '…'}`
+  ].filter(Boolean);
+  return parts.length ? parts.join(', ') : `Rule ${index + 1}`;
+}
+
+/**
+ * Normalize config.pricing_calendar into one calendar per tier
+ *   single tier: { rules: [...] } priced off config.tier / config.current_price
+ *   several tiers: { tiers: { standard_pass: { current_price?, rules: [...] }, ... } }
+ */
+function resolvePricingCalendars(scenario, currentPrices) {
+  const calendar = scenario.config.pricing_calendar;
+  const entries = calendar.tiers
+    ? Object.entries(calendar.tiers).map(([tier, c]) => ({ tier, flatPrice: c.current_price, rules: c.rules }))
+    : [{ tier: scenario.config.tier, flatPrice: scenario.config.current_price, rules: calendar.rules }];
+
+  return entries.map(entry => {
+    if (!PARK_TIERS.includes(entry.tier)) {
+      throw new Error(`Pricing calendars support ${PARK_TIERS.join(', ')} (got: ${entry.tier})`);
+    }
+    const flatPrice = entry.flatPrice ?? currentPrices[entry.tier]?.list_price;
+    if (!flatPrice) {
+      throw new Error(`No price available for tier: ${entry.tier}`);
+    }
+    (entry.rules || []).forEach((rule, index) => {
+      const valid = rule.price != null ? rule.price > 0 : Number.isFinite(rule.change_pct) && rule.change_pct > -100;
+      if (!valid) {
+        throw new Error(`Pricing calendar rule ${index + 1} for ${entry.tier} needs a positive price or a change_pct`);
+      }
+    });
+    return { tier: entry.tier, flatPrice, rules: entry.rules || [] };
+  });
+}
+
+/**
+ * Simulate date-based pricing day by day against today's flat pricing
+ *
+ * Each day starts from the tier's seasonal baseline (seasonality.js) and responds to that day's
+ * price with the season elasticity from cohort_elasticity.by_season, scaled by
+ * elasticity ÷ base_elasticity like generateTimeSeries(). Days are priced independently: demand
+ * does not shift from surge days to cheaper ones, and tiers without a calendar stay flat (no
+ * cross-price effects). Baseline and forecasted KPIs are daily averages over the calendar period.
+ * With options.monteCarlo the days are re-priced per draw (simulateDayUncertainty()).
+ *
+ * @param {Object} scenario - Scenario with config.pricing_calendar
+ * @param {Object} options - { timeHorizon, startDate, externalConditions, monteCarlo }
+ * @returns {Promise<Object>} Simulation result with pricing_calendar { days, tiers, rules, totals }
+ */
+export async function simulatePricingCalendar(scenario, options = {}) {
+  if (!isPricingCalendarScenario(scenario)) {
+    throw new Error('simulatePricingCalendar requires config.pricing_calendar');
+  }
+
+  const timeHorizon = options.timeHorizon || 'medium_term_3_12mo';
+  const externalConditions = options.externalConditions || getActiveExternalConditions();
+  const months = scenario.config.duration_months || 12;
+  const startDate = options.startDate || scenario.config.effective_date;
+  const dayOptions = { startDate, months, plannedEvents: options.plannedEvents, weatherYear: options.weatherYear };
+
+  const [params, currentPrices, dailyData] = await Promise.all([
+    loadElasticityParams(),
+    getCurrentPrices(),
+    getDailyData('all')
+  ]);
+  const latestByTier = getLatestTierSnapshots(dailyData);
+  const calendars = resolvePricingCalendars(scenario, currentPrices);
+  const calendarByTier = Object.fromEntries(calendars.map(c => [c.tier, c]));
+
+  const tierResults = {};
+  const tierDays = {};
+  let externalAdjustments = [];
+
+  for (const tier of PARK_TIERS) {
+    const calendar = calendarByTier[tier];
+    if (!calendar) continue;
+
+    const elasticityInfo = await calculateElasticity(tier, null, { timeHorizon, externalConditions });
+    if (externalAdjustments.length === 0) externalAdjustments = elasticityInfo.externalAdjustments || [];
+    tierResults[tier] = {
+      flat_price: calendar.flatPrice,
+      elasticity: elasticityInfo.elasticity,
+      confidence_interval: elasticityInfo.confidenceInterval
+    };
+    tierDays[tier] = await forecastTierDays(tier, {
+      currentPrice: calendar.flatPrice,
+      elasticity: elasticityInfo.elasticity,
+      priceForDay: (day) => resolveCalendarPrice(day, calendar.rules, calendar.flatPrice),
+      ancillary: await buildAncillaryProfile(tier)
+    }, { ...dayOptions, externalConditions });
+  }
+
+  // Tiers without a calendar stay flat but share the park's capacity
+  const calendarTiers = Object.keys(tierDays);
+  const flatDays = await forecastFlatParkDays(calendarTiers, dayOptions);
+  const capacity = constrainParkDays({ ...tierDays, ...flatDays }, resolveParkCapacity(options.capacity));
+  const flatAverages = {};
+  Object.entries({ ...tierDays, ...flatDays }).forEach(([tier, days]) => {
+    flatAverages[tier] = days.reduce((sum, d) => sum + d.baseline_visitors, 0) / days.length;
+  });
+
+  for (const tier of calendarTiers) {
+    const days = tierDays[tier];
+    const flatPrice = tierResults[tier].flat_price;
+
+    const ruleStats = {};
+    days.forEach(day => {
+      const stats = (ruleStats[day.rule] = ruleStats[day.rule] || { rule: day.rule, days: 0, visitors: 0, ticket_revenue: 0, revenue: 0, flat_revenue: 0 });
+      stats.days++;
+      stats.visitors += day.visitors;
+      stats.ticket_revenue += day.visitors * day.price;
+      stats.revenue += day.visitors * day.arpv;
+      stats.flat_revenue += day.baseline_visitors * day.baseline_arpv;
+    });
+
+    const sum = (valueFn) => days.reduce((acc, d) => acc + valueFn(d), 0);
+    const totalVisitors = sum(d => d.visitors);
+    const totalRevenue = sum(d => d.visitors * d.arpv);
+    const totalFlatVisitors = sum(d => d.baseline_visitors);
+    const totalFlatRevenue = sum(d => d.baseline_visitors * d.baseline_arpv);
+    const avgPrice = totalVisitors > 0 ? sum(d => d.visitors * d.price) / totalVisitors : flatPrice;
+    const avgChangePct = (avgPrice - flatPrice) / flatPrice;
+
+    const snapshot = latestByTier[tier];
+    const returnRateForecast = await forecastChurn(tier, avgChangePct, snapshot.return_rate);
+    const newVisitsForecast = await forecastAcquisition(tier, avgChangePct, snapshot.new_registrations);
+
+    Object.assign(tierResults[tier], {
+      avg_price: avgPrice,
+      avg_price_change_pct: avgChangePct * 100,
+      min_price: Math.min(...days.map(d => d.price)),
+      max_price: Math.max(...days.map(d => d.price)),
+      flat_visitors: totalFlatVisitors / days.length,
+      visitors: totalVisitors / days.length,
+      flat_revenue: totalFlatRevenue / days.length,
+      revenue: totalRevenue / days.length,
+      flat_ancillary_revenue: sum(d => d.baseline_visitors * d.baseline_ancillary_spend) / days.length,
+      ancillary_revenue: sum(d => d.visitors * d.ancillary_spend) / days.length,
+      visitors_pct: (totalVisitors / totalFlatVisitors - 1) * 100,
+      revenue_pct: (totalRevenue / totalFlatRevenue - 1) * 100,
+      baseline_return_rate: returnRateForecast.baselineChurn,
+      forecasted_return_rate: returnRateForecast.forecastedChurn,
+      baseline_new_visitors: snapshot.new_registrations,
+      forecasted_new_visitors: newVisitsForecast.forecastedAcquisition,
+      rules: Object.values(ruleStats).map(({ ticket_revenue: ticketRevenue, ...stats }) => ({
+        ...stats,
+        avg_price: stats.visitors > 0 ? ticketRevenue / stats.visitors : flatPrice,
+        revenue_pct: stats.flat_revenue > 0 ? (stats.revenue / stats.flat_revenue - 1) * 100 : 0
+      })),
+      time_series: buildMonthlySeries(
+        days,
+        { visitors: snapshot.daily_visitors, revenue: snapshot.daily_visitors * days[0].baseline_arpv },
+        { baseline: returnRateForecast.baselineChurn, forecasted: returnRateForecast.forecastedChurn }
+      )
+    });
+  }
+
+  // Park days: calendared tiers summed
+  const days = tierDays[calendarTiers[0]].map((day, i) => {
+    const perTier = calendarTiers.map(tier => tierDays[tier][i]);
+    const sumTiers = (valueFn) => perTier.reduce((acc, d) => acc + valueFn(d), 0);
+    return {
+      date: day.date,
+      dow: day.dow,
+      is_weekend: day.is_weekend,
+      season: day.season,
+      school_break: day.school_break,
+      event_types: day.event_types,
+      prices: Object.fromEntries(calendarTiers.map((tier, t) => [tier, perTier[t].price])),
+      rules: Object.fromEntries(calendarTiers.map((tier, t) => [tier, perTier[t].rule])),
+      demand: sumTiers(d => d.demand),
+      visitors: sumTiers(d => d.visitors),
+      flat_visitors: sumTiers(d => d.baseline_visitors),
+      revenue: sumTiers(d => d.visitors * d.arpv),
+      flat_revenue: sumTiers(d => d.baseline_visitors * d.baseline_arpv),
+      lost: sumTiers(d => d.lost || 0)
+    };
+  });
+
+  const sumOver = (key) => calendarTiers.reduce((acc, tier) => acc + tierResults[tier][key], 0);
+  const weightedRate = (rateKey, visitorsKey) =>
+    calendarTiers.reduce((acc, tier) => acc + tierResults[tier][rateKey] * tierResults[tier][visitorsKey], 0) /
+    sumOver(visitorsKey);
+
+  const baselineVisitors = sumOver('flat_visitors');
+  const forecastedVisitors = sumOver('visitors');
+  const baselineRevenue = sumOver('flat_revenue');
+  const forecastedRevenue = sumOver('revenue');
+  const baselineReturnRate = weightedRate('baseline_return_rate', 'flat_visitors');
+  const forecastedReturnRate = weightedRate('forecasted_return_rate', 'visitors');
+  const baselineNewVisitors = sumOver('baseline_new_visitors');
+  const forecastedNewVisitors = sumOver('forecasted_new_visitors');
+
+  const avgLifetimeVisits = 8;
+  const baselineARPV = baselineRevenue / baselineVisitors;
+  const forecastedARPV = forecastedVisitors > 0 ? forecastedRevenue / forecastedVisitors : 0;
+  const baselineNetAdds = baselineNewVisitors - Math.round(baselineVisitors * (1 - baselineReturnRate));
+  const forecastedNetAdds = forecastedNewVisitors - Math.round(forecastedVisitors * (1 - forecastedReturnRate));
+
+  // Premium/VIP share over the period (tiers without a calendar stay at their flat baseline)
+  const premiumShare = (visitorsFor) => {
+    const visitorsByTier = Object.fromEntries(PARK_TIERS.map(tier => [tier, visitorsFor(tier)]));
+    const total = PARK_TIERS.reduce((acc, tier) => acc + visitorsByTier[tier], 0);
+    return total > 0 ? (visitorsByTier.premium_pass + visitorsByTier.vip_pass) / total : 0;
+  };
+
+  // Monthly series: daily averages per calendar month; month 0 is the latest day at flat prices
+  const timeSeries = sumMonthlySeries(calendarTiers.map(tier => tierResults[tier].time_series));
+
+  const warnings = [];
+  calendarTiers.forEach(tier => {
+    const t = tierResults[tier];
+    const swing = Math.max(t.max_price / t.flat_price - 1, 1 - t.min_price / t.flat_price);
+    if (swing > 0.3) {
+      warnings.push(`${tier} calendar moves prices ${(swing * 100).toFixed(0)}% from the flat price - outside the range the elasticities were estimated on`);
+    }
+  });
+
+  const result = {
+    scenario_id: scenario.id,
+    scenario_name: scenario.name,
+    model_type: scenario.model_type,
+    is_pricing_calendar: true,
+    elasticity: visitorWeightedElasticity(calendarTiers.map(tier => ({
+      elasticity: tierResults[tier].elasticity,
+      baseline_visitors: tierResults[tier].flat_visitors
+    }))),
+    confidence_interval: Math.max(...calendarTiers.map(tier => tierResults[tier].confidence_interval || 0)),
+    external_adjustments: externalAdjustments,
+
+    baseline: {
+      visitors: Math.round(baselineVisitors),
+      return_rate: baselineReturnRate,
+      new_visitors: baselineNewVisitors,
+      revenue: baselineRevenue,
+      arpv: baselineARPV,
+      ltv: baselineARPV * avgLifetimeVisits,
+      net_adds: baselineNetAdds,
+      premium_share: premiumShare(tier => flatAverages[tier])
+    },
+
+    forecasted: {
+      visitors: Math.round(forecastedVisitors),
+      return_rate: forecastedReturnRate,
+      new_visitors: forecastedNewVisitors,
+      revenue: forecastedRevenue,
+      arpv: forecastedARPV,
+      ltv: forecastedARPV * avgLifetimeVisits,
+      net_adds: forecastedNetAdds,
+      premium_share: premiumShare(tier => tierResults[tier]?.visitors ?? flatAverages[tier])
+    },
+
+    delta: {
+      visitors: Math.round(forecastedVisitors) - Math.round(baselineVisitors),
+      visitors_pct: ((forecastedVisitors - baselineVisitors) / baselineVisitors) * 100,
+      return_rate: forecastedReturnRate - baselineReturnRate,
+      return_rate_pct: ((forecastedReturnRate - baselineReturnRate) / baselineReturnRate) * 100,
+      new_visitors: forecastedNewVisitors - baselineNewVisitors,
+      new_visitors_pct: baselineNewVisitors > 0 ? ((forecastedNewVisitors - baselineNewVisitors) / baselineNewVisitors) * 100 : 0,
+      revenue: forecastedRevenue - baselineRevenue,
+      revenue_pct: ((forecastedRevenue - baselineRevenue) / baselineRevenue) * 100,
+      arpv: forecastedARPV - baselineARPV,
+      arpv_pct: ((forecastedARPV - baselineARPV) / baselineARPV) * 100,
+      ltv: (forecastedARPV - baselineARPV) * avgLifetimeVisits,
+      ltv_pct: ((forecastedARPV - baselineARPV) / baselineARPV) * 100,
+      net_adds: forecastedNetAdds - baselineNetAdds
+    },
+
+    pricing_calendar: {
+      start_date: days[0].date,
+      end_date: days[days.length - 1].date,
+      tiers: tierResults,
+      days
+    },
+
+    time_series: timeSeries,
+    seasonal_forecast: summarizeSeasonalForecast(timeSeries),
+    warnings,
+    constraints_met: checkConstraints(scenario)
+  };
+
+  applyCapacityToResult(result, capacity);
+  applyContributionToResult(result, scenario, {
+    baseline: sumOver('flat_ancillary_revenue'),
+    forecasted: sumOver('ancillary_revenue')
+  }, await resolveCostModel(options.costModel));
+
+  if (options.monteCarlo) {
+    result.uncertainty = simulateDayUncertainty({
+      tierDays: { ...tierDays, ...flatDays },
+      tiers: calendarTiers.map(tier => ({
+        tier,
+        elasticity: tierResults[tier].elasticity,
+        confidenceInterval: tierResults[tier].confidence_interval,
+        baseReturnRate: tierResults[tier].baseline_return_rate,
+        forecastedReturnRate: tierResults[tier].forecasted_return_rate
+      })),
+      // Same response as forecastTierDays(), with the day's season elasticity scaled by k
+      drawDay: (tier, day, k) => {
+        const base = day.baseline_demand ?? day.baseline_visitors;
+        if (!calendarByTier[tier] || day.price === calendarByTier[tier].flatPrice) {
+          return { demand: calendarByTier[tier] ? base : day.demand, arpv: day.arpv };
+        }
+        const priceFactor = Math.pow(day.price / calendarByTier[tier].flatPrice, day.elasticity * k);
+        return { demand: base * (1 + (priceFactor - 1) * day.progress), arpv: day.arpv };
+      },
+      capacity: capacity?.settings || null,
+      returnRatePenalty: capacity?.return_rate_penalty || 0,
+      month0: timeSeries[0]
+    }, options.monteCarlo);
+  }
+  return result;
+}
+
+// ========== Promotions ==========
+
+/**
+ * Simulate a promotion day by day against no promotion (see promotion-model.js)
+ *
+ * Every park tier is forecast on its seasonal baseline for 12 months from the promotion's start
+ * month. On promotion days the eligible share of each eligible tier redeems at the promo price:
+ *   redemptions = baseline × share × (1 + |ε_promo| × discount)
+ * of which baseline × share would have come anyway (subsidized). The rest of the tier, and the
+ * other tiers, react to the average discount through cross_elasticity (trading down into the
+ * promotion). New registrations follow visitors at the tier's historical adds-per-visitor for
+ * the month. At roll_off_date part of the promo cohort stops coming (rollOffChurn()), taking
+ * their visits per year (segment_kpis.csv) out of the days after it. Baseline and forecasted
+ * KPIs are daily averages over the promotion window; result.promotion holds the campaign totals.
+ * share and |ε_promo| are scaled by the campaign calibration (calibratePromotionModel()).
+ * totals.campaign_revenue is the promotion-window revenue comparable with a campaign's
+ * incremental_revenue_usd: revenue of the extra visits minus the subsidy, plus trading-in.
+ * With options.monteCarlo the promo lift and the cross-tier effects are scaled per draw by the
+ * tier's elasticity uncertainty (confidence_interval relative to base_elasticity); roll-off losses
+ * stay at the point forecast. promotion.cohort_fallback is true when no segment data was loaded
+ * and every cohort was treated as eligible.
+ *
+ * @param {Object} scenario - Promotion scenario (config.promotion or a price drop with category 'promotion')
+ * @param {Object} options - { capacity, costModel, monteCarlo, promotionCalibration: { reach, response } | false (priors as is) }
+ * @returns {Promise<Object>} Simulation result with promotion { ...settings, tiers, totals, roll_off, days, calibration }
+ */
+export async function simulatePromotionScenario(scenario, options = {}) {
+  const promotion = resolvePromotion(scenario);
+  const discount = promotion.discount_pct / 100;
+  const unknownTiers = promotion.eligible_tiers.filter(tier => !PARK_TIERS.includes(tier));
+  if (unknownTiers.length) {
+    throw new Error(`Promotions support ${PARK_TIERS.join(', ')} (got: ${unknownTiers.join(', ')})`);
+  }
+
+  const [params, currentPrices, dailyData, addsRatio, calibration] = await Promise.all([
+    loadElasticityParams(),
+    getCurrentPrices(),
+    getDailyData('all'),
+    buildAddsRatio(),
+    options.promotionCalibration === false ? null : (options.promotionCalibration || calibratePromotionModel())
+  ]);
+  const reach = calibration?.reach ?? 1;
+  const response = calibration?.response ?? 1;
+  const latestByTier = getLatestTierSnapshots(dailyData);
+  const inPromotion = (date) => date >= promotion.start_date && date <= promotion.end_date;
+  const dayOfPromotion = (date) => Math.round((Date.parse(date) - Date.parse(promotion.start_date)) / 86400000);
+
+  const tierResults = {};
+  PARK_TIERS.forEach(tier => {
+    const listPrice = (tier === scenario.config.tier && scenario.config.current_price) || currentPrices[tier]?.list_price;
+    if (!listPrice || !latestByTier[tier]) {
+      throw new Error(`No price or data available for tier: ${tier}`);
+    }
+    const eligibility = resolvePromotionEligibility(promotion, tier);
+    tierResults[tier] = {
+      list_price: listPrice,
+      eligibility: { ...eligibility, prior_share: eligibility.share, share: Math.min(1, eligibility.share * reach) }
+    };
+  });
+  if (!PARK_TIERS.some(tier => tierResults[tier].eligibility.share > 0)) {
+    throw new Error('No visitors are eligible for this promotion');
+  }
+
+  // Average price move of each tier (discount × eligible share) drives the cross-tier effects
+  const crossPct = (tier) => PARK_TIERS
+    .filter(other => other !== tier)
+    .reduce((sum, other) => sum +
+      (params[other]?.cross_elasticity?.[`to_${tier}`] || 0) * -discount * tierResults[other].eligibility.share, 0);
+
+  const tierDays = {};
+  const visitArpv = {};
+  for (const tier of PARK_TIERS) {
+    const t = tierResults[tier];
+    const share = t.eligibility.share;
+    const ancillary = await buildAncillaryProfile(tier);
+    const listVisit = forecastAncillary(ancillary, t.list_price, t.list_price);
+    const promoVisit = forecastAncillary(ancillary, t.list_price * (1 - discount), t.list_price);
+    Object.assign(t, {
+      promo_price: t.list_price * (1 - discount),
+      promotional_elasticity: promotionalElasticity(params[tier], 0) * response,
+      cross_effect_pct: crossPct(tier) * 100,
+      list_visit: listVisit,
+      promo_visit: promoVisit
+    });
+    visitArpv[tier] = { list: listVisit.arpv, promo: promoVisit.arpv };
+
+    const days = await forecastTierDays(
+      tier,
+      { currentPrice: t.list_price, elasticity: 0, ancillary },
+      {
+        startDate: promotion.start_date,
+        months: 12,
+        plannedEvents: options.plannedEvents,
+        weatherYear: options.weatherYear
+      }
+    );
+    days.forEach(day => {
+      const active = inPromotion(day.date);
+      const base = day.baseline_visitors;
+      const lift = active && share > 0
+        ? 1 + Math.abs(promotionalElasticity(params[tier], dayOfPromotion(day.date))) * response * discount
+        : 1;
+      const subsidized = active ? base * share : 0;
+      const redemptions = subsidized * lift;
+      const others = (base - subsidized) * (1 + (active ? crossPct(tier) : 0));
+      const demand = others + redemptions;
+      const blend = (key) => (demand > 0 ? (others * listVisit[key] + redemptions * promoVisit[key]) / demand : listVisit[key]);
+
+      Object.assign(day, {
+        price: blend('ticket'),
+        arpv: blend('arpv'),
+        ancillary_spend: blend('ancillary_spend'),
+        progress: active ? 1 : 0,
+        in_promotion: active,
+        promo_share: demand > 0 ? redemptions / demand : 0,
+        adds_ratio: addsRatio(tier, day.calendar_month),
+        // Parts of the campaign effect, before capacity (see fitPromotionCalibration())
+        subsidized,
+        lift_visits: redemptions - subsidized,
+        cross_visits: others - (base - subsidized),
+        lift_rate: lift - 1,
+        cross_pct: active ? crossPct(tier) : 0,
+        demand,
+        visitors: demand
+      });
+    });
+    tierDays[tier] = days;
+  }
+
+  // Roll-off: the promo cohort meets the full price again and part of it stops coming
+  PARK_TIERS.forEach(tier => {
+    const t = tierResults[tier];
+    const days = tierDays[tier];
+    const cohort = days.reduce((sum, d) => sum + d.demand * d.promo_share * d.adds_ratio, 0);
+    const churn = rollOffChurn(promotion, params[tier], latestByTier[tier].return_rate);
+    const churned = cohort * churn;
+    const lostPerDay = churned * t.eligibility.visits_per_year / 365;
+    days.forEach(day => {
+      const progress = rollOffProgress(promotion, day.date);
+      if (progress > 0 && lostPerDay > 0) {
+        day.roll_off_lost = Math.min(day.demand, lostPerDay * progress);
+        day.demand -= day.roll_off_lost;
+        day.visitors = day.demand;
+      }
+    });
+    t.roll_off = { cohort, churn, churned, visits_per_year: t.eligibility.visits_per_year };
+  });
+
+  const capacity = constrainParkDays(tierDays, resolveParkCapacity(options.capacity));
+
+  const promotionDays = tierDays[PARK_TIERS[0]].filter(day => day.in_promotion).length;
+  if (promotionDays === 0) {
+    throw new Error(`Promotion ${promotion.start_date} – ${promotion.end_date} has no days to simulate`);
+  }
+
+  for (const tier of PARK_TIERS) {
+    const t = tierResults[tier];
+    const days = tierDays[tier];
+    const promoDays = days.filter(day => day.in_promotion);
+    const sum = (list, valueFn) => list.reduce((acc, d) => acc + valueFn(d), 0);
+    const served = (d) => d.visitors * d.promo_share; // redemptions after capacity clipping
+    const subsidized = sum(promoDays, d => d.baseline_visitors * t.eligibility.share);
+
+    const baselineVisitors = sum(promoDays, d => d.baseline_visitors);
+    const visitors = sum(promoDays, d => d.visitors);
+    const avgPrice = visitors > 0 ? sum(promoDays, d => d.visitors * d.price) / visitors : t.list_price;
+    const snapshot = latestByTier[tier];
+    const returnRateForecast = await forecastChurn(tier, (avgPrice - t.list_price) / t.list_price, snapshot.return_rate);
+
+    Object.assign(t, {
+      baseline_visitors: baselineVisitors / promotionDays,
+      visitors: visitors / promotionDays,
+      baseline_revenue: sum(promoDays, d => d.baseline_visitors * d.baseline_arpv) / promotionDays,
+      revenue: sum(promoDays, d => d.visitors * d.arpv) / promotionDays,
+      baseline_ancillary_revenue: sum(promoDays, d => d.baseline_visitors * d.baseline_ancillary_spend) / promotionDays,
+      ancillary_revenue: sum(promoDays, d => d.visitors * d.ancillary_spend) / promotionDays,
+      baseline_new_visitors: sum(promoDays, d => d.baseline_visitors * d.adds_ratio) / promotionDays,
+      new_visitors: sum(promoDays, d => d.visitors * d.adds_ratio) / promotionDays,
+      avg_price: avgPrice,
+      redemptions: sum(promoDays, served),
+      subsidized_visitors: Math.min(subsidized, sum(promoDays, served)),
+      subsidy_cost: Math.min(subsidized, sum(promoDays, served)) * (t.list_price - t.promo_price),
+      incremental_visitors: visitors - baselineVisitors,
+      incremental_adds: sum(promoDays, d => (d.visitors - d.baseline_visitors) * d.adds_ratio),
+      incremental_revenue: sum(days, d => d.visitors * d.arpv - d.baseline_visitors * d.baseline_arpv),
+      lift_adds: sum(promoDays, d => d.lift_visits * d.adds_ratio),
+      cross_adds: sum(promoDays, d => d.cross_visits * d.adds_ratio),
+      lift_revenue: sum(promoDays, d => d.lift_visits) * t.promo_visit.arpv,
+      subsidy_revenue: sum(promoDays, d => d.subsidized) * (t.list_visit.arpv - t.promo_visit.arpv),
+      cross_revenue: sum(promoDays, d => d.cross_visits) * t.list_visit.arpv,
+      baseline_return_rate: returnRateForecast.baselineChurn,
+      forecasted_return_rate: returnRateForecast.forecastedChurn,
+      time_series: buildMonthlySeries(
+        days,
+        { visitors: snapshot.daily_visitors, revenue: snapshot.daily_visitors * days[0].baseline_arpv },
+        { baseline: returnRateForecast.baselineChurn, forecasted: returnRateForecast.forecastedChurn }
+      )
+    });
+    Object.assign(t.roll_off, {
+      lost_visits: sum(days, d => d.roll_off_lost || 0),
+      lost_revenue: sum(days, d => (d.roll_off_lost || 0) * d.baseline_arpv)
+    });
+    delete t.list_visit;
+    delete t.promo_visit;
+  }
+
+  const sumOver = (key) => PARK_TIERS.reduce((acc, tier) => acc + tierResults[tier][key], 0);
+  const sumRollOff = (key) => PARK_TIERS.reduce((acc, tier) => acc + tierResults[tier].roll_off[key], 0);
+  const weightedRate = (rateKey, visitorsKey) =>
+    PARK_TIERS.reduce((acc, tier) => acc + tierResults[tier][rateKey] * tierResults[tier][visitorsKey], 0) /
+    sumOver(visitorsKey);
+
+  const baselineVisitors = sumOver('baseline_visitors');
+  const forecastedVisitors = sumOver('visitors');
+  const baselineRevenue = sumOver('baseline_revenue');
+  const forecastedRevenue = sumOver('revenue');
+  const baselineReturnRate = weightedRate('baseline_return_rate', 'baseline_visitors');
+  const forecastedReturnRate = weightedRate('forecasted_return_rate', 'visitors');
+  const baselineNewVisitors = sumOver('baseline_new_visitors');
+  const forecastedNewVisitors = sumOver('new_visitors');
+
+  const avgLifetimeVisits = 8;
+  const baselineARPV = baselineRevenue / baselineVisitors;
+  const forecastedARPV = forecastedVisitors > 0 ? forecastedRevenue / forecastedVisitors : 0;
+  const baselineNetAdds = baselineNewVisitors - Math.round(baselineVisitors * (1 - baselineReturnRate));
+  const forecastedNetAdds = forecastedNewVisitors - Math.round(forecastedVisitors * (1 - forecastedReturnRate));
+  const premiumShare = (key) => {
+    const total = sumOver(key);
+    return total > 0 ? (tierResults.premium_pass[key] + tierResults.vip_pass[key]) / total : 0;
+  };
+
+  const incrementalRevenue = sumOver('incremental_revenue');
+  const liftRevenue = sumOver('lift_revenue');
+  const subsidyRevenue = sumOver('subsidy_revenue');
+  const crossRevenue = sumOver('cross_revenue');
+  const totals = {
+    days: promotionDays,
+    redemptions: sumOver('redemptions'),
+    subsidized_visitors: sumOver('subsidized_visitors'),
+    subsidy_cost: sumOver('subsidy_cost'),
+    incremental_visitors: sumOver('incremental_visitors'),
+    incremental_adds: sumOver('incremental_adds'),
+    incremental_revenue: incrementalRevenue,
+    lift_adds: sumOver('lift_adds'),
+    cross_adds: sumOver('cross_adds'),
+    lift_revenue: liftRevenue,
+    subsidy_revenue: subsidyRevenue,
+    cross_revenue: crossRevenue,
+    campaign_revenue: liftRevenue - subsidyRevenue + crossRevenue,
+    marketing_spend: promotion.marketing_spend_usd,
+    roi: promotion.marketing_spend_usd > 0 ? incrementalRevenue / promotion.marketing_spend_usd : null
+  };
+  totals.subsidy_share = totals.redemptions > 0 ? totals.subsidized_visitors / totals.redemptions : 0;
+
+  const rollOff = {
+    date: promotion.roll_off_date,
+    type: promotion.roll_off_type,
+    window_weeks: promotion.roll_off_window_weeks,
+    cohort: sumRollOff('cohort'),
+    churned: sumRollOff('churned'),
+    lost_visits: sumRollOff('lost_visits'),
+    lost_revenue: sumRollOff('lost_revenue')
+  };
+  rollOff.churn = rollOff.cohort > 0 ? rollOff.churned / rollOff.cohort : 0;
+
+  const days = tierDays[PARK_TIERS[0]].map((day, i) => {
+    const perTier = PARK_TIERS.map(tier => tierDays[tier][i]);
+    const sumTiers = (valueFn) => perTier.reduce((acc, d) => acc + valueFn(d), 0);
+    return {
+      date: day.date,
+      season: day.season,
+      in_promotion: day.in_promotion,
+      demand: sumTiers(d => d.demand),
+      visitors: sumTiers(d => d.visitors),
+      baseline_visitors: sumTiers(d => d.baseline_visitors),
+      redemptions: sumTiers(d => d.visitors * d.promo_share),
+      revenue: sumTiers(d => d.visitors * d.arpv),
+      baseline_revenue: sumTiers(d => d.baseline_visitors * d.baseline_arpv),
+      roll_off_lost: sumTiers(d => d.roll_off_lost || 0),
+      lost: sumTiers(d => d.lost || 0)
+    };
+  });
+
+  const timeSeries = sumMonthlySeries(PARK_TIERS.map(tier => tierResults[tier].time_series));
+
+  const warnings = [];
+  if (totals.subsidy_share > 0.5) {
+    warnings.push(`${(totals.subsidy_share * 100).toFixed(0)}% of redemptions are visitors who would have come anyway - ` +
+      `subsidy ${Math.round(totals.subsidy_cost).toLocaleString()} USD`);
+  }
+  if (rollOff.churned > 0) {
+    const inHorizon = rollOff.date <= days[days.length - 1].date;
+    warnings.push(`${promotion.roll_off_type === 'soft' ? 'Soft' : 'Hard'} roll-off on ${rollOff.date}: ` +
+      `${Math.round(rollOff.churned).toLocaleString()} of ${Math.round(rollOff.cohort).toLocaleString()} promo visitors ` +
+      `expected not to return at full price${inHorizon ? '' : ' (after the forecast horizon)'}`);
+  }
+  if (promotionDays > 92) {
+    warnings.push('Promotion runs longer than 3 months - long_term_6mo promotional elasticity used after month 3');
+  }
+  const unmapped = [...new Set(PARK_TIERS.flatMap(tier => tierResults[tier].eligibility.unmapped_cohorts))];
+  if (unmapped.length) {
+    warnings.push(`Cohort rules not in the segment data (not applied): ${unmapped.join(', ')}`);
+  }
+  const cohortFallback = tierResults[PARK_TIERS[0]].eligibility.cohort_fallback;
+  if (cohortFallback) {
+    const ignored = tierResults[PARK_TIERS[0]].eligibility.ignored_cohorts;
+    warnings.push(ignored.length
+      ? `Segment data not loaded - cohort rules not applied (${ignored.join(', ')}): every cohort treated as ` +
+        'eligible, so eligible shares cover all visitors on the eligible channels'
+      : `Segment data not loaded - every cohort treated as eligible and roll-off assumes ` +
+        `${tierResults[PARK_TIERS[0]].eligibility.visits_per_year} visits per year`);
+  }
+  if (calibration && calibration.validated === false) {
+    warnings.push(calibration.fitted
+      ? `Promotion model not calibrated: replaying past campaigns with the fitted reach and response misses ` +
+        `adds by ${formatMape(calibration.adds_mape)} and revenue by ${formatMape(calibration.revenue_mape)} ` +
+        `(MAPE, target ${PROMOTION_MAPE_TARGET}%) - treat these numbers as indicative`
+      : 'Promotion model not calibrated: the past campaigns do not fit a reach and response - eligibility and ' +
+        'promotional elasticity are uncalibrated priors');
+  }
+
+  const result = {
+    scenario_id: scenario.id,
+    scenario_name: scenario.name,
+    model_type: scenario.model_type,
+    is_promotion: true,
+    elasticity: visitorWeightedElasticity(promotion.eligible_tiers
+      .filter(tier => tierResults[tier].eligibility.eligible)
+      .map(tier => ({ elasticity: tierResults[tier].promotional_elasticity, baseline_visitors: tierResults[tier].baseline_visitors }))),
+    confidence_interval: params[promotion.eligible_tiers[0]]?.confidence_interval,
+    external_adjustments: [],
+
+    baseline: {
+      visitors: Math.round(baselineVisitors),
+      return_rate: baselineReturnRate,
+      new_visitors: baselineNewVisitors,
+      revenue: baselineRevenue,
+      arpv: baselineARPV,
+      ltv: baselineARPV * avgLifetimeVisits,
+      net_adds: baselineNetAdds,
+      premium_share: premiumShare('baseline_visitors')
+    },
+
+    forecasted: {
+      visitors: Math.round(forecastedVisitors),
+      return_rate: forecastedReturnRate,
+      new_visitors: forecastedNewVisitors,
+      revenue: forecastedRevenue,
+      arpv: forecastedARPV,
+      ltv: forecastedARPV * avgLifetimeVisits,
+      net_adds: forecastedNetAdds,
+      premium_share: premiumShare('visitors')
+    },
+
+    delta: {
+      visitors: Math.round(forecastedVisitors) - Math.round(baselineVisitors),
+      visitors_pct: ((forecastedVisitors - baselineVisitors) / baselineVisitors) * 100,
+      return_rate: forecastedReturnRate - baselineReturnRate,
+      return_rate_pct: ((forecastedReturnRate - baselineReturnRate) / baselineReturnRate) * 100,
+      new_visitors: forecastedNewVisitors - baselineNewVisitors,
+      new_visitors_pct: baselineNewVisitors > 0 ? ((forecastedNewVisitors - baselineNewVisitors) / baselineNewVisitors) * 100 : 0,
+      revenue: forecastedRevenue - baselineRevenue,
+      revenue_pct: ((forecastedRevenue - baselineRevenue) / baselineRevenue) * 100,
+      arpv: forecastedARPV - baselineARPV,
+      arpv_pct: ((forecastedARPV - baselineARPV) / baselineARPV) * 100,
+      ltv: (forecastedARPV - baselineARPV) * avgLifetimeVisits,
+      ltv_pct: ((forecastedARPV - baselineARPV) / baselineARPV) * 100,
+      net_adds: forecastedNetAdds - baselineNetAdds
+    },
+
+    promotion: {
+      ...promotion,
+      tiers: tierResults,
+      totals,
+      roll_off: rollOff,
+      daily_redemptions: totals.redemptions / promotionDays,
+      days,
+      cohort_fallback: cohortFallback,
+      calibration: calibration ? {
+        reach: calibration.reach,
+        response: calibration.response,
+        fitted: calibration.fitted,
+        validated: calibration.validated,
+        campaigns: calibration.campaigns,
+        adds_mape: calibration.adds_mape,
+        revenue_mape: calibration.revenue_mape
+      } : null
+    },
+
+    time_series: timeSeries,
+    seasonal_forecast: summarizeSeasonalForecast(timeSeries),
+    warnings,
+    constraints_met: checkConstraints(scenario)
+  };
+
+  applyCapacityToResult(result, capacity);
+  applyContributionToResult(result, scenario, {
+    baseline: sumOver('baseline_ancillary_revenue'),
+    forecasted: sumOver('ancillary_revenue')
+  }, await resolveCostModel(options.costModel));
+
+  if (options.monteCarlo) {
+    result.uncertainty = simulateDayUncertainty({
+      tierDays,
+      tiers: PARK_TIERS.map(tier => {
+        const t = tierResults[tier];
+        const relativeCI = params[tier]?.base_elasticity
+          ? (params[tier].confidence_interval || 0) / Math.abs(params[tier].base_elasticity)
+          : 0;
+        return {
+          tier,
+          elasticity: t.promotional_elasticity,
+          confidenceInterval: Math.abs(t.promotional_elasticity) * relativeCI,
+          baseReturnRate: t.baseline_return_rate,
+          forecastedReturnRate: t.forecasted_return_rate
+        };
+      }),
+      // Same split as the point forecast, with the lift and cross effects scaled by k
+      drawDay: (tier, day, k) => {
+        const base = day.baseline_demand ?? day.baseline_visitors;
+        const subsidized = day.in_promotion ? base * tierResults[tier].eligibility.share : 0;
+        const redemptions = subsidized * (1 + day.lift_rate * k);
+        const others = (base - subsidized) * (1 + day.cross_pct * k);
+        const demand = others + redemptions;
+        const arpv = demand > 0
+          ? (others * visitArpv[tier].list + redemptions * visitArpv[tier].promo) / demand
+          : visitArpv[tier].list;
+        return { demand: demand - (day.roll_off_lost || 0), arpv };
+      },
+      inWindow: (day) => day.in_promotion,
+      capacity: capacity?.settings || null,
+      returnRatePenalty: capacity?.return_rate_penalty || 0,
+      month0: timeSeries[0]
+    }, options.monteCarlo);
+  }
+  return result;
+}
+
+// Campaign calibration (rebuilt when the daily data, campaigns or elasticity params change)
+let promotionCalibration = null;
+let promotionCalibrationSource = null;
+
+/**
+ * Calibrate the promotion model to the completed campaigns of promo_metadata.json (cached)
+ *
+ * Each campaign is replayed with the priors as is (typical weather, no planned events, no capacity
+ * limit) and split into the parts fitPromotionCalibration() scales. The reach and response fitted to
+ * all campaigns drive simulatePromotionScenario(); each campaign is then replayed again with the
+ * multipliers fitted to the other campaigns only, so the reported error is out of sample.
+ * Campaigns run on today's seasonal baseline and prices (the data does not reach back to every
+ * campaign), so the check is whether the model gets the size of a campaign right.
+ *
+ * @returns {Promise<Object>} { reach, response, fitted, validated, campaigns, adds_mape, revenue_mape,
+ *   uncalibrated_adds_mape, uncalibrated_revenue_mape, rows }
+ */
+export async function calibratePromotionModel() {
+  await Promise.all([loadDailyAggregated(), loadPromoCampaigns(), loadElasticityParams()]);
+  const source = [dataCache.dailyAggregated, dataCache.promoMetadata, dataCache.elasticityParams];
+  if (promotionCalibration && promotionCalibrationSource?.every((item, i) => item === source[i])) {
+    return promotionCalibration;
+  }
+  promotionCalibrationSource = source;
+  promotionCalibration = runPromotionCalibration().catch(error => {
+    promotionCalibration = null;
+    throw error;
+  });
+  return promotionCalibration;
+}
+
+async function runPromotionCalibration() {
+  const campaigns = (await loadPromoCampaigns()).filter(c => c.actual_adds != null);
+  const neutral = { capacity: false, plannedEvents: false, weatherYear: false };
+  const replay = (campaign, promotionCalibration) =>
+    simulatePromotionScenario(promotionScenarioFromCampaign(campaign), { ...neutral, promotionCalibration });
+
+  const components = [];
+  const failed = [];
+  for (const campaign of campaigns) {
+    try {
+      const result = await replay(campaign, false);
+      const totals = result.promotion.totals;
+      components.push({
+        campaign,
+        actual_adds: campaign.actual_adds,
+        actual_revenue: campaign.incremental_revenue_usd,
+        lift_adds: totals.lift_adds,
+        cross_adds: totals.cross_adds,
+        lift_revenue: totals.lift_revenue,
+        subsidy_revenue: totals.subsidy_revenue,
+        cross_revenue: totals.cross_revenue,
+        max_share: Math.max(...Object.values(result.promotion.tiers).map(t => t.eligibility.share)),
+        uncalibrated: { adds: totals.incremental_adds, revenue: totals.campaign_revenue, subsidy_share: totals.subsidy_share }
+      });
+    } catch (error) {
+      console.error(`Promotion replay ${campaign.promo_id} failed:`, error);
+      failed.push({ promo_id: campaign.promo_id, campaign_name: campaign.campaign_name, error: error.message });
+    }
+  }
+
+  const fit = fitPromotionCalibration(components);
+  const errorPct = (predicted, actual) => (actual ? ((predicted - actual) / actual) * 100 : null);
+  const rows = [];
+  for (const component of components) {
+    const { campaign } = component;
+    const holdout = fitPromotionCalibration(components.filter(c => c !== component));
+    const result = holdout ? await replay(campaign, holdout) : null;
+    const totals = result ? result.promotion.totals : null;
+    const predictedAdds = totals ? totals.incremental_adds : component.uncalibrated.adds;
+    const predictedRevenue = totals ? totals.campaign_revenue : component.uncalibrated.revenue;
+    rows.push({
+      promo_id: campaign.promo_id,
+      campaign_name: campaign.campaign_name,
+      start_date: campaign.start_date,
+      discount_pct: campaign.discount_pct,
+      calibrated: !!holdout,
+      predicted_adds: predictedAdds,
+      actual_adds: campaign.actual_adds,
+      adds_error_pct: errorPct(predictedAdds, campaign.actual_adds),
+      predicted_revenue: predictedRevenue,
+      gross_revenue: totals ? totals.lift_revenue + totals.cross_revenue : component.lift_revenue + component.cross_revenue,
+      subsidy_revenue: totals ? totals.subsidy_revenue : component.subsidy_revenue,
+      actual_revenue: campaign.incremental_revenue_usd,
+      revenue_error_pct: errorPct(predictedRevenue, campaign.incremental_revenue_usd),
+      uncalibrated_adds_error_pct: errorPct(component.uncalibrated.adds, campaign.actual_adds),
+      uncalibrated_revenue_error_pct: errorPct(component.uncalibrated.revenue, campaign.incremental_revenue_usd),
+      subsidy_share: totals ? totals.subsidy_share : component.uncalibrated.subsidy_share,
+      roll_off_churn: result ? result.promotion.roll_off.churn : null,
+      warnings: result ? result.warnings : []
+    });
+  }
+
+  const mape = (key) => {
+    const errors = rows.map(r => r[key]).filter(e => e != null && Number.isFinite(e));
+    return errors.length ? errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length : null;
+  };
+  const addsMape = mape('adds_error_pct');
+  const revenueMape = mape('revenue_error_pct');
+
+  return {
+    reach: fit?.reach ?? 1,
+    response: fit?.response ?? 1,
+    fitted: !!fit,
+    validated: !!fit && addsMape != null && revenueMape != null &&
+      addsMape <= PROMOTION_MAPE_TARGET && revenueMape <= PROMOTION_MAPE_TARGET,
+    campaigns: components.length,
+    adds_mape: addsMape,
+    revenue_mape: revenueMape,
+    uncalibrated_adds_mape: mape('uncalibrated_adds_error_pct'),
+    uncalibrated_revenue_mape: mape('uncalibrated_revenue_error_pct'),
+    rows: [...rows, ...failed]
+  };
+}
+
+/**
+ * Replay the completed campaigns of promo_metadata.json (see calibratePromotionModel())
+ *
+ * Predicted adds are the promotion-window incremental adds; predicted revenue is
+ * totals.campaign_revenue (extra-visit revenue net of the subsidy), the same basis as
+ * incremental_revenue_usd. Both come from the multipliers fitted without the campaign itself.
+ *
+ * @returns {Promise<Object>} { campaigns: [{ promo_id, campaign_name, start_date, discount_pct, calibrated,
+ *   predicted_adds, actual_adds, adds_error_pct, predicted_revenue, gross_revenue, subsidy_revenue,
+ *   actual_revenue, revenue_error_pct, uncalibrated_adds_error_pct, uncalibrated_revenue_error_pct,
+ *   subsidy_share, roll_off_churn, warnings } | { promo_id, error }], adds_mape, revenue_mape,
+ *   uncalibrated_adds_mape, uncalibrated_revenue_mape, calibration: { reach, response, fitted, validated } }
+ */
+export async function validatePromotionModel() {
+  const calibration = await calibratePromotionModel();
+  return {
+    campaigns: calibration.rows,
+    adds_mape: calibration.adds_mape,
+    revenue_mape: calibration.revenue_mape,
+    uncalibrated_adds_mape: calibration.uncalibrated_adds_mape,
+    uncalibrated_revenue_mape: calibration.uncalibrated_revenue_mape,
+    calibration: {
+      reach: calibration.reach,
+      response: calibration.response,
+      fitted: calibration.fitted,
+      validated: calibration.validated,
+      campaigns: calibration.campaigns
+    }
+  };
+}
+
+function formatMape(value) {
+  return value != null ? `${value.toFixed(0)}%` : 'N/A';
+}
+
+// ========== Competitive Positioning ==========
+
+// Competitors tracked in external_factors.csv (competitor_avg_price is their simple mean)
+export const COMPETITORS = {
+  disney: { label: 'Disney', column: 'disney_price' },
+  universal: { label: 'Universal', column: 'universal_price' },
+  sixflags: { label: 'Six Flags', column: 'sixflags_price' },
+  seaworld: { label: 'SeaWorld', column: 'seaworld_price' }
+};
+
+// Used when the history does not support a negative relative-price elasticity at 95%
+const PRIOR_RELATIVE_ELASTICITY = -0.5;
+const DEFAULT_UNDERCUT_PCT = 0.05;
+
+/**
+ * Estimate how visitors respond to our price relative to the competitor average
+ * Log-log regression on the days the weekly competitor series covers (later days have no
+ * competitor price and are left out rather than matched to the last, stale week):
+ *   ln(daily_visitors) ~ ln(avg_ticket_price / competitor_avg_price) + month + day-of-week
+ *
+ * @param {string} tier - Tier name
+ * @returns {Promise<Object>} { elasticity, estimate, standardError, nObs, source: 'estimated'|'prior',
+ *   coverage: { start, end, lastRow, excludedDays, lastDailyDate } }
+ */
+export async function estimateRelativePriceElasticity(tier) {
+  const [dailyData, externalFactors] = await Promise.all([
+    loadDailyAggregated(),
+    loadExternalFactors()
+  ]);
+
+  const sortedExternal = [...externalFactors].sort((a, b) => a.date.localeCompare(b.date));
+  const tierRows = dailyData.filter(d =>
+    d.membership_tier === tier && d.daily_visitors > 0 && d.avg_ticket_price > 0
+  );
+  const rows = tierRows.filter(d => getExternalFactorsForDate(sortedExternal, d.date)?.competitor_avg_price > 0);
+  const coverage = {
+    ...getExternalFactorsCoverage(sortedExternal),
+    excludedDays: tierRows.length - rows.length,
+    lastDailyDate: tierRows.reduce((last, d) => (d.date > last ? d.date : last), '')
+  };
+  if (rows.length === 0) {
+    throw new Error('external_factors.csv does not cover any day of daily_aggregated.csv');
+  }
+
+  const months = [...new Set(rows.map(d => d.month))].sort((a, b) => a - b).slice(1);
+  const dows = [...new Set(rows.map(d => d.dow))].sort((a, b) => a - b).slice(1);
+  const names = ['intercept', 'ln_relative_price', ...months.map(m => `month_${m}`), ...dows.map(d => `dow_${d}`)];
+
+  const X = rows.map(d => {
+    const external = getExternalFactorsForDate(sortedExternal, d.date);
+    return [
+      1,
+      Math.log(d.avg_ticket_price / external.competitor_avg_price),
+      ...months.map(m => (d.month === m ? 1 : 0)),
+      ...dows.map(dow => (d.dow === dow ? 1 : 0))
+    ];
+  });
+
+  const fit = fitOLS(X, rows.map(d => Math.log(d.daily_visitors)), names);
+  const estimate = fit.coefficients.ln_relative_price;
+  const standardError = fit.standardErrors.ln_relative_price;
+  const significant = estimate < 0 && Math.abs(estimate / standardError) >= 1.96;
+
+  if (!significant) {
+    console.warn(`Relative-price elasticity for ${tier} not significant (${estimate.toFixed(3)} ± ${standardError.toFixed(3)}), using prior ${PRIOR_RELATIVE_ELASTICITY}`);
+  }
+
+  return {
+    elasticity: significant ? estimate : PRIOR_RELATIVE_ELASTICITY,
+    estimate,
+    standardError,
+    nObs: fit.n,
+    source: significant ? 'estimated' : 'prior',
+    coverage
+  };
+}
+
+/**
+ * Simulate our price change alongside expected competitor moves
+ * Visitors = base × (P1/P0)^ε_own × (C1/C0)^(−ε_relative), where C is the competitor average.
+ * Competitor moves take effect from their month onward; our price change applies to every month.
+ *
+ * @param {Object} scenario - Scenario configuration (config.tier, current_price, new_price)
+ * @param {Object} options - {
+ *   competitorMoves: Array<{ competitor, changePct, month }>  e.g. { competitor: 'sixflags', changePct: 0.08, month: 5 },
+ *   startMonth: 1-12 (first month of the projection), months, undercutPct, timeHorizon, externalConditions
+ * }
+ * @returns {Promise<Object>} Planned / hold / match / undercut responses with monthly series
+ */
+export async function simulateCompetitiveScenario(scenario, options = {}) {
+  const tier = scenario.config.tier;
+  const baselineTier = await resolveBaselineTier(tier);
+  const currentPrice = scenario.config.current_price;
+  const months = options.months || 12;
+  const startMonth = options.startMonth || 1;
+  const undercutPct = options.undercutPct ?? DEFAULT_UNDERCUT_PCT;
+  const moves = options.competitorMoves || [];
+
+  moves.forEach(move => {
+    if (!COMPETITORS[move.competitor]) {
+      throw new Error(`Unknown competitor: ${move.competitor}`);
+    }
+  });
+
+  const [baseline, elasticityInfo, relative, externalFactors] = await Promise.all([
+    getBaselineMetrics(baselineTier, scenario),
+    calculateElasticity(baselineTier, null, {
+      timeHorizon: options.timeHorizon || 'medium_term_3_12mo',
+      externalConditions: options.externalConditions || getActiveExternalConditions()
+    }),
+    estimateRelativePriceElasticity(baselineTier),
+    loadExternalFactors()
+  ]);
+
+  const latest = [...externalFactors].sort((a, b) => a.date.localeCompare(b.date)).pop();
+  const competitorPrices = {};
+  Object.entries(COMPETITORS).forEach(([key, def]) => {
+    competitorPrices[key] = latest[def.column];
+  });
+  const competitorCount = Object.keys(COMPETITORS).length;
+  const baseCompetitorAvg = Object.values(competitorPrices).reduce((a, b) => a + b, 0) / competitorCount;
+
+  // Competitor average per projection month (moves are cumulative from their month onward)
+  const calendarMonths = Array.from({ length: months }, (_, i) => ((startMonth - 1 + i) % 12) + 1);
+  const competitorAvgByMonth = calendarMonths.map((calendarMonth, i) => {
+    const prices = { ...competitorPrices };
+    moves.forEach(move => {
+      const monthsUntilMove = ((move.month || startMonth) - startMonth + 12) % 12;
+      if (i >= monthsUntilMove) {
+        prices[move.competitor] *= 1 + move.changePct;
+      }
+    });
+    return Object.values(prices).reduce((a, b) => a + b, 0) / competitorCount;
+  });
+
+  const finalCompetitorAvg = competitorAvgByMonth[competitorAvgByMonth.length - 1];
+  const competitorChangePct = finalCompetitorAvg / baseCompetitorAvg - 1;
+  const matchPrice = currentPrice * (1 + competitorChangePct);
+
+  const responsePrices = {
+    planned: scenario.config.new_price,
+    hold: currentPrice,
+    match: matchPrice,
+    undercut: matchPrice * (1 - undercutPct)
+  };
+
+  const baselineRevenue = baseline.activeVisitors * currentPrice;
+  const responses = {};
+
+  Object.entries(responsePrices).forEach(([response, price]) => {
+    const ownFactor = Math.pow(price / currentPrice, elasticityInfo.elasticity);
+
+    const series = calendarMonths.map((calendarMonth, i) => {
+      const competitorFactor = Math.pow(competitorAvgByMonth[i] / baseCompetitorAvg, -relative.elasticity);
+      const visitors = baseline.activeVisitors * ownFactor * competitorFactor;
+      return {
+        month: i + 1,
+        calendar_month: calendarMonth,
+        competitor_avg_price: competitorAvgByMonth[i],
+        visitors: Math.round(visitors),
+        revenue: Math.round(visitors * price),
+        price_gap_pct: (price / competitorAvgByMonth[i] - 1) * 100
+      };
+    });
+
+    const avgVisitors = series.reduce((acc, m) => acc + m.visitors, 0) / series.length;
+    const avgRevenue = series.reduce((acc, m) => acc + m.revenue, 0) / series.length;
+
+    responses[response] = {
+      price,
+      price_change_pct: (price / currentPrice - 1) * 100,
+      visitors: Math.round(avgVisitors),
+      visitors_pct: (avgVisitors / baseline.activeVisitors - 1) * 100,
+      revenue: Math.round(avgRevenue),
+      revenue_pct: (avgRevenue / baselineRevenue - 1) * 100,
+      // Visitors from our own price change vs from the competitor move
+      own_price_effect_pct: (ownFactor - 1) * 100,
+      competitor_effect_pct: (avgVisitors / (baseline.activeVisitors * ownFactor) - 1) * 100,
+      final_price_gap_pct: series[series.length - 1].price_gap_pct,
+      time_series: series
+    };
+  });
+
+  const bestResponse = ['hold', 'match', 'undercut']
+    .reduce((best, key) => (responses[key].revenue > responses[best].revenue ? key : best), 'hold');
+
+  return {
+    scenario_id: scenario.id,
+    scenario_name: scenario.name,
+    tier,
+    current_price: currentPrice,
+    own_elasticity: elasticityInfo.elasticity,
+    relative_elasticity: relative,
+    competitor_prices: competitorPrices,
+    competitor_moves: moves,
+    competitor_avg: {
+      current: baseCompetitorAvg,
+      final: finalCompetitorAvg,
+      change_pct: competitorChangePct * 100
+    },
+    baseline: {
+      visitors: baseline.activeVisitors,
+      revenue: baselineRevenue,
+      price_gap_pct: (currentPrice / baseCompetitorAvg - 1) * 100
+    },
+    responses,
+    best_response: bestResponse,
+    undercut_pct: undercutPct * 100,
+    as_of: latest.date,
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * NEW: Simulate scenario using Pyodide Python models
  * Uses real statistical models (Poisson, Logit, Multinomial Logit)
@@ -0,0 +1,316 @@
+/**
+ * Scenario Import Module
+ * Import scenario libraries from JSON or CSV files with row-level validation
+ *
+ * JSON files hold an array of scenarios in the scenarios.json shape (or { scenarios: [...] });
+ * multi-tier entries with config.price_changes are accepted. CSV files hold one single-tier
+ * scenario per row:
+ *   id, name, description, category, model_type, tier, current_price, new_price, effective_date,
+ *   duration_months, rationale
+ * Only category, model_type, tier, new_price and effective_date are required; a blank
+ * current_price is today's list price of the tier and a blank id / name is generated.
+ *
+ * Every entry is checked against the scenario schema and reported with its row (CSV line or JSON
+ * position), so a file with a few bad rows still imports the good ones. IDs that already exist
+ * are rejected rather than overwriting a scenario.
+ *
+ * Dependencies: data-loader.js, utils.js, D3 (csvParse), Bootstrap (modal)
+ */
+
+import { getCurrentPrices, loadElasticityParams } from './data-loader.js';
+import { formatCurrency, showAlert } from './utils.js';
+
+export const SCENARIO_MODEL_TYPES = ['acquisition', 'churn', 'migration'];
+
+export const SCENARIO_CATEGORIES = [
+  'price_increase',
+  'price_decrease',
+  'promotion',
+  'new_tier',
+  'policy_change',
+  'bundling',
+  'platform_specific',
+  'dynamic_pricing'
+];
+
+const CSV_NUMBER_FIELDS = ['current_price', 'new_price', 'duration_months'];
+
+/**
+ * Parse and validate a scenario file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (.json or .csv decides the parser)
+ * @param {Array} existingScenarios - Scenarios already loaded (their IDs can't be reused)
+ * @returns {Promise<Object>} { scenarios: [valid scenario objects], errors: [{ row, id, field, message }], total }
+ */
+export async function parseScenarioFile(text, fileName, existingScenarios = []) {
+  const isCsv = /\.csv$/i.test(fileName);
+  let entries;
+  try {
+    entries = isCsv ? csvEntries(text) : jsonEntries(text);
+  } catch (error) {
+    return { scenarios: [], errors: [{ row: null, id: null, field: null, message: error.message }], total: 0 };
+  }
+
+  const [params, currentPrices] = await Promise.all([loadElasticityParams(), getCurrentPrices()]);
+  const context = {
+    tiers: Object.keys(params),
+    currentPrices,
+    takenIds: new Set(existingScenarios.map(s => s.id))
+  };
+
+  const scenarios = [];
+  const errors = [];
+  entries.forEach(({ row, raw }) => {
+    const { scenario, problems } = validateScenario(raw, context);
+    if (problems.length) {
+      problems.forEach(problem => errors.push({ row, id: raw?.id || null, ...problem }));
+    } else {
+      context.takenIds.add(scenario.id);
+      scenarios.push(scenario);
+    }
+  });
+
+  return { scenarios, errors, total: entries.length };
+}
+
+/**
+ * Validate one entry and normalize it to the scenarios.json shape
+ * @returns {Object} { scenario, problems: [{ field, message }] }
+ */
+function validateScenario(raw, context) {
+  const problems = [];
+  const fail = (field, message) => problems.push({ field, message });
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    fail(null, 'Entry is not a scenario object');
+    return { scenario: null, problems };
+  }
+
+  const config = { ...(raw.config || {}) };
+  const id = String(raw.id || '').trim() || `imported_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+  if (!/^[\w-]+$/.test(id)) fail('id', `"${id}" may only contain letters, digits, _ and -`);
+  else if (context.takenIds.has(id)) fail('id', `"${id}" already exists`);
+
+  if (!SCENARIO_CATEGORIES.includes(raw.category)) {
+    fail('category', `"${raw.category ?? ''}" is not one of ${SCENARIO_CATEGORIES.join(', ')}`);
+  }
+  if (!SCENARIO_MODEL_TYPES.includes(raw.model_type)) {
+    fail('model_type', `"${raw.model_type ?? ''}" is not one of ${SCENARIO_MODEL_TYPES.join(', ')}`);
+  }
+
+  const validPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  if (config.price_changes != null) {
+    // Multi-tier price vector (JSON only)
+    config.tier = 'multi';
+    const changes = config.price_changes;
+    if (typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      fail('config.price_changes', 'Must be an object of { tier: { current_price, new_price } } with at least one tier');
+    } else {
+      Object.entries(changes).forEach(([tier, change]) => {
+        if (!context.tiers.includes(tier)) fail(`config.price_changes.${tier}`, `Unknown tier "${tier}"`);
+        if (!validPrice(change?.current_price)) fail(`config.price_changes.${tier}.current_price`, 'Must be a positive number');
+        if (!validPrice(change?.new_price)) fail(`config.price_changes.${tier}.new_price`, 'Must be a positive number');
+      });
+      if (!Object.values(changes).some(change => change?.new_price !== change?.current_price)) {
+        fail('config.price_changes', 'No tier changes price - new_price equals current_price everywhere');
+      }
+    }
+  } else {
+    if (!context.tiers.includes(config.tier)) {
+      fail('tier', `"${config.tier ?? ''}" is not one of ${context.tiers.join(', ')}`);
+    } else if (config.current_price == null) {
+      config.current_price = context.currentPrices[config.tier]?.list_price;
+    }
+    if (!validPrice(config.current_price)) fail('current_price', 'Must be a positive number');
+    if (!validPrice(config.new_price)) fail('new_price', 'Must be a positive number');
+  }
+
+  if (!isIsoDate(config.effective_date)) {
+    fail('effective_date', `"${config.effective_date ?? ''}" is not a YYYY-MM-DD date`);
+  }
+  if (config.duration_months != null && !(Number.isInteger(config.duration_months) && config.duration_months > 0)) {
+    fail('duration_months', 'Must be a whole number of months');
+  }
+
+  if (problems.length) return { scenario: null, problems };
+
+  if (config.tier !== 'multi') {
+    config.price_change_pct = Math.round(((config.new_price - config.current_price) / config.current_price) * 1000) / 10;
+  }
+
+  return {
+    scenario: {
+      ...raw,
+      id,
+      name: String(raw.name || '').trim() || defaultName(config),
+      description: raw.description || '',
+      category: raw.category,
+      model_type: raw.model_type,
+      config,
+      constraints: raw.constraints || {},
+      rationale: raw.rationale || 'Imported scenario'
+    },
+    problems
+  };
+}
+
+function jsonEntries(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.scenarios;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected an array of scenarios (or { "scenarios": [...] })');
+  }
+  return list.map((raw, index) => ({ row: index + 1, raw }));
+}
+
+function csvEntries(text) {
+  const rows = d3.csvParse(text.replace(/^\uFEFF/, '').trim());
+  const required = ['category', 'model_type', 'tier', 'new_price', 'effective_date'];
+  const missing = required.filter(column => !rows.columns.includes(column));
+  if (missing.length) {
+    throw new Error(`CSV is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return rows.map((row, index) => {
+    const value = (key) => (row[key] ?? '').trim();
+    const number = (key) => (value(key) === '' ? null : Number(value(key)));
+    const config = { tier: value('tier'), effective_date: value('effective_date') };
+    CSV_NUMBER_FIELDS.forEach(key => {
+      if (value(key) !== '') config[key] = number(key);
+    });
+
+    return {
+      row: index + 2, // line in the file; line 1 is the header
+      raw: {
+        id: value('id'),
+        name: value('name'),
+        description: value('description'),
+        category: value('category'),
+        model_type: value('model_type'),
+        rationale: value('rationale'),
+        config
+      }
+    };
+  });
+}
+
+function isIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+function defaultName(config) {
+  if (config.tier === 'multi') return 'Imported price vector';
+  const diff = config.new_price - config.current_price;
+  return `${config.tier.replace('_', ' ')} ${diff >= 0 ? '+' : '-'}$${Math.abs(diff).toFixed(2)}`;
+}
+
+// ========== UI ==========
+
+/**
+ * Wire the import dialog
+ * @param {Object} handlers - { getScenarios() current scenarios, onImport(scenarios, fileName) }
+ */
+export function initializeScenarioImport(handlers) {
+  const fileInput = document.getElementById('scenario-import-file');
+  const confirmBtn = document.getElementById('confirm-scenario-import-btn');
+  if (!fileInput || !confirmBtn) return;
+
+  let pending = null;
+
+  document.getElementById('import-scenarios-btn')?.addEventListener('click', () => {
+    pending = null;
+    fileInput.value = '';
+    confirmBtn.disabled = true;
+    document.getElementById('scenario-import-report').innerHTML = '';
+    const modalEl = document.getElementById('scenarioImportModal');
+    (bootstrap.Modal.getInstance(modalEl) || new bootstrap.Modal(modalEl)).show();
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    pending = null;
+    confirmBtn.disabled = true;
+    if (!file) return;
+
+    try {
+      const parsed = await parseScenarioFile(await file.text(), file.name, handlers.getScenarios());
+      pending = { ...parsed, fileName: file.name };
+      renderImportReport(pending);
+      confirmBtn.disabled = parsed.scenarios.length === 0;
+      confirmBtn.innerHTML = `<i class="bi bi-box-arrow-in-down me-1"></i>Import ${parsed.scenarios.length} Valid Scenario${parsed.scenarios.length === 1 ? '' : 's'}`;
+    } catch (error) {
+      console.error('Scenario import failed:', error);
+      showAlert('Could not read the file: ' + error.message, 'danger');
+    }
+  });
+
+  confirmBtn.addEventListener('click', async () => {
+    if (!pending?.scenarios.length) return;
+    confirmBtn.disabled = true;
+    try {
+      await handlers.onImport(pending.scenarios, pending.fileName);
+      bootstrap.Modal.getInstance(document.getElementById('scenarioImportModal'))?.hide();
+      const skipped = new Set(pending.errors.map(error => error.row)).size;
+      showAlert(`Imported ${pending.scenarios.length} scenario(s) from ${pending.fileName}` +
+        (skipped ? `; ${skipped} row(s) with errors were skipped.` : '.'), skipped ? 'warning' : 'success');
+      pending = null;
+    } catch (error) {
+      console.error('Scenario import failed:', error);
+      showAlert('Import failed: ' + error.message, 'danger');
+      confirmBtn.disabled = false;
+    }
+  });
+}
+
+function renderImportReport({ scenarios, errors, total, fileName }) {
+  const report = document.getElementById('scenario-import-report');
+  if (!report) return;
+
+  const badRows = new Set(errors.map(error => error.row)).size;
+  report.innerHTML = `
+    <div class="alert ${errors.length ? 'alert-warning' : 'alert-success'} small">
+      <strong>${fileName}:</strong> ${total} entr${total === 1 ? 'y' : 'ies'} -
+      ${scenarios.length} valid, ${badRows} with errors.
+    </div>
+    ${errors.length ? `
+      <h6 class="small fw-bold">Errors</h6>
+      <div class="table-responsive mb-3" style="max-height: 220px;">
+        <table class="table table-sm small mb-0">
+          <thead class="table-light"><tr><th>Row</th><th>ID</th><th>Field</th><th>Problem</th></tr></thead>
+          <tbody>
+            ${errors.map(error => `
+              <tr>
+                <td>${error.row ?? '—'}</td>
+                <td>${error.id || '—'}</td>
+                <td><code>${error.field || '—'}</code></td>
+                <td class="text-danger">${error.message}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    ` : ''}
+    ${scenarios.length ? `
+      <h6 class="small fw-bold">Ready to import</h6>
+      <ul class="list-group list-group-flush small">
+        ${scenarios.map(s => `
+          <li class="list-group-item px-0">
+            <strong>${s.name}</strong>
+            <span class="badge bg-light text-dark ms-1">${s.model_type}</span>
+            <span class="text-muted ms-1">${s.category} · ${s.config.tier}${s.config.tier !== 'multi'
+              ? ` · ${formatCurrency(s.config.current_price)} → ${formatCurrency(s.config.new_price)}` : ''} · ${s.config.effective_date}</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
@@ -0,0 +1,337 @@
+/**
+ * Scenario Revisions Module
+ * Immutable revision history for scenario configs, with diffs and rollback
+ *
+ * Every saved edit appends a revision { scenarioId, revision, scenario, note, author, createdAt }
+ * to the active workspace. Revision 1 is the config as it was before the first edit (or as it was
+ * created, for custom scenarios); revisions are frozen and never rewritten, so a rollback appends
+ * a copy of the old config as the newest revision instead of deleting anything. Scenarios without
+ * stored revisions are still at revision 1.
+ *
+ * Results are not stored with revisions: the diff view simulates both configs under the active
+ * settings so the numbers are comparable. Simulation results carry the revision they were run on
+ * (revisionStamp()) so the decision pack can cite it.
+ *
+ * Dependencies: scenario-store.js, simulation-service.js, utils.js, Bootstrap (modal)
+ */
+
+import { isStorageAvailable, getActiveWorkspaceId, saveScenarioRevision, loadScenarioRevisions } from './scenario-store.js';
+import { simulationService } from './simulation-service.js';
+import { formatCurrency, formatNumber, showAlert } from './utils.js';
+
+const AUTHOR_KEY = 'pricingStudio.revisionAuthor';
+
+// Result metrics shown in the diff view
+const RESULT_METRICS = [
+  { key: 'visitors', label: 'Visitors / day', value: (r) => r.forecasted?.visitors, format: (v) => formatNumber(v) },
+  { key: 'visitors_pct', label: 'Visitors Δ %', value: (r) => r.delta?.visitors_pct, format: (v) => `${v.toFixed(1)}%` },
+  { key: 'revenue', label: 'Revenue / day', value: (r) => r.forecasted?.revenue, format: (v) => formatCurrency(v, 0) },
+  { key: 'revenue_pct', label: 'Revenue Δ %', value: (r) => r.delta?.revenue_pct, format: (v) => `${v.toFixed(1)}%` },
+  { key: 'return_rate', label: 'Return Rate', value: (r) => r.forecasted?.return_rate, format: (v) => `${(v * 100).toFixed(1)}%` },
+  { key: 'contribution', label: 'Contribution / day', value: (r) => r.forecasted?.contribution, format: (v) => formatCurrency(v, 0) }
+];
+
+// Revisions of the active workspace by scenario ID (kept in memory so history works without IndexedDB)
+let revisionsByScenario = new Map();
+
+/**
+ * Load the revision history of a workspace (call when the workspace is restored or switched)
+ * @param {string} workspaceId - Workspace ID
+ */
+export async function loadRevisionHistory(workspaceId = getActiveWorkspaceId()) {
+  revisionsByScenario = new Map();
+  if (!isStorageAvailable()) return;
+
+  try {
+    const records = await loadScenarioRevisions(workspaceId);
+    records
+      .sort((a, b) => a.revision - b.revision)
+      .forEach(record => addToHistory(record));
+  } catch (error) {
+    console.error('⚠️ Could not load scenario revisions:', error);
+  }
+}
+
+/**
+ * All revisions of a scenario, oldest first
+ * @param {string} scenarioId - Scenario ID
+ * @returns {Array} Frozen revision records
+ */
+export function getScenarioRevisions(scenarioId) {
+  return [...(revisionsByScenario.get(scenarioId) || [])];
+}
+
+/**
+ * The revision a scenario is at; scenarios that were never edited are at revision 1
+ * @param {string} scenarioId - Scenario ID
+ * @returns {Object} { revision, note, author, createdAt }
+ */
+export function revisionStamp(scenarioId) {
+  const latest = getScenarioRevisions(scenarioId).pop();
+  if (!latest) return { revision: 1, note: 'Original', author: null, createdAt: null };
+  return { revision: latest.revision, note: latest.note, author: latest.author, createdAt: latest.createdAt };
+}
+
+/**
+ * Append a revision for a scenario config
+ * @param {Object} scenario - The new config (copied, the caller's object is not frozen)
+ * @param {Object} details - { note, author, previous } where previous is the config before the edit;
+ *   it becomes revision 1 when the scenario has no history yet
+ * @returns {Promise<Object>} The new revision record
+ */
+export async function recordScenarioRevision(scenario, details = {}) {
+  if (details.previous && !revisionsByScenario.has(scenario.id)) {
+    await appendRevision(details.previous, { note: 'Original', author: null });
+  }
+  return appendRevision(scenario, details);
+}
+
+/**
+ * Roll a scenario back to an earlier revision by appending a copy of it as the newest revision
+ * @param {string} scenarioId - Scenario ID
+ * @param {number} revision - Revision to restore
+ * @param {Object} details - { note, author }
+ * @returns {Promise<Object>} The new revision record (its scenario is the restored config)
+ */
+export async function rollbackScenario(scenarioId, revision, details = {}) {
+  const target = getScenarioRevisions(scenarioId).find(r => r.revision === revision);
+  if (!target) {
+    throw new Error(`Revision ${revision} of ${scenarioId} not found`);
+  }
+  return appendRevision(target.scenario, {
+    note: details.note || `Rolled back to r${revision}`,
+    author: details.author,
+    rolledBackTo: revision
+  });
+}
+
+/**
+ * Field-by-field diff of two scenario configs (name, description and every config path)
+ * @returns {Array} [{ field, before, after, changed }]
+ */
+export function diffScenarioConfigs(before, after) {
+  const flatten = (scenario) => {
+    const fields = { name: scenario.name, description: scenario.description };
+    const walk = (value, path) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => walk(child, `${path}.${key}`));
+      } else {
+        fields[path] = Array.isArray(value) ? JSON.stringify(value) : value;
+      }
+    };
+    walk(scenario.config || {}, 'config');
+    return fields;
+  };
+
+  const a = flatten(before);
+  const b = flatten(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].map(field => ({
+    field,
+    before: a[field] ?? null,
+    after: b[field] ?? null,
+    changed: (a[field] ?? null) !== (b[field] ?? null)
+  }));
+}
+
+/**
+ * Simulate two revisions under the active settings and line up their results
+ * @returns {Promise<Array>} [{ label, before, after }] formatted values ('—' where unavailable)
+ */
+export async function compareRevisionResults(before, after, control = {}) {
+  const [a, b] = await simulationService.simulateBatch([before.scenario, after.scenario], {}, control);
+  if (a.error || b.error) {
+    throw new Error(a.error || b.error);
+  }
+  const format = (metric, result) => {
+    const value = metric.value(result);
+    return Number.isFinite(value) ? metric.format(value) : '—';
+  };
+  return RESULT_METRICS.map(metric => ({
+    label: metric.label,
+    before: format(metric, a.result),
+    after: format(metric, b.result)
+  }));
+}
+
+export function getRevisionAuthor() {
+  try {
+    return localStorage.getItem(AUTHOR_KEY) || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+export function setRevisionAuthor(author) {
+  try {
+    localStorage.setItem(AUTHOR_KEY, author || '');
+  } catch (error) {
+    console.warn('Could not remember revision author:', error);
+  }
+}
+
+// ========== UI ==========
+
+/**
+ * Open the revision history modal of a scenario
+ * @param {Object} scenario - Current scenario object
+ * @param {Object} handlers - { onRollback(scenario) } called with the restored config
+ */
+export function openRevisionHistory(scenario, handlers = {}) {
+  const modalEl = document.getElementById('scenarioRevisionsModal');
+  if (!modalEl) return;
+
+  const revisions = getScenarioRevisions(scenario.id);
+  // A never-edited scenario shows its current config as revision 1
+  const history = revisions.length
+    ? revisions
+    : [{ scenarioId: scenario.id, revision: 1, scenario, note: 'Original', author: null, createdAt: null }];
+
+  document.getElementById('revisions-scenario-name').textContent = scenario.name;
+  renderRevisionList(history);
+
+  const fromSelect = document.getElementById('revision-from');
+  const toSelect = document.getElementById('revision-to');
+  const options = history.map(r => `<option value="${r.revision}">r${r.revision} · ${r.note || 'No note'}</option>`).join('');
+  fromSelect.innerHTML = options;
+  toSelect.innerHTML = options;
+  fromSelect.value = String(history[Math.max(history.length - 2, 0)].revision);
+  toSelect.value = String(history[history.length - 1].revision);
+
+  const find = (select) => history.find(r => r.revision === Number(select.value));
+  const refresh = () => {
+    renderRevisionDiff(find(fromSelect), find(toSelect));
+    document.getElementById('rollback-revision-btn').disabled =
+      Number(fromSelect.value) === history[history.length - 1].revision;
+  };
+  fromSelect.onchange = refresh;
+  toSelect.onchange = refresh;
+  refresh();
+
+  document.getElementById('compare-revision-results-btn').onclick = async (event) => {
+    const btn = event.currentTarget;
+    btn.disabled = true;
+    btn.innerHTML = '<span class="spinner-border spinner-border-sm me-1"></span>Simulating...';
+    try {
+      renderRevisionDiff(find(fromSelect), find(toSelect), await compareRevisionResults(find(fromSelect), find(toSelect)));
+    } catch (error) {
+      console.error('Revision comparison failed:', error);
+      showAlert('Could not simulate the revisions: ' + error.message, 'danger');
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = '<i class="bi bi-play-circle me-1"></i>Compare Results';
+    }
+  };
+
+  document.getElementById('rollback-revision-btn').onclick = async () => {
+    const revision = Number(fromSelect.value);
+    if (!confirm(`Roll "${scenario.name}" back to r${revision}? This adds a new revision; the history is kept.`)) return;
+    try {
+      const record = await rollbackScenario(scenario.id, revision, { author: getRevisionAuthor() || null });
+      bootstrap.Modal.getInstance(modalEl)?.hide();
+      await handlers.onRollback?.(structuredClone(record.scenario));
+      showAlert(`"${record.scenario.name}" rolled back to r${revision} (now r${record.revision}).`, 'success');
+    } catch (error) {
+      console.error('Rollback failed:', error);
+      showAlert('Rollback failed: ' + error.message, 'danger');
+    }
+  };
+
+  (bootstrap.Modal.getInstance(modalEl) || new bootstrap.Modal(modalEl)).show();
+}
+
+function renderRevisionList(history) {
+  const list = document.getElementById('revision-list');
+  if (!list) return;
+
+  list.innerHTML = [...history].reverse().map(r => `
+    <li class="list-group-item small">
+      <div class="d-flex justify-content-between">
+        <strong>r${r.revision}</strong>
+        <span class="text-muted">${r.createdAt ? new Date(r.createdAt).toLocaleString() : 'scenarios.json'}</span>
+      </div>
+      <div>${r.note || '<span class="text-muted">No note</span>'}</div>
+      <div class="text-muted">
+        ${r.author ? `<i class="bi bi-person me-1"></i>${r.author} · ` : ''}
+        ${formatCurrency(r.scenario.config?.new_price)}
+      </div>
+    </li>
+  `).join('');
+}
+
+function renderRevisionDiff(before, after, results = null) {
+  const container = document.getElementById('revision-diff');
+  if (!container) return;
+
+  const display = (value) => (value == null || value === '' ? '<span class="text-muted">—</span>' : value);
+  const rows = diffScenarioConfigs(before.scenario, after.scenario);
+  const changed = rows.filter(row => row.changed).length;
+
+  container.innerHTML = `
+    <table class="table table-sm small mb-3">
+      <thead class="table-light">
+        <tr><th>Field</th><th>r${before.revision}</th><th>r${after.revision}</th></tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr class="${row.changed ? 'table-warning' : ''}">
+            <td><code>${row.field}</code></td>
+            <td>${display(row.before)}</td>
+            <td>${display(row.after)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <p class="small text-muted mb-2">${changed} of ${rows.length} fields differ.</p>
+    ${results ? `
+      <table class="table table-sm small mb-0">
+        <thead class="table-light">
+          <tr><th>Result (active settings)</th><th>r${before.revision}</th><th>r${after.revision}</th></tr>
+        </thead>
+        <tbody>
+          ${results.map(row => `
+            <tr class="${row.before !== row.after ? 'table-warning' : ''}">
+              <td>${row.label}</td><td>${row.before}</td><td>${row.after}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : ''}
+  `;
+}
+
+async function appendRevision(scenario, details) {
+  const history = revisionsByScenario.get(scenario.id) || [];
+  const record = {
+    scenarioId: scenario.id,
+    revision: (history[history.length - 1]?.revision || 0) + 1,
+    scenario: structuredClone(scenario),
+    note: details.note?.trim() || null,
+    author: details.author?.trim() || null,
+    createdAt: new Date().toISOString(),
+    ...(details.rolledBackTo ? { rolledBackTo: details.rolledBackTo } : {})
+  };
+
+  addToHistory(record);
+  if (isStorageAvailable()) {
+    try {
+      await saveScenarioRevision(getActiveWorkspaceId(), record);
+    } catch (error) {
+      console.error('⚠️ Failed to persist scenario revision:', error);
+    }
+  }
+  return revisionsByScenario.get(scenario.id).at(-1);
+}
+
+function addToHistory(record) {
+  const history = revisionsByScenario.get(record.scenarioId) || [];
+  history.push(deepFreeze(structuredClone(record)));
+  revisionsByScenario.set(record.scenarioId, history);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
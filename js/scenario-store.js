@@ -0,0 +1,300 @@
+/**
+ * Scenario Store Module
+ * IndexedDB persistence for scenarios, comparison sets and simulation results
+ *
+ * Everything is grouped into workspaces so separate pricing reviews can be kept apart
+ * and reopened later. Object stores:
+ *   workspaces      { id, name, createdAt, updatedAt }
+ *   scenarios       { id: `${workspaceId}:${scenarioId}`, workspaceId, scenarioId, kind, modelType, scenario, updatedAt }
+ *                   kind = 'edited' (override of a scenarios.json entry) | 'custom' (user-created)
+ *   scenarioRevisions { id: `${workspaceId}:${scenarioId}:${revision}`, workspaceId, scenarioId, revision,
+ *                   scenario, note, author, createdAt } - written once, never updated
+ *   comparisonSets  { id: `${workspaceId}:${modelType}`, workspaceId, modelType, savedScenarios, simulationResults, updatedAt }
+ *
+ * Dependencies: None (IndexedDB)
+ *
+ * Usage:
+ *   import { saveComparisonSet, getActiveWorkspaceId } from './scenario-store.js';
+ *   await saveComparisonSet(getActiveWorkspaceId(), 'acquisition', { savedScenarios, simulationResults });
+ */
+
+const DB_NAME = 'pricing-studio';
+const DB_VERSION = 2;
+const ACTIVE_WORKSPACE_KEY = 'pricingStudio.activeWorkspace';
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+let dbPromise = null;
+
+/**
+ * Check whether IndexedDB is available (private browsing / file:// may disable it)
+ * @returns {boolean}
+ */
+export function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!isStorageAvailable()) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('workspaces')) {
+        db.createObjectStore('workspaces', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('scenarios')) {
+        const store = db.createObjectStore('scenarios', { keyPath: 'id' });
+        store.createIndex('workspaceId', 'workspaceId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('comparisonSets')) {
+        const store = db.createObjectStore('comparisonSets', { keyPath: 'id' });
+        store.createIndex('workspaceId', 'workspaceId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains('scenarioRevisions')) {
+        const store = db.createObjectStore('scenarioRevisions', { keyPath: 'id' });
+        store.createIndex('workspaceId', 'workspaceId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a request against one object store and resolve with its result
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function getAllByWorkspace(storeName, workspaceId) {
+  return withStore(storeName, 'readonly', store => store.index('workspaceId').getAll(workspaceId));
+}
+
+/**
+ * Results can carry values IndexedDB cannot clone (functions, DOM nodes); keep plain data only
+ */
+function toStorable(value) {
+  return JSON.parse(JSON.stringify(value ?? null));
+}
+
+// ========== Workspaces ==========
+
+/**
+ * List workspaces (creates the default workspace on first use)
+ * @returns {Promise<Array>} Workspaces sorted by most recently updated
+ */
+export async function listWorkspaces() {
+  let workspaces = await withStore('workspaces', 'readonly', store => store.getAll());
+  if (!workspaces.some(ws => ws.id === DEFAULT_WORKSPACE_ID)) {
+    await putWorkspace({ id: DEFAULT_WORKSPACE_ID, name: 'Default Workspace' });
+    workspaces = await withStore('workspaces', 'readonly', store => store.getAll());
+  }
+  return workspaces.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Create a workspace
+ * @param {string} name - Display name
+ * @returns {Promise<Object>} The new workspace
+ */
+export async function createWorkspace(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Workspace name is required');
+  }
+  const workspace = {
+    id: `ws_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+    name: trimmed
+  };
+  return putWorkspace(workspace);
+}
+
+async function putWorkspace(workspace) {
+  const now = new Date().toISOString();
+  const record = { createdAt: now, ...workspace, updatedAt: now };
+  await withStore('workspaces', 'readwrite', store => store.put(record));
+  return record;
+}
+
+/**
+ * Mark a workspace as modified (keeps the list ordered by recent activity)
+ */
+async function touchWorkspace(workspaceId) {
+  const existing = await withStore('workspaces', 'readonly', store => store.get(workspaceId));
+  if (existing) {
+    await putWorkspace(existing);
+  }
+}
+
+/**
+ * Delete a workspace and everything stored in it
+ * @param {string} workspaceId - Workspace ID (the default workspace cannot be deleted)
+ */
+export async function deleteWorkspace(workspaceId) {
+  if (workspaceId === DEFAULT_WORKSPACE_ID) {
+    throw new Error('The default workspace cannot be deleted');
+  }
+
+  const [scenarios, sets, revisions] = await Promise.all([
+    getAllByWorkspace('scenarios', workspaceId),
+    getAllByWorkspace('comparisonSets', workspaceId),
+    getAllByWorkspace('scenarioRevisions', workspaceId)
+  ]);
+
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['workspaces', 'scenarios', 'comparisonSets', 'scenarioRevisions'], 'readwrite');
+    tx.objectStore('workspaces').delete(workspaceId);
+    scenarios.forEach(record => tx.objectStore('scenarios').delete(record.id));
+    sets.forEach(record => tx.objectStore('comparisonSets').delete(record.id));
+    revisions.forEach(record => tx.objectStore('scenarioRevisions').delete(record.id));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+
+  if (getActiveWorkspaceId() === workspaceId) {
+    setActiveWorkspaceId(DEFAULT_WORKSPACE_ID);
+  }
+}
+
+export function getActiveWorkspaceId() {
+  try {
+    return localStorage.getItem(ACTIVE_WORKSPACE_KEY) || DEFAULT_WORKSPACE_ID;
+  } catch (error) {
+    return DEFAULT_WORKSPACE_ID;
+  }
+}
+
+export function setActiveWorkspaceId(workspaceId) {
+  try {
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+  } catch (error) {
+    console.warn('Could not remember active workspace:', error);
+  }
+}
+
+// ========== Scenarios ==========
+
+/**
+ * Persist a scenario config in a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} scenario - Scenario object (scenarios.json shape)
+ * @param {string} kind - 'edited' for overrides of built-in scenarios, 'custom' for user-created ones
+ */
+export async function saveScenarioConfig(workspaceId, scenario, kind = 'edited') {
+  const record = {
+    id: `${workspaceId}:${scenario.id}`,
+    workspaceId,
+    scenarioId: scenario.id,
+    kind,
+    modelType: scenario.model_type,
+    scenario: toStorable(scenario),
+    updatedAt: new Date().toISOString()
+  };
+  await withStore('scenarios', 'readwrite', store => store.put(record));
+  await touchWorkspace(workspaceId);
+  return record;
+}
+
+/**
+ * Remove a stored scenario config
+ */
+export async function deleteScenarioConfig(workspaceId, scenarioId) {
+  await withStore('scenarios', 'readwrite', store => store.delete(`${workspaceId}:${scenarioId}`));
+}
+
+/**
+ * Load all scenario configs stored in a workspace
+ * @returns {Promise<Array>} Records with { scenarioId, kind, modelType, scenario }
+ */
+export function loadScenarioConfigs(workspaceId) {
+  return getAllByWorkspace('scenarios', workspaceId);
+}
+
+// ========== Scenario revisions ==========
+
+/**
+ * Store a scenario revision; add() rather than put() so an existing revision is never overwritten
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} revision - { scenarioId, revision, scenario, note, author, createdAt }
+ */
+export async function saveScenarioRevision(workspaceId, revision) {
+  const record = {
+    ...revision,
+    id: `${workspaceId}:${revision.scenarioId}:${revision.revision}`,
+    workspaceId,
+    scenario: toStorable(revision.scenario)
+  };
+  await withStore('scenarioRevisions', 'readwrite', store => store.add(record));
+  return record;
+}
+
+/**
+ * Load all scenario revisions stored in a workspace
+ * @returns {Promise<Array>} Records with { scenarioId, revision, scenario, note, author, createdAt }
+ */
+export function loadScenarioRevisions(workspaceId) {
+  return getAllByWorkspace('scenarioRevisions', workspaceId);
+}
+
+// ========== Comparison sets & results ==========
+
+/**
+ * Persist the saved comparison set and simulation results for one model type
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} modelType - acquisition | churn | migration
+ * @param {Object} data - { savedScenarios, simulationResults }
+ */
+export async function saveComparisonSet(workspaceId, modelType, data) {
+  const record = {
+    id: `${workspaceId}:${modelType}`,
+    workspaceId,
+    modelType,
+    savedScenarios: toStorable(data.savedScenarios || []),
+    simulationResults: toStorable(data.simulationResults || []),
+    updatedAt: new Date().toISOString()
+  };
+  await withStore('comparisonSets', 'readwrite', store => store.put(record));
+  await touchWorkspace(workspaceId);
+  return record;
+}
+
+/**
+ * Load comparison sets for a workspace keyed by model type
+ * @returns {Promise<Object>} { [modelType]: { savedScenarios, simulationResults } }
+ */
+export async function loadComparisonSets(workspaceId) {
+  const records = await getAllByWorkspace('comparisonSets', workspaceId);
+  return records.reduce((acc, record) => {
+    acc[record.modelType] = {
+      savedScenarios: record.savedScenarios || [],
+      simulationResults: record.simulationResults || []
+    };
+    return acc;
+  }, {});
+}
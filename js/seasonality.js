@@ -0,0 +1,285 @@
+/**
+ * Seasonality Module
+ * Seasonal demand baseline decomposed from daily_aggregated.csv
+ *
+ * Multiplicative decomposition per tier:
+ *   visitors(day) = level × month_index[month] × dow_index[dow] × event_lift[event types]
+ *   month_index  mean of non-event days per calendar month ÷ mean over all months
+ *   dow_index    non-event visitors ÷ their year-month mean, averaged per weekday (mean 1)
+ *   event_lift   measured lift per event_type of the tier (event-impact.js)
+ *   level        deseasonalized mean of the latest LEVEL_WINDOW_DAYS (where the forecast starts)
+ *
+ * Forecast days reuse the latest year of event_calendar.csv (and the seasonal events of
+ * attraction_openings.csv) by month-day, plus any event already scheduled on either calendar after
+ * the data ends. Weather events are not projected - they cannot be scheduled a year out.
+ * School-break weeks come from the latest year of external_factors.csv the same way (flagged on
+ * each day for pricing calendars).
+ *
+ * Seasons for cohort_elasticity.by_season (the data has no month definition, so it lives here):
+ *   peak_summer Jun-Aug, shoulder Apr-May & Sep-Oct, off_peak Nov-Mar
+ *
+ * Dependencies: data-loader.js, elasticity-estimator.js, event-impact.js
+ */
+
+import { loadDailyAggregated, loadEventCalendar, loadExternalFactors, dataCache } from './data-loader.js';
+import { buildEventDayIndex } from './elasticity-estimator.js';
+import { loadCalendarEvents, buildCalendarDayIndex, estimateEventImpacts } from './event-impact.js';
+
+export const SEASON_MONTHS = {
+  peak_summer: [6, 7, 8],
+  shoulder: [4, 5, 9, 10],
+  off_peak: [11, 12, 1, 2, 3]
+};
+
+// Event types that recur on (roughly) the same dates every year
+const RECURRING_EVENT_TYPES = ['holiday', 'school_break', 'special_event', 'seasonal_event'];
+const LEVEL_WINDOW_DAYS = 91;
+
+// Profiles per tier (rebuilt when the daily data is reloaded)
+const profileCache = new Map();
+let profileSource = null;
+
+/**
+ * Season for a calendar month
+ * @param {number} month - 1-12
+ * @returns {string} peak_summer | shoulder | off_peak
+ */
+export function getSeason(month) {
+  return Object.keys(SEASON_MONTHS).find(season => SEASON_MONTHS[season].includes(month)) || 'off_peak';
+}
+
+/**
+ * Build (or reuse) the seasonal profile of a tier
+ * @param {string} tier - Tier name (standard_pass, premium_pass, vip_pass)
+ * @returns {Promise<Object>} { tier, level, month_index, dow_index, event_lift, last_date, observations }
+ */
+export async function buildSeasonalProfile(tier) {
+  const [dailyData, events, calendarEvents, impacts] = await Promise.all([
+    loadDailyAggregated(),
+    loadEventCalendar(),
+    loadCalendarEvents(),
+    estimateEventImpacts()
+  ]);
+
+  if (profileSource !== dataCache.dailyAggregated) {
+    profileCache.clear();
+    profileSource = dataCache.dailyAggregated;
+  }
+  if (profileCache.has(tier)) return profileCache.get(tier);
+
+  const rows = dailyData
+    .filter(d => d.membership_tier === tier && d.daily_visitors > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (rows.length === 0) {
+    throw new Error(`No daily data available for tier: ${tier}`);
+  }
+
+  const eventIndex = buildEventDayIndex(events);
+  const plain = rows.filter(r => !eventIndex[r.date]);
+
+  // Month index
+  const byMonth = groupMean(plain, r => dateParts(r.date).month);
+  const monthMeans = Object.values(byMonth);
+  const overall = monthMeans.reduce((a, b) => a + b, 0) / monthMeans.length;
+  const monthIndex = {};
+  for (let m = 1; m <= 12; m++) {
+    monthIndex[m] = byMonth[m] ? byMonth[m] / overall : 1;
+  }
+
+  // Day-of-week index relative to each year-month
+  const byYearMonth = groupMean(plain, r => r.date.slice(0, 7));
+  const dowRatios = groupMean(plain, r => dateParts(r.date).dow, r => r.daily_visitors / byYearMonth[r.date.slice(0, 7)]);
+  const dowMean = Object.values(dowRatios).reduce((a, b) => a + b, 0) / Object.keys(dowRatios).length;
+  const dowIndex = {};
+  for (let d = 0; d < 7; d++) {
+    dowIndex[d] = dowRatios[d] ? dowRatios[d] / dowMean : 1;
+  }
+
+  // Event lift per type, as measured against the seasonal baseline
+  const eventLift = {};
+  Object.entries(impacts.by_type).forEach(([type, impact]) => {
+    const tierImpact = impact.tiers[tier];
+    if (tierImpact) eventLift[type] = { lift: 1 + tierImpact.visitor_lift, days: tierImpact.days };
+  });
+
+  const profile = {
+    tier,
+    month_index: monthIndex,
+    dow_index: dowIndex,
+    event_lift: eventLift,
+    last_date: rows[rows.length - 1].date,
+    observations: rows.length
+  };
+
+  // Level: deseasonalized mean of the latest window
+  const calendarIndex = buildCalendarDayIndex(calendarEvents);
+  const recent = rows.slice(-LEVEL_WINDOW_DAYS);
+  profile.level = recent.reduce((sum, r) => sum + r.daily_visitors / seasonalFactor(profile, r.date, calendarIndex[r.date]), 0) / recent.length;
+
+  profileCache.set(tier, profile);
+  return profile;
+}
+
+/**
+ * Seasonal baseline by calendar month (no price change)
+ * @param {string} tier - Tier name
+ * @param {Object} options - { startDate (YYYY-MM-DD, defaults to the month after the data ends), months }
+ * @returns {Promise<Array>} [{ month, month_start, calendar_month, season, days, event_days, visitors }]
+ *   visitors is the average daily baseline for that month
+ */
+export async function forecastSeasonalBaseline(tier, options = {}) {
+  const days = await forecastSeasonalDays(tier, options);
+
+  const series = [];
+  days.forEach(day => {
+    const monthStart = `${day.date.slice(0, 7)}-01`;
+    let point = series[series.length - 1];
+    if (!point || point.month_start !== monthStart) {
+      point = {
+        month: series.length + 1,
+        month_start: monthStart,
+        calendar_month: day.calendar_month,
+        season: day.season,
+        days: 0,
+        event_days: 0,
+        visitors: 0
+      };
+      series.push(point);
+    }
+    point.days++;
+    if (day.event_types.length) point.event_days++;
+    point.visitors += day.visitors;
+  });
+  series.forEach(point => { point.visitors /= point.days; });
+
+  return series;
+}
+
+/**
+ * Seasonal baseline day by day (no price change), whole calendar months from the start month
+ * @param {string} tier - Tier name
+ * @param {Object} options - { startDate, months }
+ * @returns {Promise<Array>} [{ date, calendar_month, dow, is_weekend, season, event_types, school_break, visitors }]
+ *   school_break marks the weeks flagged in external_factors.csv (latest year, by month-day)
+ */
+export async function forecastSeasonalDays(tier, options = {}) {
+  const [profile, events, externalFactors] = await Promise.all([
+    buildSeasonalProfile(tier),
+    loadCalendarEvents(),
+    loadExternalFactors()
+  ]);
+  const months = options.months || 12;
+  const start = resolveStartMonth(options.startDate, profile.last_date);
+
+  // Recurring events of the latest calendar year in the data, keyed by month-day
+  const past = events.filter(e => e.date <= profile.last_date);
+  const latestYear = past.reduce((max, e) => (e.date > max ? e.date : max), '').slice(0, 4);
+  const recurring = buildCalendarDayIndex(past.filter(e =>
+    e.date.startsWith(latestYear) && RECURRING_EVENT_TYPES.includes(e.event_type)));
+  // Events already on the calendar for after the data ends
+  const scheduled = buildCalendarDayIndex(events.filter(e => e.end_date > profile.last_date));
+
+  const schoolBreakDays = buildSchoolBreakIndex(externalFactors);
+
+  const days = [];
+  for (let i = 0; i < months; i++) {
+    const year = start.year + Math.floor((start.month - 1 + i) / 12);
+    const calendarMonth = ((start.month - 1 + i) % 12) + 1;
+    const daysInMonth = new Date(Date.UTC(year, calendarMonth, 0)).getUTCDate();
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = `${year}-${pad(calendarMonth)}-${pad(day)}`;
+      const types = mergeTypes(recurring[`${latestYear}${date.slice(4)}`], scheduled[date]);
+      const { dow } = dateParts(date);
+      days.push({
+        date,
+        calendar_month: calendarMonth,
+        dow,
+        is_weekend: dow >= 5,
+        season: getSeason(calendarMonth),
+        event_types: types ? [...types] : [],
+        school_break: schoolBreakDays.has(date.slice(5)),
+        visitors: profile.level * seasonalFactor(profile, date, types)
+      });
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Month-days covered by school-break weeks in the latest year of external_factors.csv
+ * @returns {Set<string>} 'MM-DD' keys
+ */
+function buildSchoolBreakIndex(externalFactors) {
+  const latestYear = (externalFactors || []).reduce((max, r) => (r.date > max ? r.date : max), '').slice(0, 4);
+  const monthDays = new Set();
+  (externalFactors || [])
+    .filter(r => r.date.startsWith(latestYear) && Number(r.school_break) === 1)
+    .forEach(r => {
+      for (let i = 0; i < 7; i++) {
+        const date = new Date(`${r.date}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + i);
+        monthDays.add(date.toISOString().slice(5, 10));
+      }
+    });
+  return monthDays;
+}
+
+/**
+ * month × day-of-week × event factor for a date
+ * Overlapping events take the strongest lift rather than compounding.
+ */
+function seasonalFactor(profile, date, eventTypes) {
+  const { month, dow } = dateParts(date);
+  let lift = 1;
+  (eventTypes || []).forEach(type => {
+    const typeLift = profile.event_lift[type]?.lift;
+    if (typeLift && Math.abs(typeLift - 1) > Math.abs(lift - 1)) lift = typeLift;
+  });
+  return profile.month_index[month] * profile.dow_index[dow] * lift;
+}
+
+function mergeTypes(...sets) {
+  const present = sets.filter(Boolean);
+  if (present.length === 0) return undefined;
+  return new Set(present.flatMap(set => [...set]));
+}
+
+function resolveStartMonth(startDate, lastDataDate) {
+  if (startDate) {
+    const { year, month } = dateParts(startDate);
+    return { year, month };
+  }
+  const { year, month } = dateParts(lastDataDate);
+  return month === 12 ? { year: year + 1, month: 1 } : { year, month: month + 1 };
+}
+
+/**
+ * Calendar parts of a YYYY-MM-DD date (dow 0 = Monday, as in daily_aggregated.csv)
+ */
+function dateParts(dateStr) {
+  const date = new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    dow: (date.getUTCDay() + 6) % 7
+  };
+}
+
+function groupMean(rows, keyFn, valueFn = r => r.daily_visitors) {
+  const sums = {};
+  const counts = {};
+  rows.forEach(r => {
+    const key = keyFn(r);
+    sums[key] = (sums[key] || 0) + valueFn(r);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  const means = {};
+  Object.keys(sums).forEach(key => { means[key] = sums[key] / counts[key]; });
+  return means;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
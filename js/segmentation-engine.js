@@ -2,7 +2,7 @@
  * Segmentation Engine Module
  * Core logic for customer segmentation, elasticity calculation with fallbacks, and KPI aggregation
  *
- * Dependencies: D3.js (for CSV/JSON loading)
+ * Dependencies: D3.js (for CSV/JSON parsing), data-source.js (window.dataSource)
  */
 
 class SegmentationEngine {
@@ -137,10 +137,10 @@ class SegmentationEngine {
     async loadSegmentData() {
         try {
             const [elasticity, segments, kpis, cohorts] = await Promise.all([
-                d3.json('data/segment_elasticity.json'),
-                d3.csv('data/visitor_segments.csv'),
-                d3.csv('data/segment_kpis.csv'),
-                d3.json('data/cohort_coefficients.json')
+                this.#readJson('segment_elasticity.json'),
+                this.#readCsv('visitor_segments.csv'),
+                this.#readCsv('segment_kpis.csv'),
+                this.#readJson('cohort_coefficients.json')
             ]);
 
             this.segmentElasticity = elasticity;
@@ -155,6 +155,24 @@ class SegmentationEngine {
         }
     }
 
+    /**
+     * Read a data file through the data-source adapter (js/data-source.js) so another park's
+     * files are used; D3's fetch of the bundled file if the adapter module isn't loaded
+     */
+    async #readCsv(filename) {
+        if (window.dataSource) {
+            return d3.csvParse(await window.dataSource.readDataFile(filename));
+        }
+        return d3.csv(`data/${filename}`);
+    }
+
+    async #readJson(filename) {
+        if (window.dataSource) {
+            return window.dataSource.readDataJson(filename);
+        }
+        return d3.json(`data/${filename}`);
+    }
+
     /**
      * Get elasticity with 4-level fallback strategy
      * @param {string} tier - Subscription tier (ad_supported, ad_free)
@@ -0,0 +1,195 @@
+/**
+ * Share Link Module
+ * Encode/decode the simulation state in the page URL so a scenario can be sent as a link
+ *
+ * URL format (query string, all parameters optional):
+ *   ?step=6                       step-navigation step (0-9)
+ *   &model=acquisition            acquisition | churn | migration
+ *   &scenario=scenario_001        scenario id from scenarios.json
+ *   &config=<base64url JSON>      full scenario object when it is custom or edited
+ *   &segment=family_small         target segment ('all' when omitted)
+ *   &axis=engagement              axis of the target segment
+ *   &horizon=short_term_1_3mo     time horizon key from elasticity-params.json
+ *   &mc=2000                      Monte Carlo iterations (uncertainty bands on)
+ *   &f.acquisition=regular,frequent   segment filter pills per axis
+ *   &settings=<base64url JSON>    run settings that change the numbers:
+ *                                 { conditions, capacity, costModel, plannedEvents, weather }
+ *   &engine=pyodide               simulation engine used by the sender (js | pyodide)
+ *
+ * Settings are always embedded: the recipient's own stored capacity, cost,
+ * event and weather settings would otherwise silently change the results.
+ * Once a link has been restored its parameters are stripped (stripShareParams()), so the address
+ * bar only carries the step until the next simulation writes the current state.
+ *
+ * Dependencies: None
+ */
+
+export const TIME_HORIZONS = {
+  short_term_1_3mo: 'Short term (1-3 months)',
+  medium_term_3_12mo: 'Medium term (3-12 months)',
+  long_term_12plus: 'Long term (12+ months)'
+};
+
+export const DEFAULT_TIME_HORIZON = 'medium_term_3_12mo';
+
+const FILTER_AXES = ['acquisition', 'engagement', 'monetization'];
+const MODEL_TYPES = ['acquisition', 'churn', 'migration'];
+const ENGINES = ['js', 'pyodide'];
+const SETTINGS_KEYS = ['conditions', 'capacity', 'costModel', 'plannedEvents', 'weather'];
+// Everything buildShareUrl() writes except the step
+const SHARE_PARAMS = ['model', 'scenario', 'config', 'segment', 'axis', 'horizon', 'mc', 'settings', 'engine',
+  ...FILTER_AXES.map(axis => `f.${axis}`)];
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Build a share URL for the given state
+ * @param {Object} state - { step, modelType, scenarioId, scenario, targetSegment, segmentAxis, timeHorizon, monteCarlo, filters, settings, engine }
+ *   scenario is only embedded when passed (custom or edited configs the recipient won't have)
+ *   settings - { conditions, capacity, costModel, plannedEvents, weather } as returned by the module getters
+ * @param {string} baseUrl - Page URL to extend (defaults to the current page without query/hash)
+ * @returns {string} Absolute URL
+ */
+export function buildShareUrl(state, baseUrl = window.location.origin + window.location.pathname) {
+  const params = new URLSearchParams();
+
+  if (Number.isInteger(state.step)) params.set('step', String(state.step));
+  if (state.modelType) params.set('model', state.modelType);
+  if (state.scenarioId) params.set('scenario', state.scenarioId);
+  if (state.scenario) params.set('config', toBase64Url(JSON.stringify(state.scenario)));
+  if (state.targetSegment && state.targetSegment !== 'all') {
+    params.set('segment', state.targetSegment);
+    if (state.segmentAxis) params.set('axis', state.segmentAxis);
+  }
+  if (state.timeHorizon && state.timeHorizon !== DEFAULT_TIME_HORIZON) {
+    params.set('horizon', state.timeHorizon);
+  }
+  if (state.monteCarlo?.iterations) params.set('mc', String(state.monteCarlo.iterations));
+  FILTER_AXES.forEach(axis => {
+    const values = state.filters?.[axis] || [];
+    if (values.length > 0) params.set(`f.${axis}`, values.join(','));
+  });
+  if (state.settings) params.set('settings', toBase64Url(JSON.stringify(state.settings)));
+  if (ENGINES.includes(state.engine)) params.set('engine', state.engine);
+
+  const query = params.toString();
+  return query ? `${baseUrl}?${query}` : baseUrl;
+}
+
+/**
+ * Parse share state from a query string
+ * Unknown or malformed values are dropped rather than failing the whole link.
+ * @param {string} search - location.search
+ * @returns {Object|null} State object, or null when the URL carries no share state
+ */
+export function parseShareUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  if ([...params.keys()].length === 0) return null;
+
+  const state = {
+    step: null,
+    modelType: null,
+    scenarioId: params.get('scenario'),
+    scenario: null,
+    targetSegment: params.get('segment') || 'all',
+    segmentAxis: params.get('axis'),
+    timeHorizon: TIME_HORIZONS[params.get('horizon')] ? params.get('horizon') : DEFAULT_TIME_HORIZON,
+    monteCarlo: null,
+    filters: {},
+    settings: null,
+    engine: ENGINES.includes(params.get('engine')) ? params.get('engine') : null
+  };
+
+  const iterations = parseInt(params.get('mc'), 10);
+  if (iterations > 0) state.monteCarlo = { iterations: Math.min(iterations, 20000) };
+
+  const step = parseInt(params.get('step'), 10);
+  if (!Number.isNaN(step) && step >= 0 && step <= 9) state.step = step;
+
+  const model = params.get('model');
+  if (MODEL_TYPES.includes(model)) state.modelType = model;
+
+  if (params.get('config')) {
+    try {
+      const scenario = JSON.parse(fromBase64Url(params.get('config')));
+      if (scenario?.config?.tier) {
+        state.scenario = scenario;
+        state.scenarioId = state.scenarioId || scenario.id;
+        state.modelType = state.modelType || scenario.model_type;
+      }
+    } catch (error) {
+      console.warn('Ignoring malformed scenario config in share link:', error);
+    }
+  }
+
+  FILTER_AXES.forEach(axis => {
+    const raw = params.get(`f.${axis}`);
+    if (raw) state.filters[axis] = raw.split(',').filter(Boolean);
+  });
+
+  if (params.get('settings')) {
+    try {
+      const settings = JSON.parse(fromBase64Url(params.get('settings')));
+      // Keep only known keys; each module's setter normalizes the values
+      if (settings && typeof settings === 'object') {
+        state.settings = Object.fromEntries(
+          SETTINGS_KEYS.filter(key => settings[key] != null).map(key => [key, settings[key]])
+        );
+      }
+    } catch (error) {
+      console.warn('Ignoring malformed settings in share link:', error);
+    }
+  }
+
+  return state;
+}
+
+/**
+ * URL without the share-state parameters (step and unrelated parameters are kept)
+ * @param {string} href - URL to clean (defaults to the current page)
+ * @returns {string} Absolute URL
+ */
+export function stripShareParams(href = window.location.href) {
+  const url = new URL(href);
+  SHARE_PARAMS.forEach(key => url.searchParams.delete(key));
+  return url.toString();
+}
+
+/**
+ * Replace the current URL without adding a history entry
+ * @param {string} url - New URL
+ */
+export function replaceUrl(url) {
+  try {
+    window.history.replaceState(window.history.state, '', url);
+  } catch (error) {
+    console.warn('Could not update URL:', error);
+  }
+}
+
+/**
+ * Copy a link to the clipboard (falls back to a prompt when clipboard access is blocked)
+ * @param {string} url - URL to copy
+ * @returns {Promise<boolean>} True when copied to the clipboard
+ */
+export async function copyShareUrl(url) {
+  try {
+    await navigator.clipboard.writeText(url);
+    return true;
+  } catch (error) {
+    window.prompt('Copy this link:', url);
+    return false;
+  }
+}
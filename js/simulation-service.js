@@ -0,0 +1,296 @@
+/**
+ * Simulation Service
+ * Worker-backed simulation runner with progress events and cancellation
+ *
+ * Jobs go to simulation-worker.js so batch runs, optimizer searches, Monte Carlo bands and the
+ * Pyodide model load leave the main thread free for the charts. Every job returns a promise and
+ * takes { signal, onProgress }: aborting the signal rejects the promise with an AbortError at once
+ * and the worker stops before its next scenario. onProgress receives { done, total, label, item? }.
+ *
+ * The worker cannot read this page's settings (localStorage, panels), so the active external
+ * conditions, capacity, cost model, planned events and weather year are resolved here and sent
+ * with the options; the data source and any applied elasticity estimate (elasticity-estimator.js) go
+ * with the worker's init message, and applying or clearing an estimate resets the worker.
+ * Segment-targeted runs, and promotions while segment data is loaded (cohort eligibility), need
+ * the segment engine and run on the main thread, as does everything when module workers are
+ * unavailable (e.g. file:// pages).
+ *
+ * Dependencies: simulation-worker.js, scenario-engine.js, external-conditions.js, park-capacity.js,
+ *   cost-model.js, event-planner.js, weather-model.js, pyodide-bridge.js, data-source.js, data-loader.js
+ *
+ * Usage:
+ *   import { simulationService } from './simulation-service.js';
+ *   const results = await simulationService.simulateBatch(scenarios, {}, { onProgress, signal });
+ */
+
+import { simulateScenario, simulateScenarioWithPyodide, initializePyodideModels, isPyodideAvailable } from './scenario-engine.js';
+import { getActiveExternalConditions } from './external-conditions.js';
+import { getActiveParkCapacity } from './park-capacity.js';
+import { getActiveCostModel, isPromotionScenario } from './cost-model.js';
+import { getPlannedEvents } from './event-planner.js';
+import { getActiveWeatherSettings } from './weather-model.js';
+import { pyodideBridge } from './pyodide-bridge.js';
+import { getActiveDataSource } from './data-source.js';
+import { dataCache, isSegmentDataAvailable } from './data-loader.js';
+
+const WORKER_URL = new URL('./simulation-worker.js', import.meta.url);
+
+class SimulationService {
+  constructor() {
+    this.worker = null;
+    this.ready = null;
+    this.jobs = new Map();
+    this.nextId = 1;
+    this.workerFailed = false;
+    this.pyodideReady = false;
+  }
+
+  /**
+   * Simulate one scenario
+   * @param {Object} scenario - Scenario configuration
+   * @param {Object} options - simulateScenario() options (active panel settings fill the gaps)
+   * @param {Object} control - { signal, onProgress, engine: 'js' | 'pyodide' }
+   * @returns {Promise<Object>} Simulation result
+   */
+  simulate(scenario, options = {}, control = {}) {
+    const runOptions = withActiveSettings(options);
+    const engine = control.engine === 'pyodide' ? 'pyodide' : 'js';
+    return this.run('simulate', { scenario, options: runOptions, engine }, control, () => (engine === 'pyodide'
+      ? simulateScenarioWithPyodide(scenario, runOptions)
+      : simulateScenario(scenario, runOptions)), needsSegmentEngine(scenario, runOptions));
+  }
+
+  /**
+   * Simulate several scenarios; a failing scenario is reported in its entry instead of failing the batch
+   * @param {Array} scenarios - Scenario configurations
+   * @param {Object} options - simulateScenario() options shared by every scenario
+   * @param {Object} control - { signal, onProgress } (one progress event per scenario, item = its entry)
+   * @returns {Promise<Array>} [{ scenario_id, result } | { scenario_id, error }] in input order
+   */
+  simulateBatch(scenarios, options = {}, control = {}) {
+    return this.simulateRuns(scenarios.map(scenario => ({ scenario, options })), control);
+  }
+
+  /**
+   * Simulate runs that each carry their own options (e.g. a sweep grid across segments and horizons)
+   * Runs that need the segment engine go through the main thread, one at a time, while the worker takes the rest.
+   * @param {Array} runs - [{ scenario, options }]
+   * @param {Object} control - { signal, onProgress } (one progress event per run, item = its entry,
+   *   index = its position in runs)
+   * @returns {Promise<Array>} [{ scenario_id, result } | { scenario_id, error }] in input order
+   */
+  async simulateRuns(runs, control = {}) {
+    const prepared = runs.map((run, index) => ({ index, scenario: run.scenario, options: withActiveSettings(run.options || {}) }));
+    const local = prepared.filter(run => needsSegmentEngine(run.scenario, run.options));
+    const remote = prepared.filter(run => !needsSegmentEngine(run.scenario, run.options));
+    const results = new Array(runs.length);
+    let done = 0;
+    const report = (index, entry) => {
+      results[index] = entry;
+      done++;
+      control.onProgress?.({ done, total: runs.length, label: entry.scenario_id, item: entry, index });
+    };
+
+    await Promise.all([
+      remote.length
+        ? this.run(
+          'batch',
+          { runs: remote.map(({ scenario, options }) => ({ scenario, options })) },
+          { signal: control.signal, onProgress: (event) => report(remote[event.done - 1].index, event.item) },
+          () => runSequentially(remote, control.signal, report)
+        )
+        : null,
+      local.length ? runSequentially(local, control.signal, report) : null
+    ]);
+    return results;
+  }
+
+  /**
+   * Search a tier's price range (see price-optimizer.js)
+   * @param {string} tier - Tier name
+   * @param {Object} options - optimizePrice() options (active external conditions and cost model fill the gaps)
+   * @param {Object} control - { signal, onProgress }
+   * @returns {Promise<Object>} optimizePrice() result
+   */
+  optimizePrice(tier, options = {}, control = {}) {
+    const runOptions = { externalConditions: getActiveExternalConditions(), costModel: getActiveCostModel(), ...options };
+    return this.run('optimize', { tier, options: runOptions }, control, async () => {
+      const { optimizePrice } = await import('./price-optimizer.js');
+      return optimizePrice(tier, runOptions);
+    });
+  }
+
+  /**
+   * Load Pyodide and the Python models in the worker (on the main thread without one)
+   * @returns {Promise<boolean>} Whether the Python models are ready
+   */
+  async initializePyodide() {
+    try {
+      this.pyodideReady = await this.run('pyodide', {}, {}, () => initializePyodideModels());
+    } catch (error) {
+      console.error('❌ Failed to initialize Pyodide:', error);
+      this.pyodideReady = false;
+    }
+    return this.pyodideReady;
+  }
+
+  /**
+   * Run a Python segment prediction where the models are loaded
+   * @param {string} method - predictAcquisitionBySegment | predictChurnBySegment
+   * @param {...*} args - Arguments of the pyodide-bridge.js method
+   * @returns {Promise<*>} Prediction
+   */
+  predict(method, ...args) {
+    return this.run('predict', { method, args }, {}, () => pyodideBridge[method](...args));
+  }
+
+  /**
+   * Check if the Python models are loaded where simulations run
+   * @returns {boolean}
+   */
+  isPyodideReady() {
+    return this.workerFailed ? isPyodideAvailable() : this.pyodideReady;
+  }
+
+  /**
+   * Stop the worker and drop its caches (the next job starts a fresh one, e.g. after a data reload)
+   */
+  reset() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.ready = null;
+    this.pyodideReady = false;
+    this.jobs.forEach(job => job.reject(abortError('Simulation worker was reset')));
+    this.jobs.clear();
+  }
+
+  /**
+   * Run a job in the worker, or locally when there is none
+   */
+  async run(type, payload, control, runLocally, mainThreadOnly = false) {
+    throwIfAborted(control.signal);
+    if (mainThreadOnly || !(await this.startWorker())) {
+      return runLocally();
+    }
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.worker?.postMessage({ id, type: 'cancel' });
+        this.jobs.delete(id);
+        reject(abortError());
+      };
+      const settle = (fn) => (value) => {
+        control.signal?.removeEventListener('abort', onAbort);
+        this.jobs.delete(id);
+        fn(value);
+      };
+
+      this.jobs.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress: control.onProgress });
+      control.signal?.addEventListener('abort', onAbort, { once: true });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  /**
+   * Start the worker once; resolves false when module workers are unavailable
+   */
+  startWorker() {
+    if (this.workerFailed || typeof Worker === 'undefined') return Promise.resolve(false);
+    if (this.ready) return this.ready;
+
+    this.ready = new Promise(resolve => {
+      try {
+        const worker = new Worker(WORKER_URL, { type: 'module' });
+        worker.onmessage = (event) => {
+          if (event.data.type === 'ready') {
+            resolve(true);
+          } else {
+            this.handleMessage(event.data);
+          }
+        };
+        worker.onerror = (event) => {
+          console.warn('⚠️ Simulation worker failed, running simulations on the main thread:', event.message);
+          this.workerFailed = true;
+          this.reset();
+          resolve(false);
+        };
+        worker.postMessage({ id: 0, type: 'init', payload: {
+          baseUrl: document.baseURI,
+          dataSource: getActiveDataSource(),
+          elasticityParams: dataCache.elasticityParams?._estimation ? dataCache.elasticityParams : null
+        } });
+        this.worker = worker;
+      } catch (error) {
+        console.warn('⚠️ Simulation worker unavailable, running simulations on the main thread:', error);
+        this.workerFailed = true;
+        resolve(false);
+      }
+    });
+    return this.ready;
+  }
+
+  handleMessage(message) {
+    const job = this.jobs.get(message.id);
+    if (!job) return;
+
+    switch (message.type) {
+      case 'progress':
+        job.onProgress?.({ done: message.done, total: message.total, label: message.label, item: message.item });
+        break;
+      case 'result':
+        job.resolve(message.result);
+        break;
+      case 'error':
+        job.reject(new Error(message.message));
+        break;
+      case 'cancelled':
+        job.reject(abortError());
+        break;
+    }
+  }
+}
+
+/**
+ * Fill the options the worker cannot read from this page with the active panel settings
+ */
+function withActiveSettings(options) {
+  return {
+    externalConditions: getActiveExternalConditions(),
+    capacity: getActiveParkCapacity(),
+    costModel: getActiveCostModel(),
+    plannedEvents: getPlannedEvents(),
+    weatherYear: getActiveWeatherSettings(),
+    ...options
+  };
+}
+
+/**
+ * Simulate runs one after another on this thread, yielding between them so the page stays responsive
+ */
+async function runSequentially(runs, signal, report) {
+  for (const run of runs) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    throwIfAborted(signal);
+    try {
+      report(run.index, { scenario_id: run.scenario.id, result: await simulateScenario(run.scenario, run.options) });
+    } catch (error) {
+      report(run.index, { scenario_id: run.scenario.id, error: error.message });
+    }
+  }
+}
+
+function needsSegmentEngine(scenario, options) {
+  if (options.targetSegment && options.targetSegment !== 'all') return true;
+  return isPromotionScenario(scenario) && !!isSegmentDataAvailable();
+}
+
+function abortError(message = 'Simulation cancelled') {
+  return new DOMException(message, 'AbortError');
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError();
+}
+
+export const simulationService = new SimulationService();
@@ -0,0 +1,141 @@
+/**
+ * Simulation Worker
+ * Runs the scenario engine, price optimizer and Pyodide bridge off the main thread
+ *
+ * Started by simulation-service.js as a module worker. Messages in are { id, type, payload }:
+ *   init      { baseUrl, dataSource,          page URL that relative fetches (data/, python/) resolve against,
+ *               elasticityParams }            the page's data source (data-source.js) so runs read the same files,
+ *                                             and the estimated elasticities applied on the page (null = static JSON)
+ *   simulate  { scenario, options, engine }   engine 'pyodide' runs simulateScenarioWithPyodide()
+ *   batch     { runs: [{ scenario, options }] } one progress message per run
+ *   optimize  { tier, options }               optimizePrice()
+ *   pyodide   {}                              load Pyodide and the Python models
+ *   predict   { method, args }                call a PYTHON_PREDICTIONS method of the Pyodide bridge
+ *   cancel    {}                              stop job `id` before its next scenario
+ * Messages out are { id, type: 'ready' | 'progress' | 'result' | 'error' | 'cancelled', ... }.
+ *
+ * The engine modules are imported after 'init' so they load with window pointing at the worker
+ * scope and with the fetch shim. There is no segment engine here: segment-targeted runs, and
+ * promotions while the page has segment data, stay on the main thread.
+ * Settings kept in localStorage are not visible here; the service sends them in the options. Applying
+ * or clearing estimated elasticities restarts the worker, so the params in 'init' stay current.
+ *
+ * Dependencies: scenario-engine.js, price-optimizer.js, pyodide-bridge.js, data-source.js, data-loader.js
+ */
+
+const PYODIDE_MODULE_URL = 'https://cdn.jsdelivr.net/pyodide/v0.25.0/full/pyodide.mjs';
+const PYTHON_PREDICTIONS = ['predictAcquisitionBySegment', 'predictChurnBySegment'];
+
+const cancelled = new Set();
+let engine = null;
+
+self.onmessage = async (event) => {
+  const { id, type, payload = {} } = event.data;
+
+  if (type === 'cancel') {
+    cancelled.add(id);
+    return;
+  }
+
+  try {
+    if (type === 'init') {
+      installFetchShim(payload.baseUrl);
+      self.window = self;
+      if (payload.dataSource) {
+        const { setActiveDataSource } = await import('./data-source.js');
+        setActiveDataSource(payload.dataSource, { persist: false });
+      }
+      if (payload.elasticityParams) {
+        const { dataCache } = await import('./data-loader.js');
+        dataCache.elasticityParams = payload.elasticityParams;
+      }
+      engine = await import('./scenario-engine.js');
+      self.postMessage({ id, type: 'ready' });
+      return;
+    }
+    if (!engine) throw new Error('Simulation worker used before init');
+
+    let result;
+    switch (type) {
+      case 'simulate':
+        progress(id, 0, 1, payload.scenario.id);
+        result = payload.engine === 'pyodide'
+          ? await engine.simulateScenarioWithPyodide(payload.scenario, payload.options)
+          : await engine.simulateScenario(payload.scenario, payload.options);
+        progress(id, 1, 1, payload.scenario.id);
+        break;
+      case 'batch':
+        result = await runBatch(id, payload.runs);
+        break;
+      case 'optimize': {
+        const { optimizePrice } = await import('./price-optimizer.js');
+        progress(id, 0, 1, payload.tier);
+        result = await optimizePrice(payload.tier, payload.options);
+        progress(id, 1, 1, payload.tier);
+        break;
+      }
+      case 'pyodide':
+        if (!self.loadPyodide) {
+          self.loadPyodide = (await import(PYODIDE_MODULE_URL)).loadPyodide;
+        }
+        result = await engine.initializePyodideModels();
+        break;
+      case 'predict': {
+        if (!PYTHON_PREDICTIONS.includes(payload.method)) {
+          throw new Error(`Unknown Python prediction: ${payload.method}`);
+        }
+        const { pyodideBridge } = await import('./pyodide-bridge.js');
+        result = await pyodideBridge[payload.method](...payload.args);
+        break;
+      }
+      default:
+        throw new Error(`Unknown simulation job type: ${type}`);
+    }
+
+    if (cancelled.delete(id)) {
+      self.postMessage({ id, type: 'cancelled' });
+    } else {
+      self.postMessage({ id, type: 'result', result });
+    }
+  } catch (error) {
+    if (cancelled.delete(id)) {
+      self.postMessage({ id, type: 'cancelled' });
+    } else {
+      self.postMessage({ id, type: 'error', message: error.message, stack: error.stack });
+    }
+  }
+};
+
+/**
+ * Simulate runs one after another, yielding between them so a cancel message gets through
+ * @returns {Promise<Array>} [{ scenario_id, result } | { scenario_id, error }] in input order
+ */
+async function runBatch(id, runs) {
+  const results = [];
+  for (let i = 0; i < runs.length; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (cancelled.has(id)) break;
+
+    const { scenario, options } = runs[i];
+    try {
+      results.push({ scenario_id: scenario.id, result: await engine.simulateScenario(scenario, options) });
+    } catch (error) {
+      results.push({ scenario_id: scenario.id, error: error.message });
+    }
+    progress(id, i + 1, runs.length, scenario.id, results[results.length - 1]);
+  }
+  return results;
+}
+
+function progress(id, done, total, label, item = null) {
+  self.postMessage({ id, type: 'progress', done, total, label, ...(item ? { item } : {}) });
+}
+
+/**
+ * Resolve relative fetch URLs against the page rather than js/ (where this script lives)
+ */
+function installFetchShim(baseUrl) {
+  if (!baseUrl) return;
+  const nativeFetch = self.fetch.bind(self);
+  self.fetch = (input, init) => nativeFetch(typeof input === 'string' ? new URL(input, baseUrl).href : input, init);
+}
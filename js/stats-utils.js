@@ -0,0 +1,174 @@
+/**
+ * Statistics Utilities
+ * Small linear-algebra and regression helpers used by the in-browser estimation modules
+ *
+ * Dependencies: None (Vanilla JavaScript)
+ */
+
+/**
+ * Fit an ordinary least squares regression y = Xβ + ε
+ * Columns with zero variance (other than the intercept) are dropped before fitting.
+ *
+ * @param {Array<Array<number>>} X - Design matrix rows (include a leading 1 for the intercept)
+ * @param {Array<number>} y - Response vector
+ * @param {Array<string>} names - Column names (same order as X columns)
+ * @returns {Object} { coefficients, standardErrors, names, rSquared, n, k, residualStdError }
+ */
+export function fitOLS(X, y, names = []) {
+  if (X.length !== y.length || X.length === 0) {
+    throw new Error('fitOLS requires a non-empty design matrix matching the response length');
+  }
+
+  // Drop constant columns (keep the intercept in position 0)
+  const keep = [];
+  for (let j = 0; j < X[0].length; j++) {
+    if (j === 0 || variance(X.map(row => row[j])) > 1e-12) keep.push(j);
+  }
+  const Xk = X.map(row => keep.map(j => row[j]));
+  const keptNames = keep.map(j => names[j] || `x${j}`);
+
+  const n = Xk.length;
+  const k = keep.length;
+  if (n <= k) {
+    throw new Error(`Not enough observations (${n}) for ${k} parameters`);
+  }
+
+  const XtX = multiply(transpose(Xk), Xk);
+  // Tiny ridge term keeps near-collinear controls (e.g. weekly macro series) invertible
+  for (let i = 1; i < k; i++) XtX[i][i] += 1e-8;
+
+  const XtXInv = invert(XtX);
+  const Xty = transpose(Xk).map(col => col.reduce((acc, v, i) => acc + v * y[i], 0));
+  const beta = XtXInv.map(row => row.reduce((acc, v, i) => acc + v * Xty[i], 0));
+
+  const fitted = Xk.map(row => row.reduce((acc, v, i) => acc + v * beta[i], 0));
+  const residuals = y.map((v, i) => v - fitted[i]);
+  const sse = residuals.reduce((acc, r) => acc + r * r, 0);
+  const yMean = mean(y);
+  const sst = y.reduce((acc, v) => acc + (v - yMean) ** 2, 0);
+  const sigma2 = sse / (n - k);
+
+  const coefficients = {};
+  const standardErrors = {};
+  keptNames.forEach((name, i) => {
+    coefficients[name] = beta[i];
+    standardErrors[name] = Math.sqrt(Math.max(0, sigma2 * XtXInv[i][i]));
+  });
+
+  return {
+    coefficients,
+    standardErrors,
+    names: keptNames,
+    rSquared: sst > 0 ? 1 - sse / sst : 0,
+    residualStdError: Math.sqrt(sigma2),
+    n,
+    k
+  };
+}
+
+/**
+ * Invert a square matrix using Gauss-Jordan elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>} Inverse matrix
+ */
+export function invert(matrix) {
+  const size = matrix.length;
+  const aug = matrix.map((row, i) => [
+    ...row,
+    ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  ]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(aug[row][col]) > Math.abs(aug[pivot][col])) pivot = row;
+    }
+    if (Math.abs(aug[pivot][col]) < 1e-12) {
+      throw new Error('Matrix is singular - check for collinear regressors');
+    }
+    [aug[col], aug[pivot]] = [aug[pivot], aug[col]];
+
+    const pivotValue = aug[col][col];
+    for (let j = 0; j < 2 * size; j++) aug[col][j] /= pivotValue;
+
+    for (let row = 0; row < size; row++) {
+      if (row === col) continue;
+      const factor = aug[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * size; j++) aug[row][j] -= factor * aug[col][j];
+    }
+  }
+
+  return aug.map(row => row.slice(size));
+}
+
+export function transpose(matrix) {
+  return matrix[0].map((_, j) => matrix.map(row => row[j]));
+}
+
+export function multiply(a, b) {
+  return a.map(row => b[0].map((_, j) => row.reduce((acc, v, i) => acc + v * b[i][j], 0)));
+}
+
+export function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+export function mean(values) {
+  return values.length ? sum(values) / values.length : 0;
+}
+
+export function variance(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return values.reduce((acc, v) => acc + (v - m) ** 2, 0) / (values.length - 1);
+}
+
+export function groupBy(rows, keyFn) {
+  return rows.reduce((acc, row) => {
+    const key = keyFn(row);
+    (acc[key] = acc[key] || []).push(row);
+    return acc;
+  }, {});
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so Monte Carlo runs are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed = 42) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {Function} random - Uniform generator from createRandom()
+ * @returns {number}
+ */
+export function randomNormal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Quantile of an ascending-sorted array (linear interpolation)
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number}
+ */
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
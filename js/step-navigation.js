@@ -64,6 +64,9 @@ function goToStep(step) {
 
   currentStep = step;
 
+  // Keep the step in the URL so the page can be shared / reloaded in place
+  syncStepToUrl(step);
+
   // Show/hide appropriate original content sections
   showStepContent(step);
 
@@ -71,6 +74,35 @@ function goToStep(step) {
   window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
+/**
+ * Write the current step into the URL
+ * Other parameters are kept: after a restored share link has been stripped (share-link.js
+ * stripShareParams()) they describe the last simulation run on this page.
+ * @param {number} step - Step number
+ */
+function syncStepToUrl(step) {
+  try {
+    const url = new URL(window.location.href);
+    if (step === 0) {
+      url.searchParams.delete('step');
+    } else {
+      url.searchParams.set('step', String(step));
+    }
+    window.history.replaceState(window.history.state, '', url);
+  } catch (error) {
+    console.warn('Could not update step in URL:', error);
+  }
+}
+
+/**
+ * Step requested by the URL (share links), or 0
+ * @returns {number}
+ */
+function getLinkedStep() {
+  const step = parseInt(new URLSearchParams(window.location.search).get('step'), 10);
+  return !Number.isNaN(step) && step > 0 && step < TOTAL_STEPS ? step : 0;
+}
+
 /**
  * Show content for the current step
  * @param {number} step - Step number
@@ -491,8 +523,9 @@ function initStepNavigation() {
   // Hook up steps overview modal
   initStepsOverviewModal();
 
-  // Start at step 0 (hero)
-  goToStep(0);
+  // Start at step 0 (hero). Share links start at the dashboard so data loads;
+  // app.js moves on to the linked step once loading completes.
+  goToStep(getLinkedStep() > 0 ? 1 : 0);
 }
 
 // Initialize when DOM is ready
@@ -504,3 +537,4 @@ if (document.readyState === 'loading') {
 
 // Make goToStep available globally for onclick handlers
 window.goToStep = goToStep;
+window.getCurrentStep = () => currentStep;
@@ -0,0 +1,435 @@
+/**
+ * Sweep Runner Module
+ * Batch runs of simulateScenario() over a grid of prices, tiers, target segments and time horizons
+ *
+ * A sweep is the cross product tiers × prices × target segments × time horizons. Prices run from
+ * min to max in $ steps (each tier's price_range when left empty) and every grid point is a price
+ * change against the tier's current list price; points with a target segment go through
+ * simulateSegmentScenario() via the targetSegment option. Runs go through simulation-service.js, so
+ * the page stays responsive, progress shows per run and a sweep can be cancelled (the finished
+ * runs are kept). Results fill a sortable table and a heatmap (prices across, tier / segment /
+ * horizon rows down); the full grid exports as one CSV or XLSX.
+ *
+ * Dependencies: simulation-service.js, data-loader.js, share-link.js, utils.js, SheetJS (XLSX)
+ */
+
+import { simulationService } from './simulation-service.js';
+import { getCurrentPrices, loadElasticityParams } from './data-loader.js';
+import { TIME_HORIZONS, DEFAULT_TIME_HORIZON } from './share-link.js';
+import { formatCurrency, formatNumber, showAlert } from './utils.js';
+
+export const SWEEP_METRICS = {
+  revenue_pct: { label: 'Revenue Δ %', format: (v) => signed(v, 1, '%') },
+  visitors_pct: { label: 'Visitors Δ %', format: (v) => signed(v, 1, '%') },
+  revenue_change: { label: 'Revenue Δ $/day', format: (v) => `${v >= 0 ? '+' : ''}${formatCurrency(v, 0)}` },
+  contribution_change: { label: 'Contribution Δ $/day', format: (v) => `${v >= 0 ? '+' : ''}${formatCurrency(v, 0)}` },
+  return_rate_change: { label: 'Return Rate Δ pts', format: (v) => signed(v, 2, ' pts') }
+};
+
+// Columns of the table and the export, in order
+const SWEEP_COLUMNS = [
+  { key: 'tier', label: 'Tier' },
+  { key: 'segment_label', label: 'Segment' },
+  { key: 'horizon', label: 'Horizon' },
+  { key: 'price', label: 'Price' },
+  { key: 'price_change_pct', label: 'Price Δ %' },
+  { key: 'visitors', label: 'Visitors / day' },
+  ...Object.entries(SWEEP_METRICS).map(([key, metric]) => ({ key, label: metric.label })),
+  { key: 'error', label: 'Error' }
+];
+
+const MAX_SWEEP_RUNS = 600;
+
+let lastSweep = null;
+let sweepController = null;
+let sortState = { key: 'revenue_pct', direction: -1 };
+
+/**
+ * Expand a sweep specification into runs
+ * @param {Object} spec - { tiers, priceMin, priceMax, step, segments, horizons }
+ *   segments: 'all', 'axis:segment' or 'axis:*' (every segment of the axis); price bounds left
+ *   null use each tier's price_range
+ * @returns {Promise<Array>} [{ tier, price, current_price, segment, segment_axis, horizon, scenario, options }]
+ */
+export async function buildSweepGrid(spec) {
+  const [params, currentPrices] = await Promise.all([loadElasticityParams(), getCurrentPrices()]);
+  const step = spec.step > 0 ? spec.step : 1;
+  const segments = expandSegments(spec.segments?.length ? spec.segments : ['all']);
+  const horizons = spec.horizons?.length ? spec.horizons : [DEFAULT_TIME_HORIZON];
+
+  const runs = [];
+  spec.tiers.forEach(tier => {
+    const currentPrice = currentPrices[tier]?.list_price;
+    const range = params[tier]?.price_range;
+    const min = spec.priceMin ?? range?.min;
+    const max = spec.priceMax ?? range?.max;
+    if (!currentPrice || min == null || max == null) {
+      throw new Error(`No current price or price range for ${tier}`);
+    }
+
+    for (let i = 0; min + i * step <= max + 1e-9; i++) {
+      const price = Math.round((min + i * step) * 100) / 100;
+      segments.forEach(({ axis, segment }) => {
+        horizons.forEach(horizon => {
+          runs.push({
+            tier,
+            price,
+            current_price: currentPrice,
+            segment,
+            segment_axis: axis,
+            horizon,
+            scenario: sweepScenario(tier, currentPrice, price),
+            options: { targetSegment: segment, segmentAxis: axis, timeHorizon: horizon }
+          });
+        });
+      });
+    }
+  });
+
+  if (runs.length === 0) throw new Error('The sweep grid is empty - check the price range and step');
+  if (runs.length > MAX_SWEEP_RUNS) {
+    throw new Error(`The sweep grid has ${runs.length} runs (limit ${MAX_SWEEP_RUNS}) - widen the step or pick fewer segments`);
+  }
+  return runs;
+}
+
+/**
+ * Run a sweep
+ * @param {Object} spec - See buildSweepGrid()
+ * @param {Object} control - { signal, onProgress({ done, total, row }) }
+ * @returns {Promise<Object>} { spec, rows, total, cancelled } (rows in grid order; a cancelled sweep keeps
+ *   the rows that finished)
+ */
+export async function runSweep(spec, control = {}) {
+  const runs = await buildSweepGrid(spec);
+  const rows = new Array(runs.length);
+
+  try {
+    await simulationService.simulateRuns(runs.map(({ scenario, options }) => ({ scenario, options })), {
+      signal: control.signal,
+      onProgress: ({ done, total, item, index }) => {
+        rows[index] = sweepRow(runs[index], item);
+        control.onProgress?.({ done, total, row: rows[index] });
+      }
+    });
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    return { spec, rows: rows.filter(Boolean), total: runs.length, cancelled: true };
+  }
+  return { spec, rows, total: runs.length, cancelled: false };
+}
+
+/**
+ * Download the rows of a sweep
+ * @param {Object} sweep - Output of runSweep()
+ * @param {string} format - 'csv' | 'xlsx'
+ */
+export function exportSweep(sweep, format = 'csv') {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const header = SWEEP_COLUMNS.map(column => column.label);
+  const rows = sweep.rows.map(row => SWEEP_COLUMNS.map(column => row[column.key] ?? ''));
+
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...rows]), 'Sweep');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+      ['Setting', 'Value'],
+      ['Tiers', sweep.spec.tiers.join(', ')],
+      ['Price min', sweep.spec.priceMin ?? 'price_range'],
+      ['Price max', sweep.spec.priceMax ?? 'price_range'],
+      ['Step', sweep.spec.step],
+      ['Segments', (sweep.spec.segments || ['all']).join(', ')],
+      ['Horizons', (sweep.spec.horizons || [DEFAULT_TIME_HORIZON]).join(', ')],
+      ['Runs', `${sweep.rows.length} of ${sweep.total}${sweep.cancelled ? ' (cancelled)' : ''}`]
+    ]), 'Settings');
+    XLSX.writeFile(workbook, `pricing_sweep_${stamp}.xlsx`);
+    return;
+  }
+
+  const escape = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value);
+  const csv = [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `pricing_sweep_${stamp}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// ========== UI ==========
+
+/**
+ * Initialize the sweep panel (call after the segment data has loaded)
+ */
+export async function initializeSweepRunner() {
+  const runBtn = document.getElementById('run-sweep-btn');
+  if (!runBtn) return;
+
+  const segmentSelect = document.getElementById('sweep-segments');
+  if (segmentSelect) {
+    const engine = window.segmentEngine;
+    segmentSelect.innerHTML = '<option value="all" selected>All visitors</option>' + (engine?.axisDefinitions
+      ? Object.entries(engine.axisDefinitions).map(([axis, segments]) => `
+        <optgroup label="${engine.axisLabels[axis] || axis}">
+          <option value="${axis}:*">Every ${(engine.axisLabels[axis] || axis).toLowerCase()} segment</option>
+          ${segments.map(segment => `<option value="${axis}:${segment}">${engine.formatSegmentLabel(segment)}</option>`).join('')}
+        </optgroup>
+      `).join('')
+      : '');
+  }
+
+  const horizonSelect = document.getElementById('sweep-horizons');
+  if (horizonSelect) {
+    horizonSelect.innerHTML = Object.entries(TIME_HORIZONS).map(([key, label]) => `
+      <option value="${key}" ${key === DEFAULT_TIME_HORIZON ? 'selected' : ''}>${label}</option>
+    `).join('');
+  }
+
+  const metricSelect = document.getElementById('sweep-heatmap-metric');
+  if (metricSelect) {
+    metricSelect.innerHTML = Object.entries(SWEEP_METRICS)
+      .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+      .join('');
+    metricSelect.onchange = () => lastSweep && renderSweepHeatmap(lastSweep);
+  }
+
+  runBtn.onclick = runSweepFromPanel;
+  document.getElementById('cancel-sweep-btn')?.addEventListener('click', () => sweepController?.abort());
+  document.getElementById('export-sweep-csv-btn')?.addEventListener('click', () => lastSweep && exportSweep(lastSweep, 'csv'));
+  document.getElementById('export-sweep-xlsx-btn')?.addEventListener('click', () => lastSweep && exportSweep(lastSweep, 'xlsx'));
+}
+
+async function runSweepFromPanel() {
+  const runBtn = document.getElementById('run-sweep-btn');
+  const cancelBtn = document.getElementById('cancel-sweep-btn');
+  const progressBar = document.getElementById('sweep-progress-bar');
+  const progressText = document.getElementById('sweep-progress-text');
+  const selected = (id) => [...(document.getElementById(id)?.selectedOptions || [])].map(option => option.value);
+  const number = (id) => {
+    const value = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(value) ? value : null;
+  };
+
+  const spec = {
+    tiers: selected('sweep-tiers'),
+    priceMin: number('sweep-price-min'),
+    priceMax: number('sweep-price-max'),
+    step: number('sweep-price-step') || 1,
+    segments: selected('sweep-segments'),
+    horizons: selected('sweep-horizons')
+  };
+  if (spec.tiers.length === 0) {
+    showAlert('Pick at least one tier to sweep', 'warning');
+    return;
+  }
+
+  sweepController = new AbortController();
+  runBtn.disabled = true;
+  runBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Running...';
+  cancelBtn.style.display = '';
+  document.getElementById('sweep-progress').style.display = '';
+  progressBar.style.width = '0%';
+  progressText.textContent = 'Building grid...';
+
+  try {
+    lastSweep = await runSweep(spec, {
+      signal: sweepController.signal,
+      onProgress: ({ done, total }) => {
+        progressBar.style.width = `${(done / total) * 100}%`;
+        progressText.textContent = `${done} of ${total} runs`;
+      }
+    });
+    progressText.textContent = lastSweep.cancelled
+      ? `Cancelled - ${lastSweep.rows.length} of ${lastSweep.total} runs finished`
+      : `${lastSweep.total} runs finished`;
+    renderSweepResults(lastSweep);
+  } catch (error) {
+    console.error('Sweep failed:', error);
+    showAlert('Sweep failed: ' + error.message, 'danger');
+    progressText.textContent = '';
+  } finally {
+    sweepController = null;
+    runBtn.disabled = false;
+    runBtn.innerHTML = '<i class="bi bi-grid-3x3 me-1"></i>Run Sweep';
+    cancelBtn.style.display = 'none';
+  }
+}
+
+function renderSweepResults(sweep) {
+  document.getElementById('sweep-results').style.display = sweep.rows.length ? 'block' : 'none';
+  ['export-sweep-csv-btn', 'export-sweep-xlsx-btn'].forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = sweep.rows.length === 0;
+  });
+  renderSweepTable(sweep);
+  renderSweepHeatmap(sweep);
+}
+
+function renderSweepTable(sweep) {
+  const table = document.getElementById('sweep-table');
+  if (!table) return;
+
+  const { key, direction } = sortState;
+  const rows = [...sweep.rows].sort((a, b) => {
+    const av = a[key];
+    const bv = b[key];
+    if (av == null) return 1;
+    if (bv == null) return -1;
+    return (typeof av === 'string' ? av.localeCompare(bv) : av - bv) * direction;
+  });
+
+  const cell = (row, column) => {
+    const value = row[column.key];
+    if (value == null) return '<td class="text-muted">—</td>';
+    if (SWEEP_METRICS[column.key]) {
+      return `<td class="text-end ${value >= 0 ? 'text-success' : 'text-danger'}">${SWEEP_METRICS[column.key].format(value)}</td>`;
+    }
+    if (column.key === 'price') return `<td class="text-end">${formatCurrency(value)}</td>`;
+    if (column.key === 'price_change_pct') return `<td class="text-end">${signed(value, 1, '%')}</td>`;
+    if (column.key === 'visitors') return `<td class="text-end">${formatNumber(value)}</td>`;
+    if (column.key === 'horizon') return `<td>${TIME_HORIZONS[value] || value}</td>`;
+    if (column.key === 'error') return `<td class="text-danger small">${value}</td>`;
+    return `<td>${value}</td>`;
+  };
+
+  table.innerHTML = `
+    <thead class="table-light">
+      <tr>
+        ${SWEEP_COLUMNS.map(column => `
+          <th class="sweep-sort text-nowrap" data-key="${column.key}" role="button">
+            ${column.label}${column.key === key ? `<i class="bi bi-caret-${direction > 0 ? 'up' : 'down'}-fill ms-1"></i>` : ''}
+          </th>
+        `).join('')}
+      </tr>
+    </thead>
+    <tbody>
+      ${rows.map(row => `<tr>${SWEEP_COLUMNS.map(column => cell(row, column)).join('')}</tr>`).join('')}
+    </tbody>
+  `;
+
+  table.querySelectorAll('.sweep-sort').forEach(th => {
+    th.onclick = () => {
+      sortState = { key: th.dataset.key, direction: sortState.key === th.dataset.key ? -sortState.direction : -1 };
+      renderSweepTable(sweep);
+    };
+  });
+}
+
+function renderSweepHeatmap(sweep) {
+  const container = document.getElementById('sweep-heatmap');
+  if (!container) return;
+
+  const metricKey = document.getElementById('sweep-heatmap-metric')?.value || 'revenue_pct';
+  const metric = SWEEP_METRICS[metricKey];
+  const prices = [...new Set(sweep.rows.map(row => row.price))].sort((a, b) => a - b);
+  const lines = new Map();
+  sweep.rows.forEach(row => {
+    const lineKey = `${row.tier}|${row.segment_label}|${row.horizon}`;
+    if (!lines.has(lineKey)) lines.set(lineKey, { row, cells: new Map() });
+    lines.get(lineKey).cells.set(row.price, row[metricKey]);
+  });
+  const maxAbs = Math.max(...sweep.rows.map(row => Math.abs(row[metricKey] ?? 0)), 1e-9);
+  const color = (value) => {
+    if (value == null) return '#f8f9fa';
+    const alpha = Math.min(Math.abs(value) / maxAbs, 1) * 0.75 + 0.05;
+    return value >= 0 ? `rgba(25, 135, 84, ${alpha})` : `rgba(220, 53, 69, ${alpha})`;
+  };
+  const showHorizon = new Set(sweep.rows.map(row => row.horizon)).size > 1;
+
+  container.innerHTML = `
+    <table class="table table-sm table-bordered small mb-0" style="font-size: 0.75rem;">
+      <thead class="table-light">
+        <tr>
+          <th>Tier / Segment${showHorizon ? ' / Horizon' : ''}</th>
+          ${prices.map(price => `<th class="text-center">${formatCurrency(price, price % 1 ? 2 : 0)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${[...lines.values()].map(({ row, cells }) => `
+          <tr>
+            <td class="text-nowrap">${row.tier} · ${row.segment_label}${showHorizon ? ` · ${TIME_HORIZONS[row.horizon] || row.horizon}` : ''}</td>
+            ${prices.map(price => {
+              const value = cells.get(price);
+              return `<td class="text-center" style="background: ${color(value)};"
+                title="${value != null ? metric.format(value) : 'no result'}">${value != null ? metric.format(value) : ''}</td>`;
+            }).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Flatten a run and its simulation result into a table / export row
+ * Segment runs report the tier-level totals (result.delta), like the regular scenario display; a
+ * metric the engine cannot compute (e.g. a % change on a zero baseline) is left empty.
+ */
+function sweepRow(run, entry) {
+  const result = entry.result;
+  const delta = result?.delta || {};
+  return {
+    tier: run.tier,
+    segment: run.segment,
+    segment_label: run.segment === 'all' ? 'All visitors' : segmentLabel(run.segment),
+    horizon: run.horizon,
+    price: run.price,
+    current_price: run.current_price,
+    price_change_pct: ((run.price - run.current_price) / run.current_price) * 100,
+    visitors: finite(result?.forecasted?.visitors),
+    visitors_pct: finite(delta.visitors_pct),
+    revenue_pct: finite(delta.revenue_pct),
+    revenue_change: finite(delta.revenue),
+    contribution_change: finite(delta.contribution),
+    return_rate_change: finite(delta.return_rate * 100),
+    error: entry.error || null
+  };
+}
+
+function sweepScenario(tier, currentPrice, price) {
+  const priceChangePct = ((price - currentPrice) / currentPrice) * 100;
+  const tierLabel = tier.replace('_', ' ').replace(/\b\w/g, c => c.toUpperCase());
+  return {
+    id: `sweep_${tier}_${String(price).replace('.', '_')}`,
+    name: `${tierLabel} at ${formatCurrency(price)}`,
+    category: priceChangePct > 0 ? 'price_increase' : (priceChangePct < 0 ? 'price_decrease' : 'baseline'),
+    model_type: 'churn',
+    config: {
+      tier,
+      current_price: currentPrice,
+      new_price: price,
+      price_change_pct: Math.round(priceChangePct * 10) / 10
+    }
+  };
+}
+
+function expandSegments(values) {
+  const axes = window.segmentEngine?.axisDefinitions || {};
+  const expanded = [];
+  values.forEach(value => {
+    if (value === 'all') {
+      expanded.push({ axis: null, segment: 'all' });
+      return;
+    }
+    const [axis, segment] = value.split(':');
+    const segments = segment === '*' ? axes[axis] || [] : [segment];
+    segments.forEach(s => {
+      if (!expanded.some(e => e.axis === axis && e.segment === s)) expanded.push({ axis, segment: s });
+    });
+  });
+  return expanded;
+}
+
+function segmentLabel(segment) {
+  return window.segmentEngine?.formatSegmentLabel(segment) || segment;
+}
+
+function finite(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+function signed(value, decimals, unit) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}${unit}`;
+}
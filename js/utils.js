@@ -102,6 +102,21 @@ export function showToast(message, type = 'info') {
 export function generateScenarioId() {
   return `scenario_custom_${Date.now()}`;
 }
+
+/**
+ * Escape text for interpolation into innerHTML (file names, column names, user labels)
+ * @param {*} value - Text to escape
+ * @returns {string} HTML-safe string
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+}
 /**
  * Show Bootstrap alert instead of window.alert()
  * @param {string} message - Alert message
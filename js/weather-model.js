@@ -0,0 +1,369 @@
+/**
+ * Weather Model Module
+ * Weather sensitivity of visitors and return rate, and the weather year a forecast runs against
+ *
+ * The weekly weather_score of external_factors.csv (0-100) is compared with its calendar-month
+ * normal over every year on file. Park visits (log) and the visitor-weighted return rate of the
+ * weeks that overlap daily_aggregated.csv are regressed on that anomaly with month dummies:
+ *   ln(visitors_w)  = α_month + β_v × anomaly_w
+ *   return_rate_w   = γ_month + β_r × anomaly_w
+ * Forecasts use the point estimate either way. A sensitivity the history does not identify (not
+ * positive, or t < 1.96) is reported as unidentified, and the weather risk of a run is then sized
+ * from its 95% interval (weatherRiskRange()) rather than from an assumed value.
+ *
+ * Weather years:
+ *   typical      every month at its normal score - the seasonal baseline as it is
+ *   pessimistic  every month at its 10th-percentile weekly score (or normal − score_shift points),
+ *                with the weather events of event_calendar.csv (Cold Snap, storms, heat waves)
+ *                replayed on their dates of the latest year at a score drop by impact level
+ * forecastTierDays() applies the weather year to the no-change baseline and the scenario alike and
+ * keeps the typical-year baseline next to it, so weather risk is reported apart from the price effect.
+ *
+ * simulateScenario() picks up the active settings through getActiveWeatherSettings() unless
+ * options.weatherYear is passed explicitly.
+ *
+ * Dependencies: data-loader.js, stats-utils.js, event-impact.js
+ */
+
+import { loadExternalFactors, loadDailyAggregated, dataCache } from './data-loader.js';
+import { fitOLS, mean, quantile } from './stats-utils.js';
+import { loadCalendarEvents } from './event-impact.js';
+
+export const WEATHER_YEARS = {
+  typical: {
+    label: 'Typical Year',
+    description: 'Every month at its normal weather score'
+  },
+  pessimistic: {
+    label: 'Pessimistic Year',
+    description: 'Poor weather every month plus last year\'s weather events'
+  }
+};
+
+export const DEFAULT_WEATHER_SETTINGS = {
+  year: 'typical',
+  score_shift: null
+};
+
+const Z_95 = 1.96;
+// Quantile of the weekly anomalies a pessimistic month is set to
+const PESSIMISTIC_QUANTILE = 0.1;
+// Score drop on a replayed weather event day, by impact_level
+const WEATHER_EVENT_SCORE_DROP = { high: 30, medium: 20, low: 10 };
+
+const STORAGE_KEY = 'pricingStudio.weatherYear';
+
+let activeSettings = loadStoredSettings();
+
+// Fitted sensitivity (rebuilt when the daily data is reloaded)
+let sensitivityCache = null;
+let sensitivitySource = null;
+
+/**
+ * Get the weather settings applied to simulations
+ * @returns {Object} Settings in the DEFAULT_WEATHER_SETTINGS shape (score_shift null = 10th percentile)
+ */
+export function getActiveWeatherSettings() {
+  return { ...activeSettings };
+}
+
+/**
+ * Set the weather settings applied to simulations (missing keys fall back to the defaults)
+ * @param {Object} settings - Partial DEFAULT_WEATHER_SETTINGS
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Remember the settings for the next visit
+ */
+export function setActiveWeatherSettings(settings, { persist = true } = {}) {
+  activeSettings = normalizeSettings(settings);
+  if (!persist) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(activeSettings));
+  } catch (error) {
+    console.warn('Could not remember weather settings:', error);
+  }
+}
+
+/**
+ * Fit the weather sensitivity of park visits and return rate (cached)
+ * @returns {Promise<Object>} { weeks, normals: { month: score }, anomaly_quantiles: { month: p10 },
+ *   visitors: { sensitivity, estimate, std_error, interval, source }, return_rate: { ... } }
+ *   sensitivity = change in ln(visits) / return-rate points per weather_score point,
+ *   interval = [low, high] at 95%, source = 'estimated' | 'unidentified' | 'unavailable' (fit failed, 0 used)
+ */
+export async function fitWeatherSensitivity() {
+  const [factors, dailyData] = await Promise.all([loadExternalFactors(), loadDailyAggregated()]);
+  if (sensitivityCache && sensitivitySource === dataCache.dailyAggregated) return sensitivityCache;
+
+  const byMonth = {};
+  factors.forEach(row => {
+    const month = Number(row.date.slice(5, 7));
+    (byMonth[month] = byMonth[month] || []).push(row.weather_score);
+  });
+  const normals = Object.fromEntries(Object.entries(byMonth).map(([month, scores]) => [month, mean(scores)]));
+  const anomalyQuantiles = Object.fromEntries(Object.entries(byMonth).map(([month, scores]) => [
+    month,
+    quantile(scores.map(score => score - normals[month]).sort((a, b) => a - b), PESSIMISTIC_QUANTILE)
+  ]));
+
+  const weeks = aggregateWeeks(factors, dailyData, normals);
+  const months = [...new Set(weeks.map(w => w.month))].sort((a, b) => a - b);
+  const X = weeks.map(w => [1, ...months.slice(1).map(m => (w.month === m ? 1 : 0)), w.anomaly]);
+  const names = ['intercept', ...months.slice(1).map(m => `m${m}`), 'anomaly'];
+
+  const identify = (y) => {
+    try {
+      const fit = fitOLS(X, y, names);
+      const estimate = fit.coefficients.anomaly;
+      const stdError = fit.standardErrors.anomaly;
+      if (!Number.isFinite(estimate) || !(stdError > 0)) throw new Error('Weather anomaly did not vary');
+      const identified = estimate > 0 && estimate / stdError >= Z_95;
+      return {
+        sensitivity: estimate,
+        estimate,
+        std_error: stdError,
+        interval: [estimate - Z_95 * stdError, estimate + Z_95 * stdError],
+        source: identified ? 'estimated' : 'unidentified'
+      };
+    } catch (error) {
+      return { sensitivity: 0, estimate: null, std_error: null, interval: null, source: 'unavailable' };
+    }
+  };
+
+  sensitivityCache = {
+    weeks: weeks.length,
+    normals,
+    anomaly_quantiles: anomalyQuantiles,
+    visitors: identify(weeks.map(w => Math.log(w.visitors))),
+    return_rate: identify(weeks.map(w => w.return_rate))
+  };
+  sensitivitySource = dataCache.dailyAggregated;
+  if (sensitivityCache.visitors.source !== 'estimated') {
+    console.warn(`Weather response not identified from ${weeks.length} weeks of history, sizing weather risk from its interval`,
+      sensitivityCache.visitors.interval);
+  }
+  return sensitivityCache;
+}
+
+/**
+ * Resolve the weather year for a run
+ * @param {Object|false|undefined} option - options.weatherYear: overrides of the active settings,
+ *   false for the typical year, or an already resolved weather year (passed through)
+ * @returns {Promise<Object>} { year, label, score_shift, monthly_anomaly: { month: points },
+ *   event_days: { 'MM-DD': { name, anomaly } }, sensitivity, weeks }
+ */
+export async function resolveWeatherYear(option) {
+  if (option && option.monthly_anomaly) return option;
+
+  const settings = option === false
+    ? normalizeSettings({ year: 'typical' })
+    : normalizeSettings({ ...activeSettings, ...(option && typeof option === 'object' ? option : {}) });
+  const sensitivity = await fitWeatherSensitivity();
+  const monthlyAnomaly = {};
+  const eventDays = {};
+
+  if (settings.year === 'pessimistic') {
+    for (let month = 1; month <= 12; month++) {
+      const normal = sensitivity.normals[month] ?? 0;
+      const drop = settings.score_shift != null ? -settings.score_shift : (sensitivity.anomaly_quantiles[month] ?? 0);
+      monthlyAnomaly[month] = Math.max(drop, -normal);
+    }
+
+    const weatherEvents = (await loadCalendarEvents()).filter(e => e.event_type === 'weather');
+    const latestYear = weatherEvents.reduce((latest, e) => (e.date.slice(0, 4) > latest ? e.date.slice(0, 4) : latest), '');
+    weatherEvents.filter(e => e.date.startsWith(latestYear)).forEach(event => {
+      eventDays[event.date.slice(5)] = {
+        name: event.event_name,
+        anomaly: -(WEATHER_EVENT_SCORE_DROP[event.impact_level] ?? WEATHER_EVENT_SCORE_DROP.medium)
+      };
+    });
+  }
+
+  return {
+    year: settings.year,
+    label: WEATHER_YEARS[settings.year].label,
+    score_shift: settings.score_shift,
+    monthly_anomaly: monthlyAnomaly,
+    event_days: eventDays,
+    sensitivity: {
+      visitors: sensitivity.visitors.sensitivity,
+      visitors_interval: sensitivity.visitors.interval,
+      visitors_source: sensitivity.visitors.source,
+      return_rate: sensitivity.return_rate.sensitivity,
+      return_rate_interval: sensitivity.return_rate.interval,
+      return_rate_source: sensitivity.return_rate.source
+    },
+    weeks: sensitivity.weeks
+  };
+}
+
+/**
+ * Visits change of a weather year at the ends of the visitor sensitivity's 95% interval
+ * Uses the visit-weighted mean anomaly of the forecast months (event days spread over their month),
+ * so it is a first-order range around the day-by-day forecast, not a re-run of it.
+ * @param {Object} weatherYear - Output of resolveWeatherYear()
+ * @param {Array} months - [{ month_start: 'YYYY-MM-DD', visitors }] typical-year visits per forecast month
+ * @returns {Object|null} { low_pct, high_pct } (% of typical-year visits, low = most adverse), or null
+ *   without an interval or anomaly
+ */
+export function weatherRiskRange(weatherYear, months) {
+  const interval = weatherYear?.sensitivity?.visitors_interval;
+  if (!interval || months.length === 0) return null;
+
+  let weighted = 0;
+  let total = 0;
+  months.forEach(({ month_start: monthStart, visitors }) => {
+    const month = Number(monthStart.slice(5, 7));
+    const daysInMonth = new Date(Date.UTC(Number(monthStart.slice(0, 4)), month, 0)).getUTCDate();
+    const eventAnomaly = Object.entries(weatherYear.event_days)
+      .filter(([date]) => Number(date.slice(0, 2)) === month)
+      .reduce((sum, [, event]) => sum + event.anomaly, 0);
+    weighted += visitors * ((weatherYear.monthly_anomaly[month] || 0) + eventAnomaly / daysInMonth);
+    total += visitors;
+  });
+  const meanAnomaly = total > 0 ? weighted / total : 0;
+  if (meanAnomaly === 0) return null;
+
+  const [lowPct, highPct] = interval.map(s => (Math.exp(s * meanAnomaly) - 1) * 100).sort((a, b) => a - b);
+  return { low_pct: lowPct, high_pct: highPct };
+}
+
+/**
+ * Weather effect on one forecast day
+ * @param {Object} day - Row of forecastSeasonalDays() ({ date, calendar_month })
+ * @param {Object} weatherYear - Output of resolveWeatherYear()
+ * @returns {Object|null} { anomaly, visitor_factor, return_rate_shift, event? } or null when the day
+ *   is at its normal score
+ */
+export function weatherDayEffects(day, weatherYear) {
+  if (!weatherYear) return null;
+  const event = weatherYear.event_days[day.date.slice(5)];
+  const anomaly = (weatherYear.monthly_anomaly[day.calendar_month] || 0) + (event ? event.anomaly : 0);
+  if (anomaly === 0) return null;
+
+  return {
+    anomaly,
+    visitor_factor: Math.exp(weatherYear.sensitivity.visitors * anomaly),
+    return_rate_shift: weatherYear.sensitivity.return_rate * anomaly,
+    ...(event ? { event: event.name } : {})
+  };
+}
+
+/**
+ * Initialize the weather-year panel in the scenario engine
+ */
+export function initializeWeatherPanel() {
+  const container = document.getElementById('weather-options');
+  if (!container) return;
+
+  const settings = getActiveWeatherSettings();
+  container.innerHTML = `
+    <div class="col-md-6">
+      <label class="form-label small" for="weather-year">Weather Year</label>
+      <select id="weather-year" class="form-select form-select-sm">
+        ${Object.entries(WEATHER_YEARS).map(([key, year]) => `
+          <option value="${key}" ${settings.year === key ? 'selected' : ''}>${year.label} - ${year.description}</option>
+        `).join('')}
+      </select>
+    </div>
+    <div class="col-md-3">
+      <label class="form-label small" for="weather-score-shift">Score Below Normal (pts)</label>
+      <input type="number" id="weather-score-shift" class="form-control form-control-sm"
+        value="${settings.score_shift ?? ''}" min="0" max="100" step="1" placeholder="10th percentile"
+        ${settings.year === 'pessimistic' ? '' : 'disabled'}>
+    </div>
+  `;
+
+  const readInputs = () => {
+    const shift = parseFloat(document.getElementById('weather-score-shift').value);
+    setActiveWeatherSettings({
+      year: document.getElementById('weather-year').value,
+      score_shift: Number.isFinite(shift) ? shift : null
+    });
+    initializeWeatherPanel();
+  };
+
+  container.querySelectorAll('input, select').forEach(input => input.addEventListener('change', readInputs));
+
+  const resetBtn = document.getElementById('reset-weather-btn');
+  if (resetBtn) {
+    resetBtn.onclick = () => {
+      setActiveWeatherSettings(DEFAULT_WEATHER_SETTINGS);
+      initializeWeatherPanel();
+    };
+  }
+
+  renderWeatherSummary();
+}
+
+async function renderWeatherSummary() {
+  const summary = document.getElementById('weather-summary');
+  if (!summary) return;
+
+  const [weatherYear, sensitivity] = await Promise.all([resolveWeatherYear(), fitWeatherSensitivity()]);
+  const sourceLabel = (fit, scale, decimals) => {
+    if (fit.source === 'estimated') return `estimated from ${sensitivity.weeks} weeks`;
+    if (fit.source === 'unavailable') return 'could not be fitted - no weather adjustment';
+    return `not identified in ${sensitivity.weeks} weeks, 95% interval ` +
+      `${(fit.interval[0] * scale).toFixed(decimals)} to ${(fit.interval[1] * scale).toFixed(decimals)}`;
+  };
+  const anomalies = Object.values(weatherYear.monthly_anomaly);
+  const eventCount = Object.keys(weatherYear.event_days).length;
+  summary.innerHTML = `
+    <span class="text-muted">
+      ${(sensitivity.visitors.sensitivity * 100).toFixed(2)}% visits per score point (${sourceLabel(sensitivity.visitors, 100, 2)}) ·
+      ${(sensitivity.return_rate.sensitivity * 100).toFixed(3)} pts return rate per point (${sourceLabel(sensitivity.return_rate, 100, 3)})
+      ${anomalies.length
+        ? ` · scores ${Math.abs(mean(anomalies)).toFixed(1)} pts below normal on average, ${eventCount} weather events replayed`
+        : ''}
+    </span>
+  `;
+}
+
+/**
+ * Weekly park visits and return rate next to the weather anomaly of the week
+ */
+function aggregateWeeks(factors, dailyData, normals) {
+  const byDate = {};
+  dailyData.forEach(row => {
+    const day = (byDate[row.date] = byDate[row.date] || { visitors: 0, returning: 0 });
+    day.visitors += row.daily_visitors;
+    day.returning += row.return_rate * row.daily_visitors;
+  });
+
+  return factors.map(row => {
+    const start = new Date(`${row.date}T00:00:00Z`);
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const date = new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10);
+      if (byDate[date]) days.push(byDate[date]);
+    }
+    if (days.length < 7) return null;
+
+    const month = Number(row.date.slice(5, 7));
+    const visitors = days.reduce((acc, d) => acc + d.visitors, 0);
+    return {
+      month,
+      anomaly: row.weather_score - normals[month],
+      visitors,
+      return_rate: days.reduce((acc, d) => acc + d.returning, 0) / visitors
+    };
+  }).filter(week => week && week.visitors > 0);
+}
+
+function normalizeSettings(settings = {}) {
+  const merged = { ...DEFAULT_WEATHER_SETTINGS, ...settings };
+  merged.year = WEATHER_YEARS[merged.year] ? merged.year : DEFAULT_WEATHER_SETTINGS.year;
+  merged.score_shift = merged.score_shift != null && Number(merged.score_shift) >= 0
+    ? Math.min(Number(merged.score_shift), 100)
+    : null;
+  return merged;
+}
+
+function loadStoredSettings() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return normalizeSettings(stored ? JSON.parse(stored) : {});
+  } catch (error) {
+    return normalizeSettings({});
+  }
+}